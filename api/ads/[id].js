@@ -0,0 +1,333 @@
+import { getSupabaseClient } from '../../lib/supabase.js';
+import { requireUser } from '../../lib/auth.js';
+import { EDITABLE_FIELDS, parseAnalysisData, isMissingTableError } from '../../lib/ads.js';
+import { getScreenshotStorage } from '../../lib/storage/index.js';
+import { normalizeAdvertiserName, resolveAdvertisers } from '../../lib/advertisers.js';
+import { copyFingerprint, FINGERPRINT_FIELDS } from '../../lib/duplicates.js';
+
+const MAX_FIELD_LENGTH = 5000;
+
+// Validate a PATCH body and return the column updates plus any problems
+function parseUpdateBody(body) {
+  const errors = [];
+  const updates = {};
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { errors: ['Request body must be a JSON object'], updates };
+  }
+
+  for (const [field, value] of Object.entries(body)) {
+    if (!EDITABLE_FIELDS.includes(field)) {
+      errors.push(`${field} cannot be updated`);
+      continue;
+    }
+
+    if (value !== null && typeof value !== 'string') {
+      errors.push(`${field} must be a string or null`);
+      continue;
+    }
+
+    if (typeof value === 'string' && value.length > MAX_FIELD_LENGTH) {
+      errors.push(`${field} must be at most ${MAX_FIELD_LENGTH} characters`);
+      continue;
+    }
+
+    const trimmed = typeof value === 'string' ? value.trim() : null;
+    updates[field] = field === 'platform' ? (trimmed || 'unknown') : (trimmed || null);
+  }
+
+  if (errors.length === 0 && Object.keys(updates).length === 0) {
+    errors.push(`Provide at least one of: ${EDITABLE_FIELDS.join(', ')}`);
+  }
+
+  return { errors, updates };
+}
+
+// Delete a capture's screenshot and thumbnail from object storage
+async function removeCaptureFiles(capture) {
+  const keys = [capture?.screenshot_path, capture?.thumbnail_path].filter(Boolean);
+
+  if (keys.length === 0) {
+    return;
+  }
+
+  try {
+    const storage = getScreenshotStorage();
+    if (storage) {
+      await storage.remove(keys);
+    }
+  } catch (error) {
+    console.error('Failed to remove capture files:', keys, error);
+  }
+}
+
+function sendQueryError(res, error, message) {
+  console.error('Database query error:', error);
+
+  res.status(500).json({
+    error: isMissingTableError(error) ? 'Database schema error' : 'Database error',
+    message,
+    details: error.message
+  });
+}
+
+// Look up the owner of an ad so callers get 404 vs 403 right
+async function findAdOwner(supabase, id) {
+  return supabase
+    .from('saved_ads')
+    .select('id, user_id, capture_id')
+    .eq('id', id)
+    .maybeSingle();
+}
+
+async function findAdvertiserId(supabase, userId, name) {
+  if (!name) {
+    return null;
+  }
+
+  try {
+    const advertisers = await resolveAdvertisers(supabase, userId, [name]);
+    return advertisers.get(normalizeAdvertiserName(name)) ?? null;
+  } catch (error) {
+    console.error('Advertiser matching error:', error);
+    return null;
+  }
+}
+
+async function getAd(req, res, supabase, id, user) {
+  const { data, error } = await supabase
+    .from('saved_ads')
+    .select('*, capture:captures(id, screenshot_url, thumbnail_url, source_url, ads_found, created_at), sightings:ad_sightings(id, capture_id, source_url, platform, seen_at)')
+    .eq('id', id)
+    .eq('user_id', user.id)
+    .maybeSingle();
+
+  if (error) {
+    sendQueryError(res, error, 'Failed to load saved ad');
+    return;
+  }
+
+  if (!data) {
+    res.status(404).json({
+      error: 'Not found',
+      message: `Saved ad ${id} does not exist`
+    });
+    return;
+  }
+
+  res.status(200).json({
+    success: true,
+    ad: {
+      ...data,
+      analysis_data: parseAnalysisData(data.analysis_data),
+      sightings: (data.sightings || []).sort((a, b) => a.seen_at.localeCompare(b.seen_at))
+    },
+    timestamp: new Date().toISOString()
+  });
+}
+
+async function updateAd(req, res, supabase, id, existing) {
+  const { errors, updates } = parseUpdateBody(req.body);
+
+  if (errors.length > 0) {
+    res.status(400).json({
+      error: 'Validation error',
+      message: errors[0],
+      details: errors
+    });
+    return;
+  }
+
+  // A corrected advertiser name moves the ad to the matching advertiser
+  if ('advertiser_name' in updates) {
+    updates.advertiser_id = await findAdvertiserId(supabase, existing.user_id, updates.advertiser_name);
+  }
+
+  // Corrected copy has to be what later saves are compared against
+  if (FINGERPRINT_FIELDS.some(field => field in updates)) {
+    const { data: current, error: loadError } = await supabase
+      .from('saved_ads')
+      .select(FINGERPRINT_FIELDS.join(', '))
+      .eq('id', id)
+      .eq('user_id', existing.user_id)
+      .maybeSingle();
+
+    if (loadError) {
+      sendQueryError(res, loadError, 'Failed to update saved ad');
+      return;
+    }
+
+    updates.copy_fingerprint = copyFingerprint({ ...current, ...updates });
+  }
+
+  const { data, error } = await supabase
+    .from('saved_ads')
+    .update({
+      ...updates,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', id)
+    .eq('user_id', existing.user_id)
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    sendQueryError(res, error, 'Failed to update saved ad');
+    return;
+  }
+
+  console.log('Saved ad updated:', { id, fields: Object.keys(updates) });
+
+  res.status(200).json({
+    success: true,
+    message: 'Saved ad updated successfully',
+    ad: {
+      ...data,
+      analysis_data: parseAnalysisData(data?.analysis_data)
+    },
+    timestamp: new Date().toISOString()
+  });
+}
+
+async function deleteAd(req, res, supabase, id, existing) {
+  const { error } = await supabase
+    .from('saved_ads')
+    .delete()
+    .eq('id', id)
+    .eq('user_id', existing.user_id);
+
+  if (error) {
+    sendQueryError(res, error, 'Failed to delete saved ad');
+    return;
+  }
+
+  // Remove the capture too once its last ad is gone
+  let captureDeleted = false;
+
+  if (existing.capture_id) {
+    const { count, error: countError } = await supabase
+      .from('saved_ads')
+      .select('id', { count: 'exact', head: true })
+      .eq('capture_id', existing.capture_id);
+
+    if (countError) {
+      console.error('Failed to count remaining ads for capture:', existing.capture_id, countError);
+    } else if (count === 0) {
+      const { data: capture, error: captureError } = await supabase
+        .from('captures')
+        .delete()
+        .eq('id', existing.capture_id)
+        .select('screenshot_path, thumbnail_path')
+        .maybeSingle();
+
+      if (captureError) {
+        console.error('Failed to delete empty capture:', existing.capture_id, captureError);
+      } else {
+        captureDeleted = true;
+        await removeCaptureFiles(capture);
+      }
+    }
+  }
+
+  console.log('Saved ad deleted:', { id, capture_deleted: captureDeleted });
+
+  res.status(200).json({
+    success: true,
+    message: 'Saved ad deleted successfully',
+    id,
+    capture_deleted: captureDeleted,
+    timestamp: new Date().toISOString()
+  });
+}
+
+export default async function handler(req, res) {
+  try {
+    // Add CORS headers
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, PATCH, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    // Handle preflight requests
+    if (req.method === 'OPTIONS') {
+      res.status(200).end();
+      return;
+    }
+
+    if (!['GET', 'PATCH', 'DELETE'].includes(req.method)) {
+      res.status(405).json({
+        error: 'Method not allowed',
+        message: 'Only GET, PATCH and DELETE requests are supported'
+      });
+      return;
+    }
+
+    const id = Number(req.query?.id);
+
+    if (!Number.isInteger(id) || id < 1) {
+      res.status(400).json({
+        error: 'Validation error',
+        message: 'id must be a positive integer'
+      });
+      return;
+    }
+
+    const supabase = getSupabaseClient();
+
+    if (!supabase) {
+      res.status(500).json({
+        error: 'Configuration error',
+        message: 'Missing database configuration'
+      });
+      return;
+    }
+
+    const user = await requireUser(req, res, supabase);
+    if (!user) {
+      return;
+    }
+
+    if (req.method === 'GET') {
+      await getAd(req, res, supabase, id, user);
+      return;
+    }
+
+    // Writes are only allowed on the caller's own rows
+    const { data: existing, error } = await findAdOwner(supabase, id);
+
+    if (error) {
+      sendQueryError(res, error, 'Failed to load saved ad');
+      return;
+    }
+
+    if (!existing) {
+      res.status(404).json({
+        error: 'Not found',
+        message: `Saved ad ${id} does not exist`
+      });
+      return;
+    }
+
+    if (existing.user_id !== user.id) {
+      res.status(403).json({
+        error: 'Forbidden',
+        message: 'You can only modify your own saved ads'
+      });
+      return;
+    }
+
+    if (req.method === 'PATCH') {
+      await updateAd(req, res, supabase, id, existing);
+    } else {
+      await deleteAd(req, res, supabase, id, existing);
+    }
+
+  } catch (error) {
+    console.error('Saved ad API error:', error);
+
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'An unexpected error occurred',
+      details: error.message
+    });
+  }
+}
@@ -0,0 +1,210 @@
+import { getSupabaseClient } from '../../lib/supabase.js';
+import { requireUser } from '../../lib/auth.js';
+import {
+  AD_LIST_COLUMNS,
+  SORTABLE_COLUMNS,
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  encodeCursor,
+  decodeCursor,
+  buildCursorFilter,
+  escapeLikePattern,
+  isMissingTableError
+} from '../../lib/ads.js';
+import { MAX_LIBRARY_ADS } from '../../lib/ad-library.js';
+
+// Validate list query parameters and normalize them into query options
+function parseListQuery(query) {
+  const errors = [];
+  const {
+    platform,
+    advertiser_name,
+    advertiser_id,
+    library_id,
+    created_after,
+    created_before,
+    sort = 'created_at',
+    order = 'desc',
+    limit,
+    cursor
+  } = query;
+
+  if (!SORTABLE_COLUMNS.includes(sort)) {
+    errors.push(`sort must be one of: ${SORTABLE_COLUMNS.join(', ')}`);
+  }
+
+  if (order !== 'asc' && order !== 'desc') {
+    errors.push('order must be asc or desc');
+  }
+
+  let pageSize = DEFAULT_PAGE_SIZE;
+  if (limit !== undefined) {
+    pageSize = Number(limit);
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+      errors.push(`limit must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+    }
+  }
+
+  let advertiserId = null;
+  if (advertiser_id !== undefined) {
+    advertiserId = Number(advertiser_id);
+    if (!Number.isInteger(advertiserId) || advertiserId < 1) {
+      errors.push('advertiser_id must be a positive integer');
+    }
+  }
+
+  // Comma-separated, so the extension can ask which of a page's ads are already saved
+  let libraryIds = null;
+  if (library_id !== undefined) {
+    libraryIds = [...new Set(String(library_id).split(',').map(id => id.trim()).filter(Boolean))];
+    if (libraryIds.length === 0 || libraryIds.length > MAX_LIBRARY_ADS || libraryIds.some(id => !/^\d+$/.test(id))) {
+      errors.push(`library_id must be up to ${MAX_LIBRARY_ADS} comma-separated Ad Library IDs`);
+    }
+  }
+
+  for (const [name, value] of [['created_after', created_after], ['created_before', created_before]]) {
+    if (value !== undefined && Number.isNaN(Date.parse(value))) {
+      errors.push(`${name} must be an ISO 8601 date`);
+    }
+  }
+
+  let decodedCursor = null;
+  if (cursor !== undefined) {
+    decodedCursor = decodeCursor(cursor);
+    if (!decodedCursor) {
+      errors.push('cursor is invalid');
+    }
+  }
+
+  return {
+    errors,
+    options: {
+      platform,
+      advertiser_name,
+      advertiser_id: advertiserId,
+      library_ids: libraryIds,
+      created_after,
+      created_before,
+      sort,
+      ascending: order === 'asc',
+      pageSize,
+      cursor: decodedCursor
+    }
+  };
+}
+
+export default async function handler(req, res) {
+  try {
+    // Add CORS headers
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    // Handle preflight requests
+    if (req.method === 'OPTIONS') {
+      res.status(200).end();
+      return;
+    }
+
+    // Only allow GET requests
+    if (req.method !== 'GET') {
+      res.status(405).json({
+        error: 'Method not allowed',
+        message: 'Only GET requests are supported'
+      });
+      return;
+    }
+
+    const supabase = getSupabaseClient();
+
+    if (!supabase) {
+      res.status(500).json({
+        error: 'Configuration error',
+        message: 'Missing database configuration'
+      });
+      return;
+    }
+
+    const user = await requireUser(req, res, supabase);
+    if (!user) {
+      return;
+    }
+
+    const { errors, options } = parseListQuery(req.query || {});
+
+    if (errors.length > 0) {
+      res.status(400).json({
+        error: 'Validation error',
+        message: errors[0],
+        details: errors
+      });
+      return;
+    }
+
+    // Users only ever see their own ads
+    let query = supabase
+      .from('saved_ads')
+      .select(AD_LIST_COLUMNS)
+      .eq('user_id', user.id);
+
+    if (options.platform) {
+      query = query.eq('platform', options.platform);
+    }
+    if (options.advertiser_name) {
+      query = query.ilike('advertiser_name', escapeLikePattern(options.advertiser_name));
+    }
+    if (options.advertiser_id) {
+      query = query.eq('advertiser_id', options.advertiser_id);
+    }
+    if (options.library_ids) {
+      query = query.in('library_id', options.library_ids);
+    }
+    if (options.created_after) {
+      query = query.gte('created_at', new Date(options.created_after).toISOString());
+    }
+    if (options.created_before) {
+      query = query.lt('created_at', new Date(options.created_before).toISOString());
+    }
+    if (options.cursor) {
+      query = query.or(buildCursorFilter(options.sort, options.ascending, options.cursor));
+    }
+
+    // Fetch one extra row to know whether another page exists
+    const { data, error } = await query
+      .order(options.sort, { ascending: options.ascending, nullsFirst: false })
+      .order('id', { ascending: options.ascending })
+      .limit(options.pageSize + 1);
+
+    if (error) {
+      console.error('Database query error:', error);
+
+      res.status(500).json({
+        error: isMissingTableError(error) ? 'Database schema error' : 'Database error',
+        message: 'Failed to load saved ads',
+        details: error.message
+      });
+      return;
+    }
+
+    const hasMore = data.length > options.pageSize;
+    const ads = hasMore ? data.slice(0, options.pageSize) : data;
+
+    res.status(200).json({
+      success: true,
+      ads,
+      count: ads.length,
+      has_more: hasMore,
+      next_cursor: hasMore ? encodeCursor(ads[ads.length - 1], options.sort) : null,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('List ads API error:', error);
+
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'An unexpected error occurred',
+      details: error.message
+    });
+  }
+}
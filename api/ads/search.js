@@ -0,0 +1,135 @@
+import { getSupabaseClient } from '../../lib/supabase.js';
+import { requireUser } from '../../lib/auth.js';
+import { isMissingTableError } from '../../lib/ads.js';
+import {
+  MAX_QUERY_LENGTH,
+  DEFAULT_SEARCH_LIMIT,
+  MAX_SEARCH_LIMIT,
+  formatSearchResult
+} from '../../lib/search.js';
+
+// Validate search query parameters and normalize them into RPC arguments
+function parseSearchQuery(query) {
+  const errors = [];
+  const q = typeof query.q === 'string' ? query.q.trim() : '';
+  const { platform, limit, offset } = query;
+
+  if (!q) {
+    errors.push('q is required');
+  } else if (q.length > MAX_QUERY_LENGTH) {
+    errors.push(`q must be at most ${MAX_QUERY_LENGTH} characters`);
+  }
+
+  let pageSize = DEFAULT_SEARCH_LIMIT;
+  if (limit !== undefined) {
+    pageSize = Number(limit);
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_SEARCH_LIMIT) {
+      errors.push(`limit must be an integer between 1 and ${MAX_SEARCH_LIMIT}`);
+    }
+  }
+
+  let start = 0;
+  if (offset !== undefined) {
+    start = Number(offset);
+    if (!Number.isInteger(start) || start < 0) {
+      errors.push('offset must be a non-negative integer');
+    }
+  }
+
+  return {
+    errors,
+    options: { q, platform: platform || null, pageSize, offset: start }
+  };
+}
+
+export default async function handler(req, res) {
+  try {
+    // Add CORS headers
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    // Handle preflight requests
+    if (req.method === 'OPTIONS') {
+      res.status(200).end();
+      return;
+    }
+
+    // Only allow GET requests
+    if (req.method !== 'GET') {
+      res.status(405).json({
+        error: 'Method not allowed',
+        message: 'Only GET requests are supported'
+      });
+      return;
+    }
+
+    const supabase = getSupabaseClient();
+
+    if (!supabase) {
+      res.status(500).json({
+        error: 'Configuration error',
+        message: 'Missing database configuration'
+      });
+      return;
+    }
+
+    const user = await requireUser(req, res, supabase);
+    if (!user) {
+      return;
+    }
+
+    const { errors, options } = parseSearchQuery(req.query || {});
+
+    if (errors.length > 0) {
+      res.status(400).json({
+        error: 'Validation error',
+        message: errors[0],
+        details: errors
+      });
+      return;
+    }
+
+    // Fetch one extra row to know whether another page exists
+    const { data, error } = await supabase.rpc('search_saved_ads', {
+      p_user_id: user.id,
+      p_query: options.q,
+      p_platform: options.platform,
+      p_limit: options.pageSize + 1,
+      p_offset: options.offset
+    });
+
+    if (error) {
+      console.error('Search query error:', error);
+
+      res.status(500).json({
+        error: isMissingTableError(error) ? 'Database schema error' : 'Database error',
+        message: 'Failed to search saved ads',
+        details: error.message
+      });
+      return;
+    }
+
+    const hasMore = data.length > options.pageSize;
+    const rows = hasMore ? data.slice(0, options.pageSize) : data;
+
+    res.status(200).json({
+      success: true,
+      query: options.q,
+      results: rows.map(formatSearchResult),
+      count: rows.length,
+      has_more: hasMore,
+      next_offset: hasMore ? options.offset + rows.length : null,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Search ads API error:', error);
+
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'An unexpected error occurred',
+      details: error.message
+    });
+  }
+}
@@ -0,0 +1,120 @@
+import { getSupabaseClient } from '../../lib/supabase.js';
+import { requireUser } from '../../lib/auth.js';
+import { AD_LIST_COLUMNS, isMissingTableError } from '../../lib/ads.js';
+import { MAX_PROFILE_ADS, buildAdvertiserProfile } from '../../lib/advertisers.js';
+
+function sendQueryError(res, error, message) {
+  console.error('Database query error:', error);
+
+  res.status(500).json({
+    error: isMissingTableError(error) ? 'Database schema error' : 'Database error',
+    message,
+    details: error.message
+  });
+}
+
+export default async function handler(req, res) {
+  try {
+    // Add CORS headers
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    // Handle preflight requests
+    if (req.method === 'OPTIONS') {
+      res.status(200).end();
+      return;
+    }
+
+    // Only allow GET requests
+    if (req.method !== 'GET') {
+      res.status(405).json({
+        error: 'Method not allowed',
+        message: 'Only GET requests are supported'
+      });
+      return;
+    }
+
+    const id = Number(req.query?.id);
+
+    if (!Number.isInteger(id) || id < 1) {
+      res.status(400).json({
+        error: 'Validation error',
+        message: 'id must be a positive integer'
+      });
+      return;
+    }
+
+    const supabase = getSupabaseClient();
+
+    if (!supabase) {
+      res.status(500).json({
+        error: 'Configuration error',
+        message: 'Missing database configuration'
+      });
+      return;
+    }
+
+    const user = await requireUser(req, res, supabase);
+    if (!user) {
+      return;
+    }
+
+    const { data: advertiser, error } = await supabase
+      .from('advertisers')
+      .select('id, name, created_at, updated_at, aliases:advertiser_aliases(alias)')
+      .eq('id', id)
+      .eq('user_id', user.id)
+      .maybeSingle();
+
+    if (error) {
+      sendQueryError(res, error, 'Failed to load advertiser');
+      return;
+    }
+
+    if (!advertiser) {
+      res.status(404).json({
+        error: 'Not found',
+        message: `Advertiser ${id} does not exist`
+      });
+      return;
+    }
+
+    // Newest first, capped so a prolific advertiser can't blow up the response
+    const { data: ads, error: adsError } = await supabase
+      .from('saved_ads')
+      .select(AD_LIST_COLUMNS)
+      .eq('user_id', user.id)
+      .eq('advertiser_id', id)
+      .order('created_at', { ascending: false })
+      .order('id', { ascending: false })
+      .limit(MAX_PROFILE_ADS + 1);
+
+    if (adsError) {
+      sendQueryError(res, adsError, 'Failed to load advertiser ads');
+      return;
+    }
+
+    const truncated = ads.length > MAX_PROFILE_ADS;
+
+    res.status(200).json({
+      success: true,
+      advertiser: {
+        ...advertiser,
+        aliases: (advertiser.aliases || []).map(alias => alias.alias).sort()
+      },
+      profile: buildAdvertiserProfile(truncated ? ads.slice(0, MAX_PROFILE_ADS) : ads),
+      truncated,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Advertiser profile API error:', error);
+
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'An unexpected error occurred',
+      details: error.message
+    });
+  }
+}
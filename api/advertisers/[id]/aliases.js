@@ -0,0 +1,147 @@
+import { getSupabaseClient } from '../../../lib/supabase.js';
+import { requireUser } from '../../../lib/auth.js';
+import { isMissingTableError } from '../../../lib/ads.js';
+import { MAX_ALIAS_LENGTH, normalizeAdvertiserName } from '../../../lib/advertisers.js';
+
+function sendQueryError(res, error, message) {
+  console.error('Database query error:', error);
+
+  res.status(500).json({
+    error: isMissingTableError(error) ? 'Database schema error' : 'Database error',
+    message,
+    details: error.message
+  });
+}
+
+// Add a spelling to an advertiser so later ads with that name are filed under it
+export default async function handler(req, res) {
+  try {
+    // Add CORS headers
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    // Handle preflight requests
+    if (req.method === 'OPTIONS') {
+      res.status(200).end();
+      return;
+    }
+
+    // Only allow POST requests
+    if (req.method !== 'POST') {
+      res.status(405).json({
+        error: 'Method not allowed',
+        message: 'Only POST requests are supported'
+      });
+      return;
+    }
+
+    const id = Number(req.query?.id);
+
+    if (!Number.isInteger(id) || id < 1) {
+      res.status(400).json({
+        error: 'Validation error',
+        message: 'id must be a positive integer'
+      });
+      return;
+    }
+
+    const alias = typeof req.body?.alias === 'string' ? req.body.alias.trim() : '';
+    const normalized = normalizeAdvertiserName(alias);
+
+    if (!normalized || alias.length > MAX_ALIAS_LENGTH) {
+      res.status(400).json({
+        error: 'Validation error',
+        message: `alias must be a name of at most ${MAX_ALIAS_LENGTH} characters`
+      });
+      return;
+    }
+
+    const supabase = getSupabaseClient();
+
+    if (!supabase) {
+      res.status(500).json({
+        error: 'Configuration error',
+        message: 'Missing database configuration'
+      });
+      return;
+    }
+
+    const user = await requireUser(req, res, supabase);
+    if (!user) {
+      return;
+    }
+
+    const { data: advertiser, error } = await supabase
+      .from('advertisers')
+      .select('id, name')
+      .eq('id', id)
+      .eq('user_id', user.id)
+      .maybeSingle();
+
+    if (error) {
+      sendQueryError(res, error, 'Failed to load advertiser');
+      return;
+    }
+
+    if (!advertiser) {
+      res.status(404).json({
+        error: 'Not found',
+        message: `Advertiser ${id} does not exist`
+      });
+      return;
+    }
+
+    const { data: existing, error: aliasError } = await supabase
+      .from('advertiser_aliases')
+      .select('advertiser_id, alias')
+      .eq('user_id', user.id)
+      .eq('normalized_alias', normalized)
+      .maybeSingle();
+
+    if (aliasError) {
+      sendQueryError(res, aliasError, 'Failed to load advertiser aliases');
+      return;
+    }
+
+    // The spelling already has its own advertiser; its ads move with a merge
+    if (existing && existing.advertiser_id !== id) {
+      res.status(409).json({
+        error: 'Conflict',
+        message: `"${existing.alias}" belongs to advertiser ${existing.advertiser_id}; merge the advertisers instead`,
+        details: { advertiser_id: existing.advertiser_id }
+      });
+      return;
+    }
+
+    if (!existing) {
+      const { error: insertError } = await supabase
+        .from('advertiser_aliases')
+        .insert([{ advertiser_id: id, user_id: user.id, alias, normalized_alias: normalized }]);
+
+      if (insertError) {
+        sendQueryError(res, insertError, 'Failed to add advertiser alias');
+        return;
+      }
+
+      console.log('Advertiser alias added:', { advertiser_id: id, alias: normalized });
+    }
+
+    res.status(existing ? 200 : 201).json({
+      success: true,
+      advertiser_id: id,
+      alias: existing ? existing.alias : alias,
+      created: !existing,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Advertiser alias API error:', error);
+
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'An unexpected error occurred',
+      details: error.message
+    });
+  }
+}
@@ -0,0 +1,125 @@
+import { getSupabaseClient } from '../../../lib/supabase.js';
+import { requireUser } from '../../../lib/auth.js';
+import { isMissingTableError } from '../../../lib/ads.js';
+import { mergeAdvertisers } from '../../../lib/advertisers.js';
+
+function sendQueryError(res, error, message) {
+  console.error('Database query error:', error);
+
+  res.status(500).json({
+    error: isMissingTableError(error) ? 'Database schema error' : 'Database error',
+    message,
+    details: error.message
+  });
+}
+
+// Merge the advertiser in the body into the one in the path
+export default async function handler(req, res) {
+  try {
+    // Add CORS headers
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    // Handle preflight requests
+    if (req.method === 'OPTIONS') {
+      res.status(200).end();
+      return;
+    }
+
+    // Only allow POST requests
+    if (req.method !== 'POST') {
+      res.status(405).json({
+        error: 'Method not allowed',
+        message: 'Only POST requests are supported'
+      });
+      return;
+    }
+
+    const id = Number(req.query?.id);
+    const sourceId = req.body?.advertiser_id;
+    const errors = [];
+
+    if (!Number.isInteger(id) || id < 1) {
+      errors.push('id must be a positive integer');
+    }
+    if (!Number.isInteger(sourceId) || sourceId < 1) {
+      errors.push('advertiser_id must be a positive integer');
+    } else if (sourceId === id) {
+      errors.push('advertiser_id must differ from id');
+    }
+
+    if (errors.length > 0) {
+      res.status(400).json({
+        error: 'Validation error',
+        message: 'Invalid merge request',
+        details: errors
+      });
+      return;
+    }
+
+    const supabase = getSupabaseClient();
+
+    if (!supabase) {
+      res.status(500).json({
+        error: 'Configuration error',
+        message: 'Missing database configuration'
+      });
+      return;
+    }
+
+    const user = await requireUser(req, res, supabase);
+    if (!user) {
+      return;
+    }
+
+    const { data: advertisers, error } = await supabase
+      .from('advertisers')
+      .select('id, name')
+      .eq('user_id', user.id)
+      .in('id', [id, sourceId]);
+
+    if (error) {
+      sendQueryError(res, error, 'Failed to load advertisers');
+      return;
+    }
+
+    const missing = [id, sourceId].find(advertiserId => !advertisers.some(advertiser => advertiser.id === advertiserId));
+
+    if (missing) {
+      res.status(404).json({
+        error: 'Not found',
+        message: `Advertiser ${missing} does not exist`
+      });
+      return;
+    }
+
+    let merged;
+
+    try {
+      merged = await mergeAdvertisers(supabase, user.id, id, sourceId);
+    } catch (mergeError) {
+      sendQueryError(res, mergeError, 'Failed to merge advertisers');
+      return;
+    }
+
+    console.log('Advertisers merged:', { advertiser_id: id, merged_id: sourceId, moved_ads: merged.movedAds });
+
+    res.status(200).json({
+      success: true,
+      advertiser_id: id,
+      merged_advertiser_id: sourceId,
+      moved_ads: merged.movedAds,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Advertiser merge API error:', error);
+
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'An unexpected error occurred',
+      details: error.message
+    });
+  }
+}
@@ -0,0 +1,121 @@
+import { getSupabaseClient } from '../../lib/supabase.js';
+import { requireUser } from '../../lib/auth.js';
+import { DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE, isMissingTableError } from '../../lib/ads.js';
+
+// Validate list query parameters
+function parseListQuery(query) {
+  const errors = [];
+  const { limit, offset } = query;
+
+  let pageSize = DEFAULT_PAGE_SIZE;
+  if (limit !== undefined) {
+    pageSize = Number(limit);
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+      errors.push(`limit must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+    }
+  }
+
+  let start = 0;
+  if (offset !== undefined) {
+    start = Number(offset);
+    if (!Number.isInteger(start) || start < 0) {
+      errors.push('offset must be a non-negative integer');
+    }
+  }
+
+  return { errors, options: { pageSize, offset: start } };
+}
+
+export default async function handler(req, res) {
+  try {
+    // Add CORS headers
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    // Handle preflight requests
+    if (req.method === 'OPTIONS') {
+      res.status(200).end();
+      return;
+    }
+
+    // Only allow GET requests
+    if (req.method !== 'GET') {
+      res.status(405).json({
+        error: 'Method not allowed',
+        message: 'Only GET requests are supported'
+      });
+      return;
+    }
+
+    const supabase = getSupabaseClient();
+
+    if (!supabase) {
+      res.status(500).json({
+        error: 'Configuration error',
+        message: 'Missing database configuration'
+      });
+      return;
+    }
+
+    const user = await requireUser(req, res, supabase);
+    if (!user) {
+      return;
+    }
+
+    const { errors, options } = parseListQuery(req.query || {});
+
+    if (errors.length > 0) {
+      res.status(400).json({
+        error: 'Validation error',
+        message: errors[0],
+        details: errors
+      });
+      return;
+    }
+
+    // Fetch one extra row to know whether another page exists
+    const { data, error } = await supabase
+      .from('advertisers')
+      .select('id, name, created_at, updated_at, saved_ads(count)')
+      .eq('user_id', user.id)
+      .order('normalized_name', { ascending: true })
+      .order('id', { ascending: true })
+      .range(options.offset, options.offset + options.pageSize);
+
+    if (error) {
+      console.error('Database query error:', error);
+
+      res.status(500).json({
+        error: isMissingTableError(error) ? 'Database schema error' : 'Database error',
+        message: 'Failed to load advertisers',
+        details: error.message
+      });
+      return;
+    }
+
+    const hasMore = data.length > options.pageSize;
+    const advertisers = (hasMore ? data.slice(0, options.pageSize) : data).map(({ saved_ads, ...advertiser }) => ({
+      ...advertiser,
+      ad_count: saved_ads?.[0]?.count ?? 0
+    }));
+
+    res.status(200).json({
+      success: true,
+      advertisers,
+      count: advertisers.length,
+      has_more: hasMore,
+      next_offset: hasMore ? options.offset + advertisers.length : null,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('List advertisers API error:', error);
+
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'An unexpected error occurred',
+      details: error.message
+    });
+  }
+}
@@ -0,0 +1,109 @@
+import { getSupabaseClient } from '../lib/supabase.js';
+import { requireUser } from '../lib/auth.js';
+import { getAIProvider } from '../lib/ai/index.js';
+import { AnalysisFailedError, runAnalysis, validateAnalyzeRequest } from '../lib/run-analysis.js';
+
+export default async function handler(req, res) {
+  try {
+    // Add CORS headers
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    // Handle preflight requests
+    if (req.method === 'OPTIONS') {
+      res.status(200).end();
+      return;
+    }
+
+    // Only allow POST requests
+    if (req.method !== 'POST') {
+      res.status(405).json({
+        error: 'Method not allowed',
+        message: 'Only POST requests are supported'
+      });
+      return;
+    }
+
+    const supabase = getSupabaseClient();
+
+    if (!supabase) {
+      res.status(500).json({
+        error: 'Configuration error',
+        message: 'Missing database configuration'
+      });
+      return;
+    }
+
+    const user = await requireUser(req, res, supabase);
+    if (!user) {
+      return;
+    }
+
+    // Validate request body
+    const validationErrors = validateAnalyzeRequest(req.body);
+
+    if (validationErrors.length > 0) {
+      res.status(400).json({
+        error: 'Validation error',
+        message: validationErrors[0],
+        details: validationErrors
+      });
+      return;
+    }
+
+    const ai = getAIProvider();
+
+    if (!ai) {
+      res.status(500).json({
+        error: 'Configuration error',
+        message: 'AI provider not configured'
+      });
+      return;
+    }
+
+    const { image_data_url, source_url, page_title, detail = 'high', force = false, library_ads = null } = req.body;
+
+    let result;
+    try {
+      result = await runAnalysis({
+        supabase,
+        ai,
+        userId: user.id,
+        imageDataUrl: image_data_url,
+        sourceUrl: source_url || null,
+        pageTitle: page_title || null,
+        detail,
+        force,
+        libraryAds: library_ads
+      });
+    } catch (error) {
+      if (!(error instanceof AnalysisFailedError)) {
+        throw error;
+      }
+
+      res.status(502).json({
+        error: error.error,
+        message: error.message,
+        details: error.details
+      });
+      return;
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Screenshot analysis complete - ${result.ads_found} ad(s) found${result.cached ? ' (cached)' : ''}`,
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Analyze API error:', error);
+
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'An unexpected error occurred',
+      details: error.message
+    });
+  }
+}
@@ -0,0 +1,72 @@
+import { createAuthClient } from '../../lib/supabase.js';
+import { formatSession } from '../../lib/auth.js';
+
+export default async function handler(req, res) {
+  try {
+    // Add CORS headers
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    // Handle preflight requests
+    if (req.method === 'OPTIONS') {
+      res.status(200).end();
+      return;
+    }
+
+    // Only allow POST requests
+    if (req.method !== 'POST') {
+      res.status(405).json({
+        error: 'Method not allowed',
+        message: 'Only POST requests are supported'
+      });
+      return;
+    }
+
+    const { refresh_token } = req.body || {};
+
+    if (typeof refresh_token !== 'string' || !refresh_token) {
+      res.status(400).json({
+        error: 'Validation error',
+        message: 'refresh_token is required'
+      });
+      return;
+    }
+
+    const supabase = createAuthClient();
+
+    if (!supabase) {
+      res.status(500).json({
+        error: 'Configuration error',
+        message: 'Missing database configuration'
+      });
+      return;
+    }
+
+    const { data, error } = await supabase.auth.refreshSession({ refresh_token });
+
+    if (error || !data?.session) {
+      res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Refresh token is invalid or expired',
+        details: error?.message
+      });
+      return;
+    }
+
+    res.status(200).json({
+      success: true,
+      session: formatSession(data.session),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Refresh API error:', error);
+
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'An unexpected error occurred',
+      details: error.message
+    });
+  }
+}
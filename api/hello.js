@@ -1,163 +1,6 @@
 // Inline the test functions to avoid import path issues with Vercel
 import { createClient } from '@supabase/supabase-js';
-import OpenAI from 'openai';
-
-// Function to parse AI response and extract analysis and structured data
-function parseAIResponse(rawResponse) {
-  try {
-    // Split the response by the STRUCTURED_DATA marker
-    const parts = rawResponse.split('**STRUCTURED_DATA**');
-    
-    let analysis = rawResponse;
-    let structured_data = [];
-    
-    if (parts.length >= 2) {
-      // Extract analysis section (everything before STRUCTURED_DATA)
-      analysis = parts[0].replace('**STRATEGIC ANALYSIS**', '').replace('**ANALYSIS**', '').trim();
-      if (analysis.includes('(expert insights):')) {
-        analysis = analysis.replace('(expert insights):', '').trim();
-      }
-      if (analysis.includes('(for display):')) {
-        analysis = analysis.replace('(for display):', '').trim();
-      }
-      
-      // Extract and parse structured data section
-      const structuredSection = parts[1].trim();
-      
-      // Look for JSON array first (multiple ads)
-      const arrayMatch = structuredSection.match(/\[[\s\S]*?\]/);
-      if (arrayMatch) {
-        try {
-          structured_data = JSON.parse(arrayMatch[0]);
-        } catch (parseError) {
-          console.error('Failed to parse structured data array:', parseError);
-          structured_data = extractMultipleStructuredDataManually(structuredSection);
-        }
-      } else {
-        // Look for single JSON object (single ad)
-        const jsonMatch = structuredSection.match(/\{[\s\S]*?\}/);
-        if (jsonMatch) {
-          try {
-            const singleAd = JSON.parse(jsonMatch[0]);
-            structured_data = [singleAd]; // Convert to array for consistency
-          } catch (parseError) {
-            console.error('Failed to parse structured data JSON:', parseError);
-            structured_data = extractMultipleStructuredDataManually(structuredSection);
-          }
-        } else {
-          // Try to extract data manually if no JSON found
-          structured_data = extractMultipleStructuredDataManually(structuredSection);
-        }
-      }
-    }
-    
-    // Clean up analysis text
-    analysis = analysis.replace(/^\*\*STRATEGIC ANALYSIS\*\*\s*(\(expert insights\):)?\s*/, '');
-    analysis = analysis.replace(/^\*\*ANALYSIS\*\*\s*(\(for display\):)?\s*/, '');
-    
-    return {
-      analysis: analysis.trim() || rawResponse,
-      structured_data: structured_data
-    };
-    
-  } catch (error) {
-    console.error('Error parsing AI response:', error);
-    return {
-      analysis: rawResponse,
-      structured_data: []
-    };
-  }
-}
-
-// Fallback function to manually extract multiple structured data objects
-function extractMultipleStructuredDataManually(text) {
-  const dataArray = [];
-  
-  // Split by common separators that might indicate multiple ads
-  const sections = text.split(/(?:\n\s*Ad \d+:|Ad \d+:|---|\n\s*\{)/i);
-  
-  for (let i = 0; i < sections.length; i++) {
-    const section = sections[i].trim();
-    if (section.length < 10) continue; // Skip very short sections
-    
-    const data = {};
-    
-    // Try to extract common fields using regex
-    const patterns = {
-      advertiser_name: /(?:advertiser_name|company|brand)["']?\s*:\s*["']?([^",\n}]+)/i,
-      headline: /(?:headline|title)["']?\s*:\s*["']?([^",\n}]+)/i,
-      description: /(?:description|body|text)["']?\s*:\s*["']?([^",\n}]+)/i,
-      call_to_action: /(?:call_to_action|cta|button)["']?\s*:\s*["']?([^",\n}]+)/i,
-      product_service: /(?:product_service|product|service)["']?\s*:\s*["']?([^",\n}]+)/i
-    };
-    
-    for (const [key, pattern] of Object.entries(patterns)) {
-      const match = section.match(pattern);
-      if (match && match[1]) {
-        data[key] = match[1].replace(/["']/g, '').trim();
-      }
-    }
-    
-    // Only add if we found at least some data
-    if (Object.keys(data).length > 0) {
-      // Fill in missing fields with defaults
-      if (!data.advertiser_name) data.advertiser_name = 'Unknown';
-      if (!data.headline) data.headline = 'Not visible';
-      if (!data.description) data.description = 'Not visible';
-      if (!data.call_to_action) data.call_to_action = 'Not visible';
-      if (!data.product_service) data.product_service = 'Unknown';
-      
-      dataArray.push(data);
-    }
-  }
-  
-  // If no structured data found, return at least one default entry
-  if (dataArray.length === 0) {
-    dataArray.push({
-      advertiser_name: 'Unknown',
-      headline: 'Not visible',
-      description: 'Not visible',
-      call_to_action: 'Not visible',
-      product_service: 'Unknown'
-    });
-  }
-  
-  return dataArray;
-}
-
-// Fallback function to manually extract single structured data (legacy)
-function extractStructuredDataManually(text) {
-  const data = {};
-  
-  // Try to extract common fields using regex - more flexible patterns
-  const patterns = {
-    advertiser_name: /(?:advertiser_name|company|brand)["']?\s*:\s*["']?([^",\n}]+)/i,
-    headline: /(?:headline|title)["']?\s*:\s*["']?([^",\n}]+)/i,
-    description: /(?:description|body|text)["']?\s*:\s*["']?([^",\n}]+)/i,
-    call_to_action: /(?:call_to_action|cta|button)["']?\s*:\s*["']?([^",\n}]+)/i,
-    product_service: /(?:product_service|product|service)["']?\s*:\s*["']?([^",\n}]+)/i
-  };
-  
-  for (const [key, pattern] of Object.entries(patterns)) {
-    const match = text.match(pattern);
-    if (match && match[1]) {
-      data[key] = match[1].replace(/["']/g, '').trim();
-    }
-  }
-  
-  // If we still don't have data, try looking in the entire response
-  if (Object.keys(data).length === 0) {
-    console.log('No structured data found in section, checking entire response');
-    // Return at least some structure for database compatibility
-    data.advertiser_name = 'Unknown';
-    data.headline = 'Not visible';
-    data.description = 'Not visible'; 
-    data.call_to_action = 'Not visible';
-    data.product_service = 'Unknown';
-  }
-  
-  return data;
-}
+import { getAIProvider } from '../lib/ai/index.js';
 
 async function testSupabaseConnection() {
   try {
@@ -197,41 +40,22 @@ async function testSupabaseConnection() {
   }
 }
 
-async function testOpenAIConnection() {
+async function testAIConnection() {
   try {
-    const apiKey = process.env.OPENAI_API_KEY;
+    const provider = getAIProvider();
     
-    if (!apiKey) {
+    if (!provider) {
       return {
         status: 'error',
         message: 'Missing OpenAI API key environment variable'
       };
     }
     
-    const openai = new OpenAI({ apiKey });
-    
-    const completion = await openai.chat.completions.create({
-      messages: [
-        {
-          role: "user",
-          content: "Hello, this is a connection test. Please respond with 'Connection successful'."
-        }
-      ],
-      model: "gpt-3.5-turbo",
-      max_tokens: 10
-    });
-
-    const response = completion.choices[0]?.message?.content;
-    
-    return {
-      status: 'connected',
-      message: 'OpenAI connection successful',
-      response: response
-    };
+    return await provider.testConnection();
   } catch (error) {
     return {
       status: 'error',
-      message: `OpenAI connection failed: ${error.message}`
+      message: `AI provider connection failed: ${error.message}`
     };
   }
 }
@@ -249,127 +73,19 @@ export default async function handler(req, res) {
       return;
     }
     
-    // Handle different request types
-    if (req.method === 'POST') {
-      // Handle screenshot analysis requests
-      const { type, data } = req.body || {};
-      
-      if (type === 'analyze_screenshot' && data) {
-        try {
-          // Extract screenshot image data
-          const imageData = data.imageDataUrl || data.croppedImageDataUrl;
-          
-          if (!imageData) {
-            throw new Error('No image data provided');
-          }
-          
-          // Use OpenAI Vision API for image analysis
-          const apiKey = process.env.OPENAI_API_KEY;
-          if (apiKey) {
-            const openai = new OpenAI({ apiKey });
-            const completion = await openai.chat.completions.create({
-              model: "gpt-4o",
-              max_tokens: 2000,
-              messages: [
-                {
-                  role: "user",
-                  content: [
-                    {
-                      type: "text",
-                      text: `Analyze this screenshot as a marketing expert. This image may contain MULTIPLE ads. Identify and analyze each ad separately, providing deep competitive intelligence insights for each one.
-
-**STRATEGIC ANALYSIS** (expert insights - this section only):
-For each ad found, provide:
-1. **Psychological Approach**: [What psychological triggers are being used - urgency, social proof, authority, etc.]
-2. **Visual Strategy**: [How the visual hierarchy and design elements drive specific user behaviors]
-3. **Value Positioning**: [How the offer is positioned relative to competitors and market positioning]
-4. **Conversion Psychology**: [What makes this ad likely to convert and why]
-5. **Competitive Advantage**: [What this advertiser is doing differently/better than typical ads in this space]
-
-**STRUCTURED_DATA** (for database only - do not include in analysis):
-Provide an array of objects, one for each ad found:
-[
-  {
-    "advertiser_name": "[Company/brand name for ad 1]",
-    "headline": "[Main headline text for ad 1]",
-    "description": "[Ad body/description text for ad 1]",
-    "call_to_action": "[Actual button text for ad 1]",
-    "product_service": "[What's being promoted in ad 1]"
-  },
-  {
-    "advertiser_name": "[Company/brand name for ad 2]",
-    "headline": "[Main headline text for ad 2]",
-    "description": "[Ad body/description text for ad 2]",
-    "call_to_action": "[Actual button text for ad 2]",
-    "product_service": "[What's being promoted in ad 2]"
-  }
-  // ... continue for each ad found
-]
-
-IMPORTANT: 
-- Analyze ALL ads visible in the image, not just one
-- If you find 4 ads, provide 4 structured data objects
-- If you find 2 ads, provide 2 structured data objects
-- Always provide both sections even if you cannot fully analyze the image
-- If you cannot identify specific details, use "Unknown" or "Not visible" in the structured data fields
-- The analysis section should only contain the strategic insights
-- The structured data section is for database storage only and should not be displayed to users`
-                    },
-                    {
-                      type: "image_url",
-                      image_url: {
-                        url: imageData,
-                        detail: "high"
-                      }
-                    }
-                  ]
-                }
-              ]
-            });
-            
-            const rawResponse = completion.choices[0]?.message?.content || 'Analysis completed';
-            
-            // Parse the AI response to extract analysis and structured data
-            const parsedResponse = parseAIResponse(rawResponse);
-            
-            // Count how many ads were found
-            const adsFound = Array.isArray(parsedResponse.structured_data) ? parsedResponse.structured_data.length : 1;
-            
-            res.status(200).json({
-              message: `Screenshot analysis complete - ${adsFound} ad(s) found`,
-              timestamp: new Date().toISOString(),
-              analysis: parsedResponse.analysis,
-              structured_data: parsedResponse.structured_data,
-              ads_found: adsFound,
-              raw_response: rawResponse, // For debugging
-              type: 'screenshot_analysis',
-              model_used: 'gpt-4o'
-            });
-            return;
-          } else {
-            throw new Error('OpenAI API key not configured');
-          }
-        } catch (error) {
-          console.error('Analysis error:', error);
-          
-          // Return error details for debugging
-          res.status(500).json({
-            message: 'Screenshot analysis failed',
-            timestamp: new Date().toISOString(),
-            error: error.message,
-            type: 'screenshot_analysis_error'
-          });
-          return;
-        }
-      }
-      
-      // If POST analysis fails or isn't available, fall back to connection test
+    // Only allow GET requests - analysis lives at /api/analyze
+    if (req.method !== 'GET') {
+      res.status(405).json({
+        error: 'Method not allowed',
+        message: 'Only GET requests are supported. Use POST /api/analyze for screenshot analysis.'
+      });
+      return;
     }
     
-    // Default: Connection test
-    const [supabaseTest, openaiTest] = await Promise.all([
+    // Connection test
+    const [supabaseTest, aiTest] = await Promise.all([
       testSupabaseConnection(),
-      testOpenAIConnection()
+      testAIConnection()
     ]);
 
     const response = {
@@ -378,9 +94,9 @@ IMPORTANT:
       method: req.method,
       services: {
         supabase: supabaseTest,
-        openai: openaiTest
+        ai: aiTest
       },
-      overall_status: (supabaseTest.status === 'connected' && openaiTest.status === 'connected') 
+      overall_status: (supabaseTest.status === 'connected' && aiTest.status === 'connected') 
         ? 'all_services_connected' 
         : 'some_services_failed',
       environment: {
@@ -389,7 +105,8 @@ IMPORTANT:
         vercel_url: process.env.VERCEL_URL || 'local',
         has_supabase_url: !!process.env.SUPABASE_URL,
         has_supabase_key: !!process.env.SUPABASE_SERVICE_KEY,
-        has_openai_key: !!process.env.OPENAI_API_KEY
+        has_openai_key: !!process.env.OPENAI_API_KEY,
+        ai_provider: process.env.AI_PROVIDER || 'openai'
       }
     };
 
@@ -409,7 +126,8 @@ IMPORTANT:
         vercel_region: process.env.VERCEL_REGION || 'local',
         has_supabase_url: !!process.env.SUPABASE_URL,
         has_supabase_key: !!process.env.SUPABASE_SERVICE_KEY,
-        has_openai_key: !!process.env.OPENAI_API_KEY
+        has_openai_key: !!process.env.OPENAI_API_KEY,
+        ai_provider: process.env.AI_PROVIDER || 'openai'
       }
     });
   }
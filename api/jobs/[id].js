@@ -0,0 +1,99 @@
+import { getSupabaseClient } from '../../lib/supabase.js';
+import { requireUser } from '../../lib/auth.js';
+import { isMissingTableError } from '../../lib/ads.js';
+import { JOB_COLUMNS, isRunnableJob, processJob, scheduleJobWork, serializeJob } from '../../lib/jobs.js';
+
+export default async function handler(req, res) {
+  try {
+    // Add CORS headers
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    // Handle preflight requests
+    if (req.method === 'OPTIONS') {
+      res.status(200).end();
+      return;
+    }
+
+    // Only allow GET requests
+    if (req.method !== 'GET') {
+      res.status(405).json({
+        error: 'Method not allowed',
+        message: 'Only GET requests are supported'
+      });
+      return;
+    }
+
+    const id = Number(req.query?.id);
+
+    if (!Number.isInteger(id) || id < 1) {
+      res.status(400).json({
+        error: 'Validation error',
+        message: 'id must be a positive integer'
+      });
+      return;
+    }
+
+    const supabase = getSupabaseClient();
+
+    if (!supabase) {
+      res.status(500).json({
+        error: 'Configuration error',
+        message: 'Missing database configuration'
+      });
+      return;
+    }
+
+    const user = await requireUser(req, res, supabase);
+    if (!user) {
+      return;
+    }
+
+    const { data: job, error } = await supabase
+      .from('analysis_jobs')
+      .select(JOB_COLUMNS)
+      .eq('id', id)
+      .eq('user_id', user.id)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Database query error:', error);
+
+      res.status(500).json({
+        error: isMissingTableError(error) ? 'Database schema error' : 'Database error',
+        message: 'Failed to load analysis job',
+        details: error.message
+      });
+      return;
+    }
+
+    if (!job) {
+      res.status(404).json({
+        error: 'Not found',
+        message: `Analysis job ${id} does not exist`
+      });
+      return;
+    }
+
+    // Polling doubles as a retry trigger so waiting clients don't depend on the cron sweep
+    if (isRunnableJob(job)) {
+      scheduleJobWork(processJob(supabase, job));
+    }
+
+    res.status(200).json({
+      success: true,
+      job: serializeJob(job),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Job status API error:', error);
+
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'An unexpected error occurred',
+      details: error.message
+    });
+  }
+}
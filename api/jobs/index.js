@@ -0,0 +1,150 @@
+import { getSupabaseClient } from '../../lib/supabase.js';
+import { requireUser } from '../../lib/auth.js';
+import { getAIProvider } from '../../lib/ai/index.js';
+import { isMissingTableError } from '../../lib/ads.js';
+import { getScreenshotStorage } from '../../lib/storage/index.js';
+import { storeTemporaryImage } from '../../lib/screenshots.js';
+import { validateAnalyzeRequest } from '../../lib/run-analysis.js';
+import { processJob, scheduleJobWork, serializeJob } from '../../lib/jobs.js';
+
+export default async function handler(req, res) {
+  try {
+    // Add CORS headers
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    // Handle preflight requests
+    if (req.method === 'OPTIONS') {
+      res.status(200).end();
+      return;
+    }
+
+    // Only allow POST requests
+    if (req.method !== 'POST') {
+      res.status(405).json({
+        error: 'Method not allowed',
+        message: 'Only POST requests are supported'
+      });
+      return;
+    }
+
+    const supabase = getSupabaseClient();
+
+    if (!supabase) {
+      res.status(500).json({
+        error: 'Configuration error',
+        message: 'Missing database configuration'
+      });
+      return;
+    }
+
+    const user = await requireUser(req, res, supabase);
+    if (!user) {
+      return;
+    }
+
+    // Same body as /api/analyze
+    const validationErrors = validateAnalyzeRequest(req.body);
+
+    if (validationErrors.length > 0) {
+      res.status(400).json({
+        error: 'Validation error',
+        message: validationErrors[0],
+        details: validationErrors
+      });
+      return;
+    }
+
+    if (!getAIProvider()) {
+      res.status(500).json({
+        error: 'Configuration error',
+        message: 'AI provider not configured'
+      });
+      return;
+    }
+
+    const storage = getScreenshotStorage();
+
+    if (!storage) {
+      res.status(500).json({
+        error: 'Configuration error',
+        message: 'Missing screenshot storage configuration'
+      });
+      return;
+    }
+
+    const { image_data_url, source_url, page_title, detail = 'high', force = false, library_ads = null } = req.body;
+
+    // The row only keeps the storage key; multi-MB screenshots don't belong in Postgres
+    let imagePath;
+
+    try {
+      imagePath = await storeTemporaryImage(storage, user.id, image_data_url);
+    } catch (storageError) {
+      console.error('Screenshot storage error:', storageError);
+
+      res.status(500).json({
+        error: 'Storage error',
+        message: 'Failed to store screenshot',
+        details: storageError.message
+      });
+      return;
+    }
+
+    const { data: jobs, error } = await supabase
+      .from('analysis_jobs')
+      .insert([{
+        user_id: user.id,
+        status: 'queued',
+        image_path: imagePath,
+        source_url: source_url || null,
+        page_title: page_title || null,
+        detail,
+        force,
+        library_ads,
+        attempts: 0,
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      }])
+      .select('*');
+
+    if (error) {
+      console.error('Database insert error:', error);
+      await storage.remove([imagePath]).catch(removeError => {
+        console.error('Failed to remove stored screenshot:', imagePath, removeError);
+      });
+
+      res.status(500).json({
+        error: isMissingTableError(error) ? 'Database schema error' : 'Database error',
+        message: 'Failed to create analysis job',
+        details: error.message
+      });
+      return;
+    }
+
+    const job = jobs[0];
+
+    console.log('Analysis job queued:', { job_id: job.id, user_id: user.id, source_url: job.source_url });
+
+    // Start right away; the cron sweep picks the job up if this instance dies first
+    scheduleJobWork(processJob(supabase, job));
+
+    res.status(202).json({
+      success: true,
+      message: 'Analysis job queued',
+      job: serializeJob(job),
+      status_url: `/api/jobs/${job.id}`,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Jobs API error:', error);
+
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'An unexpected error occurred',
+      details: error.message
+    });
+  }
+}
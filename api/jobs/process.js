@@ -0,0 +1,106 @@
+import crypto from 'crypto';
+import { getSupabaseClient } from '../../lib/supabase.js';
+import { getBearerToken } from '../../lib/auth.js';
+import { isMissingTableError } from '../../lib/ads.js';
+import { processJob, runnableJobsFilter } from '../../lib/jobs.js';
+
+// Jobs handled per sweep; each can take most of a minute
+const SWEEP_BATCH_SIZE = 5;
+
+function isCronRequest(req, secret) {
+  const token = getBearerToken(req);
+
+  if (!token) {
+    return false;
+  }
+
+  const expected = Buffer.from(secret);
+  const actual = Buffer.from(token);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// Vercel cron: run queued jobs and retry ones whose function instance died
+export default async function handler(req, res) {
+  try {
+    if (req.method !== 'GET' && req.method !== 'POST') {
+      res.status(405).json({
+        error: 'Method not allowed',
+        message: 'Only GET and POST requests are supported'
+      });
+      return;
+    }
+
+    const secret = process.env.CRON_SECRET;
+
+    if (!secret) {
+      res.status(500).json({
+        error: 'Configuration error',
+        message: 'CRON_SECRET is not set'
+      });
+      return;
+    }
+
+    if (!isCronRequest(req, secret)) {
+      res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Invalid cron secret'
+      });
+      return;
+    }
+
+    const supabase = getSupabaseClient();
+
+    if (!supabase) {
+      res.status(500).json({
+        error: 'Configuration error',
+        message: 'Missing database configuration'
+      });
+      return;
+    }
+
+    const { data: jobs, error } = await supabase
+      .from('analysis_jobs')
+      .select('id, status, attempts, image_path')
+      .or(runnableJobsFilter())
+      .order('created_at', { ascending: true })
+      .order('id', { ascending: true })
+      .limit(SWEEP_BATCH_SIZE);
+
+    if (error) {
+      console.error('Database query error:', error);
+
+      res.status(500).json({
+        error: isMissingTableError(error) ? 'Database schema error' : 'Database error',
+        message: 'Failed to load pending analysis jobs',
+        details: error.message
+      });
+      return;
+    }
+
+    const outcomes = { completed: 0, queued: 0, failed: 0, skipped: 0 };
+
+    // One at a time to stay under the AI provider's rate limits
+    for (const job of jobs) {
+      const outcome = await processJob(supabase, job);
+      outcomes[outcome || 'skipped']++;
+    }
+
+    console.log('Analysis job sweep:', { jobs: jobs.length, ...outcomes });
+
+    res.status(200).json({
+      success: true,
+      processed: jobs.length,
+      ...outcomes,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Job sweep API error:', error);
+
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'An unexpected error occurred',
+      details: error.message
+    });
+  }
+}
@@ -1,4 +1,77 @@
-import { createClient } from '@supabase/supabase-js';
+import { getSupabaseClient } from '../lib/supabase.js';
+import { requireUser } from '../lib/auth.js';
+import { pickAdFields, isMissingTableError } from '../lib/ads.js';
+import { getScreenshotStorage } from '../lib/storage/index.js';
+import { isImageDataUrl, decodeImageDataUrl, storeScreenshot } from '../lib/screenshots.js';
+import { normalizeAdvertiserName, resolveAdvertisers } from '../lib/advertisers.js';
+import { pickLibraryFields } from '../lib/ad-library.js';
+import { computeImageHash, copyFingerprint, findDuplicates, recordSightings } from '../lib/duplicates.js';
+
+const MAX_ADS_PER_CAPTURE = 50;
+
+// Best-effort removal of uploaded files when the database write fails
+async function removeStoredScreenshot(stored) {
+  if (!stored) {
+    return;
+  }
+  
+  try {
+    await getScreenshotStorage().remove([stored.screenshot_path, stored.thumbnail_path]);
+  } catch (error) {
+    console.error('Failed to remove stored screenshot:', stored.screenshot_path, error);
+  }
+}
+
+// Perceptual hash of the screenshot, or null if it can't be decoded
+async function hashScreenshot(imageDataUrl) {
+  try {
+    return await computeImageHash(decodeImageDataUrl(imageDataUrl).buffer);
+  } catch (error) {
+    console.error('Failed to hash screenshot:', error);
+    return null;
+  }
+}
+
+// Look up earlier saves of the same ads; saving goes ahead without dedupe if this fails
+async function lookupDuplicates(supabase, userId, imageHash, fingerprints) {
+  try {
+    return await findDuplicates(supabase, userId, imageHash, fingerprints);
+  } catch (error) {
+    console.error('Duplicate lookup error:', error);
+    return fingerprints.map(() => null);
+  }
+}
+
+// Per-ad duplicate details for the response. seenCounts holds the counts
+// recordSightings() stored; without them the count is estimated.
+function describeDuplicates(duplicates, ids, seenCounts = new Map()) {
+  return duplicates.flatMap((duplicate, index) => {
+    if (!duplicate) {
+      return [];
+    }
+    return duplicate.status === 'merged'
+      ? [{ ad_index: index, status: 'merged', id: ids[index], seen_count: seenCounts.get(ids[index]) ?? (duplicate.ad.seen_count ?? 1) + 1 }]
+      : [{ ad_index: index, status: 'flagged', id: ids[index], duplicate_of: duplicate.duplicate_of }];
+  });
+}
+
+function sendDatabaseError(res, error, message) {
+  // Check if it's a table not found error
+  if (isMissingTableError(error)) {
+    res.status(500).json({
+      error: 'Database schema error',
+      message: 'captures or saved_ads table does not exist. Please run the database migrations first.',
+      details: 'Run: npm run migrate'
+    });
+    return;
+  }
+  
+  res.status(500).json({
+    error: 'Database error',
+    message,
+    details: error.message
+  });
+}
 
 export default async function handler(req, res) {
   try {
@@ -23,10 +96,9 @@ export default async function handler(req, res) {
     }
     
     // Initialize Supabase client
-    const supabaseUrl = process.env.SUPABASE_URL;
-    const supabaseServiceKey = process.env.SUPABASE_SERVICE_KEY;
+    const supabase = getSupabaseClient();
     
-    if (!supabaseUrl || !supabaseServiceKey) {
+    if (!supabase) {
       res.status(500).json({
         error: 'Configuration error',
         message: 'Missing database configuration'
@@ -34,21 +106,22 @@ export default async function handler(req, res) {
       return;
     }
     
-    const supabase = createClient(supabaseUrl, supabaseServiceKey);
+    // The owner always comes from the verified token, never the request body
+    const user = await requireUser(req, res, supabase);
+    if (!user) {
+      return;
+    }
+    const user_id = user.id;
     
     // Extract data from request
     const { 
+      screenshot_data_url,
       screenshot_url,
       analysis_data,
       source_url,
       platform,
-      advertiser_name,
-      headline,
-      description,
-      call_to_action,
-      product_service,
-      user_id = 'anonymous' // Default user ID for now
-    } = req.body;
+      ads
+    } = req.body || {};
     
     // Validate required fields
     if (!analysis_data) {
@@ -59,63 +132,245 @@ export default async function handler(req, res) {
       return;
     }
     
-    // Prepare data for database insertion
-    const adData = {
+    if (ads !== undefined && (!Array.isArray(ads) || ads.some(ad => !ad || typeof ad !== 'object' || Array.isArray(ad)))) {
+      res.status(400).json({
+        error: 'Validation error',
+        message: 'ads must be an array of objects'
+      });
+      return;
+    }
+    
+    if (Array.isArray(ads) && ads.length > MAX_ADS_PER_CAPTURE) {
+      res.status(400).json({
+        error: 'Validation error',
+        message: `A single capture can contain at most ${MAX_ADS_PER_CAPTURE} ads`
+      });
+      return;
+    }
+    
+    // Older clients send the data URL in screenshot_url
+    const imageDataUrl = screenshot_data_url || (isImageDataUrl(screenshot_url) ? screenshot_url : null);
+    
+    if (imageDataUrl && !isImageDataUrl(imageDataUrl)) {
+      res.status(400).json({
+        error: 'Validation error',
+        message: 'screenshot_data_url must be a base64 image data URL (png, jpeg, webp or gif)'
+      });
+      return;
+    }
+    
+    if (!imageDataUrl && screenshot_url && !/^https?:\/\//.test(screenshot_url)) {
+      res.status(400).json({
+        error: 'Validation error',
+        message: 'screenshot_url must be an http(s) URL'
+      });
+      return;
+    }
+    
+    // Legacy clients send a single ad as top-level fields
+    const adList = Array.isArray(ads) && ads.length > 0 ? ads : [req.body];
+    const adFields = adList.map(pickAdFields);
+    const now = new Date().toISOString();
+    const serializedAnalysis = typeof analysis_data === 'string' ? analysis_data : JSON.stringify(analysis_data);
+    const sighting = { sourceUrl: source_url || null, platform: platform || 'unknown', seenAt: now };
+    
+    // Ads saved before with the same copy and a near-identical image get
+    // another sighting instead of a new row. A screenshot of several ads
+    // doesn't picture any one of them, so those are only matched by copy.
+    const imageHash = imageDataUrl && adList.length === 1 ? await hashScreenshot(imageDataUrl) : null;
+    const fingerprints = adFields.map(copyFingerprint);
+    const duplicates = await lookupDuplicates(supabase, user_id, imageHash, fingerprints);
+    const isMerged = duplicate => duplicate?.status === 'merged';
+    
+    if (duplicates.every(isMerged)) {
+      let seenCounts;
+      
+      try {
+        seenCounts = await recordSightings(supabase, user_id, sighting, duplicates.map(({ ad }) => ({ ad, merged: true })));
+      } catch (sightingError) {
+        console.error('Sighting insertion error:', sightingError);
+        sendDatabaseError(res, sightingError, 'Failed to record ad sighting');
+        return;
+      }
+      
+      const ids = duplicates.map(({ ad }) => ad.id);
+      
+      console.log('Capture matched saved ads:', { ids });
+      
+      res.status(200).json({
+        success: true,
+        message: `Already saved ${ids.length} ad(s) - recorded another sighting`,
+        capture_id: null,
+        screenshot_url: duplicates[0].ad.screenshot_url,
+        thumbnail_url: duplicates[0].ad.thumbnail_url,
+        id: ids[0],
+        ids,
+        ads_saved: 0,
+        ads_merged: ids.length,
+        duplicates: describeDuplicates(duplicates, ids, seenCounts),
+        timestamp: now
+      });
+      return;
+    }
+    
+    // Store the image in object storage so rows only hold its URL
+    let storedScreenshot = null;
+    
+    if (imageDataUrl) {
+      const storage = getScreenshotStorage();
+      
+      if (!storage) {
+        res.status(500).json({
+          error: 'Configuration error',
+          message: 'Missing screenshot storage configuration'
+        });
+        return;
+      }
+      
+      try {
+        storedScreenshot = await storeScreenshot(storage, user_id, imageDataUrl);
+      } catch (storageError) {
+        console.error('Screenshot storage error:', storageError);
+        
+        res.status(500).json({
+          error: 'Storage error',
+          message: 'Failed to store screenshot',
+          details: storageError.message
+        });
+        return;
+      }
+    }
+    
+    const screenshotFields = {
+      screenshot_url: storedScreenshot?.screenshot_url || (imageDataUrl ? null : screenshot_url) || null,
+      thumbnail_url: storedScreenshot?.thumbnail_url || null
+    };
+    
+    // Prepare the shared capture record
+    const captureData = {
       user_id,
-      screenshot_url,
+      ...screenshotFields,
+      screenshot_path: storedScreenshot?.screenshot_path || null,
+      thumbnail_path: storedScreenshot?.thumbnail_path || null,
       source_url,
       platform: platform || 'unknown',
-      analysis_data: typeof analysis_data === 'string' ? analysis_data : JSON.stringify(analysis_data),
-      advertiser_name: advertiser_name || null,
-      headline: headline || null,
-      description: description || null,
-      call_to_action: call_to_action || null,
-      product_service: product_service || null,
-      created_at: new Date().toISOString(),
-      updated_at: new Date().toISOString()
+      analysis_data: serializedAnalysis,
+      ads_found: adList.length,
+      created_at: now,
+      updated_at: now
     };
     
-    console.log('Saving ad data to database:', {
-      user_id: adData.user_id,
-      platform: adData.platform,
-      has_screenshot: !!adData.screenshot_url,
-      has_analysis: !!adData.analysis_data
+    console.log('Saving capture to database:', {
+      user_id: captureData.user_id,
+      platform: captureData.platform,
+      has_screenshot: !!captureData.screenshot_url,
+      has_analysis: !!captureData.analysis_data,
+      ads: adList.length
     });
     
-    // Insert data into saved_ads table
+    const { data: captureRows, error: captureError } = await supabase
+      .from('captures')
+      .insert([captureData])
+      .select('id');
+    
+    if (captureError) {
+      console.error('Capture insertion error:', captureError);
+      await removeStoredScreenshot(storedScreenshot);
+      sendDatabaseError(res, captureError, 'Failed to save capture');
+      return;
+    }
+    
+    const captureId = captureRows[0]?.id;
+    const newIndexes = adFields.map((_, index) => index).filter(index => !isMerged(duplicates[index]));
+    
+    // Link ads to advertiser entities; the ads are still saved if matching fails
+    let advertisers = new Map();
+    
+    try {
+      advertisers = await resolveAdvertisers(supabase, user_id, newIndexes.map(index => adFields[index].advertiser_name));
+    } catch (advertiserError) {
+      console.error('Advertiser matching error:', advertiserError);
+    }
+    
+    // One saved_ads row per new ad, all linked to the capture
+    const adRows = newIndexes.map(index => ({
+      user_id,
+      capture_id: captureId,
+      ad_index: index,
+      ...screenshotFields,
+      source_url,
+      platform: platform || 'unknown',
+      analysis_data: serializedAnalysis,
+      ...adFields[index],
+      ...pickLibraryFields(adList[index]),
+      advertiser_id: advertisers.get(normalizeAdvertiserName(adFields[index].advertiser_name)) ?? null,
+      image_hash: imageHash,
+      copy_fingerprint: fingerprints[index],
+      duplicate_of: duplicates[index]?.duplicate_of ?? null,
+      seen_count: 1,
+      first_seen_at: now,
+      last_seen_at: now,
+      created_at: now,
+      updated_at: now
+    }));
+    
     const { data, error } = await supabase
       .from('saved_ads')
-      .insert([adData])
-      .select();
+      .insert(adRows)
+      .select('id');
     
     if (error) {
       console.error('Database insertion error:', error);
       
-      // Check if it's a table not found error
-      if (error.code === 'PGRST116' || error.message.includes('relation') || error.message.includes('does not exist')) {
-        res.status(500).json({
-          error: 'Database schema error',
-          message: 'saved_ads table does not exist. Please create the table first.',
-          details: 'Run: CREATE TABLE saved_ads (id SERIAL PRIMARY KEY, user_id TEXT, screenshot_url TEXT, source_url TEXT, platform TEXT, analysis_data TEXT, created_at TIMESTAMPTZ DEFAULT NOW(), updated_at TIMESTAMPTZ DEFAULT NOW());'
-        });
-        return;
+      // Don't leave an orphaned capture behind
+      const { error: cleanupError } = await supabase
+        .from('captures')
+        .delete()
+        .eq('id', captureId);
+      
+      if (cleanupError) {
+        console.error('Failed to remove orphaned capture:', captureId, cleanupError);
       }
       
-      res.status(500).json({
-        error: 'Database error',
-        message: 'Failed to save ad data',
-        details: error.message
-      });
+      await removeStoredScreenshot(storedScreenshot);
+      
+      sendDatabaseError(res, error, 'Failed to save ad data');
       return;
     }
     
-    console.log('Ad data saved successfully:', data[0]?.id);
+    // Saved ad id for every ad in the capture, new or seen before
+    const insertedIds = new Map(newIndexes.map((index, position) => [index, data[position].id]));
+    const ids = adList.map((_, index) => (isMerged(duplicates[index]) ? duplicates[index].ad.id : insertedIds.get(index)));
+    const adsMerged = ids.length - newIndexes.length;
+    
+    let seenCounts;
+    
+    try {
+      seenCounts = await recordSightings(supabase, user_id, { ...sighting, captureId }, ids.map((id, index) => ({
+        ad: isMerged(duplicates[index]) ? duplicates[index].ad : { id },
+        merged: isMerged(duplicates[index])
+      })));
+    } catch (sightingError) {
+      // The ads are saved; only their sighting history is incomplete
+      console.error('Sighting insertion error:', sightingError);
+    }
+    
+    console.log('Ad data saved successfully:', { capture_id: captureId, ids, merged: adsMerged });
     
     res.status(201).json({
       success: true,
-      message: 'Ad data saved successfully',
-      id: data[0]?.id,
-      timestamp: new Date().toISOString()
+      message: adsMerged > 0
+        ? `Saved ${newIndexes.length} ad(s) successfully, ${adsMerged} already saved`
+        : `Saved ${newIndexes.length} ad(s) successfully`,
+      capture_id: captureId,
+      screenshot_url: screenshotFields.screenshot_url,
+      thumbnail_url: screenshotFields.thumbnail_url,
+      id: ids[0],
+      ids,
+      ads_saved: newIndexes.length,
+      ads_merged: adsMerged,
+      duplicates: describeDuplicates(duplicates, ids, seenCounts),
+      timestamp: now
     });
     
   } catch (error) {
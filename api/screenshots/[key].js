@@ -0,0 +1,74 @@
+import { getScreenshotStorage } from '../../lib/storage/index.js';
+
+const CONTENT_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  webp: 'image/webp',
+  gif: 'image/gif'
+};
+
+// Serves screenshots saved by the local filesystem adapter during development.
+// In production screenshots are loaded straight from the storage bucket.
+export default async function handler(req, res) {
+  try {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+
+    if (req.method !== 'GET') {
+      res.status(405).json({
+        error: 'Method not allowed',
+        message: 'Only GET requests are supported'
+      });
+      return;
+    }
+
+    const storage = getScreenshotStorage();
+
+    if (!storage || storage.name !== 'local') {
+      res.status(404).json({
+        error: 'Not found',
+        message: 'Screenshots are served from object storage'
+      });
+      return;
+    }
+
+    const key = decodeURIComponent(req.query?.key || '');
+    const extension = key.split('.').pop();
+    const contentType = CONTENT_TYPES[extension];
+
+    if (!contentType) {
+      res.status(404).json({
+        error: 'Not found',
+        message: 'Unknown screenshot'
+      });
+      return;
+    }
+
+    let file;
+    try {
+      file = await storage.get(key);
+    } catch {
+      file = null; // Invalid keys are treated as missing
+    }
+
+    if (!file) {
+      res.status(404).json({
+        error: 'Not found',
+        message: 'Unknown screenshot'
+      });
+      return;
+    }
+
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Cache-Control', 'public, max-age=31536000, immutable');
+    res.status(200).send(file);
+
+  } catch (error) {
+    console.error('Screenshot API error:', error);
+
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'An unexpected error occurred',
+      details: error.message
+    });
+  }
+}
@@ -0,0 +1,151 @@
+// Client for the API's auth and saved-ads read endpoints
+const SESSION_KEY = 'fbAdAnalyzer.session';
+
+// Build "?a=1&b=2" from the params that are set
+function toQueryString(params) {
+  const query = new URLSearchParams(
+    Object.entries(params).filter(([, value]) => value !== undefined && value !== null && value !== '')
+  );
+  return query.size > 0 ? `?${query}` : '';
+}
+
+export class ApiError extends Error {
+  constructor(message, status, body = null) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.body = body;
+  }
+}
+
+export class ApiClient {
+  constructor({ baseUrl = '' } = {}) {
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.onSessionChange = () => {};
+  }
+
+  getSession() {
+    try {
+      return JSON.parse(localStorage.getItem(SESSION_KEY));
+    } catch {
+      return null;
+    }
+  }
+
+  setSession(session) {
+    if (session) {
+      localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+    } else {
+      localStorage.removeItem(SESSION_KEY);
+    }
+    this.onSessionChange(session);
+  }
+
+  async signIn(email, password) {
+    const result = await this.send('/api/auth/login', {
+      method: 'POST',
+      body: { email, password }
+    });
+    this.setSession(result.session);
+    return result.session;
+  }
+
+  signOut() {
+    this.setSession(null);
+  }
+
+  async listAds(params = {}) {
+    return this.request(`/api/ads${toQueryString(params)}`);
+  }
+
+  async searchAds(params = {}) {
+    return this.request(`/api/ads/search${toQueryString(params)}`);
+  }
+
+  async getAd(id) {
+    const result = await this.request(`/api/ads/${encodeURIComponent(id)}`);
+    return result.ad;
+  }
+
+  // { advertiser, profile, truncated }
+  async getAdvertiser(id) {
+    return this.request(`/api/advertisers/${encodeURIComponent(id)}`);
+  }
+
+  // Authenticated request; refreshes the session once if the token was rejected
+  async request(path, options = {}) {
+    const session = await this.getValidSession();
+
+    try {
+      return await this.send(path, { ...options, token: session.access_token });
+    } catch (error) {
+      if (error.status !== 401) {
+        throw error;
+      }
+      const refreshed = await this.refreshSession(session);
+      return this.send(path, { ...options, token: refreshed.access_token });
+    }
+  }
+
+  async getValidSession() {
+    const session = this.getSession();
+
+    if (!session) {
+      throw new ApiError('Sign in to view your ad library', 401);
+    }
+
+    // expires_at is in seconds; refresh a minute early
+    if (session.expires_at && session.expires_at * 1000 < Date.now() + 60000) {
+      return this.refreshSession(session);
+    }
+
+    return session;
+  }
+
+  async refreshSession(session) {
+    try {
+      const result = await this.send('/api/auth/refresh', {
+        method: 'POST',
+        body: { refresh_token: session.refresh_token }
+      });
+      this.setSession(result.session);
+      return result.session;
+    } catch (error) {
+      // The refresh token is no longer usable - force a fresh sign in
+      if (error.status === 401) {
+        this.setSession(null);
+      }
+      throw error;
+    }
+  }
+
+  async send(path, { method = 'GET', body, token } = {}) {
+    const headers = {};
+
+    if (body !== undefined) {
+      headers['Content-Type'] = 'application/json';
+    }
+    if (token) {
+      headers.Authorization = `Bearer ${token}`;
+    }
+
+    let response;
+    try {
+      response = await fetch(`${this.baseUrl}${path}`, {
+        method,
+        headers,
+        body: body === undefined ? undefined : JSON.stringify(body)
+      });
+    } catch (error) {
+      throw new ApiError(`Could not reach the API: ${error.message}`, 0);
+    }
+
+    const result = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      throw new ApiError(result.message || `Request failed: ${response.status}`, response.status, result);
+    }
+
+    return result;
+  }
+}
@@ -0,0 +1,82 @@
+// DOM helpers. Ad content comes from screenshots of third-party pages, so it is
+// only ever inserted as text - never through innerHTML.
+
+// Create an element: h('a', { href, className: 'card' }, 'text', childNode)
+export function h(tag, props = {}, ...children) {
+  const element = document.createElement(tag);
+
+  for (const [name, value] of Object.entries(props)) {
+    if (value === null || value === undefined || value === false) {
+      continue;
+    }
+
+    if (name === 'className') {
+      element.className = value;
+    } else if (name === 'dataset') {
+      Object.assign(element.dataset, value);
+    } else if (name.startsWith('on') && typeof value === 'function') {
+      element.addEventListener(name.slice(2).toLowerCase(), value);
+    } else if (name === 'href' || name === 'src') {
+      const url = safeUrl(value);
+      if (url) {
+        element.setAttribute(name, url);
+      }
+    } else if (value === true) {
+      element.setAttribute(name, '');
+    } else {
+      element.setAttribute(name, String(value));
+    }
+  }
+
+  append(element, children);
+  return element;
+}
+
+function append(parent, children) {
+  for (const child of children) {
+    if (child === null || child === undefined || child === false) {
+      continue;
+    }
+    if (Array.isArray(child)) {
+      append(parent, child);
+    } else if (child instanceof Node) {
+      parent.appendChild(child);
+    } else {
+      parent.appendChild(document.createTextNode(String(child)));
+    }
+  }
+}
+
+// Only allow http(s), in-app hash links and inline images
+export function safeUrl(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  if (value.startsWith('#') || /^data:image\/(png|jpeg|webp|gif|svg\+xml)[;,]/.test(value)) {
+    return value;
+  }
+
+  try {
+    const url = new URL(value, window.location.href);
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : null;
+  } catch {
+    return null;
+  }
+}
+
+export function clear(element) {
+  element.replaceChildren();
+  return element;
+}
+
+export function formatDate(value) {
+  if (!value) {
+    return '';
+  }
+
+  const date = new Date(value);
+  return Number.isNaN(date.getTime())
+    ? ''
+    : date.toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+}
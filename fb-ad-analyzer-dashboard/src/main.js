@@ -0,0 +1,79 @@
+// FB Ad Analyzer - Dashboard
+import './styles.css';
+import { ApiClient } from './api.js';
+import { MockApiClient } from './mock-api.js';
+import { h, clear } from './dom.js';
+import { renderAdsGrid } from './views/ads-grid.js';
+import { renderAdDetail } from './views/ad-detail.js';
+import { renderAdvertiserProfile } from './views/advertiser-profile.js';
+import { renderSignIn } from './views/sign-in.js';
+
+const USE_MOCK_DATA = import.meta.env.MODE === 'mock' || import.meta.env.VITE_USE_MOCK_DATA === 'true';
+
+const api = USE_MOCK_DATA
+  ? new MockApiClient()
+  : new ApiClient({ baseUrl: import.meta.env.VITE_API_BASE_URL || '' });
+
+const app = document.getElementById('app');
+const account = document.getElementById('account');
+
+function navigate(hash) {
+  if (window.location.hash === hash) {
+    route();
+  } else {
+    window.location.hash = hash;
+  }
+}
+
+function renderAccount() {
+  const session = api.getSession();
+
+  if (!session) {
+    clear(account);
+    return;
+  }
+
+  clear(account).append(
+    h('span', { className: 'muted' }, session.user?.email || 'Signed in'),
+    USE_MOCK_DATA ? null : h('button', { type: 'button', className: 'btn link', onClick: () => {
+      api.signOut();
+      navigate('#/sign-in');
+    } }, 'Sign out')
+  );
+}
+
+// Routes: #/ (grid, with filters in the query), #/ads/:id, #/advertisers/:id, #/sign-in
+async function route() {
+  const [path, query = ''] = window.location.hash.replace(/^#/, '').split('?');
+  const detail = path.match(/^\/ads\/(\d+)$/);
+  const advertiser = path.match(/^\/advertisers\/(\d+)$/);
+
+  renderAccount();
+
+  if (path === '/sign-in') {
+    renderSignIn(app, { api, navigate });
+    return;
+  }
+
+  if (!api.getSession()) {
+    navigate('#/sign-in');
+    return;
+  }
+
+  if (detail) {
+    await renderAdDetail(app, { api, id: detail[1], navigate });
+    return;
+  }
+
+  if (advertiser) {
+    await renderAdvertiserProfile(app, { api, id: advertiser[1], navigate });
+    return;
+  }
+
+  await renderAdsGrid(app, { api, params: new URLSearchParams(query), navigate });
+}
+
+document.getElementById('mockBadge').hidden = !USE_MOCK_DATA;
+api.onSessionChange = renderAccount;
+window.addEventListener('hashchange', route);
+route();
@@ -0,0 +1,45 @@
+import { h } from './dom.js';
+
+// Render the small markdown subset the API produces (paragraphs, **bold**,
+// numbered and bulleted lists) as DOM nodes. Text is never parsed as HTML.
+export function renderMarkdown(text) {
+  const fragment = document.createDocumentFragment();
+
+  if (typeof text !== 'string' || !text.trim()) {
+    return fragment;
+  }
+
+  for (const block of text.trim().split(/\n{2,}/)) {
+    const lines = block.split('\n').map(line => line.trim()).filter(Boolean);
+    let list = null;
+
+    for (const line of lines) {
+      const numbered = line.match(/^\d+\.\s+(.*)$/);
+      const bulleted = line.match(/^[-*]\s+(.*)$/);
+      const item = numbered || bulleted;
+
+      if (item) {
+        const tag = numbered ? 'ol' : 'ul';
+        if (!list || list.tagName.toLowerCase() !== tag) {
+          list = h(tag);
+          fragment.appendChild(list);
+        }
+        list.appendChild(h('li', {}, renderInline(item[1])));
+        continue;
+      }
+
+      list = null;
+      fragment.appendChild(h('p', {}, renderInline(line)));
+    }
+  }
+
+  return fragment;
+}
+
+function renderInline(text) {
+  return text.split(/(\*\*[^*]+\*\*)/g).filter(Boolean).map(part => (
+    part.startsWith('**') && part.endsWith('**') && part.length > 4
+      ? h('strong', {}, part.slice(2, -2))
+      : part
+  ));
+}
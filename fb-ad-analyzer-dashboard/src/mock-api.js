@@ -0,0 +1,188 @@
+// Drop-in replacement for ApiClient that serves MOCK_ADS from memory
+import { ApiError } from './api.js';
+import { MOCK_ADS, MOCK_ADVERTISERS } from './mock-data.js';
+
+const MOCK_SESSION = {
+  access_token: 'mock-token',
+  refresh_token: 'mock-refresh-token',
+  token_type: 'bearer',
+  expires_at: null,
+  user: { id: 'mock-user', email: 'demo@example.com' }
+};
+
+const LIST_COLUMNS = [
+  'id', 'user_id', 'capture_id', 'ad_index', 'screenshot_url', 'thumbnail_url', 'source_url', 'platform',
+  'advertiser_name', 'advertiser_id', 'headline', 'description', 'call_to_action', 'product_service',
+  'library_id', 'library_start_date', 'library_active', 'library_platforms', 'duplicate_of', 'seen_count', 'first_seen_at', 'last_seen_at', 'created_at', 'updated_at'
+];
+
+// Fields the API returns highlights for
+const SNIPPET_FIELDS = {
+  headline: ad => ad.headline,
+  description: ad => ad.description,
+  analysis: ad => ad.analysis_data?.analysis
+};
+
+// Like ts_headline fragments: only the analysis lines that mention a query word
+function analysisFragments(text, words) {
+  return (text || '')
+    .split('\n')
+    .filter(line => words.some(word => line.toLowerCase().includes(word)))
+    .slice(0, 2)
+    .join(' ... ');
+}
+
+function searchableText(ad) {
+  return [ad.call_to_action, ad.product_service, ...Object.values(SNIPPET_FIELDS).map(read => read(ad))]
+    .filter(Boolean)
+    .join(' ')
+    .toLowerCase();
+}
+
+// Count values into [{ value, count }], most frequent first
+function tally(values) {
+  const counts = new Map();
+  for (const value of values.filter(Boolean)) {
+    counts.set(value, (counts.get(value) || 0) + 1);
+  }
+  return [...counts].map(([value, count]) => ({ value, count })).sort((a, b) => b.count - a.count);
+}
+
+// Split text into { text, match } segments for the query words, like the API's highlights
+function highlight(text, words) {
+  if (!text) {
+    return [];
+  }
+
+  return text.split(/(\w+)/).filter(Boolean).map(part => ({
+    text: part,
+    match: words.includes(part.toLowerCase())
+  }));
+}
+
+export class MockApiClient {
+  constructor() {
+    this.onSessionChange = () => {};
+  }
+
+  getSession() {
+    return MOCK_SESSION;
+  }
+
+  async signIn() {
+    return MOCK_SESSION;
+  }
+
+  signOut() {}
+
+  async listAds({ platform, advertiser_name, created_after, created_before, sort = 'created_at', order = 'desc', limit = 20, cursor } = {}) {
+    const direction = order === 'asc' ? 1 : -1;
+
+    const matching = MOCK_ADS
+      .filter(ad => !platform || ad.platform === platform)
+      .filter(ad => !advertiser_name || ad.advertiser_name?.toLowerCase() === advertiser_name.toLowerCase())
+      .filter(ad => !created_after || ad.created_at >= new Date(created_after).toISOString())
+      .filter(ad => !created_before || ad.created_at < new Date(created_before).toISOString())
+      .sort((a, b) => {
+        if (a[sort] === b[sort]) {
+          return (a.id - b.id) * direction;
+        }
+        return (a[sort] < b[sort] ? -1 : 1) * direction;
+      });
+
+    const offset = cursor ? Number(cursor) : 0;
+    const page = matching.slice(offset, offset + Number(limit));
+    const hasMore = offset + page.length < matching.length;
+
+    return {
+      success: true,
+      ads: page.map(ad => Object.fromEntries(LIST_COLUMNS.map(column => [column, ad[column]]))),
+      count: page.length,
+      has_more: hasMore,
+      next_cursor: hasMore ? String(offset + page.length) : null
+    };
+  }
+
+  async searchAds({ q = '', platform, limit = 20, offset = 0 } = {}) {
+    const words = q.toLowerCase().split(/\W+/).filter(Boolean);
+
+    const matching = MOCK_ADS
+      .filter(ad => !platform || ad.platform === platform)
+      .map(ad => {
+        const text = searchableText(ad);
+        return { ad, rank: words.filter(word => text.includes(word)).length };
+      })
+      .filter(({ rank }) => words.length > 0 && rank === words.length)
+      .sort((a, b) => b.rank - a.rank || b.ad.id - a.ad.id);
+
+    const start = Number(offset);
+    const page = matching.slice(start, start + Number(limit));
+    const hasMore = start + page.length < matching.length;
+
+    return {
+      success: true,
+      query: q,
+      results: page.map(({ ad, rank }) => {
+        const highlights = {};
+        for (const [field, read] of Object.entries(SNIPPET_FIELDS)) {
+          const text = field === 'analysis' ? analysisFragments(read(ad), words) : read(ad);
+          const segments = highlight(text, words);
+          if (segments.some(segment => segment.match)) {
+            highlights[field] = segments;
+          }
+        }
+        return {
+          ...Object.fromEntries(LIST_COLUMNS.map(column => [column, ad[column]])),
+          rank,
+          highlights
+        };
+      }),
+      count: page.length,
+      has_more: hasMore,
+      next_offset: hasMore ? start + page.length : null
+    };
+  }
+
+  async getAd(id) {
+    const ad = MOCK_ADS.find(candidate => String(candidate.id) === String(id));
+
+    if (!ad) {
+      throw new ApiError(`Saved ad ${id} does not exist`, 404);
+    }
+
+    return ad;
+  }
+
+  async getAdvertiser(id) {
+    const advertiser = MOCK_ADVERTISERS.find(candidate => String(candidate.id) === String(id));
+
+    if (!advertiser) {
+      throw new ApiError(`Advertiser ${id} does not exist`, 404);
+    }
+
+    const ads = MOCK_ADS
+      .filter(ad => ad.advertiser_id === advertiser.id)
+      .sort((a, b) => b.created_at.localeCompare(a.created_at));
+    const dates = [...new Set(ads.map(ad => ad.created_at.slice(0, 10)))].sort();
+
+    return {
+      success: true,
+      advertiser,
+      profile: {
+        ad_count: ads.length,
+        capture_count: new Set(ads.map(ad => ad.capture_id)).size,
+        first_seen: ads[ads.length - 1]?.created_at ?? null,
+        last_seen: ads[0]?.created_at ?? null,
+        call_to_actions: tally(ads.map(ad => ad.call_to_action)),
+        products: tally(ads.map(ad => ad.product_service)),
+        platforms: tally(ads.map(ad => ad.platform)),
+        timeline: dates.map(date => {
+          const day = ads.filter(ad => ad.created_at.startsWith(date));
+          return { date, ads: day.length, captures: new Set(day.map(ad => ad.capture_id)).size };
+        }),
+        recent_ads: ads.map(ad => Object.fromEntries(LIST_COLUMNS.map(column => [column, ad[column]])))
+      },
+      truncated: false
+    };
+  }
+}
@@ -0,0 +1,221 @@
+// Sample saved ads for `npm run dev:mock`, shaped like GET /api/ads/:id responses
+
+function escapeXml(value) {
+  return value.replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+function placeholderImage(label, color, width = 640, height = 480) {
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">`
+    + `<rect width="100%" height="100%" fill="${color}"/>`
+    + `<text x="50%" y="50%" fill="#fff" font-family="sans-serif" font-size="40" text-anchor="middle">${escapeXml(label)}</text>`
+    + '</svg>';
+  return `data:image/svg+xml,${encodeURIComponent(svg)}`;
+}
+
+const STRATEGY_LABELS = [
+  'psychological_approach',
+  'visual_strategy',
+  'value_positioning',
+  'conversion_psychology',
+  'competitive_advantage'
+];
+
+function buildCapture(id, { color, createdAt, summary, ads }) {
+  const screenshot = placeholderImage(`Capture ${id}`, color, 1280, 800);
+  const thumbnail = placeholderImage(`Capture ${id}`, color, 320, 200);
+
+  const analysis = [summary, ...ads.map((ad, index) => [
+    `**Ad ${index + 1}: ${ad.advertiser_name}**`,
+    ...STRATEGY_LABELS.map((field, position) => {
+      const label = field.split('_').map(word => word[0].toUpperCase() + word.slice(1)).join(' ');
+      return `${position + 1}. **${label}**: ${ad.strategy[field]}`;
+    })
+  ].join('\n'))].join('\n\n');
+
+  const analysisData = {
+    analysis,
+    strategic_analysis: {
+      summary,
+      ads: ads.map((ad, index) => ({ ad_index: index, advertiser_name: ad.advertiser_name, ...ad.strategy }))
+    },
+    structured_data: ads.map(({ strategy, platform, seenAgain, ...fields }) => fields),
+    ads_found: ads.length,
+    model_used: 'mock:dashboard'
+  };
+
+  const capture = {
+    id,
+    screenshot_url: screenshot,
+    thumbnail_url: thumbnail,
+    source_url: 'https://www.facebook.com/',
+    ads_found: ads.length,
+    created_at: createdAt
+  };
+
+  return ads.map((ad, index) => {
+    // Later captures of the same ad, recorded as sightings like the API does
+    const seenAt = [createdAt, ...(ad.seenAgain || [])];
+
+    return {
+      id: id * 10 + index,
+      user_id: 'mock-user',
+      capture_id: id,
+      ad_index: index,
+      screenshot_url: screenshot,
+      thumbnail_url: thumbnail,
+      source_url: capture.source_url,
+      platform: ad.platform || 'facebook',
+      advertiser_name: ad.advertiser_name,
+      headline: ad.headline,
+      description: ad.description,
+      call_to_action: ad.call_to_action,
+      product_service: ad.product_service,
+      library_id: ad.library_id ?? null,
+      library_start_date: ad.library_start_date ?? null,
+      library_active: ad.library_active ?? null,
+      library_platforms: ad.library_platforms ?? null,
+      analysis_data: analysisData,
+      capture,
+      duplicate_of: null,
+      seen_count: seenAt.length,
+      first_seen_at: seenAt[0],
+      last_seen_at: seenAt[seenAt.length - 1],
+      sightings: seenAt.map((date, position) => ({
+        id: (id * 10 + index) * 100 + position,
+        capture_id: position === 0 ? id : null,
+        source_url: capture.source_url,
+        platform: ad.platform || 'facebook',
+        seen_at: date
+      })),
+      created_at: createdAt,
+      updated_at: createdAt
+    };
+  });
+}
+
+export const MOCK_ADS = [
+  ...buildCapture(1, {
+    color: '#1877f2',
+    createdAt: '2024-05-02T09:15:00.000Z',
+    summary: 'Meal-kit brands are competing on first-order discounts; Factor stands out by selling convenience rather than price.',
+    ads: [
+      {
+        advertiser_name: 'HelloFresh',
+        headline: 'Get 16 Free Meals + Free Shipping',
+        description: "America's #1 meal kit. Skip the grocery store.",
+        call_to_action: 'Order Now',
+        product_service: 'Meal kit subscription',
+        library_id: '1093847561029384',
+        library_start_date: '2024-04-18',
+        library_active: true,
+        library_platforms: ['facebook', 'instagram'],
+        strategy: {
+          psychological_approach: 'A large free-meals number anchors value; the #1 claim adds authority.',
+          visual_strategy: 'Bright brand green and an overhead food shot stop the scroll.',
+          value_positioning: 'Mass-market value leader.',
+          conversion_psychology: 'Stacking the discount with free shipping lowers the cost of trying it.',
+          competitive_advantage: 'Scale and brand recognition.'
+        }
+      },
+      {
+        advertiser_name: 'Factor',
+        headline: 'Fresh, never frozen',
+        description: 'Chef-prepared meals delivered ready to eat in 2 minutes.',
+        call_to_action: 'Learn More',
+        product_service: 'Prepared meals',
+        platform: 'instagram',
+        strategy: {
+          psychological_approach: 'Time-saving framing aimed at busy professionals.',
+          visual_strategy: 'Plated close-up with minimal text.',
+          value_positioning: 'Positioned above meal kits: no cooking at all.',
+          conversion_psychology: 'Speaks to people who abandoned meal kits because of prep time.',
+          competitive_advantage: 'Zero prep time versus competitors.'
+        }
+      }
+    ]
+  }),
+  ...buildCapture(2, {
+    color: '#2e7d32',
+    createdAt: '2024-05-06T14:40:00.000Z',
+    summary: 'Sustainable footwear ad leaning on comfort claims and risk-free returns.',
+    ads: [
+      {
+        advertiser_name: 'Allbirds',
+        headline: "The World's Most Comfortable Shoes",
+        description: 'Made with natural materials. Free shipping and 30-day returns.',
+        call_to_action: 'Shop Now',
+        product_service: 'Wool Runners sneakers',
+        seenAgain: ['2024-05-09T11:20:00.000Z', '2024-05-13T16:45:00.000Z'],
+        strategy: {
+          psychological_approach: 'Superlative comfort claim plus risk reversal.',
+          visual_strategy: 'Product on a clean neutral background.',
+          value_positioning: 'Premium but approachable; sustainability justifies the price.',
+          conversion_psychology: 'Free returns remove the main objection to buying shoes online.',
+          competitive_advantage: 'Owns the eco-comfort niche instead of competing on performance.'
+        }
+      }
+    ]
+  }),
+  ...buildCapture(3, {
+    color: '#6a1b9a',
+    createdAt: '2024-05-11T18:05:00.000Z',
+    summary: 'Two sleep brands and a fintech app; all three use social proof, Casper with the strongest offer.',
+    ads: [
+      {
+        advertiser_name: 'Casper',
+        headline: 'Up to 30% off mattresses',
+        description: 'Memorial Day Sale ends Monday. 100-night risk-free trial.',
+        call_to_action: 'Shop Now',
+        product_service: 'Mattresses',
+        strategy: {
+          psychological_approach: 'Deadline-driven urgency around a holiday sale.',
+          visual_strategy: 'Lifestyle bedroom photo with a bold discount overlay.',
+          value_positioning: 'Premium DTC brand discounting to compete with retailers.',
+          conversion_psychology: 'The long trial offsets the risk of a big-ticket purchase.',
+          competitive_advantage: 'Trial length and brand trust.'
+        }
+      },
+      {
+        advertiser_name: 'Hatch',
+        headline: 'Wake up <gently>',
+        description: 'The sunrise alarm loved by 1M+ sleepers. "Life changing" - Verified buyer',
+        call_to_action: 'Learn More',
+        product_service: 'Sunrise alarm clock',
+        strategy: {
+          psychological_approach: 'Testimonial quote as peer social proof.',
+          visual_strategy: 'Soft gradient mimicking a sunrise.',
+          value_positioning: 'Wellness gadget rather than a commodity alarm clock.',
+          conversion_psychology: 'A large user count reduces perceived risk.',
+          competitive_advantage: 'Category creation around sleep routines.'
+        }
+      },
+      {
+        advertiser_name: 'Chime',
+        headline: 'Get paid up to 2 days early',
+        description: 'No monthly fees. No minimum balance.',
+        call_to_action: 'Sign Up',
+        product_service: 'Mobile banking',
+        platform: 'instagram',
+        strategy: {
+          psychological_approach: 'Loss aversion around bank fees.',
+          visual_strategy: 'Phone mockup showing an early deposit notification.',
+          value_positioning: 'Fee-free alternative to traditional banks.',
+          conversion_psychology: 'Concrete benefit (early pay) is easy to grasp in a feed.',
+          competitive_advantage: 'Early direct deposit as a headline feature.'
+        }
+      }
+    ]
+  })
+];
+
+// One advertiser per distinct name, like the API's advertisers table
+export const MOCK_ADVERTISERS = [...new Set(MOCK_ADS.map(ad => ad.advertiser_name))].map((name, index) => ({
+  id: index + 1,
+  name,
+  aliases: [name],
+  created_at: MOCK_ADS.find(ad => ad.advertiser_name === name).created_at
+}));
+
+for (const ad of MOCK_ADS) {
+  ad.advertiser_id = MOCK_ADVERTISERS.find(advertiser => advertiser.name === ad.advertiser_name).id;
+}
@@ -0,0 +1,144 @@
+import { h, clear, formatDate } from '../dom.js';
+import { renderMarkdown } from '../markdown.js';
+
+const AD_FIELDS = [
+  ['advertiser_name', 'Advertiser'],
+  ['headline', 'Headline'],
+  ['description', 'Description'],
+  ['call_to_action', 'Call to action'],
+  ['product_service', 'Product / service'],
+  ['platform', 'Platform']
+];
+
+const STRATEGY_FIELDS = [
+  ['psychological_approach', 'Psychological approach'],
+  ['visual_strategy', 'Visual strategy'],
+  ['value_positioning', 'Value positioning'],
+  ['conversion_psychology', 'Conversion psychology'],
+  ['competitive_advantage', 'Competitive advantage']
+];
+
+function renderFields(ad) {
+  return h('dl', { className: 'ad-fields' },
+    AD_FIELDS.map(([field, label]) => [
+      h('dt', {}, label),
+      h('dd', { className: ad[field] ? null : 'muted' }, ad[field] || 'Not captured')
+    ]),
+    h('dt', {}, 'Captured'),
+    h('dd', {}, formatDate(ad.created_at)),
+    ad.seen_count > 1 ? [
+      h('dt', {}, 'Seen'),
+      h('dd', {}, `${ad.seen_count} times, last ${formatDate(ad.last_seen_at)}`)
+    ] : null,
+    ad.library_id ? [
+      h('dt', {}, 'Ad Library'),
+      h('dd', {},
+        h('a', { href: `https://www.facebook.com/ads/library/?id=${encodeURIComponent(ad.library_id)}`, target: '_blank', rel: 'noopener noreferrer' }, `ID ${ad.library_id}`),
+        ad.library_active === null || ad.library_active === undefined ? null : (ad.library_active ? ' - active' : ' - inactive'),
+        ad.library_start_date ? `, running since ${ad.library_start_date}` : null,
+        ad.library_platforms?.length ? ` on ${ad.library_platforms.join(', ').replace(/_/g, ' ')}` : null
+      )
+    ] : null,
+    ad.duplicate_of ? [
+      h('dt', {}, 'Possible duplicate'),
+      h('dd', {}, h('a', { href: `#/ads/${ad.duplicate_of}` }, 'Same copy as an earlier ad'))
+    ] : null,
+    ad.source_url ? [
+      h('dt', {}, 'Source'),
+      h('dd', {}, h('a', { href: ad.source_url, target: '_blank', rel: 'noopener noreferrer' }, ad.source_url))
+    ] : null
+  );
+}
+
+// Every capture of this ad, oldest first
+function renderSightings(sightings) {
+  if (!sightings || sightings.length < 2) {
+    return null;
+  }
+
+  return h('section', { className: 'sightings' },
+    h('h2', {}, 'Sightings'),
+    h('ol', {},
+      sightings.map(sighting => h('li', {},
+        h('time', { datetime: sighting.seen_at }, formatDate(sighting.seen_at)),
+        sighting.platform ? ` on ${sighting.platform}` : null
+      ))
+    )
+  );
+}
+
+// Prefer the structured per-ad strategy; older captures only have markdown text
+function renderAnalysis(ad) {
+  const analysisData = ad.analysis_data || {};
+  const strategic = analysisData.strategic_analysis;
+  const strategy = strategic?.ads?.find(entry => entry.ad_index === ad.ad_index);
+
+  if (strategy) {
+    return h('section', { className: 'analysis' },
+      h('h2', {}, 'Strategic analysis'),
+      h('ol', { className: 'strategy-list' },
+        STRATEGY_FIELDS.map(([field, label]) => h('li', {},
+          h('strong', {}, label),
+          h('p', {}, strategy[field] || 'Not available')
+        ))
+      ),
+      strategic.summary ? [
+        h('h3', {}, 'Capture summary'),
+        h('p', { className: 'summary' }, strategic.summary)
+      ] : null
+    );
+  }
+
+  const markdown = renderMarkdown(analysisData.analysis);
+
+  return h('section', { className: 'analysis' },
+    h('h2', {}, 'Analysis'),
+    markdown.childNodes.length > 0 ? markdown : h('p', { className: 'muted' }, 'No analysis saved for this ad.')
+  );
+}
+
+export async function renderAdDetail(container, { api, id, navigate }) {
+  clear(container).append(h('p', { className: 'list-status' }, 'Loading ad...'));
+
+  let ad;
+  try {
+    ad = await api.getAd(id);
+  } catch (error) {
+    if (error.status === 401) {
+      navigate('#/sign-in');
+      return;
+    }
+    clear(container).append(
+      h('a', { href: '#/', className: 'back-link' }, '← Back to ads'),
+      h('p', { className: 'list-status error' }, error.status === 404 ? 'This ad no longer exists.' : `Failed to load ad: ${error.message}`)
+    );
+    return;
+  }
+
+  const screenshotUrl = ad.capture?.screenshot_url || ad.screenshot_url;
+  const otherAds = ad.capture?.ads_found > 1
+    ? `Ad ${ad.ad_index + 1} of ${ad.capture.ads_found} in this capture`
+    : null;
+
+  clear(container).append(
+    h('a', { href: '#/', className: 'back-link' }, '← Back to ads'),
+    h('article', { className: 'ad-detail' },
+      h('div', { className: 'ad-detail-media' },
+        screenshotUrl
+          ? h('a', { href: screenshotUrl, target: '_blank', rel: 'noopener noreferrer' },
+            h('img', { src: screenshotUrl, alt: `Screenshot of ${ad.advertiser_name || 'ad'}` }))
+          : h('div', { className: 'ad-thumb-empty' }, 'No screenshot'),
+        otherAds ? h('p', { className: 'muted' }, otherAds) : null
+      ),
+      h('div', { className: 'ad-detail-info' },
+        h('h1', {}, ad.advertiser_id
+          ? h('a', { href: `#/advertisers/${ad.advertiser_id}`, className: 'advertiser-link' }, ad.advertiser_name)
+          : ad.advertiser_name || 'Unknown advertiser'),
+        ad.headline ? h('p', { className: 'ad-headline' }, ad.headline) : null,
+        renderFields(ad),
+        renderSightings(ad.sightings),
+        renderAnalysis(ad)
+      )
+    )
+  );
+}
@@ -0,0 +1,149 @@
+import { h, clear, formatDate } from '../dom.js';
+
+const PAGE_SIZE = 24;
+
+const SORT_OPTIONS = [
+  { value: 'created_at:desc', label: 'Newest first' },
+  { value: 'created_at:asc', label: 'Oldest first' },
+  { value: 'advertiser_name:asc', label: 'Advertiser A-Z' },
+  { value: 'platform:asc', label: 'Platform' }
+];
+
+const PLATFORMS = ['facebook', 'instagram', 'unknown'];
+
+// Turn the hash query (#/?platform=facebook&...) into list API parameters
+function toListParams(params) {
+  const [sort, order] = (params.get('sort') || SORT_OPTIONS[0].value).split(':');
+
+  return {
+    platform: params.get('platform') || undefined,
+    advertiser_name: params.get('advertiser') || undefined,
+    created_after: params.get('from') || undefined,
+    created_before: params.get('to') ? nextDay(params.get('to')) : undefined,
+    sort,
+    order,
+    limit: PAGE_SIZE
+  };
+}
+
+// Date inputs are inclusive, created_before is exclusive
+function nextDay(date) {
+  const value = new Date(`${date}T00:00:00Z`);
+  value.setUTCDate(value.getUTCDate() + 1);
+  return value.toISOString();
+}
+
+// Render { text, match } highlight segments from the search API
+function renderHighlight(segments) {
+  return segments.map(segment => (segment.match ? h('mark', {}, segment.text) : segment.text));
+}
+
+function renderFilters(params, onSubmit) {
+  const field = (label, control) => h('label', { className: 'filter' }, h('span', {}, label), control);
+
+  const form = h('form', { className: 'filters', onSubmit: event => {
+    event.preventDefault();
+    const data = new FormData(form);
+    const next = new URLSearchParams();
+    for (const [name, value] of data.entries()) {
+      if (value) {
+        next.set(name, value);
+      }
+    }
+    onSubmit(next);
+  } },
+    field('Search', h('input', { type: 'search', name: 'q', value: params.get('q') || '', placeholder: 'e.g. "free shipping"' })),
+    field('Platform', h('select', { name: 'platform' },
+      h('option', { value: '' }, 'All platforms'),
+      PLATFORMS.map(platform => h('option', { value: platform, selected: params.get('platform') === platform }, platform))
+    )),
+    field('Advertiser', h('input', { type: 'text', name: 'advertiser', value: params.get('advertiser') || '' })),
+    field('From', h('input', { type: 'date', name: 'from', value: params.get('from') || '' })),
+    field('To', h('input', { type: 'date', name: 'to', value: params.get('to') || '' })),
+    field('Sort', h('select', { name: 'sort' },
+      SORT_OPTIONS.map(option => h('option', { value: option.value, selected: params.get('sort') === option.value }, option.label))
+    )),
+    h('div', { className: 'filter-actions' },
+      h('button', { type: 'submit', className: 'btn primary' }, 'Apply'),
+      h('a', { href: '#/', className: 'btn link' }, 'Reset')
+    )
+  );
+
+  return form;
+}
+
+export function renderCard(ad) {
+  const highlights = ad.highlights || {};
+  const snippet = highlights.description || highlights.analysis;
+
+  return h('a', { href: `#/ads/${ad.id}`, className: 'ad-card' },
+    h('div', { className: 'ad-thumb' },
+      ad.thumbnail_url
+        ? h('img', { src: ad.thumbnail_url, alt: '', loading: 'lazy' })
+        : h('span', { className: 'ad-thumb-empty' }, 'No screenshot')
+    ),
+    h('div', { className: 'ad-body' },
+      h('div', { className: 'ad-meta' },
+        h('span', { className: `platform platform-${ad.platform || 'unknown'}` }, ad.platform || 'unknown'),
+        ad.seen_count > 1 ? h('span', { className: 'seen-count', title: `Last seen ${formatDate(ad.last_seen_at)}` }, `Seen ${ad.seen_count}x`) : null,
+        h('time', { datetime: ad.created_at }, formatDate(ad.created_at))
+      ),
+      h('h3', { className: 'ad-advertiser' }, ad.advertiser_name || 'Unknown advertiser'),
+      h('p', { className: 'ad-headline' }, highlights.headline ? renderHighlight(highlights.headline) : (ad.headline || 'No headline')),
+      snippet ? h('p', { className: 'ad-snippet' }, renderHighlight(snippet)) : null,
+      ad.call_to_action ? h('span', { className: 'ad-cta' }, ad.call_to_action) : null
+    )
+  );
+}
+
+export async function renderAdsGrid(container, { api, params, navigate }) {
+  const listParams = toListParams(params);
+  const search = (params.get('q') || '').trim();
+  const grid = h('div', { className: 'ad-grid' });
+  const status = h('p', { className: 'list-status' }, 'Loading ads...');
+  const loadMore = h('button', { type: 'button', className: 'btn secondary', hidden: true }, 'Load more');
+  let loaded = 0;
+  let cursor = null;
+  let offset = 0;
+
+  clear(container).append(
+    renderFilters(params, next => navigate(`#/?${next}`)),
+    status,
+    grid,
+    h('div', { className: 'list-footer' }, loadMore)
+  );
+
+  async function loadPage() {
+    loadMore.disabled = true;
+
+    try {
+      // Searches are ranked by relevance; only the platform filter applies to them
+      const result = search
+        ? await api.searchAds({ q: search, platform: listParams.platform, limit: PAGE_SIZE, offset })
+        : await api.listAds({ ...listParams, cursor: cursor || undefined });
+      const ads = search ? result.results : result.ads;
+
+      grid.append(...ads.map(renderCard));
+      loaded += ads.length;
+      cursor = result.next_cursor;
+      offset = result.next_offset ?? offset;
+
+      loadMore.hidden = !result.has_more;
+      status.textContent = loaded === 0 && !result.has_more
+        ? 'No saved ads match these filters.'
+        : `${loaded} ad(s)${search ? ' by relevance' : ''}${result.has_more ? ' - more available' : ''}`;
+    } catch (error) {
+      if (error.status === 401) {
+        navigate('#/sign-in');
+        return;
+      }
+      status.textContent = `Failed to load ads: ${error.message}`;
+      status.classList.add('error');
+    } finally {
+      loadMore.disabled = false;
+    }
+  }
+
+  loadMore.addEventListener('click', loadPage);
+  await loadPage();
+}
@@ -0,0 +1,76 @@
+import { h, clear, formatDate } from '../dom.js';
+import { renderCard } from './ads-grid.js';
+
+// Horizontal bars for a [{ value, count }] tally
+function renderTally(title, entries) {
+  const highest = Math.max(1, ...entries.map(entry => entry.count));
+
+  return h('section', { className: 'profile-panel' },
+    h('h2', {}, title),
+    entries.length === 0
+      ? h('p', { className: 'muted' }, 'Nothing captured yet')
+      : h('ul', { className: 'tally' },
+        entries.map(entry => h('li', {},
+          h('span', { className: 'tally-label' }, entry.value),
+          h('span', { className: 'tally-bar', style: `width: ${Math.round((entry.count / highest) * 100)}%` }),
+          h('span', { className: 'tally-count' }, entry.count)
+        ))
+      )
+  );
+}
+
+function renderTimeline(timeline) {
+  const highest = Math.max(1, ...timeline.map(day => day.ads));
+
+  return h('section', { className: 'profile-panel' },
+    h('h2', {}, 'Capture timeline'),
+    h('ol', { className: 'timeline' },
+      timeline.map(day => h('li', { title: `${day.ads} ad(s) in ${day.captures} capture(s)` },
+        h('span', { className: 'timeline-bar', style: `height: ${Math.round((day.ads / highest) * 100)}%` }),
+        h('time', { datetime: day.date }, day.date.slice(5))
+      ))
+    )
+  );
+}
+
+export async function renderAdvertiserProfile(container, { api, id, navigate }) {
+  clear(container).append(h('p', { className: 'list-status' }, 'Loading advertiser...'));
+
+  let result;
+  try {
+    result = await api.getAdvertiser(id);
+  } catch (error) {
+    if (error.status === 401) {
+      navigate('#/sign-in');
+      return;
+    }
+    clear(container).append(
+      h('a', { href: '#/', className: 'back-link' }, '← Back to ads'),
+      h('p', { className: 'list-status error' }, error.status === 404 ? 'This advertiser no longer exists.' : `Failed to load advertiser: ${error.message}`)
+    );
+    return;
+  }
+
+  const { advertiser, profile, truncated } = result;
+  const otherNames = advertiser.aliases.filter(alias => alias !== advertiser.name);
+
+  clear(container).append(
+    h('a', { href: '#/', className: 'back-link' }, '← Back to ads'),
+    h('header', { className: 'profile-header' },
+      h('h1', {}, advertiser.name),
+      otherNames.length > 0 ? h('p', { className: 'muted' }, `Also seen as ${otherNames.join(', ')}`) : null,
+      h('p', { className: 'profile-stats' },
+        `${profile.ad_count}${truncated ? '+' : ''} ad(s) in ${profile.capture_count} capture(s)`,
+        profile.first_seen ? ` - first seen ${formatDate(profile.first_seen)}, last seen ${formatDate(profile.last_seen)}` : null
+      )
+    ),
+    h('div', { className: 'profile-panels' },
+      renderTally('Calls to action', profile.call_to_actions),
+      renderTally('Products / services', profile.products),
+      renderTally('Platforms', profile.platforms),
+      renderTimeline(profile.timeline)
+    ),
+    h('h2', { className: 'profile-section-title' }, 'Recent ads'),
+    h('div', { className: 'ad-grid' }, profile.recent_ads.map(renderCard))
+  );
+}
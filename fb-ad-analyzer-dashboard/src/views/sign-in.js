@@ -0,0 +1,33 @@
+import { h, clear } from '../dom.js';
+
+export function renderSignIn(container, { api, navigate }) {
+  const error = h('p', { className: 'form-error', hidden: true });
+  const submit = h('button', { type: 'submit', className: 'btn primary' }, 'Sign in');
+
+  const form = h('form', { className: 'sign-in', onSubmit: async event => {
+    event.preventDefault();
+    const data = new FormData(form);
+
+    submit.disabled = true;
+    error.hidden = true;
+
+    try {
+      await api.signIn(data.get('email'), data.get('password'));
+      navigate('#/');
+    } catch (signInError) {
+      error.textContent = signInError.message;
+      error.hidden = false;
+    } finally {
+      submit.disabled = false;
+    }
+  } },
+    h('h1', {}, 'Sign in'),
+    h('p', { className: 'muted' }, 'Use the same account as the browser extension.'),
+    h('label', {}, h('span', {}, 'Email'), h('input', { type: 'email', name: 'email', required: true, autocomplete: 'email' })),
+    h('label', {}, h('span', {}, 'Password'), h('input', { type: 'password', name: 'password', required: true, autocomplete: 'current-password' })),
+    error,
+    submit
+  );
+
+  clear(container).append(form);
+}
@@ -1,5 +1,29 @@
 // Facebook Ad Analyzer - Background Script (Service Worker)
-const API_ENDPOINT = 'https://fb-ad-analyzer-api.vercel.app';
+import {
+  isRetryableError,
+  getPendingOperations,
+  queueOperation,
+  removeOperation
+} from './operation-queue.js';
+
+const DEFAULT_API_ENDPOINT = 'https://fb-ad-analyzer-api.vercel.app';
+
+// Settings from the options page (chrome.storage.sync) and their defaults.
+// The auth token is kept in storage.local so it never syncs.
+const DEFAULT_SETTINGS = {
+  apiEndpoint: DEFAULT_API_ENDPOINT,
+  autoAnalyze: true,
+  saveMode: 'auto',
+  imageFormat: 'png',
+  imageQuality: 0.9,
+  analysisDepth: 'high'
+};
+
+const IMAGE_FORMATS = ['png', 'jpeg', 'webp'];
+const ANALYSIS_DEPTHS = ['low', 'high', 'auto'];
+
+// The API rejects requests with more Ad Library ads than this (MAX_LIBRARY_ADS)
+const MAX_LIBRARY_ADS = 50;
 
 // Utility function for fetch with timeout
 async function fetchWithTimeout(url, options = {}, timeoutMs = 15000) {
@@ -22,9 +46,42 @@ async function fetchWithTimeout(url, options = {}, timeoutMs = 15000) {
   }
 }
 
+// Authenticated fetch - adds the bearer token and retries once after refreshing on 401.
+// An auth token set on the options page is used as is instead of the session.
+async function fetchWithAuth(url, options = {}, timeoutMs = 15000) {
+  const send = (accessToken) => fetchWithTimeout(url, {
+    ...options,
+    headers: {
+      ...options.headers,
+      'Authorization': `Bearer ${accessToken}`
+    }
+  }, timeoutMs);
+  
+  const { authToken } = await getSettings();
+  if (authToken) {
+    return send(authToken);
+  }
+  
+  const session = await getValidSession();
+  const response = await send(session.access_token);
+  
+  if (response.status !== 401) {
+    return response;
+  }
+  
+  console.log('Access token rejected, refreshing session...');
+  const refreshed = await refreshSession(session);
+  return send(refreshed.access_token);
+}
+
 let isCapturing = false;
 let captureTabId = null;
 
+// Ad card batches deliver several captures at once: ids must stay unique
+// and the capture count must not lose increments
+let lastCaptureTimestamp = 0;
+let captureCountUpdate = Promise.resolve();
+
 // Initialize extension
 chrome.runtime.onInstalled.addListener((details) => {
   try {
@@ -34,7 +91,7 @@ chrome.runtime.onInstalled.addListener((details) => {
       // Set default settings with error handling
       chrome.storage.sync.set({
         autoAnalyze: true,
-        captureFormat: 'screenshot'
+        saveMode: 'auto'
       }).catch(error => {
         console.error('Failed to set sync storage:', error);
       });
@@ -46,12 +103,37 @@ chrome.runtime.onInstalled.addListener((details) => {
       }).catch(error => {
         console.error('Failed to set local storage:', error);
       });
+    } else if (details.reason === 'update') {
+      // Replaced by imageFormat
+      chrome.storage.sync.remove('captureFormat').catch(error => {
+        console.error('Failed to remove old settings:', error);
+      });
     }
   } catch (error) {
     console.error('Extension initialization failed:', error);
   }
 });
 
+// A session only works with the server that issued it
+chrome.storage.onChanged.addListener((changes, area) => {
+  const endpoint = changes.apiEndpoint;
+  if (area === 'sync' && endpoint && normalizeApiEndpoint(endpoint.oldValue) !== normalizeApiEndpoint(endpoint.newValue)) {
+    chrome.storage.local.remove('authSession').catch(error => {
+      console.error('Failed to clear session after the API endpoint changed:', error);
+    });
+  }
+});
+
+// Pick up analysis jobs and queued operations left over from the last session
+chrome.runtime.onStartup.addListener(() => {
+  resumeAnalysisJobs().catch(error => {
+    console.error('Failed to resume analysis jobs:', error);
+  });
+  processPendingOperations().catch(error => {
+    console.error('Failed to process pending operations:', error);
+  });
+});
+
 // Handle extension icon click - Quick screenshot
 chrome.action.onClicked.addListener(async (tab) => {
   try {
@@ -75,8 +157,10 @@ chrome.action.onClicked.addListener(async (tab) => {
   }
 });
 
-// Handle messages from content scripts and popup
-chrome.runtime.onMessage.addListener(async (message, sender, sendResponse) => {
+// Handle messages from content scripts and popup. The listener must not be
+// async: Chrome only keeps the channel open for a literal `true` return, so
+// async work replies through sendResponse from its own .then/.catch.
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   try {
     switch (message.type) {
       case 'START_SCREENSHOT_CAPTURE':
@@ -109,6 +193,25 @@ chrome.runtime.onMessage.addListener(async (message, sender, sendResponse) => {
         
         return true; // Keep port open for async work
         
+      case 'START_FULL_PAGE_CAPTURE':
+        sendResponse({ success: true, message: 'Full-page capture initiated' });
+        
+        (async () => {
+          try {
+            const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+            if (!activeTab || !activeTab.id) {
+              console.error('No active tab found');
+              return;
+            }
+            
+            await startFullPageCapture(activeTab.id);
+          } catch (error) {
+            console.error('Async full-page capture failed:', error);
+          }
+        })();
+        
+        return true;
+        
       case 'SCREENSHOT_SELECTED':
         // This should only come from content scripts, so sender.tab should exist
         const contentTabId = sender.tab?.id;
@@ -119,6 +222,14 @@ chrome.runtime.onMessage.addListener(async (message, sender, sendResponse) => {
         handleScreenshotCapture(message.data, contentTabId);
         break;
         
+      case 'AD_CARDS_SELECTED':
+        if (!sender.tab?.id) {
+          console.error('AD_CARDS_SELECTED message without valid tab ID');
+          break;
+        }
+        handleAdCardCaptures(message.data, sender.tab.id);
+        break;
+        
       case 'ANALYZE_SCREENSHOT':
         handleScreenshotAnalysis(message.data);
         break;
@@ -130,6 +241,86 @@ chrome.runtime.onMessage.addListener(async (message, sender, sendResponse) => {
         });
         return true; // Will respond asynchronously
         
+      case 'AUTH_SIGN_IN':
+        signIn(message.email, message.password).then(sendResponse).catch(error => {
+          console.error('Sign in failed:', error);
+          sendResponse({ success: false, error: error.message });
+        });
+        return true; // Will respond asynchronously
+        
+      case 'AUTH_SIGN_OUT':
+        signOut().then(sendResponse).catch(error => {
+          console.error('Sign out failed:', error);
+          sendResponse({ success: false, error: error.message });
+        });
+        return true; // Will respond asynchronously
+        
+      case 'GET_AUTH_STATUS':
+        getAuthStatus().then(sendResponse).catch(error => {
+          console.error('Failed to get auth status:', error);
+          sendResponse({ signedIn: false, error: error.message });
+        });
+        return true; // Will respond asynchronously
+        
+      case 'REANALYZE_CAPTURE':
+        // Progress arrives through latestAnalysis like any other analysis
+        sendResponse({ success: true });
+        reanalyzeCapture(message.captureId).catch(error => {
+          console.error('Re-analysis failed:', error);
+        });
+        break;
+        
+      case 'RESAVE_CAPTURE':
+        resaveCapture(message.captureId).then(sendResponse).catch(error => {
+          console.error('Re-save failed:', error);
+          sendResponse({ success: false, error: error.message });
+        });
+        return true; // Will respond asynchronously
+        
+      case 'SAVE_SINGLE_AD':
+        saveSingleAd(message.captureId, message.adIndex, message.ad).then(sendResponse).catch(error => {
+          console.error('Saving ad failed:', error);
+          sendResponse({ success: false, error: error.message });
+        });
+        return true; // Will respond asynchronously
+        
+      case 'SAVE_REVIEWED_CAPTURE':
+        saveReviewedCapture(message.captureId, message.ads).then(sendResponse).catch(error => {
+          console.error('Saving reviewed capture failed:', error);
+          sendResponse({ success: false, error: error.message });
+        });
+        return true; // Will respond asynchronously
+        
+      case 'RETRY_PENDING':
+        // Progress shows up in pendingOperations; don't make the popup wait for it
+        sendResponse({ success: true });
+        processPendingOperations({ force: true }).catch(error => {
+          console.error('Retrying pending operations failed:', error);
+        });
+        break;
+        
+      case 'ADD_WATCH_TARGET':
+        addWatchTarget(message.target).then(sendResponse).catch(error => {
+          console.error('Adding watch target failed:', error);
+          sendResponse({ success: false, error: error.message });
+        });
+        return true; // Will respond asynchronously
+        
+      case 'REMOVE_WATCH_TARGET':
+        removeWatchTarget(message.targetId).then(sendResponse).catch(error => {
+          console.error('Removing watch target failed:', error);
+          sendResponse({ success: false, error: error.message });
+        });
+        return true; // Will respond asynchronously
+        
+      case 'CHECK_WATCH_TARGET':
+        // Results show up in watchTargets; a check can take a minute
+        sendResponse({ success: true });
+        checkWatchTargets({ targetId: message.targetId }).catch(error => {
+          console.error('Watch target check failed:', error);
+        });
+        break;
+        
       case 'API_TEST':
         testApiConnection().then(sendResponse).catch(error => {
           console.error('API test failed:', error);
@@ -211,10 +402,13 @@ async function startScreenshotCapture(tabId) {
       
       // Send screenshot to content script for area selection
       try {
+        const { imageFormat, imageQuality } = await getSettings();
         chrome.tabs.sendMessage(tabId, {
           type: 'START_SCREEN_CAPTURE',
           imageDataUrl: screenshotDataUrl,
-          method: 'tab_capture'
+          method: 'tab_capture',
+          // The content script crops the selection in this format
+          image: { format: imageFormat, quality: imageQuality }
         });
       } catch (messageError) {
         console.error('Failed to send screenshot to content script:', messageError);
@@ -236,246 +430,1276 @@ async function startScreenshotCapture(tabId) {
   }
 }
 
-async function handleScreenshotCapture(screenshotData, tabId) {
+// Full-page capture scrolls the tab one viewport at a time, capturing each
+// one, and stitches the captures into a single tall image. The API splits it
+// back into model-sized tiles. Chrome allows about two captures per second.
+const FULL_PAGE_MAX_HEIGHT = 15000;
+const FULL_PAGE_CAPTURE_INTERVAL_MS = 600;
+
+async function startFullPageCapture(tabId) {
+  if (isCapturing) {
+    console.error('Already capturing, ignoring request');
+    return;
+  }
+  
+  isCapturing = true;
+  captureTabId = tabId;
+  
   try {
-    console.log('Screenshot captured:', screenshotData);
-    
-    // Store the captured screenshot data
-    const timestamp = Date.now();
-    const captureId = `capture_${timestamp}`;
-    
-    await chrome.storage.local.set({
-      [captureId]: {
-        ...screenshotData,
-        timestamp,
-        tabId,
-        status: 'captured'
-      }
+    await chrome.scripting.executeScript({
+      target: { tabId },
+      files: ['content.js']
     });
     
-    // Update capture count
-    const result = await chrome.storage.local.get(['captureCount']);
-    const newCount = (result.captureCount || 0) + 1;
-    await chrome.storage.local.set({ captureCount: newCount });
+    const tab = await chrome.tabs.get(tabId);
+    const page = await chrome.tabs.sendMessage(tabId, { type: 'FULL_PAGE_PREPARE' });
+    const height = Math.min(page.scrollHeight, FULL_PAGE_MAX_HEIGHT);
+    const shots = [];
+    let finished = null;
     
-    // Store latest capture info for popup to pick up
-    await chrome.storage.local.set({
-      latestCapture: {
-        captureId,
-        timestamp,
-        status: 'captured',
-        data: screenshotData
-      }
-    });
+    console.log('Starting full-page capture:', { tabId, width: page.width, height });
     
-    // Notify popup if open
     try {
-      chrome.runtime.sendMessage({
-        type: 'SCREENSHOT_CAPTURED',
-        data: { ...screenshotData, captureId }
-      });
-    } catch (error) {
-      // Popup might not be open, that's okay
-      console.log('Could not notify popup:', error.message);
-    }
-    
-    // Check if auto-analysis is enabled
-    const settings = await chrome.storage.sync.get(['autoAnalyze']);
-    console.log('Auto-analyze setting:', settings.autoAnalyze);
-    
-    if (settings.autoAnalyze !== false) {
-      console.log('Starting auto-analysis for screenshot:', captureId);
-      await handleScreenshotAnalysis({ ...screenshotData, captureId });
-    } else {
-      console.log('Auto-analysis disabled, skipping analysis');
+      for (let y = 0; y < height; y += page.height) {
+        const { scrollY } = await chrome.tabs.sendMessage(tabId, { type: 'FULL_PAGE_SCROLL', y });
+        
+        if (shots.length > 0) {
+          await sleep(FULL_PAGE_CAPTURE_INTERVAL_MS);
+        }
+        
+        const dataUrl = await chrome.tabs.captureVisibleTab(tab.windowId, { format: 'png' });
+        shots.push({ dataUrl, y: scrollY });
+        
+        // The last scroll stops short at the bottom of the page
+        if (scrollY + page.height >= height) {
+          break;
+        }
+      }
+    } finally {
+      // Always scroll back and restore the page, even if a capture failed
+      finished = await chrome.tabs.sendMessage(tabId, { type: 'FULL_PAGE_FINISH', height })
+        .catch(error => console.error('Failed to restore page after full-page capture:', error));
     }
     
-    // Reset capture state
-    isCapturing = false;
-    captureTabId = null;
+    const imageDataUrl = await stitchCaptures(shots, page.width, height);
+    console.log('Full-page capture stitched:', { viewports: shots.length, length: imageDataUrl.length });
     
+    await handleScreenshotCapture({
+      imageDataUrl,
+      dimensions: {
+        width: page.width,
+        height,
+        originalWidth: page.width,
+        originalHeight: height
+      },
+      selection: { left: 0, top: 0, width: page.width, height },
+      timestamp: Date.now(),
+      method: 'full_page',
+      url: tab.url,
+      title: tab.title,
+      libraryAds: finished?.libraryAds || null
+    }, tabId);
+  
   } catch (error) {
-    console.error('Failed to handle screenshot capture:', error);
     isCapturing = false;
     captureTabId = null;
+    console.error('Full-page capture failed:', error);
+    await failAnalysis({}, new Error('Full-page capture failed: ' + error.message));
   }
 }
 
-async function handleScreenshotAnalysis(screenshotData) {
+// Draw the viewport captures onto one canvas at CSS pixel scale. A long page
+// in PNG would not fit within the API's upload limit, so PNG becomes JPEG.
+async function stitchCaptures(shots, width, height) {
+  const canvas = new OffscreenCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+  
+  for (const shot of shots) {
+    const bitmap = await createImageBitmap(await (await fetch(shot.dataUrl)).blob());
+    // Captures are in device pixels
+    const scale = width / bitmap.width;
+    ctx.drawImage(bitmap, 0, shot.y, width, bitmap.height * scale);
+    bitmap.close();
+  }
+  
+  const settings = await getSettings();
+  return canvasToDataUrl(canvas, {
+    ...settings,
+    imageFormat: settings.imageFormat === 'png' ? 'jpeg' : settings.imageFormat
+  });
+}
+
+// Encode a canvas in the configured image format (quality is ignored for PNG)
+async function canvasToDataUrl(canvas, { imageFormat, imageQuality }) {
+  const blob = await canvas.convertToBlob({ type: `image/${imageFormat}`, quality: imageQuality });
+  return blobToDataUrl(blob);
+}
+
+// Store the capture and submit its analysis job. The job is polled detached,
+// so the capture state is released as soon as the screenshot is handed off.
+// Background captures (watch target checks) are always analyzed and leave the
+// user's capture state alone.
+async function handleScreenshotCapture(screenshotData, tabId, { background = false } = {}) {
   try {
-    console.log('Starting screenshot analysis:', screenshotData);
-    
-    // Test API connection first
-    console.log('Testing API connection...');
-    const apiTest = await testApiConnection();
-    console.log('API test result:', apiTest);
+    const captureId = await storeCapture(screenshotData, tabId);
     
-    if (!apiTest.success) {
-      throw new Error('API connection failed: ' + (apiTest.error || 'Unknown error'));
-    }
-    
-    console.log('API connection successful, sending analysis request...');
+    // Check if auto-analysis is enabled
+    const settings = await getSettings();
+    console.log('Auto-analyze setting:', settings.autoAnalyze);
     
-    // Log image data info for debugging
-    const imageData = screenshotData.imageDataUrl || screenshotData.croppedImageDataUrl;
-    if (imageData) {
-      console.log('Image data found:', imageData.substring(0, 50) + '... (length:', imageData.length, ')');
+    if (background || settings.autoAnalyze) {
+      console.log('Starting auto-analysis for screenshot:', captureId);
+      pollInBackground(await startScreenshotAnalysis({ ...screenshotData, captureId }));
     } else {
-      console.error('No image data found in screenshot data:', Object.keys(screenshotData));
-    }
-    
-    // Send analysis request with timeout
-    const response = await fetchWithTimeout(`${API_ENDPOINT}/api/hello`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        type: 'analyze_screenshot',
-        data: screenshotData,
-        timestamp: Date.now()
-      })
-    }, 20000); // 20 second timeout for analysis
-    
-    console.log('Analysis API response status:', response.status);
-    
-    if (!response.ok) {
-      throw new Error(`API request failed: ${response.status} ${response.statusText}`);
+      console.log('Auto-analysis disabled, skipping analysis');
     }
     
-    const result = await response.json();
-    console.log('Analysis API result:', result);
-    
-    // Store analysis result
-    if (screenshotData.captureId) {
-      const existingCapture = await chrome.storage.local.get([screenshotData.captureId]);
-      if (existingCapture[screenshotData.captureId]) {
-        existingCapture[screenshotData.captureId].analysis = result;
-        existingCapture[screenshotData.captureId].status = 'analyzed';
-        await chrome.storage.local.set(existingCapture);
-      }
+  } catch (error) {
+    console.error('Failed to handle screenshot capture:', error);
+    if (background) {
+      throw error;
     }
-    
-    // Update last analysis timestamp and store result for popup
-    await chrome.storage.local.set({ 
-      lastAnalysis: Date.now(),
-      latestAnalysis: {
-        timestamp: Date.now(),
-        captureId: screenshotData.captureId,
-        result: result,
-        status: 'completed'
-      }
-    });
-    
-    // Notify popup
-    try {
-      chrome.runtime.sendMessage({
-        type: 'ANALYSIS_COMPLETE',
-        data: result
-      });
-    } catch (error) {
-      // Popup might not be open
-      console.log('Could not notify popup of analysis completion:', error.message);
+  } finally {
+    if (!background) {
+      // Reset capture state
+      isCapturing = false;
+      captureTabId = null;
     }
+  }
+}
+
+// Ad cards from "capture all visible ads" are stored and submitted one at a
+// time, so the batch doesn't test the API and upload every card at once.
+// Their analyses are polled in the background, so the capture state is free
+// again once the last card is submitted.
+async function handleAdCardCaptures(cards, tabId) {
+  try {
+    const { autoAnalyze } = await getSettings();
     
-    console.log('Analysis complete:', result);
-    
-    // Save analysis data to database
-    await saveAnalysisToDatabase(screenshotData, result);
-    
-  } catch (error) {
-    console.error('Analysis failed:', error);
-    
-    // Store error result for popup
-    await chrome.storage.local.set({
-      latestAnalysis: {
-        timestamp: Date.now(),
-        captureId: screenshotData.captureId,
-        error: error.message,
-        status: 'error'
+    for (const screenshotData of cards) {
+      try {
+        const captureId = await storeCapture(screenshotData, tabId);
+        if (autoAnalyze) {
+          pollInBackground(await startScreenshotAnalysis({ ...screenshotData, captureId }));
+        }
+      } catch (error) {
+        console.error('Failed to handle ad card capture:', error);
       }
-    });
-    
-    // Notify popup about error
-    try {
-      chrome.runtime.sendMessage({
-        type: 'ANALYSIS_ERROR',
-        error: error.message
-      });
-    } catch (e) {
-      // Popup might not be open
-      console.log('Could not notify popup of analysis error:', e.message);
     }
+  } finally {
+    isCapturing = false;
+    captureTabId = null;
   }
 }
 
-async function testApiConnection() {
-  try {
-    const response = await fetchWithTimeout(`${API_ENDPOINT}/api/hello`, {
-      method: 'GET',
-      headers: {
-        'Content-Type': 'application/json',
-      }
-    }, 10000); // 10 second timeout for connection test
-    
-    if (!response.ok) {
-      return {
-        success: false,
-        error: `HTTP ${response.status}: ${response.statusText}`
-      };
+// Poll a submitted job without holding up the caller
+function pollInBackground(jobKey) {
+  if (!jobKey) {
+    return;
+  }
+  
+  pollAnalysisJob(jobKey).catch(error => {
+    console.error('Failed to poll analysis job:', jobKey, error);
+  });
+}
+
+// Store a new capture and tell the popup about it. Returns the capture id.
+async function storeCapture(screenshotData, tabId) {
+  console.log('Screenshot captured:', screenshotData);
+  
+  // Store the captured screenshot data
+  const timestamp = Math.max(Date.now(), lastCaptureTimestamp + 1);
+  lastCaptureTimestamp = timestamp;
+  const captureId = `capture_${timestamp}`;
+  
+  await chrome.storage.local.set({
+    [captureId]: {
+      ...screenshotData,
+      timestamp,
+      tabId,
+      status: 'captured'
     }
-    
-    const data = await response.json();
-    return {
-      success: true,
-      data
-    };
-    
+  });
+  
+  // Update capture count
+  captureCountUpdate = captureCountUpdate.then(async () => {
+    const result = await chrome.storage.local.get(['captureCount']);
+    const newCount = (result.captureCount || 0) + 1;
+    await chrome.storage.local.set({ captureCount: newCount });
+  }).catch(error => console.error('Failed to update capture count:', error));
+  await captureCountUpdate;
+  
+  // Store latest capture info for popup to pick up
+  await chrome.storage.local.set({
+    latestCapture: {
+      captureId,
+      timestamp,
+      status: 'captured',
+      data: screenshotData
+    }
+  });
+  
+  // Notify popup if open
+  try {
+    chrome.runtime.sendMessage({
+      type: 'SCREENSHOT_CAPTURED',
+      data: { ...screenshotData, captureId }
+    });
   } catch (error) {
-    return {
-      success: false,
-      error: error.message
-    };
+    // Popup might not be open, that's okay
+    console.log('Could not notify popup:', error.message);
   }
+  
+  return captureId;
 }
 
-async function getSettings() {
+// Analyses run as server-side jobs so slow model calls don't hit request timeouts.
+// Pending jobs are kept in storage and resumed after the popup or worker closes.
+const JOB_POLL_INTERVAL_MS = 2000;
+const JOB_POLL_WINDOW_MS = 3 * 60 * 1000;
+const JOB_MAX_AGE_MS = 30 * 60 * 1000;
+
+// Jobs this worker instance is already polling
+const activeJobPolls = new Set();
+
+// Submissions, resumed polls and batch captures all rewrite analysisJobs,
+// so updates run one at a time on the latest stored copy
+let analysisJobsUpdate = Promise.resolve();
+
+function updateAnalysisJobs(update) {
+  const next = analysisJobsUpdate.then(async () => {
+    const { analysisJobs = {} } = await chrome.storage.local.get(['analysisJobs']);
+    update(analysisJobs);
+    await chrome.storage.local.set({ analysisJobs });
+    return analysisJobs;
+  });
+  analysisJobsUpdate = next.catch(() => {});
+  return next;
+}
+
+async function handleScreenshotAnalysis(screenshotData) {
+  const jobKey = await startScreenshotAnalysis(screenshotData);
+  
+  if (jobKey) {
+    await pollAnalysisJob(jobKey);
+  }
+}
+
+// Submit the analysis job, queueing it for retry when that fails.
+// Returns the job's key, or null when it was not submitted.
+async function startScreenshotAnalysis(screenshotData) {
   try {
-    const syncSettings = await chrome.storage.sync.get([
-      'autoAnalyze',
-      'captureFormat'
-    ]);
-    
-    const localData = await chrome.storage.local.get([
-      'captureCount',
-      'lastAnalysis'
-    ]);
-    
-    return {
-      ...syncSettings,
-      ...localData,
-      apiEndpoint: API_ENDPOINT
-    };
-    
+    return await submitAnalysisJob(screenshotData);
   } catch (error) {
-    console.error('Failed to get settings:', error);
-    return {};
+    await handleOperationError('analyze', screenshotData, error);
+    return null;
   }
 }
 
-// Handle tab updates - extension works on all sites now
-chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
-  if (changeInfo.status === 'complete' && tab.url) {
-    // Update badge to show extension is ready on all sites
-    chrome.action.setBadgeText({
-      tabId: tabId,
-      text: '●'
-    });
-    
-    chrome.action.setBadgeBackgroundColor({
-      tabId: tabId,
-      color: '#1877f2'
-    });
+// Upload the screenshot as an analysis job and remember it for polling.
+// Returns the job's key in analysisJobs.
+async function submitAnalysisJob(screenshotData) {
+  console.log('Starting screenshot analysis:', screenshotData);
+  
+  // Test API connection first
+  console.log('Testing API connection...');
+  const apiTest = await testApiConnection();
+  console.log('API test result:', apiTest);
+  
+  if (!apiTest.success) {
+    throw Object.assign(new Error('API connection failed: ' + (apiTest.error || 'Unknown error')), { retryable: true });
+  }
+  
+  console.log('API connection successful, submitting analysis job...');
+  
+  // Log image data info for debugging
+  const imageData = await loadScreenshotImage(screenshotData);
+  if (imageData) {
+    console.log('Image data found:', imageData.substring(0, 50) + '... (length:', imageData.length, ')');
+  } else {
+    throw Object.assign(new Error('No image data found in screenshot data'), { retryable: false });
+  }
+  
+  const { analysisDepth } = await getSettings();
+  
+  // Submitting only uploads the screenshot; the analysis itself runs on the server
+  const response = await fetchWithAuth(await apiUrl('/api/jobs'), {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({
+      image_data_url: imageData,
+      source_url: screenshotData.url || null,
+      page_title: screenshotData.title || null,
+      detail: analysisDepth,
+      // Skip the server's analysis cache, e.g. when re-analyzing a capture
+      force: screenshotData.force === true,
+      // Ads read from the Ad Library page, checked against the model's extraction.
+      // A full-page capture can hold more; those further down go unchecked.
+      library_ads: Array.isArray(screenshotData.libraryAds) && screenshotData.libraryAds.length > 0
+        ? screenshotData.libraryAds.slice(0, MAX_LIBRARY_ADS)
+        : null
+    })
+  }, 20000); // 20 second timeout for the upload
+  
+  console.log('Analysis job response status:', response.status);
+  
+  if (!response.ok) {
+    throw await responseError(response, 'API request failed');
+  }
+  
+  const { job } = await response.json();
+  console.log('Analysis job queued:', job.id);
+  
+  const jobKey = screenshotData.captureId || `job_${job.id}`;
+  
+  await updateAnalysisJobs(analysisJobs => {
+    analysisJobs[jobKey] = {
+      jobId: job.id,
+      captureId: screenshotData.captureId || null,
+      submittedAt: Date.now(),
+      // Captures keep their own copy of the screenshot
+      screenshotData: screenshotData.captureId ? null : screenshotData
+    };
+  });
+  await setAnalysisStatus(screenshotData.captureId, job);
+  
+  return jobKey;
+}
+
+// The screenshot as a data URL. Saved captures only keep the uploaded copy,
+// which is downloaded again when the capture is re-analyzed or re-saved.
+async function loadScreenshotImage(screenshotData) {
+  const local = screenshotData.imageDataUrl || screenshotData.croppedImageDataUrl;
+  
+  if (local || !screenshotData.screenshotUrl) {
+    return local || null;
+  }
+  
+  const response = await fetchWithTimeout(screenshotData.screenshotUrl, {}, 15000);
+  
+  if (!response.ok) {
+    throw await responseError(response, 'Screenshot download failed');
+  }
+  
+  return blobToDataUrl(await response.blob());
+}
+
+async function blobToDataUrl(blob) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  let binary = '';
+  
+  // String.fromCharCode takes arguments, so convert in chunks
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  
+  return `data:${blob.type || 'image/png'};base64,${btoa(binary)}`;
+}
+
+async function updateCapture(captureId, values) {
+  if (!captureId) {
+    return;
+  }
+  
+  const storage = await chrome.storage.local.get([captureId]);
+  
+  if (storage[captureId]) {
+    await chrome.storage.local.set({ [captureId]: { ...storage[captureId], ...values } });
+  }
+}
+
+// Run a stored capture through analysis again, bypassing the server's cache
+async function reanalyzeCapture(captureId) {
+  const storage = await chrome.storage.local.get([captureId]);
+  const capture = storage[captureId];
+  
+  if (!capture) {
+    throw new Error('Capture not found');
+  }
+  
+  // The new analysis may number the ads differently
+  await updateCapture(captureId, { status: 'captured', error: null, savedAdIndexes: [] });
+  await handleScreenshotAnalysis({ ...capture, captureId, force: true });
+}
+
+// Save a stored capture's analysis to the database again
+async function resaveCapture(captureId) {
+  const storage = await chrome.storage.local.get([captureId]);
+  const capture = storage[captureId];
+  
+  if (!capture) {
+    throw new Error('Capture not found');
+  }
+  
+  if (!capture.analysis) {
+    throw new Error('This capture has not been analyzed yet');
+  }
+  
+  return saveAnalysisToDatabase({ ...capture, captureId }, capture.analysis);
+}
+
+// Save one ad from a capture's analysis on its own, with optional corrections
+async function saveSingleAd(captureId, adIndex, corrections = null) {
+  if (corrections) {
+    await applyAdCorrections(captureId, { [adIndex]: corrections });
+  }
+  
+  const storage = await chrome.storage.local.get([captureId]);
+  const capture = storage[captureId];
+  const analysis = capture?.analysis;
+  const ad = analysis?.structured_data?.[adIndex];
+  
+  if (!ad) {
+    throw new Error('Ad not found in this capture');
+  }
+  
+  // The saved ad becomes ad 0 of its own capture, so renumber its strategy to match
+  const strategy = analysis.strategic_analysis?.ads?.find(entry => entry.ad_index === adIndex);
+  const singleAdResult = {
+    ...analysis,
+    structured_data: [ad],
+    ads_found: 1,
+    strategic_analysis: analysis.strategic_analysis ? {
+      summary: analysis.strategic_analysis.summary,
+      ads: strategy ? [{ ...strategy, ad_index: 0 }] : []
+    } : null
+  };
+  
+  return saveAnalysisToDatabase({ ...capture, captureId, operationId: `save:${captureId}:${adIndex}`, adIndexes: [adIndex] }, singleAdResult);
+}
+
+// Error for a failed API response, carrying the HTTP status for retry decisions
+async function responseError(response, prefix) {
+  const errorData = await response.json().catch(() => ({}));
+  const error = new Error(`${prefix}: ${response.status} ${errorData.message || response.statusText}`);
+  error.status = response.status;
+  return error;
+}
+
+// Poll a stored job until it finishes or this worker's polling window ends.
+// Jobs still running after that are picked up again by the analysis-jobs alarm.
+async function pollAnalysisJob(jobKey) {
+  if (activeJobPolls.has(jobKey)) {
+    return;
+  }
+  
+  activeJobPolls.add(jobKey);
+  
+  try {
+    const deadline = Date.now() + JOB_POLL_WINDOW_MS;
+    let lastStatus = null;
+    
+    while (Date.now() < deadline) {
+      const { analysisJobs = {} } = await chrome.storage.local.get(['analysisJobs']);
+      const entry = analysisJobs[jobKey];
+      
+      if (!entry) {
+        return;
+      }
+      
+      const screenshotData = await loadJobScreenshotData(entry);
+      
+      let job;
+      try {
+        job = await fetchAnalysisJob(entry.jobId);
+      } catch (error) {
+        if (error.status === 404 || Date.now() - entry.submittedAt > JOB_MAX_AGE_MS) {
+          await forgetAnalysisJob(jobKey);
+          await failAnalysis(screenshotData, error);
+          return;
+        }
+        // Offline or a server hiccup - try again on the next tick
+        console.log('Analysis job poll failed, retrying:', error.message);
+        await sleep(JOB_POLL_INTERVAL_MS);
+        continue;
+      }
+      
+      if (job.status === 'completed') {
+        await forgetAnalysisJob(jobKey);
+        await completeAnalysis(screenshotData, job.result);
+        return;
+      }
+      
+      if (job.status === 'failed') {
+        await forgetAnalysisJob(jobKey);
+        await failAnalysis(screenshotData, new Error(job.error?.message || 'Analysis failed'));
+        return;
+      }
+      
+      if (Date.now() - entry.submittedAt > JOB_MAX_AGE_MS) {
+        await forgetAnalysisJob(jobKey);
+        await failAnalysis(screenshotData, new Error('Analysis is taking too long - try again later'));
+        return;
+      }
+      
+      if (job.status !== lastStatus) {
+        lastStatus = job.status;
+        await setAnalysisStatus(entry.captureId, job);
+      }
+      
+      await sleep(JOB_POLL_INTERVAL_MS);
+    }
+    
+    console.log('Analysis job still running, will check again later:', jobKey);
+  } finally {
+    activeJobPolls.delete(jobKey);
+  }
+}
+
+async function fetchAnalysisJob(jobId) {
+  const response = await fetchWithAuth(await apiUrl(`/api/jobs/${jobId}`), {
+    method: 'GET'
+  }, 10000);
+  
+  if (!response.ok) {
+    throw await responseError(response, 'Job status request failed');
+  }
+  
+  const result = await response.json();
+  return result.job;
+}
+
+// Resume every stored job, e.g. after the service worker was restarted
+async function resumeAnalysisJobs() {
+  const { analysisJobs = {} } = await chrome.storage.local.get(['analysisJobs']);
+  await Promise.all(Object.keys(analysisJobs).map(pollAnalysisJob));
+}
+
+async function forgetAnalysisJob(jobKey) {
+  await updateAnalysisJobs(analysisJobs => {
+    delete analysisJobs[jobKey];
+  });
+}
+
+// The screenshot a job was submitted for, from its capture when it has one
+async function loadJobScreenshotData(entry) {
+  if (!entry.captureId) {
+    return entry.screenshotData || {};
+  }
+  
+  const storage = await chrome.storage.local.get([entry.captureId]);
+  return { ...storage[entry.captureId], captureId: entry.captureId };
+}
+
+// Let the popup show queued/processing jobs
+async function setAnalysisStatus(captureId, job) {
+  await chrome.storage.local.set({
+    latestAnalysis: {
+      timestamp: Date.now(),
+      captureId,
+      jobId: job.id,
+      status: job.status
+    }
+  });
+}
+
+async function completeAnalysis(screenshotData, result) {
+  console.log('Analysis job result:', result);
+  
+  // In review-first mode the popup shows the fields for correction and saves
+  // them itself; only stored captures can be reviewed
+  const { saveMode } = await getSettings();
+  const review = saveMode === 'review' && !!screenshotData.captureId;
+  
+  // Store analysis result
+  if (screenshotData.captureId) {
+    const existingCapture = await chrome.storage.local.get([screenshotData.captureId]);
+    if (existingCapture[screenshotData.captureId]) {
+      existingCapture[screenshotData.captureId].analysis = result;
+      existingCapture[screenshotData.captureId].status = review ? 'review' : 'analyzed';
+      existingCapture[screenshotData.captureId].error = null;
+      await chrome.storage.local.set(existingCapture);
+    }
+  }
+  
+  // Update last analysis timestamp and store result for popup
+  await chrome.storage.local.set({
+    lastAnalysis: Date.now(),
+    latestAnalysis: {
+      timestamp: Date.now(),
+      captureId: screenshotData.captureId,
+      result: result,
+      review,
+      status: 'completed'
+    }
+  });
+  
+  // Notify popup
+  try {
+    chrome.runtime.sendMessage({
+      type: 'ANALYSIS_COMPLETE',
+      data: result,
+      captureId: screenshotData.captureId,
+      review
+    });
+  } catch (error) {
+    // Popup might not be open
+    console.log('Could not notify popup of analysis completion:', error.message);
+  }
+  
+  console.log('Analysis complete:', result);
+  
+  if (review) {
+    console.log('Waiting for review before saving:', screenshotData.captureId);
+    return;
+  }
+  
+  // Save analysis data to database
+  await saveAnalysisToDatabase(screenshotData, result);
+}
+
+// Store the user's corrections to a capture's extracted ads. `ads` maps ad
+// indexes to corrected fields. Returns the updated analysis.
+async function applyAdCorrections(captureId, ads) {
+  const storage = await chrome.storage.local.get([captureId]);
+  const capture = storage[captureId];
+  
+  if (!capture?.analysis) {
+    throw new Error('This capture has not been analyzed yet');
+  }
+  
+  const structuredData = (capture.analysis.structured_data || []).map((ad, index) => (
+    ads[index] ? { ...ad, ...ads[index] } : ad
+  ));
+  
+  const strategic = capture.analysis.strategic_analysis;
+  const analysis = {
+    ...capture.analysis,
+    structured_data: structuredData,
+    // Keep the per-ad strategy labelled with the corrected advertiser
+    strategic_analysis: strategic?.ads ? {
+      ...strategic,
+      ads: strategic.ads.map(entry => (
+        structuredData[entry.ad_index] ? { ...entry, advertiser_name: structuredData[entry.ad_index].advertiser_name } : entry
+      ))
+    } : strategic
+  };
+  
+  await chrome.storage.local.set({ [captureId]: { ...capture, analysis } });
+  return analysis;
+}
+
+// Save a reviewed capture with the user's corrections
+async function saveReviewedCapture(captureId, ads) {
+  await applyAdCorrections(captureId, ads);
+  return resaveCapture(captureId);
+}
+
+async function failAnalysis(screenshotData, error) {
+  console.error('Analysis failed:', error);
+  
+  await updateCapture(screenshotData.captureId, { status: 'error', error: error.message });
+  
+  // Store error result for popup
+  await chrome.storage.local.set({
+    latestAnalysis: {
+      timestamp: Date.now(),
+      captureId: screenshotData.captureId,
+      error: error.message,
+      status: 'error'
+    }
+  });
+  
+  // Notify popup about error
+  try {
+    chrome.runtime.sendMessage({
+      type: 'ANALYSIS_ERROR',
+      error: error.message
+    });
+  } catch (e) {
+    // Popup might not be open
+    console.log('Could not notify popup of analysis error:', e.message);
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Retries of the offline queue (operation-queue.js) run one pass at a time
+let isProcessingQueue = false;
+
+// Queue a failed operation for retry, or give up on it when retrying won't help
+async function handleOperationError(type, screenshotData, error, analysisResult = null) {
+  if (!isRetryableError(error)) {
+    if (type === 'analyze') {
+      await failAnalysis(screenshotData, error);
+    } else {
+      console.error('Failed to save analysis to database:', error);
+    }
+    return;
+  }
+  
+  const operation = await queueOperation(type, screenshotData, error, analysisResult);
+  console.log(`Queued ${type} for retry:`, operation.id, error.message);
+  
+  if (type === 'analyze') {
+    await chrome.storage.local.set({
+      latestAnalysis: {
+        timestamp: Date.now(),
+        captureId: screenshotData.captureId,
+        error: error.message,
+        status: 'pending'
+      }
+    });
+  }
+}
+
+// Screenshot data and analysis for a queued operation
+async function loadOperationData(operation) {
+  if (!operation.captureId) {
+    return { screenshotData: operation.screenshotData, analysisResult: operation.analysisResult };
+  }
+  
+  const storage = await chrome.storage.local.get([operation.captureId]);
+  const capture = storage[operation.captureId];
+  
+  if (!capture) {
+    return null;
+  }
+  
+  return {
+    screenshotData: { ...capture, captureId: operation.captureId, adIndexes: operation.adIndexes || null },
+    analysisResult: operation.analysisResult || capture.analysis || null
+  };
+}
+
+// Retry queued operations whose backoff has elapsed. `force` retries all of
+// them now, including ones that used up their attempts (popup "Retry now").
+async function processPendingOperations({ force = false } = {}) {
+  if (isProcessingQueue) {
+    return;
+  }
+  
+  isProcessingQueue = true;
+  
+  try {
+    const pendingOperations = await getPendingOperations();
+    const due = pendingOperations
+      .filter(operation => force || (operation.status === 'pending' && operation.nextAttemptAt <= Date.now()))
+      .sort((a, b) => a.createdAt - b.createdAt);
+    
+    for (const operation of due) {
+      const data = await loadOperationData(operation);
+      
+      if (!data) {
+        // The capture was deleted in the meantime
+        await removeOperation(operation.id);
+        continue;
+      }
+      
+      const screenshotData = { ...data.screenshotData, operationId: operation.id };
+      
+      try {
+        if (operation.type === 'analyze') {
+          const jobKey = await submitAnalysisJob(screenshotData);
+          await removeOperation(operation.id);
+          pollAnalysisJob(jobKey).catch(error => {
+            console.error('Failed to poll analysis job:', jobKey, error);
+          });
+        } else {
+          await postAnalysisToDatabase(screenshotData, data.analysisResult);
+          await removeOperation(operation.id);
+        }
+        console.log(`Queued ${operation.type} succeeded:`, operation.id);
+      } catch (error) {
+        if (!isRetryableError(error)) {
+          await removeOperation(operation.id);
+        }
+        await handleOperationError(operation.type, screenshotData, error, data.analysisResult);
+        
+        // Still offline - leave the rest for the next alarm
+        if (!error.status) {
+          break;
+        }
+      }
+    }
+  } finally {
+    isProcessingQueue = false;
+  }
+}
+
+async function testApiConnection() {
+  try {
+    const response = await fetchWithTimeout(await apiUrl('/api/hello'), {
+      method: 'GET',
+      headers: {
+        'Content-Type': 'application/json',
+      }
+    }, 10000); // 10 second timeout for connection test
+    
+    if (!response.ok) {
+      return {
+        success: false,
+        error: `HTTP ${response.status}: ${response.statusText}`
+      };
+    }
+    
+    const data = await response.json();
+    return {
+      success: true,
+      data
+    };
+    
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+// Sign in through the API and keep the Supabase session in local storage
+async function signIn(email, password) {
+  const response = await fetchWithTimeout(await apiUrl('/api/auth/login'), {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({ email, password })
+  }, 10000);
+  
+  const result = await response.json().catch(() => ({}));
+  
+  if (!response.ok || !result.session) {
+    throw new Error(result.message || `Sign in failed: ${response.status}`);
+  }
+  
+  await chrome.storage.local.set({ authSession: result.session });
+  console.log('Signed in as', result.session.user.email);
+  
+  return { success: true, user: result.session.user };
+}
+
+async function signOut() {
+  await chrome.storage.local.remove('authSession');
+  return { success: true };
+}
+
+async function getAuthStatus() {
+  const { authToken } = await getSettings();
+  if (authToken) {
+    return { signedIn: true, user: null, authToken: true };
+  }
+  
+  const { authSession } = await chrome.storage.local.get(['authSession']);
+  return {
+    signedIn: !!authSession,
+    user: authSession?.user || null
+  };
+}
+
+// Return a session whose access token is still valid, refreshing it if needed
+async function getValidSession() {
+  const { authSession } = await chrome.storage.local.get(['authSession']);
+  
+  if (!authSession) {
+    throw new Error('Not signed in - sign in from the extension popup first');
+  }
+  
+  // expires_at is in seconds; refresh a minute early
+  if (authSession.expires_at && authSession.expires_at * 1000 < Date.now() + 60000) {
+    return refreshSession(authSession);
+  }
+  
+  return authSession;
+}
+
+async function refreshSession(session) {
+  const response = await fetchWithTimeout(await apiUrl('/api/auth/refresh'), {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({ refresh_token: session.refresh_token })
+  }, 10000);
+  
+  const result = await response.json().catch(() => ({}));
+  
+  if (!response.ok || !result.session) {
+    // The refresh token is no longer usable - force a fresh sign in
+    if (response.status === 401) {
+      await chrome.storage.local.remove('authSession');
+    }
+    throw new Error(result.message || `Session refresh failed: ${response.status}`);
+  }
+  
+  await chrome.storage.local.set({ authSession: result.session });
+  return result.session;
+}
+
+// Settings with defaults filled in and bad stored values replaced, so
+// callers can use them as is
+async function getSettings() {
+  try {
+    const syncSettings = await chrome.storage.sync.get(Object.keys(DEFAULT_SETTINGS));
+    
+    const localData = await chrome.storage.local.get([
+      'authToken',
+      'captureCount',
+      'lastAnalysis'
+    ]);
+    
+    const quality = Number(syncSettings.imageQuality);
+    
+    return {
+      ...DEFAULT_SETTINGS,
+      ...syncSettings,
+      ...localData,
+      apiEndpoint: normalizeApiEndpoint(syncSettings.apiEndpoint),
+      authToken: localData.authToken || null,
+      autoAnalyze: syncSettings.autoAnalyze !== false,
+      saveMode: syncSettings.saveMode === 'review' ? 'review' : 'auto',
+      imageFormat: IMAGE_FORMATS.includes(syncSettings.imageFormat) ? syncSettings.imageFormat : DEFAULT_SETTINGS.imageFormat,
+      imageQuality: quality >= 0.1 && quality <= 1 ? quality : DEFAULT_SETTINGS.imageQuality,
+      analysisDepth: ANALYSIS_DEPTHS.includes(syncSettings.analysisDepth) ? syncSettings.analysisDepth : DEFAULT_SETTINGS.analysisDepth
+    };
+    
+  } catch (error) {
+    console.error('Failed to get settings:', error);
+    return { ...DEFAULT_SETTINGS, authToken: null };
+  }
+}
+
+// The API base URL without a trailing slash. Plain http is only accepted for
+// a local server such as `vercel dev`.
+function normalizeApiEndpoint(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    return DEFAULT_API_ENDPOINT;
+  }
+  
+  const local = ['localhost', '127.0.0.1'].includes(url.hostname);
+  if (url.protocol !== 'https:' && !(url.protocol === 'http:' && local)) {
+    return DEFAULT_API_ENDPOINT;
+  }
+  
+  return `${url.origin}${url.pathname.replace(/\/+$/, '')}`;
+}
+
+async function apiUrl(path) {
+  const { apiEndpoint } = await getSettings();
+  return `${apiEndpoint}${path}`;
+}
+
+// Watch targets: Ad Library pages (usually one advertiser's ads) that are
+// checked on a schedule. Each check opens the page in an unfocused window,
+// captures the ads that are neither saved to the library nor captured by an
+// earlier check, analyzes them like any other capture and sends a notification.
+const WATCH_CHECK_PERIOD_MINUTES = 15;
+const WATCH_INTERVAL_HOURS = [1, 6, 24];
+const WATCH_MAX_TARGETS = 20;
+const WATCH_MAX_CAPTURES_PER_CHECK = 10;
+const WATCH_MAX_SEEN_IDS = 1000;
+const WATCH_PAGE_LOAD_TIMEOUT_MS = 30000;
+// Saved ad lookups send library IDs in batches (the API accepts up to 50)
+const WATCH_LOOKUP_BATCH = 50;
+
+let isCheckingWatchTargets = false;
+let watchTargetsUpdate = Promise.resolve();
+
+function isAdLibraryUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return parsed.protocol === 'https:' &&
+      /(^|\.)facebook\.com$/.test(parsed.hostname) &&
+      parsed.pathname.startsWith('/ads/library');
+  } catch {
+    return false;
+  }
+}
+
+async function getWatchTargets() {
+  const { watchTargets = [] } = await chrome.storage.local.get(['watchTargets']);
+  return watchTargets;
+}
+
+// Checks and popup edits both rewrite the list, so updates run one at a time
+// on the latest stored copy
+function updateWatchTargets(update) {
+  const next = watchTargetsUpdate.then(async () => {
+    const watchTargets = update(await getWatchTargets());
+    await chrome.storage.local.set({ watchTargets });
+    return watchTargets;
+  });
+  watchTargetsUpdate = next.catch(() => {});
+  return next;
+}
+
+async function addWatchTarget({ url, name, intervalHours }) {
+  if (!isAdLibraryUrl(url)) {
+    throw new Error('Only Facebook Ad Library pages can be watched');
+  }
+  
+  const interval = Number(intervalHours);
+  if (!WATCH_INTERVAL_HOURS.includes(interval)) {
+    throw new Error(`Check interval must be one of: ${WATCH_INTERVAL_HOURS.join(', ')} hours`);
+  }
+  
+  const target = {
+    id: `watch_${Date.now()}`,
+    url,
+    // Ad Library searches keep the advertiser in the q parameter
+    name: name?.trim() || new URL(url).searchParams.get('q') || 'Ad Library page',
+    intervalHours: interval,
+    createdAt: Date.now(),
+    lastCheckedAt: null,
+    lastResult: null,
+    seenLibraryIds: []
+  };
+  
+  await updateWatchTargets(targets => {
+    if (targets.some(existing => existing.url === url)) {
+      throw new Error('This page is already being watched');
+    }
+    if (targets.length >= WATCH_MAX_TARGETS) {
+      throw new Error(`You can watch at most ${WATCH_MAX_TARGETS} pages`);
+    }
+    return [...targets, target];
+  });
+  
+  console.log('Watch target added:', target.url);
+  return { success: true, target };
+}
+
+async function removeWatchTarget(targetId) {
+  await updateWatchTargets(targets => targets.filter(target => target.id !== targetId));
+  return { success: true };
+}
+
+function isWatchTargetDue(target, now = Date.now()) {
+  return !target.lastCheckedAt || now - target.lastCheckedAt >= target.intervalHours * 60 * 60 * 1000;
+}
+
+// Check the targets that are due, or just `targetId` when the popup asks for it
+async function checkWatchTargets({ targetId = null } = {}) {
+  // A user capture owns the capture state; try again on the next alarm
+  if (isCheckingWatchTargets || isCapturing) {
+    console.log('Skipping watch target check, another capture is running');
+    return;
+  }
+  
+  isCheckingWatchTargets = true;
+  
+  try {
+    const targets = (await getWatchTargets()).filter(target => (
+      targetId ? target.id === targetId : isWatchTargetDue(target)
+    ));
+    
+    for (const target of targets) {
+      await checkWatchTarget(target);
+    }
+  } finally {
+    isCheckingWatchTargets = false;
+  }
+}
+
+async function checkWatchTarget(target) {
+  console.log('Checking watch target:', target.url);
+  let watchWindow = null;
+  
+  try {
+    watchWindow = await chrome.windows.create({ url: target.url, focused: false, width: 1280, height: 1000 });
+    const tab = watchWindow.tabs[0];
+    
+    await waitForTabLoad(tab.id);
+    const { libraryAds } = await sendToContentScript(tab.id, { type: 'WATCH_READ_LIBRARY' });
+    const newAds = await findUnsavedLibraryAds(target, libraryAds);
+    const captured = [];
+    
+    for (const ad of newAds.slice(0, WATCH_MAX_CAPTURES_PER_CHECK)) {
+      try {
+        if (await captureWatchedAd(target, tab, ad)) {
+          captured.push(ad);
+        }
+      } catch (error) {
+        // Left unseen, so the next check tries again
+        console.error('Failed to capture watched ad:', ad.library_id, error);
+      }
+    }
+    
+    await recordWatchCheck(target.id, {
+      checkedAt: Date.now(),
+      adsOnPage: libraryAds.length,
+      newAds: newAds.length,
+      captured: captured.length,
+      error: null
+    }, captured.map(ad => ad.library_id));
+    
+    if (captured.length > 0) {
+      notifyNewAds(target, captured, newAds.length);
+    }
+    
+    console.log('Watch target checked:', { url: target.url, adsOnPage: libraryAds.length, newAds: newAds.length });
+  
+  } catch (error) {
+    console.error('Watch target check failed:', target.url, error);
+    await recordWatchCheck(target.id, { checkedAt: Date.now(), error: error.message }, []);
+  } finally {
+    if (watchWindow) {
+      await chrome.windows.remove(watchWindow.id).catch(error => {
+        console.error('Failed to close watch window:', error);
+      });
+    }
+  }
+}
+
+async function waitForTabLoad(tabId) {
+  const deadline = Date.now() + WATCH_PAGE_LOAD_TIMEOUT_MS;
+  
+  while ((await chrome.tabs.get(tabId)).status !== 'complete') {
+    if (Date.now() > deadline) {
+      throw new Error('The Ad Library page did not load in time');
+    }
+    await sleep(500);
+  }
+}
+
+async function sendToContentScript(tabId, message) {
+  try {
+    return await chrome.tabs.sendMessage(tabId, message);
+  } catch (error) {
+    // The declared content script is missing, e.g. right after the extension was reloaded
+    await chrome.scripting.executeScript({ target: { tabId }, files: ['content.js'] });
+    return chrome.tabs.sendMessage(tabId, message);
+  }
+}
+
+// Library ads on the page this target has not captured before and that are
+// not already in the user's saved ads
+async function findUnsavedLibraryAds(target, libraryAds) {
+  const seen = new Set(target.seenLibraryIds);
+  const unseen = libraryAds.filter(ad => !seen.has(ad.library_id));
+  const saved = new Set();
+  
+  for (let i = 0; i < unseen.length; i += WATCH_LOOKUP_BATCH) {
+    const ids = unseen.slice(i, i + WATCH_LOOKUP_BATCH).map(ad => ad.library_id);
+    const response = await fetchWithAuth(await apiUrl(`/api/ads?library_id=${ids.join(',')}&limit=100`));
+    
+    if (!response.ok) {
+      throw await responseError(response, 'Saved ad lookup failed');
+    }
+    
+    const { ads } = await response.json();
+    ads.forEach(ad => saved.add(ad.library_id));
+  }
+  
+  return unseen.filter(ad => !saved.has(ad.library_id));
+}
+
+// Scroll the ad's card into view and capture it as its own screenshot.
+// Returns false when the card is no longer on the page.
+async function captureWatchedAd(target, tab, ad) {
+  const card = await chrome.tabs.sendMessage(tab.id, { type: 'WATCH_SHOW_CARD', libraryId: ad.library_id });
+  
+  if (!card) {
+    return false;
+  }
+  
+  // Stay under Chrome's capture rate limit
+  await sleep(FULL_PAGE_CAPTURE_INTERVAL_MS);
+  const dataUrl = await chrome.tabs.captureVisibleTab(tab.windowId, { format: 'png' });
+  
+  await handleScreenshotCapture({
+    ...(await cropCapture(dataUrl, card.rect, card.viewportWidth)),
+    timestamp: Date.now(),
+    method: 'watch',
+    url: target.url,
+    title: `${target.name} (watched)`,
+    libraryAds: [card.libraryAd || ad]
+  }, tab.id, { background: true });
+  
+  return true;
+}
+
+// Crop a viewport rectangle (CSS pixels) out of a tab capture
+async function cropCapture(dataUrl, rect, viewportWidth) {
+  const bitmap = await createImageBitmap(await (await fetch(dataUrl)).blob());
+  const scale = bitmap.width / viewportWidth;
+  const canvas = new OffscreenCanvas(Math.round(rect.width * scale), Math.round(rect.height * scale));
+  
+  canvas.getContext('2d').drawImage(
+    bitmap,
+    rect.left * scale, rect.top * scale, rect.width * scale, rect.height * scale,
+    0, 0, canvas.width, canvas.height
+  );
+  bitmap.close();
+  
+  return {
+    imageDataUrl: await canvasToDataUrl(canvas, await getSettings()),
+    dimensions: {
+      width: canvas.width,
+      height: canvas.height,
+      originalWidth: rect.width,
+      originalHeight: rect.height
+    },
+    selection: { ...rect }
+  };
+}
+
+async function recordWatchCheck(targetId, result, capturedIds) {
+  await updateWatchTargets(targets => targets.map(target => (
+    target.id === targetId ? {
+      ...target,
+      lastCheckedAt: result.checkedAt,
+      lastResult: result,
+      seenLibraryIds: [...target.seenLibraryIds, ...capturedIds].slice(-WATCH_MAX_SEEN_IDS)
+    } : target
+  )));
+}
+
+function notifyNewAds(target, captured, total) {
+  if (!chrome.notifications) {
+    return;
+  }
+  
+  const first = captured[0];
+  const preview = first.ad_copy ? `"${first.ad_copy.split('\n')[0].slice(0, 100)}"` : `Library ID ${first.library_id}`;
+  
+  // The id leads back to the target when the notification is clicked
+  chrome.notifications.create(`${target.id}:${Date.now()}`, {
+    type: 'basic',
+    iconUrl: 'icons/icon128.png',
+    title: `${target.name}: ${total} new ad${total === 1 ? '' : 's'}`,
+    message: captured.length < total
+      ? `${preview}\n${captured.length} captured for analysis, the rest on the next check`
+      : preview
+  });
+}
+
+if (chrome.notifications && chrome.notifications.onClicked) {
+  chrome.notifications.onClicked.addListener(async (notificationId) => {
+    try {
+      const [targetId] = notificationId.split(':');
+      const target = (await getWatchTargets()).find(candidate => candidate.id === targetId);
+      
+      if (target) {
+        await chrome.tabs.create({ url: target.url });
+      }
+      chrome.notifications.clear(notificationId);
+    } catch (error) {
+      console.error('Failed to open watch target:', error);
+    }
+  });
+}
+
+// Handle tab updates - extension works on all sites now
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  if (changeInfo.status === 'complete' && tab.url) {
+    // Update badge to show extension is ready on all sites
+    chrome.action.setBadgeText({
+      tabId: tabId,
+      text: '●'
+    });
+    
+    chrome.action.setBadgeBackgroundColor({
+      tabId: tabId,
+      color: '#1877f2'
+    });
   }
 });
 
@@ -484,6 +1708,15 @@ try {
   if (chrome.alarms && chrome.alarms.create) {
     chrome.alarms.create('cleanup', { periodInMinutes: 60 });
     console.log('Cleanup alarm created');
+    
+    // Check on analysis jobs the popup or a stopped worker left behind
+    chrome.alarms.create('analysis-jobs', { periodInMinutes: 1 });
+    
+    // Retry queued analyze/save operations; each one has its own backoff
+    chrome.alarms.create('pending-operations', { periodInMinutes: 1 });
+    
+    // Watch targets have their own intervals; this only looks for due ones
+    chrome.alarms.create('watch-targets', { periodInMinutes: WATCH_CHECK_PERIOD_MINUTES });
   } else {
     console.warn('Alarms API not available');
   }
@@ -494,11 +1727,22 @@ try {
 if (chrome.alarms && chrome.alarms.onAlarm) {
   chrome.alarms.onAlarm.addListener(async (alarm) => {
     try {
-      if (alarm.name === 'cleanup') {
+      if (alarm.name === 'analysis-jobs') {
+        await resumeAnalysisJobs();
+      } else if (alarm.name === 'pending-operations') {
+        await processPendingOperations();
+      } else if (alarm.name === 'watch-targets') {
+        await checkWatchTargets();
+      } else if (alarm.name === 'cleanup') {
         console.log('Running cleanup...');
         const storage = await chrome.storage.local.get();
+        // Captures still waiting on a job or a queued retry are kept
+        const pending = new Set([
+          ...Object.keys(storage.analysisJobs || {}),
+          ...(storage.pendingOperations || []).map(operation => operation.captureId)
+        ]);
         const captures = Object.entries(storage)
-          .filter(([key]) => key.startsWith('capture_'))
+          .filter(([key]) => key.startsWith('capture_') && !pending.has(key))
           .sort(([, a], [, b]) => b.timestamp - a.timestamp);
         
         if (captures.length > 50) {
@@ -508,66 +1752,139 @@ if (chrome.alarms && chrome.alarms.onAlarm) {
         }
       }
     } catch (error) {
-      console.error('Cleanup failed:', error);
+      console.error('Alarm handler failed:', alarm.name, error);
     }
   });
 }
 
-// Function to save analysis data to database
+// Function to save analysis data to database. Failures that may succeed later
+// (offline, API down) are queued for retry instead of being dropped.
 async function saveAnalysisToDatabase(screenshotData, analysisResult) {
   try {
-    console.log('Attempting to save analysis to database...');
-    
-    // Prepare data for database
-    const saveData = {
-      screenshot_url: screenshotData.imageDataUrl || screenshotData.croppedImageDataUrl || null,
-      analysis_data: analysisResult.analysis || analysisResult.message || 'No analysis data',
-      source_url: screenshotData.url || null,
-      platform: detectPlatform(screenshotData.url),
-      user_id: 'anonymous', // Placeholder for now
-      // Add structured data fields from AI response
-      advertiser_name: analysisResult.structured_data?.advertiser_name || null,
-      headline: analysisResult.structured_data?.headline || null,
-      description: analysisResult.structured_data?.description || null,
-      call_to_action: analysisResult.structured_data?.call_to_action || null,
-      product_service: analysisResult.structured_data?.product_service || null
-    };
-    
-    console.log('Preparing to save data:', {
-      has_screenshot: !!saveData.screenshot_url,
-      has_analysis: !!saveData.analysis_data,
-      platform: saveData.platform,
-      source_url: saveData.source_url,
-      has_structured_data: !!analysisResult.structured_data,
-      advertiser: saveData.advertiser_name,
-      headline: saveData.headline ? saveData.headline.substring(0, 50) + '...' : null
-    });
-    
-    // Send to save-ad API
-    const response = await fetchWithTimeout(`${API_ENDPOINT}/api/save-ad`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(saveData)
-    }, 10000); // 10 second timeout
+    return await postAnalysisToDatabase(screenshotData, analysisResult);
+  } catch (error) {
+    // Don't throw error - we don't want to break the extension if database save fails
+    await handleOperationError('save', screenshotData, error, analysisResult);
+    return { success: false, error: error.message };
+  }
+}
+
+async function postAnalysisToDatabase(screenshotData, analysisResult) {
+  console.log('Attempting to save analysis to database...');
+  
+  // One entry per ad found in the screenshot
+  const ads = Array.isArray(analysisResult.structured_data) ? analysisResult.structured_data : [];
+  
+  // Prepare data for database - the API stores one row per ad, linked to a shared capture
+  const saveData = {
+    screenshot_data_url: await loadScreenshotImage(screenshotData),
+    analysis_data: {
+      analysis: analysisResult.analysis || analysisResult.message || 'No analysis data',
+      strategic_analysis: analysisResult.strategic_analysis || null,
+      structured_data: ads,
+      ads_found: analysisResult.ads_found ?? ads.length,
+      model_used: analysisResult.model_used || null,
+      library_check: analysisResult.library_check || null
+    },
+    source_url: screenshotData.url || null,
+    platform: detectPlatform(screenshotData.url),
+    ads
+  };
+  
+  console.log('Preparing to save data:', {
+    has_screenshot: !!saveData.screenshot_data_url,
+    platform: saveData.platform,
+    source_url: saveData.source_url,
+    ads: ads.length,
+    advertisers: ads.map(ad => ad.advertiser_name)
+  });
+  
+  // Send to save-ad API
+  const response = await fetchWithAuth(await apiUrl('/api/save-ad'), {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(saveData)
+  }, 10000); // 10 second timeout
+  
+  if (!response.ok) {
+    throw await responseError(response, 'Database save failed');
+  }
+  
+  const result = await response.json();
+  console.log('Analysis saved to database successfully:', result.capture_id, result.ids);
+  
+  if (result.ads_merged > 0) {
+    console.log(`${result.ads_merged} ad(s) were already saved:`, result.duplicates);
+  }
+  
+  await markCaptureSaved(screenshotData.captureId, result, screenshotData.adIndexes);
+  
+  return { success: true, id: result.id, ids: result.ids, captureId: result.capture_id, duplicates: result.duplicates || [] };
+}
+
+// Saves of single ads from the same capture each record their ad index, so
+// capture updates run one at a time
+let captureSaveUpdate = Promise.resolve();
+
+// Record which of the capture's ads are saved (`adIndexes`, or all of them).
+// Once every ad is saved, swap the stored base64 image for the uploaded URLs;
+// until then the capture keeps its image so the other ads can still be saved.
+function markCaptureSaved(captureId, saveResult, adIndexes = null) {
+  if (!captureId) {
+    return Promise.resolve();
+  }
+  
+  captureSaveUpdate = captureSaveUpdate.then(() => updateSavedCapture(captureId, saveResult, adIndexes));
+  return captureSaveUpdate;
+}
+
+async function updateSavedCapture(captureId, saveResult, adIndexes) {
+  try {
+    const storage = await chrome.storage.local.get([captureId, 'latestCapture']);
+    const capture = storage[captureId];
+    const updates = {};
+    let allSaved = true;
     
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      throw new Error(`Database save failed: ${response.status} ${errorData.message || response.statusText}`);
+    if (capture) {
+      const adCount = capture.analysis?.structured_data?.length || 0;
+      const savedAdIndexes = adIndexes
+        ? [...new Set([...(capture.savedAdIndexes || []), ...adIndexes])].sort((a, b) => a - b)
+        : Array.from({ length: adCount }, (_, index) => index);
+      allSaved = savedAdIndexes.length >= adCount;
+      
+      const { imageDataUrl, croppedImageDataUrl, ...rest } = capture;
+      updates[captureId] = {
+        ...(allSaved ? rest : capture),
+        status: allSaved ? 'saved' : capture.status,
+        screenshotUrl: saveResult.screenshot_url || null,
+        thumbnailUrl: saveResult.thumbnail_url || null,
+        // Re-saving a capture whose ads were all merged creates no new capture
+        savedCaptureId: saveResult.capture_id ?? rest.savedCaptureId ?? null,
+        savedAdIndexes,
+        savedAdIds: adIndexes ? [...(rest.savedAdIds || []), ...(saveResult.ids || [])] : (saveResult.ids || []),
+        duplicates: adIndexes ? [...(rest.duplicates || []), ...(saveResult.duplicates || [])] : (saveResult.duplicates || [])
+      };
     }
     
-    const result = await response.json();
-    console.log('Analysis saved to database successfully:', result.id);
-    
-    return { success: true, id: result.id };
+    if (allSaved && storage.latestCapture?.captureId === captureId && storage.latestCapture.data) {
+      const { imageDataUrl, croppedImageDataUrl, ...data } = storage.latestCapture.data;
+      updates.latestCapture = {
+        ...storage.latestCapture,
+        data: {
+          ...data,
+          screenshotUrl: saveResult.screenshot_url || null,
+          thumbnailUrl: saveResult.thumbnail_url || null
+        }
+      };
+    }
     
+    if (Object.keys(updates).length > 0) {
+      await chrome.storage.local.set(updates);
+    }
   } catch (error) {
-    console.error('Failed to save analysis to database:', error);
-    
-    // Don't throw error - we don't want to break the extension if database save fails
-    // Just log the error and continue
-    return { success: false, error: error.message };
+    console.error('Failed to update saved capture:', captureId, error);
   }
 }
 
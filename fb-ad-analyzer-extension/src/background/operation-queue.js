@@ -0,0 +1,76 @@
+// Offline queue: analyze and save operations that failed because the network
+// or API was unavailable. They are kept in storage.local (pendingOperations)
+// and retried with exponential backoff by the pending-operations alarm.
+export const QUEUE_RETRY_BASE_MS = 60 * 1000;
+export const QUEUE_RETRY_MAX_MS = 60 * 60 * 1000;
+export const QUEUE_MAX_ATTEMPTS = 10;
+
+// Failures, retries and the popup's "Retry now" all rewrite the list, so
+// updates run one at a time on the latest stored copy
+let pendingOperationsUpdate = Promise.resolve();
+
+// Network failures, timeouts, auth problems and server errors are worth retrying;
+// a rejected request (4xx) will be rejected again
+export function isRetryableError(error) {
+  if (typeof error.retryable === 'boolean') {
+    return error.retryable;
+  }
+  return !error.status || error.status === 401 || error.status === 429 || error.status >= 500;
+}
+
+export function queueRetryDelay(attempts) {
+  return Math.min(QUEUE_RETRY_BASE_MS * 2 ** (attempts - 1), QUEUE_RETRY_MAX_MS);
+}
+
+export async function getPendingOperations() {
+  const { pendingOperations = [] } = await chrome.storage.local.get(['pendingOperations']);
+  return pendingOperations;
+}
+
+function updatePendingOperations(update) {
+  const next = pendingOperationsUpdate.then(async () => {
+    const pendingOperations = update(await getPendingOperations());
+    await chrome.storage.local.set({ pendingOperations });
+    return pendingOperations;
+  });
+  pendingOperationsUpdate = next.catch(() => {});
+  return next;
+}
+
+// Add an operation to the queue, or record another failed attempt of a queued one
+export async function queueOperation(type, screenshotData, error, analysisResult = null) {
+  const captureId = screenshotData.captureId || null;
+  // Operations without a capture can fail in the same millisecond
+  const id = screenshotData.operationId ||
+    (captureId ? `${type}:${captureId}` : `${type}:${Date.now()}:${Math.random().toString(36).slice(2, 8)}`);
+  let operation;
+  
+  await updatePendingOperations(pendingOperations => {
+    const existing = pendingOperations.find(candidate => candidate.id === id);
+    const attempts = (existing?.attempts || 0) + 1;
+    
+    operation = {
+      id,
+      type,
+      captureId,
+      // Captures keep their own screenshot
+      screenshotData: captureId ? null : { ...screenshotData, operationId: id },
+      analysisResult,
+      // Which of the capture's ads a single-ad save covers
+      adIndexes: screenshotData.adIndexes || null,
+      attempts,
+      createdAt: existing?.createdAt || Date.now(),
+      nextAttemptAt: Date.now() + queueRetryDelay(attempts),
+      lastError: error.message,
+      status: attempts >= QUEUE_MAX_ATTEMPTS ? 'failed' : 'pending'
+    };
+    
+    return [...pendingOperations.filter(candidate => candidate.id !== id), operation];
+  });
+  
+  return operation;
+}
+
+export async function removeOperation(id) {
+  await updatePendingOperations(pendingOperations => pendingOperations.filter(operation => operation.id !== id));
+}
@@ -9,6 +9,11 @@
   let isSelecting = false;
   let streamId = null;
   let mediaStream = null;
+  let libraryCards = [];
+  let cardHighlight = null;
+  let fullPageState = null;
+  // Format for cropped screenshots, from the extension's options
+  let imageSettings = { format: 'png', quality: 0.9 };
 
   // Initialize content script
   function init() {
@@ -20,6 +25,9 @@
     chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       switch (message.type) {
         case 'START_SCREEN_CAPTURE':
+          if (message.image) {
+            imageSettings = message.image;
+          }
           if (message.streamId) {
             // Desktop capture method (legacy)
             startDesktopCapture(message.streamId);
@@ -35,6 +43,26 @@
           sendResponse({ success: true });
           break;
           
+        case 'FULL_PAGE_PREPARE':
+          sendResponse(prepareFullPageCapture());
+          break;
+          
+        case 'FULL_PAGE_SCROLL':
+          scrollForFullPageCapture(message.y).then(sendResponse);
+          return true; // Respond after the scroll has painted
+          
+        case 'FULL_PAGE_FINISH':
+          sendResponse(finishFullPageCapture(message.height));
+          break;
+          
+        case 'WATCH_READ_LIBRARY':
+          readWatchedLibraryPage().then(sendResponse);
+          return true; // Respond once the results have loaded
+          
+        case 'WATCH_SHOW_CARD':
+          showLibraryCard(message.libraryId).then(sendResponse);
+          return true; // Respond after the scroll has painted
+          
         default:
           console.log('Unknown message type:', message.type);
       }
@@ -128,6 +156,17 @@
       pointer-events: none;
     `;
     
+    // On the Ad Library, hovering highlights an ad card and a click captures it
+    libraryCards = isAdLibraryPage() ? findVisibleLibraryCards() : [];
+    cardHighlight = document.createElement('div');
+    cardHighlight.style.cssText = `
+      position: absolute;
+      border: 2px solid #28a745;
+      background: rgba(40, 167, 69, 0.12);
+      display: none;
+      pointer-events: none;
+    `;
+    
     // Create instruction overlay
     const instruction = document.createElement('div');
     instruction.style.cssText = `
@@ -150,12 +189,13 @@
     `;
     instruction.innerHTML = `
       <div style="margin-bottom: 8px;">📸 Select Area to Capture</div>
-      <div style="font-size: 14px; opacity: 0.8;">Drag to select area • Press ESC to cancel</div>
+      <div style="font-size: 14px; opacity: 0.8;">${libraryCards.length > 0 ? 'Click an ad or drag' : 'Drag'} to select area • Press ESC to cancel</div>
     `;
     
     // Add event listeners
     captureOverlay.addEventListener('mousedown', startTabSelection);
     captureOverlay.addEventListener('mousemove', updateSelection);
+    captureOverlay.addEventListener('mousemove', highlightLibraryCard);
     captureOverlay.addEventListener('mouseup', endTabSelection);
     
     // ESC to cancel
@@ -163,8 +203,12 @@
     
     // Append to DOM
     captureOverlay.appendChild(dimOverlay);
+    captureOverlay.appendChild(cardHighlight);
     captureOverlay.appendChild(selectionBox);
     captureOverlay.appendChild(instruction);
+    if (libraryCards.length > 0) {
+      captureOverlay.appendChild(createCardToolbar());
+    }
     document.body.appendChild(captureOverlay);
     
     // Store the image data for later cropping
@@ -183,12 +227,72 @@
     }, 3000);
   }
   
+  // Toolbar with the batch "capture all visible ads" action
+  function createCardToolbar() {
+    const toolbar = document.createElement('div');
+    toolbar.style.cssText = `
+      position: fixed;
+      top: 16px;
+      left: 50%;
+      transform: translateX(-50%);
+      z-index: 1000001;
+    `;
+    
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = `Capture all ${libraryCards.length} visible ads`;
+    button.style.cssText = `
+      padding: 10px 18px;
+      border: none;
+      border-radius: 8px;
+      background: #28a745;
+      color: white;
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      font-size: 14px;
+      font-weight: 500;
+      cursor: pointer;
+      box-shadow: 0 4px 12px rgba(0, 0, 0, 0.3);
+    `;
+    
+    // Keep clicks on the toolbar from starting a selection
+    toolbar.addEventListener('mousedown', (e) => e.stopPropagation());
+    toolbar.addEventListener('mouseup', (e) => e.stopPropagation());
+    button.addEventListener('click', () => captureLibraryCards(libraryCards));
+    
+    toolbar.appendChild(button);
+    return toolbar;
+  }
+  
+  function libraryCardAt(x, y) {
+    return libraryCards.find(({ rect }) => (
+      x >= rect.left && x <= rect.left + rect.width && y >= rect.top && y <= rect.top + rect.height
+    )) || null;
+  }
+  
+  function highlightLibraryCard(e) {
+    if (!cardHighlight) return;
+    
+    const card = isSelecting ? null : libraryCardAt(e.clientX, e.clientY);
+    if (!card) {
+      cardHighlight.style.display = 'none';
+      return;
+    }
+    
+    cardHighlight.style.left = card.rect.left + 'px';
+    cardHighlight.style.top = card.rect.top + 'px';
+    cardHighlight.style.width = card.rect.width + 'px';
+    cardHighlight.style.height = card.rect.height + 'px';
+    cardHighlight.style.display = 'block';
+  }
+  
   function startTabSelection(e) {
     if (e.target !== captureOverlay && e.target.parentNode !== captureOverlay) return;
     
     isSelecting = true;
     startX = e.clientX;
     startY = e.clientY;
+    endX = startX;
+    endY = startY;
     
     selectionBox.style.left = startX + 'px';
     selectionBox.style.top = startY + 'px';
@@ -212,6 +316,12 @@
     // Minimum selection size
     if (width < 10 || height < 10) {
       selectionBox.style.display = 'none';
+      
+      // A click on the Ad Library captures the ad card under the pointer
+      const card = libraryCardAt(e.clientX, e.clientY);
+      if (card) {
+        await captureLibraryCards([card]);
+      }
       return;
     }
     
@@ -221,71 +331,84 @@
     e.preventDefault();
   }
   
+  function loadCapturedImage() {
+    return new Promise((resolve, reject) => {
+      const img = new Image();
+      img.onload = () => resolve(img);
+      img.onerror = () => reject(new Error('Could not load the tab screenshot'));
+      img.src = captureOverlay.imageDataUrl;
+    });
+  }
+  
+  function encodeCanvas(canvas) {
+    return canvas.toDataURL(`image/${imageSettings.format}`, imageSettings.quality);
+  }
+  
+  // Crop a viewport rectangle out of the tab screenshot
+  function cropCapturedImage(img, left, top, width, height) {
+    // Create canvas for cropping
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d');
+    
+    // Calculate scaling factors
+    const scaleX = img.width / window.innerWidth;
+    const scaleY = img.height / window.innerHeight;
+    
+    // Set canvas size to selected area
+    canvas.width = width * scaleX;
+    canvas.height = height * scaleY;
+    
+    // Draw the selected portion
+    ctx.drawImage(
+      img,
+      left * scaleX, top * scaleY, width * scaleX, height * scaleY,
+      0, 0, canvas.width, canvas.height
+    );
+    
+    return {
+      // Convert to base64
+      imageDataUrl: encodeCanvas(canvas),
+      dimensions: {
+        width: canvas.width,
+        height: canvas.height,
+        originalWidth: width,
+        originalHeight: height
+      },
+      selection: {
+        left: left,
+        top: top,
+        width: width,
+        height: height
+      }
+    };
+  }
+  
   async function cropTabCapture(left, top, width, height) {
     try {
-      const imageDataUrl = captureOverlay.imageDataUrl;
+      const img = await loadCapturedImage();
       
-      // Create image element to load the captured screenshot
-      const img = new Image();
-      img.onload = () => {
-        // Create canvas for cropping
-        const canvas = document.createElement('canvas');
-        const ctx = canvas.getContext('2d');
-        
-        // Calculate scaling factors
-        const scaleX = img.width / window.innerWidth;
-        const scaleY = img.height / window.innerHeight;
-        
-        // Set canvas size to selected area
-        canvas.width = width * scaleX;
-        canvas.height = height * scaleY;
-        
-        // Draw the selected portion
-        ctx.drawImage(
-          img,
-          left * scaleX, top * scaleY, width * scaleX, height * scaleY,
-          0, 0, canvas.width, canvas.height
-        );
-        
-        // Convert to base64
-        const croppedImageDataUrl = canvas.toDataURL('image/png', 0.8);
-        
-        // Create screenshot data
-        const screenshotData = {
-          imageDataUrl: croppedImageDataUrl,
-          dimensions: {
-            width: canvas.width,
-            height: canvas.height,
-            originalWidth: width,
-            originalHeight: height
-          },
-          selection: {
-            left: left,
-            top: top,
-            width: width,
-            height: height
-          },
-          timestamp: Date.now(),
-          method: 'tab_capture',
-          url: window.location.href,
-          title: document.title
-        };
-        
-        // Send to background script
-        chrome.runtime.sendMessage({
-          type: 'SCREENSHOT_SELECTED',
-          data: screenshotData
-        });
-        
-        // Clean up
-        stopScreenCapture();
-        
-        // Show success feedback
-        showCaptureSuccess();
+      // Create screenshot data
+      const screenshotData = {
+        ...cropCapturedImage(img, left, top, width, height),
+        timestamp: Date.now(),
+        method: 'tab_capture',
+        url: window.location.href,
+        title: document.title,
+        libraryAds: readLibraryAds({ left, top, width, height })
       };
       
-      img.src = imageDataUrl;
+      // Send to background script
+      chrome.runtime.sendMessage({
+        type: 'SCREENSHOT_SELECTED',
+        data: screenshotData
+      });
       
+      // Clean up
+      stopScreenCapture();
+      
+      // Show success feedback
+      showCaptureSuccess();
+    
     } catch (error) {
       console.error('Failed to crop tab capture:', error);
       stopScreenCapture();
@@ -293,6 +416,38 @@
     }
   }
   
+  // Capture each Ad Library card as its own screenshot, cropped to the card
+  async function captureLibraryCards(cards) {
+    try {
+      const img = await loadCapturedImage();
+      
+      // One message for the batch; the background handles the cards in order
+      chrome.runtime.sendMessage({
+        type: 'AD_CARDS_SELECTED',
+        data: cards.map(({ card, rect }) => {
+          const libraryAd = parseLibraryCard(card);
+          
+          return {
+            ...cropCapturedImage(img, rect.left, rect.top, rect.width, rect.height),
+            timestamp: Date.now(),
+            method: 'ad_card',
+            url: window.location.href,
+            title: document.title,
+            libraryAds: libraryAd ? [libraryAd] : null
+          };
+        })
+      });
+      
+      stopScreenCapture();
+      showCaptureSuccess(cards.length > 1 ? `✅ ${cards.length} ad cards captured and analyzing...` : undefined);
+    
+    } catch (error) {
+      console.error('Failed to capture ad cards:', error);
+      stopScreenCapture();
+      showCaptureError(error.message);
+    }
+  }
+  
   function createScreenOverlay() {
     // Create full-screen overlay with Mac-style dimming
     captureOverlay = document.createElement('div');
@@ -379,6 +534,8 @@
     isSelecting = true;
     startX = e.clientX;
     startY = e.clientY;
+    endX = startX;
+    endY = startY;
     
     selectionBox.style.left = startX + 'px';
     selectionBox.style.top = startY + 'px';
@@ -470,7 +627,7 @@
       );
       
       // Convert to base64
-      const imageDataUrl = canvas.toDataURL('image/png', 0.8);
+      const imageDataUrl = encodeCanvas(canvas);
       
       // Create screenshot data
       const screenshotData = {
@@ -489,7 +646,8 @@
         },
         timestamp: Date.now(),
         url: window.location.href,
-        title: document.title
+        title: document.title,
+        libraryAds: readLibraryAds({ left, top, width, height })
       };
       
       // Send to background script
@@ -538,6 +696,8 @@
     
     // Remove selection box reference
     selectionBox = null;
+    cardHighlight = null;
+    libraryCards = [];
     
     // Remove event listeners
     document.removeEventListener('keydown', handleKeyPress);
@@ -545,7 +705,7 @@
     streamId = null;
   }
   
-  function showCaptureSuccess() {
+  function showCaptureSuccess(message = '✅ Screenshot captured and analyzing...') {
     const successIndicator = document.createElement('div');
     successIndicator.style.cssText = `
       position: fixed;
@@ -562,7 +722,7 @@
       box-shadow: 0 4px 12px rgba(0, 0, 0, 0.3);
       animation: slideIn 0.3s ease, fadeOut 0.3s ease 2.7s;
     `;
-    successIndicator.innerHTML = '✅ Screenshot captured and analyzing...';
+    successIndicator.textContent = message;
     
     // Add CSS animation
     const style = document.createElement('style');
@@ -616,6 +776,280 @@
     }, 5000);
   }
   
+  // Facebook Ad Library: read the ads under the selection straight from the
+  // page so the API can check what the vision model extracts
+  const LIBRARY_PLATFORM_LABELS = {
+    'facebook': 'facebook',
+    'instagram': 'instagram',
+    'messenger': 'messenger',
+    'audience network': 'audience_network',
+    'threads': 'threads',
+    'whatsapp': 'whatsapp'
+  };
+  
+  function isAdLibraryPage() {
+    return /(^|\.)facebook\.com$/.test(window.location.hostname) &&
+      window.location.pathname.startsWith('/ads/library');
+  }
+  
+  function countLibraryIds(element) {
+    return (element.textContent.match(/Library ID/gi) || []).length;
+  }
+  
+  // Ad cards have no stable class names, so start from each "Library ID"
+  // label and walk up to the largest ancestor that holds only that one ad
+  function findLibraryCards() {
+    const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT);
+    const cards = [];
+    let node;
+    
+    while ((node = walker.nextNode())) {
+      if (!/Library ID/i.test(node.nodeValue) || !node.parentElement) continue;
+      
+      let card = node.parentElement;
+      while (card.parentElement && card.parentElement !== document.body && countLibraryIds(card.parentElement) === 1) {
+        card = card.parentElement;
+      }
+      
+      if (!cards.includes(card)) {
+        cards.push(card);
+      }
+    }
+    
+    return cards;
+  }
+  
+  // A card counts as selected when most of it is inside the selection, or
+  // when the selection is mostly inside it (part of a single ad)
+  function isCardSelected(rect, selection) {
+    const width = Math.min(rect.right, selection.left + selection.width) - Math.max(rect.left, selection.left);
+    const height = Math.min(rect.bottom, selection.top + selection.height) - Math.max(rect.top, selection.top);
+    
+    if (width <= 0 || height <= 0) return false;
+    
+    const overlap = width * height;
+    return overlap >= rect.width * rect.height * 0.5 || overlap >= selection.width * selection.height * 0.5;
+  }
+  
+  // "Mar 12, 2024" or "12 Mar 2024" -> "2024-03-12"
+  function toIsoDate(text) {
+    const date = new Date(text.trim());
+    if (Number.isNaN(date.getTime())) return null;
+    
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+  
+  // Platform icons carry their name in a label or tooltip
+  function readLibraryPlatforms(card) {
+    const labels = Array.from(card.querySelectorAll('[aria-label], [title], img[alt]')).map(element => (
+      element.getAttribute('aria-label') || element.getAttribute('title') || element.getAttribute('alt') || ''
+    ).trim().toLowerCase());
+    
+    return Object.keys(LIBRARY_PLATFORM_LABELS)
+      .filter(label => labels.includes(label))
+      .map(label => LIBRARY_PLATFORM_LABELS[label]);
+  }
+  
+  function parseLibraryCard(card) {
+    const lines = card.innerText.split('\n').map(line => line.trim()).filter(Boolean);
+    const text = lines.join('\n');
+    
+    const libraryId = text.match(/Library ID:?\s*(\d+)/i);
+    if (!libraryId) return null;
+    
+    // Active ads say "Started running on <date>", inactive ones show "<start> - <end>"
+    const started = text.match(/Started running on ([^\n·]+)/i) || text.match(/^([^\n]*\d{4})\s+-\s+[^\n]*\d{4}$/m);
+    
+    // The page name sits right above "Sponsored", the ad copy below it up to
+    // the link preview's domain (e.g. EXAMPLE.COM)
+    const sponsored = lines.findIndex(line => /^Sponsored$/i.test(line));
+    const copyLines = [];
+    if (sponsored >= 0) {
+      for (const line of lines.slice(sponsored + 1)) {
+        if (/^[A-Z0-9-]+(\.[A-Z0-9-]+)+$/.test(line)) break;
+        copyLines.push(line);
+      }
+    }
+    
+    return {
+      library_id: libraryId[1],
+      page_name: sponsored > 0 ? lines[sponsored - 1] : null,
+      start_date: started ? toIsoDate(started[1]) : null,
+      active: lines.includes('Active') ? true : (lines.includes('Inactive') ? false : null),
+      platforms: readLibraryPlatforms(card),
+      ad_copy: copyLines.length > 0 ? copyLines.join('\n') : null
+    };
+  }
+  
+  // Ad Library ads under the selection in reading order, or null when the
+  // capture is not on the Ad Library. Never throws: the screenshot is enough.
+  function readLibraryAds(selection) {
+    if (!isAdLibraryPage()) return null;
+    
+    try {
+      const ads = findLibraryCards()
+        .map(card => ({ card, rect: card.getBoundingClientRect() }))
+        .filter(({ rect }) => isCardSelected(rect, selection))
+        .sort((a, b) => a.rect.top - b.rect.top || a.rect.left - b.rect.left)
+        .map(({ card }) => parseLibraryCard(card))
+        .filter(Boolean);
+      
+      console.log('Ad Library ads in selection:', ads.length);
+      return uniqueLibraryAds(ads);
+    } catch (error) {
+      console.error('Failed to read Ad Library ads:', error);
+      return null;
+    }
+  }
+  
+  function uniqueLibraryAds(ads) {
+    return ads.filter((ad, index) => ads.findIndex(other => other.library_id === ad.library_id) === index);
+  }
+  
+  // The part of an element's box that is inside the viewport
+  function clipToViewport(rect) {
+    const left = Math.max(rect.left, 0);
+    const top = Math.max(rect.top, 0);
+    return {
+      left,
+      top,
+      width: Math.min(rect.right, window.innerWidth) - left,
+      height: Math.min(rect.bottom, window.innerHeight) - top
+    };
+  }
+  
+  // Ad cards mostly inside the viewport, with their on-screen box in reading order
+  function findVisibleLibraryCards() {
+    const viewport = { left: 0, top: 0, width: window.innerWidth, height: window.innerHeight };
+    
+    return findLibraryCards()
+      .map(card => ({ card, rect: card.getBoundingClientRect() }))
+      .filter(({ rect }) => rect.width > 0 && rect.height > 0 && isCardSelected(rect, viewport))
+      .sort((a, b) => a.rect.top - b.rect.top || a.rect.left - b.rect.left)
+      .map(({ card, rect }) => ({ card, rect: clipToViewport(rect) }));
+  }
+  
+  function waitForPaint() {
+    return new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve)));
+  }
+  
+  // Full-page capture: the background script scrolls the page through these
+  // steps and captures each viewport in between
+  function prepareFullPageCapture() {
+    fullPageState = { scrollX: window.scrollX, scrollY: window.scrollY, fixedHidden: false };
+    
+    return {
+      width: window.innerWidth,
+      height: window.innerHeight,
+      scrollHeight: Math.max(document.documentElement.scrollHeight, document.body.scrollHeight)
+    };
+  }
+  
+  // Fixed and sticky elements (headers, chat buttons) would repeat in every
+  // viewport, so they are hidden once the first one is captured. The original
+  // visibility is kept on the element, as the script may be injected twice.
+  function hideFixedElements() {
+    for (const element of document.body.querySelectorAll('*')) {
+      const position = getComputedStyle(element).position;
+      if ((position === 'fixed' || position === 'sticky') && !('fbAdAnalyzerVisibility' in element.dataset)) {
+        element.dataset.fbAdAnalyzerVisibility = element.style.visibility;
+        element.style.visibility = 'hidden';
+      }
+    }
+  }
+  
+  function restoreFixedElements() {
+    for (const element of document.querySelectorAll('[data-fb-ad-analyzer-visibility]')) {
+      element.style.visibility = element.dataset.fbAdAnalyzerVisibility;
+      delete element.dataset.fbAdAnalyzerVisibility;
+    }
+  }
+  
+  async function scrollForFullPageCapture(y) {
+    if (!fullPageState) {
+      prepareFullPageCapture();
+    }
+    
+    if (y > 0 && !fullPageState.fixedHidden) {
+      hideFixedElements();
+      fullPageState.fixedHidden = true;
+    }
+    
+    window.scrollTo({ top: y, left: 0, behavior: 'instant' });
+    
+    // Wait for the scroll to paint and lazy-loaded images to settle
+    await waitForPaint();
+    await new Promise(resolve => setTimeout(resolve, 150));
+    
+    return { scrollY: window.scrollY };
+  }
+  
+  function finishFullPageCapture(height) {
+    // Card boxes are relative to the viewport, so read them before scrolling back
+    const libraryAds = readLibraryAds({ left: 0, top: -window.scrollY, width: window.innerWidth, height });
+    
+    restoreFixedElements();
+    
+    if (fullPageState) {
+      window.scrollTo({ top: fullPageState.scrollY, left: fullPageState.scrollX, behavior: 'instant' });
+      fullPageState = null;
+    }
+    
+    return { libraryAds };
+  }
+  
+  // Watch target checks: the background script opens the page in its own
+  // window, reads every ad on it and captures the new ones card by card
+  const WATCH_RENDER_TIMEOUT_MS = 15000;
+  const WATCH_MAX_SCROLLS = 5;
+  
+  // Results render after the page loads and more are added as the page
+  // scrolls, so wait for the first cards and scroll until no more appear
+  async function readWatchedLibraryPage() {
+    const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+    const deadline = Date.now() + WATCH_RENDER_TIMEOUT_MS;
+    
+    try {
+      while (findLibraryCards().length === 0 && Date.now() < deadline) {
+        await wait(500);
+      }
+      
+      for (let i = 0; i < WATCH_MAX_SCROLLS; i++) {
+        const count = findLibraryCards().length;
+        window.scrollTo({ top: document.documentElement.scrollHeight, left: 0, behavior: 'instant' });
+        await wait(1500);
+        if (findLibraryCards().length === count) break;
+      }
+      
+      window.scrollTo({ top: 0, left: 0, behavior: 'instant' });
+      
+      const ads = uniqueLibraryAds(findLibraryCards().map(card => parseLibraryCard(card)).filter(Boolean));
+      console.log('Ad Library ads on watched page:', ads.length);
+      return { libraryAds: ads };
+    } catch (error) {
+      console.error('Failed to read watched Ad Library page:', error);
+      return { libraryAds: [] };
+    }
+  }
+  
+  // Scroll one ad's card into view and return its on-screen box, or null
+  // when it is no longer on the page
+  async function showLibraryCard(libraryId) {
+    const card = findLibraryCards().find(candidate => parseLibraryCard(candidate)?.library_id === libraryId);
+    if (!card) return null;
+    
+    card.scrollIntoView({ block: 'center', behavior: 'instant' });
+    await waitForPaint();
+    await new Promise(resolve => setTimeout(resolve, 150));
+    
+    return {
+      libraryAd: parseLibraryCard(card),
+      rect: clipToViewport(card.getBoundingClientRect()),
+      viewportWidth: window.innerWidth
+    };
+  }
+  
   // Initialize when page loads
   if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', init);
@@ -0,0 +1,157 @@
+// Screenshot Analyzer - Options Page
+import './options.css';
+
+const LOCAL_API_ENDPOINT = 'http://localhost:3000';
+
+// Same rule as the background script: https, or http for a local server.
+// Returns the URL without a trailing slash.
+function parseApiEndpoint(value) {
+  let url;
+  try {
+    url = new URL(value.trim());
+  } catch {
+    throw new Error('Enter the API base URL, e.g. https://fb-ad-analyzer-api.vercel.app');
+  }
+  
+  const local = ['localhost', '127.0.0.1'].includes(url.hostname);
+  if (url.protocol !== 'https:' && !(url.protocol === 'http:' && local)) {
+    throw new Error('The API URL must use https (http is only allowed for localhost)');
+  }
+  
+  return `${url.origin}${url.pathname.replace(/\/+$/, '')}`;
+}
+
+class OptionsController {
+  constructor() {
+    this.form = document.getElementById('optionsForm');
+    this.apiEndpoint = document.getElementById('apiEndpoint');
+    this.localEndpointBtn = document.getElementById('localEndpointBtn');
+    this.authToken = document.getElementById('authToken');
+    this.autoAnalyze = document.getElementById('autoAnalyze');
+    this.saveMode = document.getElementById('saveMode');
+    this.imageFormat = document.getElementById('imageFormat');
+    this.imageQuality = document.getElementById('imageQuality');
+    this.imageQualityValue = document.getElementById('imageQualityValue');
+    this.analysisDepth = document.getElementById('analysisDepth');
+    this.saveBtn = document.getElementById('saveBtn');
+    this.testBtn = document.getElementById('testBtn');
+    this.statusText = document.getElementById('statusText');
+    
+    this.init();
+  }
+  
+  async init() {
+    this.setupEventListeners();
+    await this.load();
+  }
+  
+  setupEventListeners() {
+    this.form.addEventListener('submit', (event) => {
+      event.preventDefault();
+      this.save();
+    });
+    this.localEndpointBtn.addEventListener('click', () => {
+      this.apiEndpoint.value = LOCAL_API_ENDPOINT;
+    });
+    this.testBtn.addEventListener('click', () => this.testConnection());
+    this.imageFormat.addEventListener('change', () => this.renderQuality());
+    this.imageQuality.addEventListener('input', () => this.renderQuality());
+  }
+  
+  // The background script fills in defaults for anything not set yet
+  async load() {
+    try {
+      const settings = await chrome.runtime.sendMessage({ type: 'GET_SETTINGS' });
+      
+      if (!settings || settings.error) {
+        throw new Error(settings?.error || 'No settings received');
+      }
+      
+      this.apiEndpoint.value = settings.apiEndpoint;
+      this.authToken.value = settings.authToken || '';
+      this.autoAnalyze.checked = settings.autoAnalyze;
+      this.saveMode.value = settings.saveMode;
+      this.imageFormat.value = settings.imageFormat;
+      this.imageQuality.value = Math.round(settings.imageQuality * 100);
+      this.analysisDepth.value = settings.analysisDepth;
+      this.renderQuality();
+    } catch (error) {
+      console.error('Failed to load settings:', error);
+      this.showStatus(`Failed to load settings: ${error.message}`, true);
+    }
+  }
+  
+  // PNG is lossless, so quality only applies to JPEG and WebP
+  renderQuality() {
+    this.imageQuality.disabled = this.imageFormat.value === 'png';
+    this.imageQualityValue.textContent = this.imageQuality.disabled ? 'n/a for PNG' : `${this.imageQuality.value}%`;
+  }
+  
+  async save() {
+    try {
+      this.saveBtn.disabled = true;
+      const apiEndpoint = parseApiEndpoint(this.apiEndpoint.value);
+      
+      // Servers outside the manifest's host permissions need the user's
+      // consent, which Chrome only asks for during the click
+      const granted = await chrome.permissions.request({ origins: [`${new URL(apiEndpoint).origin}/*`] });
+      if (!granted) {
+        throw new Error(`The extension needs permission to reach ${new URL(apiEndpoint).origin}`);
+      }
+      
+      await chrome.storage.sync.set({
+        apiEndpoint,
+        autoAnalyze: this.autoAnalyze.checked,
+        saveMode: this.saveMode.value,
+        imageFormat: this.imageFormat.value,
+        imageQuality: Number(this.imageQuality.value) / 100,
+        analysisDepth: this.analysisDepth.value
+      });
+      
+      const authToken = this.authToken.value.trim();
+      if (authToken) {
+        await chrome.storage.local.set({ authToken });
+      } else {
+        await chrome.storage.local.remove('authToken');
+      }
+      
+      this.apiEndpoint.value = apiEndpoint;
+      this.showStatus('Settings saved');
+    } catch (error) {
+      console.error('Failed to save settings:', error);
+      this.showStatus(error.message, true);
+    } finally {
+      this.saveBtn.disabled = false;
+    }
+  }
+  
+  // Tests the saved server, not unsaved edits
+  async testConnection() {
+    try {
+      this.testBtn.disabled = true;
+      this.showStatus('Testing...');
+      
+      const result = await chrome.runtime.sendMessage({ type: 'API_TEST' });
+      
+      if (!result?.success) {
+        throw new Error(result?.error || 'No response');
+      }
+      
+      this.showStatus('Connected');
+    } catch (error) {
+      console.error('Connection test failed:', error);
+      this.showStatus(`Connection failed: ${error.message}`, true);
+    } finally {
+      this.testBtn.disabled = false;
+    }
+  }
+  
+  showStatus(message, isError = false) {
+    this.statusText.textContent = message;
+    this.statusText.classList.toggle('error', isError);
+  }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  new OptionsController();
+});
@@ -0,0 +1,50 @@
+// Render the small markdown subset the API produces (paragraphs, **bold**,
+// numbered and bulleted lists) as DOM nodes. Model text is never parsed as HTML.
+export function renderMarkdown(text) {
+  const fragment = document.createDocumentFragment();
+  
+  if (typeof text !== 'string' || !text.trim()) {
+    return fragment;
+  }
+  
+  for (const block of text.trim().split(/\n{2,}/)) {
+    const lines = block.split('\n').map(line => line.trim()).filter(Boolean);
+    let list = null;
+    
+    for (const line of lines) {
+      const numbered = line.match(/^\d+\.\s+(.*)$/);
+      const bulleted = line.match(/^[-*]\s+(.*)$/);
+      const item = numbered || bulleted;
+      
+      if (item) {
+        const tag = numbered ? 'ol' : 'ul';
+        if (!list || list.tagName.toLowerCase() !== tag) {
+          list = document.createElement(tag);
+          fragment.appendChild(list);
+        }
+        const li = document.createElement('li');
+        li.append(...renderInline(item[1]));
+        list.appendChild(li);
+        continue;
+      }
+      
+      list = null;
+      const paragraph = document.createElement('p');
+      paragraph.append(...renderInline(line));
+      fragment.appendChild(paragraph);
+    }
+  }
+  
+  return fragment;
+}
+
+function renderInline(text) {
+  return text.split(/(\*\*[^*]+\*\*)/g).filter(Boolean).map(part => {
+    if (part.startsWith('**') && part.endsWith('**') && part.length > 4) {
+      const strong = document.createElement('strong');
+      strong.textContent = part.slice(2, -2);
+      return strong;
+    }
+    return document.createTextNode(part);
+  });
+}
@@ -1,5 +1,26 @@
 // Screenshot Analyzer - Popup Script
 import './popup.css';
+import { renderMarkdown } from './markdown.js';
+
+const AD_FIELDS = [
+  ['advertiser_name', 'Advertiser'],
+  ['headline', 'Headline'],
+  ['description', 'Description'],
+  ['call_to_action', 'CTA'],
+  ['product_service', 'Product']
+];
+
+// Create an element with an optional class and text content
+function el(tag, className, text) {
+  const element = document.createElement(tag);
+  if (className) {
+    element.className = className;
+  }
+  if (text !== undefined && text !== null) {
+    element.textContent = text;
+  }
+  return element;
+}
 
 // Utility function for sendMessage with timeout
 function sendMessageWithTimeout(message, timeoutMs = 10000) {
@@ -27,11 +48,40 @@ function sendMessageWithTimeout(message, timeoutMs = 10000) {
 class PopupController {
   constructor() {
     this.captureBtn = document.getElementById('captureBtn');
+    this.fullPageBtn = document.getElementById('fullPageBtn');
     this.statusElement = document.getElementById('status');
     this.resultsSection = document.getElementById('resultsSection');
     this.resultsContent = document.getElementById('resultsContent');
     this.captureCount = document.getElementById('captureCount');
     this.autoAnalyze = document.getElementById('autoAnalyze');
+    this.saveMode = document.getElementById('saveMode');
+    this.signInForm = document.getElementById('signInForm');
+    this.authEmail = document.getElementById('authEmail');
+    this.authPassword = document.getElementById('authPassword');
+    this.signInBtn = document.getElementById('signInBtn');
+    this.signedInInfo = document.getElementById('signedInInfo');
+    this.authUserEmail = document.getElementById('authUserEmail');
+    this.signOutBtn = document.getElementById('signOutBtn');
+    this.authTokenInfo = document.getElementById('authTokenInfo');
+    this.optionsBtn = document.getElementById('optionsBtn');
+    this.queueSection = document.getElementById('queueSection');
+    this.queueSummary = document.getElementById('queueSummary');
+    this.queueDetail = document.getElementById('queueDetail');
+    this.retryQueueBtn = document.getElementById('retryQueueBtn');
+    this.captureMeta = document.getElementById('captureMeta');
+    this.captureActions = document.getElementById('captureActions');
+    this.reanalyzeBtn = document.getElementById('reanalyzeBtn');
+    this.resaveBtn = document.getElementById('resaveBtn');
+    this.historySection = document.getElementById('historySection');
+    this.historyList = document.getElementById('historyList');
+    this.watchList = document.getElementById('watchList');
+    this.watchForm = document.getElementById('watchForm');
+    this.watchName = document.getElementById('watchName');
+    this.watchInterval = document.getElementById('watchInterval');
+    this.watchAddBtn = document.getElementById('watchAddBtn');
+    this.watchHint = document.getElementById('watchHint');
+    this.watchUrl = null;
+    this.selectedCaptureId = null;
     
     // Persistence tracking
     this.isWaitingForResults = false;
@@ -44,6 +94,9 @@ class PopupController {
   
   async init() {
     await this.loadStats();
+    await this.loadAuthStatus();
+    await this.loadHistory();
+    await this.loadWatchTargets();
     this.setupEventListeners();
     this.setupStorageListeners();
     this.setupKeepAlive();
@@ -70,6 +123,20 @@ class PopupController {
   
   setupEventListeners() {
     this.captureBtn.addEventListener('click', () => this.handleCapture());
+    this.fullPageBtn.addEventListener('click', () => this.handleCapture({ fullPage: true }));
+    this.signInForm.addEventListener('submit', (event) => {
+      event.preventDefault();
+      this.handleSignIn();
+    });
+    this.signOutBtn.addEventListener('click', () => this.handleSignOut());
+    this.optionsBtn.addEventListener('click', () => chrome.runtime.openOptionsPage());
+    this.retryQueueBtn.addEventListener('click', () => this.handleRetryQueue());
+    this.reanalyzeBtn.addEventListener('click', () => this.handleReanalyze());
+    this.resaveBtn.addEventListener('click', () => this.handleResave());
+    this.watchForm.addEventListener('submit', (event) => {
+      event.preventDefault();
+      this.handleAddWatchTarget();
+    });
     
     // Save settings when changed
     this.autoAnalyze.addEventListener('change', () => {
@@ -77,6 +144,11 @@ class PopupController {
         autoAnalyze: this.autoAnalyze.checked
       });
     });
+    this.saveMode.addEventListener('change', () => {
+      chrome.storage.sync.set({
+        saveMode: this.saveMode.value
+      });
+    });
   }
   
   setupStorageListeners() {
@@ -86,6 +158,15 @@ class PopupController {
         if (changes.latestAnalysis) {
           this.handleStorageAnalysis(changes.latestAnalysis.newValue);
         }
+        if (Object.keys(changes).some(key => key.startsWith('capture_'))) {
+          this.loadHistory();
+        }
+        if (changes.pendingOperations) {
+          this.renderQueue(changes.pendingOperations.newValue || []);
+        }
+        if (changes.watchTargets) {
+          this.renderWatchTargets(changes.watchTargets.newValue || []);
+        }
         if (changes.captureCount) {
           this.captureCount.textContent = changes.captureCount.newValue || 0;
         }
@@ -100,14 +181,14 @@ class PopupController {
         this.handleScreenshotCaptured(message.data);
       } else if (message.type === 'ANALYSIS_COMPLETE') {
         console.log('Analysis complete, displaying results');
-        this.displayResults(message.data);
-        this.updateStatus('ready', 'Analysis complete');
-        this.captureBtn.disabled = false;
+        this.displayResults(message.data, message.captureId, { review: message.review });
+        this.updateStatus('ready', this.completionMessage(message.data, message.review));
+        this.setCaptureDisabled(false);
       } else if (message.type === 'ANALYSIS_ERROR') {
         console.log('Analysis error:', message.error);
         this.displayError(message.error);
         this.updateStatus('error', 'Analysis failed');
-        this.captureBtn.disabled = false;
+        this.setCaptureDisabled(false);
       }
     });
   }
@@ -121,7 +202,9 @@ class PopupController {
         this.handleStorageCapture(storage.latestCapture);
       }
       
-      if (storage.latestAnalysis && storage.latestAnalysis.timestamp > (Date.now() - 30000)) {
+      // Jobs keep running while the popup is closed, so always show one that is pending
+      const pending = ['queued', 'processing', 'pending'].includes(storage.latestAnalysis?.status);
+      if (storage.latestAnalysis && (pending || storage.latestAnalysis.timestamp > (Date.now() - 30000))) {
         this.handleStorageAnalysis(storage.latestAnalysis);
       }
     } catch (error) {
@@ -131,20 +214,94 @@ class PopupController {
   
   async loadStats() {
     try {
-      const result = await chrome.storage.local.get(['captureCount']);
+      const result = await chrome.storage.local.get(['captureCount', 'pendingOperations']);
       this.captureCount.textContent = result.captureCount || 0;
+      this.renderQueue(result.pendingOperations || []);
       
-      const settings = await chrome.storage.sync.get(['autoAnalyze']);
+      const settings = await chrome.storage.sync.get(['autoAnalyze', 'saveMode']);
       this.autoAnalyze.checked = settings.autoAnalyze !== false;
+      this.saveMode.value = settings.saveMode === 'review' ? 'review' : 'auto';
     } catch (error) {
       console.error('Failed to load stats:', error);
     }
   }
   
-  async handleCapture() {
+  async loadAuthStatus() {
     try {
-      this.updateStatus('processing', 'Starting screenshot capture...');
-      this.captureBtn.disabled = true;
+      const status = await sendMessageWithTimeout({ type: 'GET_AUTH_STATUS' }, 5000);
+      this.renderAuthStatus(status.signedIn ? status.user : null, { authToken: status.authToken === true });
+    } catch (error) {
+      console.error('Failed to load auth status:', error);
+      this.renderAuthStatus(null);
+    }
+  }
+  
+  // With an auth token from the options page there is no session to manage
+  renderAuthStatus(user, { authToken = false } = {}) {
+    this.authTokenInfo.style.display = authToken ? 'block' : 'none';
+    
+    if (authToken) {
+      this.signInForm.style.display = 'none';
+      this.signedInInfo.style.display = 'none';
+    } else if (user) {
+      this.signInForm.style.display = 'none';
+      this.signedInInfo.style.display = 'flex';
+      this.authUserEmail.textContent = user.email;
+    } else {
+      this.signInForm.style.display = 'flex';
+      this.signedInInfo.style.display = 'none';
+      this.authUserEmail.textContent = '';
+    }
+  }
+  
+  async handleSignIn() {
+    try {
+      this.signInBtn.disabled = true;
+      this.updateStatus('processing', 'Signing in...');
+      
+      const response = await sendMessageWithTimeout({
+        type: 'AUTH_SIGN_IN',
+        email: this.authEmail.value.trim(),
+        password: this.authPassword.value
+      }, 15000);
+      
+      if (!response.success) {
+        throw new Error(response.error || 'Sign in failed');
+      }
+      
+      this.authPassword.value = '';
+      this.renderAuthStatus(response.user);
+      this.updateStatus('ready', 'Signed in');
+    } catch (error) {
+      console.error('Sign in failed:', error);
+      this.updateStatus('error', 'Sign in failed');
+      this.displayError(error.message);
+    } finally {
+      this.signInBtn.disabled = false;
+    }
+  }
+  
+  async handleSignOut() {
+    try {
+      await sendMessageWithTimeout({ type: 'AUTH_SIGN_OUT' }, 5000);
+      this.renderAuthStatus(null);
+      this.updateStatus('ready', 'Signed out');
+    } catch (error) {
+      console.error('Sign out failed:', error);
+      this.updateStatus('error', 'Sign out failed');
+    }
+  }
+  
+  setCaptureDisabled(disabled) {
+    this.captureBtn.disabled = disabled;
+    this.fullPageBtn.disabled = disabled;
+  }
+  
+  // fullPage scrolls through the whole page instead of selecting an area
+  async handleCapture({ fullPage = false } = {}) {
+    try {
+      this.updateStatus('processing', fullPage ? 'Capturing full page...' : 'Starting screenshot capture...');
+      this.setCaptureDisabled(true);
       this.isWaitingForResults = true;
       this.lastCaptureTimestamp = Date.now();
       
@@ -155,9 +312,9 @@ class PopupController {
           console.log('Analysis timeout - clearing waiting state');
           this.isWaitingForResults = false;
           this.updateStatus('ready', 'Ready (timeout)');
-          this.captureBtn.disabled = false;
+          this.setCaptureDisabled(false);
         }
-      }, 45000); // 45 second timeout for the entire process
+      }, 45000); // 45 second timeout for the capture; analysis progress comes from the job status
       
       console.log('Starting capture from popup...');
       
@@ -166,11 +323,10 @@ class PopupController {
       console.log('Active tab:', tab.url);
       
       // Send message to background script to start screenshot capture
-      console.log('Sending START_SCREENSHOT_CAPTURE message...');
+      const type = fullPage ? 'START_FULL_PAGE_CAPTURE' : 'START_SCREENSHOT_CAPTURE';
+      console.log(`Sending ${type} message...`);
       
-      const response = await sendMessageWithTimeout({
-        type: 'START_SCREENSHOT_CAPTURE'
-      }, 15000); // 15 second timeout for screenshot capture
+      const response = await sendMessageWithTimeout({ type }, 15000); // 15 second timeout for screenshot capture
       
       console.log('Background response:', response);
       
@@ -213,7 +369,7 @@ class PopupController {
         clearTimeout(this.timeoutId);
         this.timeoutId = null;
       }
-      this.captureBtn.disabled = false;
+      this.setCaptureDisabled(false);
       
       // Show detailed error in results section
       this.displayError(detailedMessage);
@@ -252,7 +408,7 @@ class PopupController {
         clearTimeout(this.timeoutId);
         this.timeoutId = null;
       }
-      this.captureBtn.disabled = false;
+      this.setCaptureDisabled(false);
     }
   }
   
@@ -260,12 +416,21 @@ class PopupController {
     try {
       console.log('Storage analysis received:', analysisData);
       
-      if (analysisData.status === 'completed' && analysisData.result) {
-        this.displayResults(analysisData.result);
-        this.updateStatus('ready', 'Analysis complete');
+      if (analysisData.status === 'queued' || analysisData.status === 'processing') {
+        // The background script reports completion when the job finishes, even
+        // if the popup was closed in between
+        this.updateStatus('processing', analysisData.status === 'queued' ? 'Analysis queued...' : 'Analyzing on the server...');
+      } else if (analysisData.status === 'pending') {
+        // Couldn't reach the API; the capture sits in the retry queue
+        this.updateStatus('warning', 'Offline - analysis will retry');
+      } else if (analysisData.status === 'completed' && analysisData.result) {
+        this.displayResults(analysisData.result, analysisData.captureId, { review: analysisData.review });
+        this.updateStatus('ready', this.completionMessage(analysisData.result, analysisData.review));
+        this.selectCapture(analysisData.captureId);
       } else if (analysisData.status === 'error') {
         this.displayError(analysisData.error);
         this.updateStatus('error', 'Analysis failed');
+        this.selectCapture(analysisData.captureId);
       }
       
       // Clear waiting state, timeout, and re-enable capture button
@@ -274,7 +439,7 @@ class PopupController {
         clearTimeout(this.timeoutId);
         this.timeoutId = null;
       }
-      this.captureBtn.disabled = false;
+      this.setCaptureDisabled(false);
       
     } catch (error) {
       console.error('Failed to handle storage analysis:', error);
@@ -284,7 +449,7 @@ class PopupController {
         clearTimeout(this.timeoutId);
         this.timeoutId = null;
       }
-      this.captureBtn.disabled = false;
+      this.setCaptureDisabled(false);
     }
   }
   
@@ -300,7 +465,7 @@ class PopupController {
     } catch (error) {
       console.error('Failed to handle storage capture:', error);
       this.updateStatus('error', 'Processing failed');
-      this.captureBtn.disabled = false;
+      this.setCaptureDisabled(false);
     }
   }
   
@@ -311,31 +476,487 @@ class PopupController {
   }
   
   
-  displayResults(data) {
+  // List the captures the background script keeps (capture_* entries), newest first
+  async loadHistory() {
+    try {
+      const storage = await chrome.storage.local.get(null);
+      const captures = Object.entries(storage)
+        .filter(([key]) => key.startsWith('capture_'))
+        .map(([captureId, capture]) => ({ ...capture, captureId }))
+        .sort((a, b) => b.timestamp - a.timestamp);
+      
+      this.renderHistory(captures);
+    } catch (error) {
+      console.error('Failed to load capture history:', error);
+    }
+  }
+  
+  renderHistory(captures) {
+    this.historySection.style.display = captures.length > 0 ? 'block' : 'none';
+    
+    // Page titles come from arbitrary sites, so only ever set them as text
+    this.historyList.replaceChildren(...captures.map(capture => {
+      const item = el('button', 'history-item');
+      item.type = 'button';
+      item.classList.toggle('selected', capture.captureId === this.selectedCaptureId);
+      item.addEventListener('click', () => this.showCapture(capture));
+      
+      const thumbnail = capture.thumbnailUrl || capture.croppedImageDataUrl || capture.imageDataUrl;
+      const thumb = el(thumbnail ? 'img' : 'span', 'history-thumb');
+      if (thumbnail) {
+        thumb.src = thumbnail;
+        thumb.alt = '';
+      }
+      
+      const info = el('span', 'history-info');
+      info.append(
+        el('span', 'history-title', this.captureTitle(capture)),
+        el('span', 'history-time', new Date(capture.timestamp).toLocaleString())
+      );
+      
+      const status = capture.status || 'captured';
+      item.append(thumb, info, el('span', `history-status ${status}`, status));
+      
+      const row = el('li');
+      row.append(item);
+      return row;
+    }));
+  }
+  
+  captureTitle(capture) {
+    if (capture.title) {
+      return capture.title;
+    }
+    try {
+      return new URL(capture.url).hostname;
+    } catch {
+      return 'Untitled page';
+    }
+  }
+  
+  // Reopen a past capture's analysis
+  showCapture(capture) {
+    if (capture.analysis) {
+      this.displayResults(capture.analysis, capture.captureId, {
+        review: capture.status === 'review',
+        savedAdIndexes: capture.savedAdIndexes
+      });
+    } else if (capture.error) {
+      this.displayError(capture.error);
+    } else {
+      this.resultsContent.replaceChildren();
+      this.resultsSection.style.display = 'block';
+    }
+    
+    this.renderCaptureActions(capture);
+    this.loadHistory();
+  }
+  
+  async selectCapture(captureId) {
+    if (!captureId) {
+      return;
+    }
+    
+    const storage = await chrome.storage.local.get([captureId]);
+    if (storage[captureId]) {
+      this.renderCaptureActions({ ...storage[captureId], captureId });
+    }
+  }
+  
+  renderCaptureActions(capture) {
+    this.selectedCaptureId = capture.captureId;
+    this.captureMeta.textContent = `${this.captureTitle(capture)} · ${new Date(capture.timestamp).toLocaleString()} · ${capture.status || 'captured'}`;
+    this.resaveBtn.disabled = !capture.analysis;
+    this.captureActions.style.display = 'flex';
+  }
+  
+  async handleReanalyze() {
+    if (!this.selectedCaptureId) {
+      return;
+    }
+    
+    try {
+      this.reanalyzeBtn.disabled = true;
+      await sendMessageWithTimeout({ type: 'REANALYZE_CAPTURE', captureId: this.selectedCaptureId }, 5000);
+      this.updateStatus('processing', 'Re-analyzing capture...');
+    } catch (error) {
+      console.error('Re-analysis failed:', error);
+      this.updateStatus('error', 'Re-analysis failed');
+    } finally {
+      this.reanalyzeBtn.disabled = false;
+    }
+  }
+  
+  async handleResave() {
+    if (!this.selectedCaptureId) {
+      return;
+    }
+    
+    try {
+      this.resaveBtn.disabled = true;
+      this.updateStatus('processing', 'Saving capture...');
+      
+      // Saved captures download their screenshot again before uploading it
+      const response = await sendMessageWithTimeout({ type: 'RESAVE_CAPTURE', captureId: this.selectedCaptureId }, 40000);
+      
+      if (!response.success) {
+        throw new Error(response.error || 'Save failed');
+      }
+      
+      const merged = response.duplicates.filter(duplicate => duplicate.status === 'merged').length;
+      this.updateStatus('ready', merged > 0 ? `Saved (${merged} already in library)` : 'Saved');
+    } catch (error) {
+      console.error('Re-save failed:', error);
+      this.updateStatus('error', 'Save failed');
+      this.displayError(error.message);
+    } finally {
+      this.resaveBtn.disabled = false;
+    }
+  }
+  
+  // Show captures waiting in the background script's retry queue
+  renderQueue(operations) {
+    if (operations.length === 0) {
+      this.queueSection.style.display = 'none';
+      return;
+    }
+    
+    const toAnalyze = operations.filter(operation => operation.type === 'analyze').length;
+    const toSave = operations.length - toAnalyze;
+    const failed = operations.filter(operation => operation.status === 'failed').length;
+    const nextAttempt = Math.min(...operations.filter(operation => operation.status === 'pending').map(operation => operation.nextAttemptAt));
+    const latest = operations.reduce((a, b) => (b.createdAt > a.createdAt ? b : a));
+    
+    const parts = [];
+    if (toAnalyze > 0) parts.push(`${toAnalyze} to analyze`);
+    if (toSave > 0) parts.push(`${toSave} to save`);
+    this.queueSummary.textContent = `${operations.length} capture(s) waiting: ${parts.join(', ')}`;
+    
+    const details = [];
+    if (Number.isFinite(nextAttempt)) {
+      details.push(`Next retry at ${new Date(nextAttempt).toLocaleTimeString()}`);
+    }
+    if (failed > 0) {
+      details.push(`${failed} stopped retrying`);
+    }
+    details.push(`Last error: ${latest.lastError}`);
+    this.queueDetail.textContent = details.join(' · ');
+    
+    this.queueSection.style.display = 'block';
+  }
+  
+  async handleRetryQueue() {
+    try {
+      this.retryQueueBtn.disabled = true;
+      await sendMessageWithTimeout({ type: 'RETRY_PENDING' }, 5000);
+      this.updateStatus('ready', 'Retrying queued captures');
+    } catch (error) {
+      console.error('Retry failed:', error);
+      this.updateStatus('error', 'Retry failed');
+    } finally {
+      this.retryQueueBtn.disabled = false;
+    }
+  }
+  
+  // Watch targets are kept by the background script; the form only shows on
+  // Ad Library pages, which are the ones that can be watched
+  async loadWatchTargets() {
+    try {
+      const { watchTargets = [] } = await chrome.storage.local.get(['watchTargets']);
+      this.renderWatchTargets(watchTargets);
+      
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      this.watchUrl = tab?.url || null;
+      const watchable = this.isAdLibraryUrl(this.watchUrl);
+      this.watchForm.style.display = watchable ? 'flex' : 'none';
+      this.watchHint.style.display = watchable ? 'none' : 'block';
+    } catch (error) {
+      console.error('Failed to load watch targets:', error);
+    }
+  }
+  
+  isAdLibraryUrl(url) {
+    try {
+      const parsed = new URL(url);
+      return /(^|\.)facebook\.com$/.test(parsed.hostname) && parsed.pathname.startsWith('/ads/library');
+    } catch {
+      return false;
+    }
+  }
+  
+  renderWatchTargets(targets) {
+    const intervals = { 1: 'Hourly', 6: 'Every 6 hours', 24: 'Daily' };
+    
+    // Names and URLs are user input, so only ever set them as text
+    this.watchList.replaceChildren(...targets.map(target => {
+      const link = el('a', 'watch-name', target.name);
+      link.href = target.url;
+      link.target = '_blank';
+      link.rel = 'noopener';
+      
+      const check = el('button', 'btn link', 'Check now');
+      check.type = 'button';
+      check.addEventListener('click', () => this.handleCheckWatchTarget(target.id, check));
+      
+      const remove = el('button', 'btn link', 'Remove');
+      remove.type = 'button';
+      remove.addEventListener('click', () => this.handleRemoveWatchTarget(target.id));
+      
+      const actions = el('span', 'watch-actions');
+      actions.append(check, remove);
+      
+      const row = el('li', 'watch-item');
+      row.append(link, el('span', 'watch-meta', `${intervals[target.intervalHours] || `Every ${target.intervalHours} hours`} · ${this.watchResultText(target)}`), actions);
+      return row;
+    }));
+  }
+  
+  watchResultText(target) {
+    const result = target.lastResult;
+    
+    if (!result) {
+      return 'Not checked yet';
+    }
+    
+    const checked = `Checked ${new Date(result.checkedAt).toLocaleString()}`;
+    
+    if (result.error) {
+      return `${checked}: ${result.error}`;
+    }
+    return `${checked}: ${result.adsOnPage} ad(s), ${result.newAds} new`;
+  }
+  
+  async handleAddWatchTarget() {
+    try {
+      this.watchAddBtn.disabled = true;
+      
+      const response = await sendMessageWithTimeout({
+        type: 'ADD_WATCH_TARGET',
+        target: {
+          url: this.watchUrl,
+          name: this.watchName.value,
+          intervalHours: Number(this.watchInterval.value)
+        }
+      }, 5000);
+      
+      if (!response.success) {
+        throw new Error(response.error || 'Could not watch this page');
+      }
+      
+      this.watchName.value = '';
+      this.updateStatus('ready', `Watching ${response.target.name}`);
+    } catch (error) {
+      console.error('Adding watch target failed:', error);
+      this.updateStatus('error', 'Could not watch page');
+      this.displayError(error.message);
+    } finally {
+      this.watchAddBtn.disabled = false;
+    }
+  }
+  
+  async handleRemoveWatchTarget(targetId) {
+    try {
+      await sendMessageWithTimeout({ type: 'REMOVE_WATCH_TARGET', targetId }, 5000);
+    } catch (error) {
+      console.error('Removing watch target failed:', error);
+      this.updateStatus('error', 'Could not remove watched page');
+    }
+  }
+  
+  // The list re-renders with the result when the check finishes
+  async handleCheckWatchTarget(targetId, button) {
+    try {
+      button.disabled = true;
+      button.textContent = 'Checking...';
+      await sendMessageWithTimeout({ type: 'CHECK_WATCH_TARGET', targetId }, 5000);
+    } catch (error) {
+      console.error('Watch target check failed:', error);
+      this.updateStatus('error', 'Check failed');
+      button.disabled = false;
+      button.textContent = 'Check now';
+    }
+  }
+  
+  completionMessage(result, review) {
+    if (review) {
+      return 'Analysis complete - review before saving';
+    }
+    return result?.cached ? 'Analysis complete (cached)' : 'Analysis complete';
+  }
+  
+  // One card per detected ad, then the full analysis. Everything here comes from
+  // the model reading third-party pages, so it is only ever set as text.
+  // With `review`, the ad fields are editable and nothing is saved until confirmed.
+  // `savedAdIndexes` marks ads already saved one at a time.
+  displayResults(data, captureId = null, { review = false, savedAdIndexes = [] } = {}) {
     console.log('Displaying results:', data);
     
-    // Show only the analysis content without metadata
-    this.resultsContent.innerHTML = `
-      ${data.analysis ? `
-        <div class="result-item">
-          <div style="white-space: pre-wrap; line-height: 1.4;">${data.analysis}</div>
-        </div>
-      ` : ''}
-      ${data.error ? `
-        <div class="result-item error">
-          <strong>Error:</strong> ${data.error}
-        </div>
-      ` : ''}
-    `;
+    const ads = Array.isArray(data.structured_data) ? data.structured_data : [];
+    const adsFound = data.ads_found ?? ads.length;
+    const editable = review && !!captureId;
+    const cards = ads.map((ad, index) => this.renderAdCard(ad, index, captureId, editable, savedAdIndexes.includes(index)));
+    const content = [el('p', 'ads-found', `${adsFound} ad(s) found${data.cached ? ' (cached)' : ''}`)];
+    
+    if (editable && ads.length > 0) {
+      const saveAllBtn = el('button', 'btn primary', 'Save reviewed ads');
+      saveAllBtn.type = 'button';
+      saveAllBtn.addEventListener('click', () => this.handleSaveReviewed(captureId, cards, saveAllBtn));
+      
+      const actions = el('div', 'review-actions');
+      actions.append(saveAllBtn);
+      content.push(el('p', 'capture-meta', 'Check the extracted fields and fix anything the model misread.'), actions);
+    }
+    
+    content.push(...cards);
+    
+    const analysis = renderMarkdown(data.analysis);
+    if (analysis.childNodes.length > 0) {
+      const details = el('details', 'analysis-text');
+      details.open = ads.length === 0;
+      details.append(el('summary', null, 'Full analysis'), analysis);
+      content.push(details);
+    }
+    
+    this.resultsContent.replaceChildren(...content);
     this.resultsSection.style.display = 'block';
   }
   
+  renderAdCard(ad, index, captureId, editable, saved = false) {
+    const card = el('article', 'ad-card');
+    const fields = el('dl', 'ad-card-fields');
+    
+    if (editable) {
+      card.append(el('h4', 'ad-card-advertiser', `Ad ${index + 1}`));
+      
+      for (const [field, label] of AD_FIELDS) {
+        const input = el(field === 'description' ? 'textarea' : 'input', 'ad-card-input');
+        input.name = field;
+        input.value = ad[field] || '';
+        input.setAttribute('aria-label', label);
+        if (field === 'description') {
+          input.rows = 3;
+        }
+        
+        const value = el('dd');
+        value.append(input);
+        fields.append(el('dt', null, label), value);
+      }
+    } else {
+      card.append(el('h4', 'ad-card-advertiser', ad.advertiser_name || 'Unknown advertiser'));
+      
+      for (const [field, label] of AD_FIELDS.slice(1)) {
+        if (ad[field]) {
+          fields.append(el('dt', null, label), el('dd', null, ad[field]));
+        }
+      }
+    }
+    card.append(fields);
+    
+    // Checked against the Ad Library page the ad was captured from
+    if (ad.library_id) {
+      const status = ad.library_active === true ? 'Active' : (ad.library_active === false ? 'Inactive' : null);
+      const since = ad.library_start_date ? `since ${ad.library_start_date}` : null;
+      card.append(el('p', 'ad-card-library', [`Library ID ${ad.library_id}`, status, since].filter(Boolean).join(' · ')));
+    }
+    
+    // The card's current values, including unsaved edits
+    const currentAd = () => (editable ? { ...ad, ...this.readCardFields(card) } : ad);
+    
+    const actions = el('div', 'ad-card-actions');
+    
+    const copyBtn = el('button', 'btn link', 'Copy');
+    copyBtn.type = 'button';
+    copyBtn.addEventListener('click', () => this.handleCopyAd(currentAd(), copyBtn));
+    actions.append(copyBtn);
+    
+    if (captureId) {
+      const saveBtn = el('button', 'btn link', saved ? 'Saved' : 'Save just this ad');
+      saveBtn.type = 'button';
+      saveBtn.disabled = saved;
+      saveBtn.addEventListener('click', () => this.handleSaveAd(captureId, index, saveBtn, editable ? this.readCardFields(card) : null));
+      actions.append(saveBtn);
+    }
+    
+    card.append(actions);
+    return card;
+  }
+  
+  readCardFields(card) {
+    return Object.fromEntries([...card.querySelectorAll('.ad-card-input')].map(input => [
+      input.name,
+      input.value.trim() || null
+    ]));
+  }
+  
+  async handleCopyAd(ad, button) {
+    const text = AD_FIELDS
+      .filter(([field]) => ad[field])
+      .map(([field, label]) => `${label}: ${ad[field]}`)
+      .join('\n');
+    
+    try {
+      await navigator.clipboard.writeText(text);
+      button.textContent = 'Copied';
+    } catch (error) {
+      console.error('Copy failed:', error);
+      button.textContent = 'Copy failed';
+    }
+    setTimeout(() => {
+      button.textContent = 'Copy';
+    }, 1500);
+  }
+  
+  async handleSaveAd(captureId, adIndex, button, corrections = null) {
+    try {
+      button.disabled = true;
+      this.updateStatus('processing', `Saving ad ${adIndex + 1}...`);
+      
+      const response = await sendMessageWithTimeout({ type: 'SAVE_SINGLE_AD', captureId, adIndex, ad: corrections }, 40000);
+      
+      if (!response.success) {
+        throw new Error(response.error || 'Save failed');
+      }
+      
+      const merged = response.duplicates.some(duplicate => duplicate.status === 'merged');
+      button.textContent = merged ? 'Already saved' : 'Saved';
+      this.updateStatus('ready', merged ? `Ad ${adIndex + 1} was already in the library` : `Ad ${adIndex + 1} saved`);
+    } catch (error) {
+      console.error('Saving ad failed:', error);
+      button.disabled = false;
+      this.updateStatus('error', 'Save failed');
+    }
+  }
+  
+  // Save every ad of a capture in review with the fields as edited
+  async handleSaveReviewed(captureId, cards, button) {
+    try {
+      button.disabled = true;
+      this.updateStatus('processing', 'Saving reviewed ads...');
+      
+      const ads = cards.map(card => this.readCardFields(card));
+      const response = await sendMessageWithTimeout({ type: 'SAVE_REVIEWED_CAPTURE', captureId, ads }, 40000);
+      
+      if (!response.success) {
+        throw new Error(response.error || 'Save failed');
+      }
+      
+      this.updateStatus('ready', `Saved ${ads.length} ad(s)`);
+      
+      const storage = await chrome.storage.local.get([captureId]);
+      if (storage[captureId]) {
+        this.showCapture({ ...storage[captureId], captureId });
+      }
+    } catch (error) {
+      console.error('Saving reviewed ads failed:', error);
+      button.disabled = false;
+      this.updateStatus('error', 'Save failed');
+    }
+  }
+  
   displayError(message) {
-    this.resultsContent.innerHTML = `
-      <div class="result-item error">
-        <strong>Error:</strong> ${message}
-      </div>
-    `;
+    const item = el('div', 'result-item error');
+    item.append(el('strong', null, 'Error:'), ` ${message}`);
+    this.resultsContent.replaceChildren(item);
     this.resultsSection.style.display = 'block';
   }
   
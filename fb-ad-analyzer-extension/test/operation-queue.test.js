@@ -0,0 +1,72 @@
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { QUEUE_MAX_ATTEMPTS, getPendingOperations, queueOperation, removeOperation } from '../src/background/operation-queue.js';
+
+// chrome.storage.local stand-in that yields between reads and writes, like the
+// real asynchronous storage, so unserialized read-modify-write loses updates
+function createStorage() {
+  const data = {};
+  const tick = () => new Promise(resolve => setTimeout(resolve, Math.random() * 5));
+
+  return {
+    data,
+    async get(keys) {
+      await tick();
+      return Object.fromEntries(keys.filter(key => key in data).map(key => [key, structuredClone(data[key])]));
+    },
+    async set(values) {
+      await tick();
+      Object.assign(data, structuredClone(values));
+    }
+  };
+}
+
+describe('operation queue', () => {
+  let storage;
+
+  beforeEach(() => {
+    storage = createStorage();
+    globalThis.chrome = { storage: { local: storage } };
+  });
+
+  test('keeps every operation queued concurrently', async () => {
+    await Promise.all(Array.from({ length: 10 }, (_, index) => (
+      queueOperation('analyze', { captureId: `capture_${index}` }, new Error('offline'))
+    )));
+
+    const ids = (await getPendingOperations()).map(operation => operation.id).sort();
+    assert.deepEqual(ids, Array.from({ length: 10 }, (_, index) => `analyze:capture_${index}`).sort());
+  });
+
+  test('keeps operations without a capture apart when they fail together', async () => {
+    const operations = await Promise.all([
+      queueOperation('save', { url: 'https://www.facebook.com/' }, new Error('offline')),
+      queueOperation('save', { url: 'https://www.facebook.com/' }, new Error('offline'))
+    ]);
+
+    assert.notEqual(operations[0].id, operations[1].id);
+    assert.equal((await getPendingOperations()).length, 2);
+  });
+
+  test('does not lose a new failure queued while a retry is removed', async () => {
+    await queueOperation('analyze', { captureId: 'capture_1' }, new Error('offline'));
+
+    await Promise.all([
+      removeOperation('analyze:capture_1'),
+      queueOperation('save', { captureId: 'capture_2' }, new Error('offline'))
+    ]);
+
+    assert.deepEqual((await getPendingOperations()).map(operation => operation.id), ['save:capture_2']);
+  });
+
+  test('counts attempts of the same operation and gives up after the last', async () => {
+    for (let attempt = 1; attempt <= QUEUE_MAX_ATTEMPTS; attempt++) {
+      await queueOperation('analyze', { captureId: 'capture_1' }, new Error(`attempt ${attempt}`));
+    }
+
+    const [operation] = await getPendingOperations();
+    assert.equal(operation.attempts, QUEUE_MAX_ATTEMPTS);
+    assert.equal(operation.status, 'failed');
+    assert.equal(operation.lastError, `attempt ${QUEUE_MAX_ATTEMPTS}`);
+  });
+});
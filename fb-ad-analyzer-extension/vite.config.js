@@ -9,7 +9,8 @@ export default defineConfig({
       input: {
         background: resolve(__dirname, 'src/background/background.js'),
         content: resolve(__dirname, 'src/content/content.js'),
-        popup: resolve(__dirname, 'src/popup/popup.js')
+        popup: resolve(__dirname, 'src/popup/popup.js'),
+        options: resolve(__dirname, 'src/options/options.js')
       },
       output: {
         entryFileNames: '[name].js',
@@ -52,16 +53,18 @@ export default defineConfig({
           source: manifestContent
         });
 
-        // Copy popup.html to root (Vite puts it in src/popup/ by default)
-        try {
-          const popupHtmlContent = readFileSync(resolve(__dirname, 'src/popup/popup.html'), 'utf-8');
-          this.emitFile({
-            type: 'asset',
-            fileName: 'popup.html',
-            source: popupHtmlContent
-          });
-        } catch (error) {
-          console.warn('Could not copy popup.html:', error.message);
+        // Copy popup.html and options.html to root (Vite puts them in src/ by default)
+        for (const page of ['popup', 'options']) {
+          try {
+            const htmlContent = readFileSync(resolve(__dirname, `src/${page}/${page}.html`), 'utf-8');
+            this.emitFile({
+              type: 'asset',
+              fileName: `${page}.html`,
+              source: htmlContent
+            });
+          } catch (error) {
+            console.warn(`Could not copy ${page}.html:`, error.message);
+          }
         }
 
         // Copy all icon files
@@ -7,9 +7,23 @@ export default function handler(req, res) {
     name: 'Facebook Ad Analyzer API',
     version: '1.0.0',
     description: 'API for analyzing Facebook ads',
+    authentication: 'Send a Supabase Auth access token as "Authorization: Bearer <token>"',
     endpoints: {
-      'GET /api/hello': 'Test endpoint and service connections',
-      'POST /api/hello': 'Analyze screenshot data',
+      'GET /api/hello': 'Health check for service connections',
+      'POST /api/auth/login': 'Sign in with email and password',
+      'POST /api/auth/refresh': 'Refresh an expired session',
+      'POST /api/analyze': 'Analyze a screenshot for ads',
+      'POST /api/jobs': 'Queue a screenshot analysis to run in the background',
+      'GET /api/jobs/:id': 'Analysis job status and result',
+      'POST /api/save-ad': 'Save analyzed ad data',
+      'GET /api/ads': 'List saved ads with filters and cursor pagination',
+      'GET /api/ads/search': 'Full-text search across ad copy and analysis',
+      'GET /api/ads/:id': 'Fetch a single saved ad with its analysis',
+      'PATCH /api/ads/:id': 'Correct fields on a saved ad',
+      'DELETE /api/ads/:id': 'Delete a saved ad',
+      'GET /api/advertisers': 'List advertisers with ad counts',
+      'GET /api/advertisers/:id': 'Advertiser profile with CTAs, products, platforms and capture timeline',
+      'GET /api/screenshots/:key': 'Serve locally stored screenshots (development only)',
       'GET /api/test': 'Simple test endpoint'
     },
     timestamp: new Date().toISOString(),
@@ -0,0 +1,202 @@
+// Facebook Ad Library data read from the page DOM by the extension. It is
+// ground truth for the fields it covers, so AI-extracted ads are matched
+// against it and corrected where the two disagree.
+
+export const MAX_LIBRARY_ADS = 50;
+
+export const LIBRARY_PLATFORMS = ['facebook', 'instagram', 'messenger', 'audience_network', 'threads', 'whatsapp'];
+
+// Structured ad fields the DOM value replaces: [ad field, library field]
+const CHECKED_FIELDS = [
+  ['advertiser_name', 'page_name'],
+  ['description', 'ad_copy']
+];
+
+const isDate = value => typeof value === 'string'
+  && /^\d{4}-\d{2}-\d{2}$/.test(value)
+  && !Number.isNaN(Date.parse(value));
+
+// Validate the library_ads request field and return a list of problems (empty when valid)
+export function validateLibraryAds(libraryAds) {
+  if (libraryAds === undefined || libraryAds === null) {
+    return [];
+  }
+
+  if (!Array.isArray(libraryAds)) {
+    return ['library_ads must be an array'];
+  }
+
+  if (libraryAds.length > MAX_LIBRARY_ADS) {
+    return [`library_ads can contain at most ${MAX_LIBRARY_ADS} ads`];
+  }
+
+  const errors = [];
+
+  libraryAds.forEach((ad, index) => {
+    const prefix = `library_ads[${index}]`;
+
+    if (!ad || typeof ad !== 'object' || Array.isArray(ad)) {
+      errors.push(`${prefix} must be an object`);
+      return;
+    }
+
+    if (typeof ad.library_id !== 'string' || !/^\d+$/.test(ad.library_id)) {
+      errors.push(`${prefix}.library_id must be a string of digits`);
+    }
+
+    for (const field of ['page_name', 'ad_copy']) {
+      if (ad[field] !== undefined && ad[field] !== null && typeof ad[field] !== 'string') {
+        errors.push(`${prefix}.${field} must be a string`);
+      }
+    }
+
+    if (ad.start_date !== undefined && ad.start_date !== null && !isDate(ad.start_date)) {
+      errors.push(`${prefix}.start_date must be a YYYY-MM-DD date`);
+    }
+
+    if (ad.active !== undefined && ad.active !== null && typeof ad.active !== 'boolean') {
+      errors.push(`${prefix}.active must be a boolean`);
+    }
+
+    if (ad.platforms !== undefined && ad.platforms !== null
+      && (!Array.isArray(ad.platforms) || ad.platforms.some(platform => !LIBRARY_PLATFORMS.includes(platform)))) {
+      errors.push(`${prefix}.platforms must be an array of: ${LIBRARY_PLATFORMS.join(', ')}`);
+    }
+  });
+
+  return errors;
+}
+
+// Lowercase words only, so punctuation and line breaks don't count as differences
+function normalizeText(value) {
+  return typeof value === 'string' ? value.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim() : '';
+}
+
+// The copy in either source may be cut off ("See more"), so containment agrees too
+function sameText(a, b) {
+  const left = normalizeText(a);
+  const right = normalizeText(b);
+  return left === right || (left.length > 0 && right.length > 0 && (left.includes(right) || right.includes(left)));
+}
+
+function wordOverlap(a, b) {
+  const left = new Set(normalizeText(a).split(' ').filter(Boolean));
+  const right = new Set(normalizeText(b).split(' ').filter(Boolean));
+
+  if (left.size === 0 || right.size === 0) {
+    return 0;
+  }
+
+  const shared = [...left].filter(word => right.has(word)).length;
+  return shared / new Set([...left, ...right]).size;
+}
+
+// How likely an AI-extracted ad and a library ad are the same ad
+function matchScore(ad, libraryAd) {
+  return (sameText(ad.advertiser_name, libraryAd.page_name) ? 1 : 0) + wordOverlap(ad.description, libraryAd.ad_copy);
+}
+
+// Pair AI ads with library ads, best matches first. Leftovers are paired in
+// reading order only when both sides found the same number of ads.
+function pairAds(structuredData, libraryAds) {
+  const candidates = structuredData.flatMap((ad, adIndex) => libraryAds.map((libraryAd, libraryIndex) => ({
+    adIndex,
+    libraryIndex,
+    score: matchScore(ad, libraryAd)
+  })))
+    .filter(candidate => candidate.score > 0)
+    .sort((a, b) => b.score - a.score || a.adIndex - b.adIndex);
+
+  const pairs = new Map();
+  const usedLibrary = new Set();
+
+  for (const { adIndex, libraryIndex } of candidates) {
+    if (!pairs.has(adIndex) && !usedLibrary.has(libraryIndex)) {
+      pairs.set(adIndex, libraryIndex);
+      usedLibrary.add(libraryIndex);
+    }
+  }
+
+  if (structuredData.length === libraryAds.length) {
+    const leftover = libraryAds.map((_, index) => index).filter(index => !usedLibrary.has(index));
+    structuredData.forEach((_, adIndex) => {
+      if (!pairs.has(adIndex) && leftover.length > 0) {
+        pairs.set(adIndex, leftover.shift());
+      }
+    });
+  }
+
+  return pairs;
+}
+
+// Library columns stored on saved_ads for one matched ad
+function libraryColumns(libraryAd) {
+  return {
+    library_id: libraryAd.library_id,
+    library_start_date: libraryAd.start_date ?? null,
+    library_active: libraryAd.active ?? null,
+    library_platforms: libraryAd.platforms ?? null
+  };
+}
+
+// Cross-check AI-extracted ads against the DOM data. Matched ads take the
+// library values and gain the library_* fields; library_check lists what the
+// model got wrong and which library ads it missed.
+export function crossCheckAds(structuredData, libraryAds) {
+  const pairs = pairAds(structuredData, libraryAds);
+  const checks = [];
+
+  const corrected = structuredData.map((ad, adIndex) => {
+    if (!pairs.has(adIndex)) {
+      return ad;
+    }
+
+    const libraryAd = libraryAds[pairs.get(adIndex)];
+    const mismatches = [];
+    const fields = {};
+
+    for (const [field, libraryField] of CHECKED_FIELDS) {
+      const libraryValue = libraryAd[libraryField];
+
+      if (!libraryValue || !libraryValue.trim()) {
+        continue;
+      }
+
+      fields[field] = libraryValue.trim();
+
+      if (!sameText(ad[field], libraryValue)) {
+        mismatches.push({ field, ai_value: ad[field] ?? null, library_value: fields[field] });
+      }
+    }
+
+    checks.push({ ad_index: adIndex, library_id: libraryAd.library_id, mismatches });
+
+    return { ...ad, ...fields, ...libraryColumns(libraryAd) };
+  });
+
+  const matchedIds = new Set(checks.map(check => check.library_id));
+
+  return {
+    structured_data: corrected,
+    library_check: {
+      library_ads: libraryAds.length,
+      matched: checks.length,
+      ads: checks,
+      unmatched_library_ids: libraryAds.map(ad => ad.library_id).filter(id => !matchedIds.has(id))
+    }
+  };
+}
+
+// Pick the library_* columns from a structured_data entry, dropping anything malformed
+export function pickLibraryFields(ad) {
+  const platforms = Array.isArray(ad.library_platforms)
+    ? ad.library_platforms.filter(platform => LIBRARY_PLATFORMS.includes(platform))
+    : null;
+
+  return {
+    library_id: typeof ad.library_id === 'string' && /^\d+$/.test(ad.library_id) ? ad.library_id : null,
+    library_start_date: isDate(ad.library_start_date) ? ad.library_start_date : null,
+    library_active: typeof ad.library_active === 'boolean' ? ad.library_active : null,
+    library_platforms: platforms?.length ? platforms : null
+  };
+}
@@ -0,0 +1,124 @@
+// Shared helpers for reading saved_ads rows
+
+// Columns returned by list views - analysis_data is only included on single-ad fetches
+export const AD_LIST_COLUMNS = [
+  'id',
+  'user_id',
+  'capture_id',
+  'ad_index',
+  'screenshot_url',
+  'thumbnail_url',
+  'source_url',
+  'platform',
+  'advertiser_name',
+  'advertiser_id',
+  'headline',
+  'description',
+  'call_to_action',
+  'product_service',
+  'library_id',
+  'library_start_date',
+  'library_active',
+  'library_platforms',
+  'duplicate_of',
+  'seen_count',
+  'first_seen_at',
+  'last_seen_at',
+  'created_at',
+  'updated_at'
+].join(', ');
+
+// Per-ad columns extracted from each structured_data entry
+export const AD_FIELDS = ['advertiser_name', 'headline', 'description', 'call_to_action', 'product_service'];
+
+// Columns a user may correct after the AI misreads them
+export const EDITABLE_FIELDS = [...AD_FIELDS, 'platform'];
+
+// Values the model uses when it cannot read a field
+const PLACEHOLDER_VALUES = ['unknown', 'not visible', 'n/a', 'none'];
+
+// Sortable columns - each one is backed by an index on saved_ads
+export const SORTABLE_COLUMNS = ['created_at', 'advertiser_name', 'platform'];
+
+export const DEFAULT_PAGE_SIZE = 20;
+export const MAX_PAGE_SIZE = 100;
+
+// Pick the per-ad columns from a structured_data entry, dropping placeholders
+export function pickAdFields(ad) {
+  const fields = {};
+
+  for (const field of AD_FIELDS) {
+    const value = typeof ad[field] === 'string' ? ad[field].trim() : null;
+    fields[field] = value && !PLACEHOLDER_VALUES.includes(value.toLowerCase()) ? value : null;
+  }
+
+  return fields;
+}
+
+// Parse the stored analysis_data text back into an object
+export function parseAnalysisData(analysisData) {
+  if (analysisData === null || analysisData === undefined) {
+    return null;
+  }
+
+  try {
+    const parsed = JSON.parse(analysisData);
+    if (parsed && typeof parsed === 'object') {
+      return parsed;
+    }
+  } catch {
+    // Older rows store the analysis as plain text
+  }
+
+  return { analysis: analysisData };
+}
+
+// Cursors are opaque to clients: base64url-encoded [sortValue, id] of the last row on a page
+export function encodeCursor(row, sortColumn) {
+  return Buffer.from(JSON.stringify([row[sortColumn] ?? null, row.id])).toString('base64url');
+}
+
+export function decodeCursor(cursor) {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (Array.isArray(decoded) && decoded.length === 2 && Number.isInteger(decoded[1])) {
+      return { value: decoded[0], id: decoded[1] };
+    }
+  } catch {
+    // Fall through to the invalid cursor result
+  }
+
+  return null;
+}
+
+// Quote a value for use inside a PostgREST or() filter
+function quoteFilterValue(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+// Build the or() filter that selects rows after the cursor position.
+// Rows are ordered by (sortColumn, id) with NULL sort values last.
+export function buildCursorFilter(sortColumn, ascending, cursor) {
+  const op = ascending ? 'gt' : 'lt';
+
+  if (cursor.value === null) {
+    return `and(${sortColumn}.is.null,id.${op}.${cursor.id})`;
+  }
+
+  const value = quoteFilterValue(cursor.value);
+
+  return [
+    `${sortColumn}.${op}.${value}`,
+    `and(${sortColumn}.eq.${value},id.${op}.${cursor.id})`,
+    `${sortColumn}.is.null`
+  ].join(',');
+}
+
+// Escape LIKE wildcards so user input is matched literally
+export function escapeLikePattern(value) {
+  return value.replace(/[\\%_]/g, match => `\\${match}`);
+}
+
+export function isMissingTableError(error) {
+  return error.code === 'PGRST116' || error.message.includes('relation') || error.message.includes('does not exist');
+}
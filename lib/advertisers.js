@@ -0,0 +1,223 @@
+// Advertiser normalization, alias matching and profile aggregation
+
+// Legal-entity suffixes dropped when comparing names ("Allbirds, Inc." -> "allbirds")
+const COMPANY_SUFFIXES = ['inc', 'incorporated', 'llc', 'ltd', 'limited', 'co', 'corp', 'corporation', 'company', 'gmbh', 'plc'];
+
+export const MAX_PROFILE_ADS = 1000;
+export const PROFILE_RECENT_ADS = 20;
+export const MAX_ALIAS_LENGTH = 200;
+
+// Reduce an advertiser name to the form used for matching:
+// lowercase, no accents or punctuation, "&" as "and", no company suffix
+export function normalizeAdvertiserName(name) {
+  if (typeof name !== 'string') {
+    return '';
+  }
+
+  const words = name
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/['\u2019]/g, '')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim()
+    .split(' ')
+    .filter(Boolean);
+
+  while (words.length > 1 && COMPANY_SUFFIXES.includes(words[words.length - 1])) {
+    words.pop();
+  }
+
+  return words.join(' ');
+}
+
+// Pick the advertiser for a normalized name from the user's known aliases.
+// Only a whole-name match counts: sharing a first word ("Nike Running",
+// "Apple Bank") says nothing about being the same advertiser. Users link
+// other spellings by adding aliases or merging advertisers.
+export function matchAdvertiser(normalizedName, aliases) {
+  const alias = aliases.find(candidate => candidate.normalized_alias === normalizedName);
+  return alias ? alias.advertiser_id : null;
+}
+
+// Find or create advertisers for a user's ad names.
+// Returns a Map of normalized name -> advertiser id.
+export async function resolveAdvertisers(supabase, userId, names) {
+  const spellings = new Map();
+
+  for (const name of names) {
+    const normalized = normalizeAdvertiserName(name);
+    if (normalized && !spellings.has(normalized)) {
+      spellings.set(normalized, name.trim());
+    }
+  }
+
+  const resolved = new Map();
+
+  if (spellings.size === 0) {
+    return resolved;
+  }
+
+  const { data: aliases, error: aliasError } = await supabase
+    .from('advertiser_aliases')
+    .select('advertiser_id, normalized_alias')
+    .eq('user_id', userId)
+    .in('normalized_alias', [...spellings.keys()]);
+
+  if (aliasError) {
+    throw aliasError;
+  }
+
+  const known = [...aliases];
+  const newAliases = [];
+
+  for (const [normalized, spelling] of spellings) {
+    let advertiserId = matchAdvertiser(normalized, known);
+
+    if (!advertiserId) {
+      advertiserId = await createAdvertiser(supabase, userId, spelling, normalized);
+    }
+
+    resolved.set(normalized, advertiserId);
+
+    if (!known.some(alias => alias.normalized_alias === normalized)) {
+      const alias = { advertiser_id: advertiserId, alias: spelling, normalized_alias: normalized };
+      known.push(alias);
+      newAliases.push(alias);
+    }
+  }
+
+  if (newAliases.length > 0) {
+    const { error } = await supabase
+      .from('advertiser_aliases')
+      .upsert(newAliases.map(alias => ({ ...alias, user_id: userId })), {
+        onConflict: 'user_id,normalized_alias',
+        ignoreDuplicates: true
+      });
+
+    if (error) {
+      throw error;
+    }
+  }
+
+  return resolved;
+}
+
+async function createAdvertiser(supabase, userId, name, normalizedName) {
+  const { data, error } = await supabase
+    .from('advertisers')
+    .upsert([{ user_id: userId, name, normalized_name: normalizedName }], {
+      onConflict: 'user_id,normalized_name',
+      ignoreDuplicates: true
+    })
+    .select('id');
+
+  if (error) {
+    throw error;
+  }
+
+  if (data?.length > 0) {
+    return data[0].id;
+  }
+
+  // Another request created it first
+  const { data: existing, error: lookupError } = await supabase
+    .from('advertisers')
+    .select('id')
+    .eq('user_id', userId)
+    .eq('normalized_name', normalizedName)
+    .maybeSingle();
+
+  if (lookupError || !existing) {
+    throw lookupError || new Error(`Failed to create advertiser ${name}`);
+  }
+
+  return existing.id;
+}
+
+// Fold one of a user's advertisers into another: its spellings and ads move
+// to the target, so later saves under any of those names land there too
+export async function mergeAdvertisers(supabase, userId, targetId, sourceId) {
+  const { error: aliasError } = await supabase
+    .from('advertiser_aliases')
+    .update({ advertiser_id: targetId })
+    .eq('user_id', userId)
+    .eq('advertiser_id', sourceId);
+
+  if (aliasError) {
+    throw aliasError;
+  }
+
+  const { data: ads, error: adsError } = await supabase
+    .from('saved_ads')
+    .update({ advertiser_id: targetId })
+    .eq('user_id', userId)
+    .eq('advertiser_id', sourceId)
+    .select('id');
+
+  if (adsError) {
+    throw adsError;
+  }
+
+  const { error: deleteError } = await supabase
+    .from('advertisers')
+    .delete()
+    .eq('id', sourceId)
+    .eq('user_id', userId);
+
+  if (deleteError) {
+    throw deleteError;
+  }
+
+  return { movedAds: ads.length };
+}
+
+// Count values and return [{ value, count }] sorted by frequency
+function tally(values) {
+  const counts = new Map();
+
+  for (const value of values) {
+    if (value) {
+      counts.set(value, (counts.get(value) || 0) + 1);
+    }
+  }
+
+  return [...counts.entries()]
+    .map(([value, count]) => ({ value, count }))
+    .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+}
+
+// Aggregate an advertiser's saved ads (newest first) into profile stats
+export function buildAdvertiserProfile(ads) {
+  const days = new Map();
+
+  for (const ad of ads) {
+    const date = ad.created_at ? ad.created_at.slice(0, 10) : null;
+    if (!date) {
+      continue;
+    }
+    const day = days.get(date) || { date, ads: 0, captures: new Set() };
+    day.ads++;
+    if (ad.capture_id) {
+      day.captures.add(ad.capture_id);
+    }
+    days.set(date, day);
+  }
+
+  const dates = ads.map(ad => ad.created_at).filter(Boolean).sort();
+
+  return {
+    ad_count: ads.length,
+    capture_count: new Set(ads.map(ad => ad.capture_id).filter(Boolean)).size,
+    first_seen: dates[0] || null,
+    last_seen: dates[dates.length - 1] || null,
+    call_to_actions: tally(ads.map(ad => ad.call_to_action)),
+    products: tally(ads.map(ad => ad.product_service)),
+    platforms: tally(ads.map(ad => ad.platform)),
+    timeline: [...days.values()]
+      .sort((a, b) => a.date.localeCompare(b.date))
+      .map(day => ({ date: day.date, ads: day.ads, captures: day.captures.size })),
+    recent_ads: ads.slice(0, PROFILE_RECENT_ADS)
+  };
+}
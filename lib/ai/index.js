@@ -0,0 +1,46 @@
+import { fileURLToPath } from 'url';
+import { OpenAIProvider } from './openai.js';
+import { MockProvider } from './mock.js';
+
+const DEFAULT_FIXTURES_DIR = fileURLToPath(new URL('../../fixtures/ai', import.meta.url));
+
+let provider = null;
+
+// Pick the AI provider from AI_PROVIDER ('openai' or 'mock').
+// Returns null when the selected provider is not configured.
+export function getAIProvider() {
+  if (provider) {
+    return provider;
+  }
+
+  const name = process.env.AI_PROVIDER || 'openai';
+
+  if (name === 'mock') {
+    provider = new MockProvider({
+      fixturesDir: process.env.MOCK_AI_FIXTURES_DIR || DEFAULT_FIXTURES_DIR,
+      fixture: process.env.MOCK_AI_FIXTURE || null
+    });
+    return provider;
+  }
+
+  if (name === 'openai') {
+    const apiKey = process.env.OPENAI_API_KEY;
+    if (!apiKey) {
+      return null;
+    }
+
+    provider = new OpenAIProvider({
+      apiKey,
+      visionModel: process.env.OPENAI_VISION_MODEL || 'gpt-4o',
+      textModel: process.env.OPENAI_TEXT_MODEL || 'gpt-3.5-turbo'
+    });
+    return provider;
+  }
+
+  throw new Error(`Unknown AI_PROVIDER: ${name}`);
+}
+
+// Swap the provider (used by tests). Passing null re-reads the environment.
+export function setAIProvider(override) {
+  provider = override;
+}
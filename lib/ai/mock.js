@@ -0,0 +1,78 @@
+import crypto from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+
+// Offline provider that answers from JSON fixtures. The fixture for an image is
+// picked from a hash of the image data, so the same image always gets the same
+// response. Set MOCK_AI_FIXTURE to pin every request to one fixture.
+//
+// Fixture files live in <fixturesDir>/analysis/*.json and contain either
+// { "response": { ...schema output } }, { "content": "raw text" } or { "refusal": "..." }.
+export class MockProvider {
+  constructor({ fixturesDir, fixture = null }) {
+    this.name = 'mock';
+    this.fixturesDir = fixturesDir;
+    this.fixture = fixture;
+    this.fixtures = null;
+  }
+
+  async loadFixtures() {
+    if (this.fixtures) {
+      return this.fixtures;
+    }
+
+    const analysisDir = path.join(this.fixturesDir, 'analysis');
+    const files = (await fs.readdir(analysisDir)).filter(file => file.endsWith('.json')).sort();
+
+    if (files.length === 0) {
+      throw new Error(`No mock analysis fixtures found in ${analysisDir}`);
+    }
+
+    this.fixtures = await Promise.all(files.map(async file => ({
+      name: path.basename(file, '.json'),
+      ...JSON.parse(await fs.readFile(path.join(analysisDir, file), 'utf8'))
+    })));
+
+    return this.fixtures;
+  }
+
+  async pickFixture(imageDataUrl) {
+    const fixtures = await this.loadFixtures();
+
+    if (this.fixture) {
+      const pinned = fixtures.find(fixture => fixture.name === this.fixture);
+      if (!pinned) {
+        throw new Error(`Unknown mock fixture: ${this.fixture}`);
+      }
+      return pinned;
+    }
+
+    const hash = crypto.createHash('sha256').update(imageDataUrl).digest();
+    return fixtures[hash.readUInt32BE(0) % fixtures.length];
+  }
+
+  async analyzeImage({ imageDataUrl }) {
+    const fixture = await this.pickFixture(imageDataUrl);
+
+    return {
+      content: fixture.response ? JSON.stringify(fixture.response) : (fixture.content ?? null),
+      refusal: fixture.refusal || null,
+      model: `mock:${fixture.name}`
+    };
+  }
+
+  async complete() {
+    return {
+      content: 'Connection successful',
+      model: 'mock:text'
+    };
+  }
+
+  async testConnection() {
+    return {
+      status: 'connected',
+      provider: this.name,
+      message: 'Mock AI provider active - responses come from fixtures'
+    };
+  }
+}
@@ -0,0 +1,86 @@
+import OpenAI from 'openai';
+
+// OpenAI implementation of the AI provider interface
+export class OpenAIProvider {
+  constructor({ apiKey, visionModel, textModel }) {
+    this.name = 'openai';
+    this.client = new OpenAI({ apiKey });
+    this.visionModel = visionModel;
+    this.textModel = textModel;
+  }
+
+  // Analyze an image. Returns { content, refusal, model } from the first choice.
+  async analyzeImage({ imageDataUrl, prompt, responseFormat, detail = 'high', maxTokens = 4000 }) {
+    const completion = await this.client.chat.completions.create({
+      model: this.visionModel,
+      max_tokens: maxTokens,
+      ...(responseFormat ? { response_format: responseFormat } : {}),
+      messages: [
+        {
+          role: "user",
+          content: [
+            {
+              type: "text",
+              text: prompt
+            },
+            {
+              type: "image_url",
+              image_url: {
+                url: imageDataUrl,
+                detail
+              }
+            }
+          ]
+        }
+      ]
+    });
+
+    const message = completion.choices[0]?.message;
+
+    return {
+      content: message?.content || null,
+      refusal: message?.refusal || null,
+      model: completion.model || this.visionModel
+    };
+  }
+
+  async complete({ prompt, maxTokens = 500 }) {
+    const completion = await this.client.chat.completions.create({
+      model: this.textModel,
+      max_tokens: maxTokens,
+      messages: [
+        {
+          role: "user",
+          content: prompt
+        }
+      ]
+    });
+
+    return {
+      content: completion.choices[0]?.message?.content || null,
+      model: completion.model || this.textModel
+    };
+  }
+
+  async testConnection() {
+    try {
+      const { content } = await this.complete({
+        prompt: "Hello, this is a connection test. Please respond with 'Connection successful'.",
+        maxTokens: 10
+      });
+
+      return {
+        status: 'connected',
+        provider: this.name,
+        message: 'OpenAI connection successful',
+        response: content
+      };
+    } catch (error) {
+      return {
+        status: 'error',
+        provider: this.name,
+        message: `OpenAI connection failed: ${error.message}`
+      };
+    }
+  }
+}
@@ -0,0 +1,57 @@
+// Cache of analysis results keyed by image content and prompt version
+import crypto from 'crypto';
+import { ANALYSIS_PROMPT_VERSION } from './analysis.js';
+import { decodeImageDataUrl } from './screenshots.js';
+
+// sha256 of the decoded image bytes
+export function imageContentHash(imageDataUrl) {
+  return crypto.createHash('sha256').update(decodeImageDataUrl(imageDataUrl).buffer).digest('hex');
+}
+
+// Columns identifying one cache entry. The provider includes the vision model
+// when it has one, so switching OPENAI_VISION_MODEL starts a fresh cache.
+export function analysisCacheKey({ userId, imageDataUrl, detail, provider }) {
+  return {
+    user_id: userId,
+    image_sha256: imageContentHash(imageDataUrl),
+    prompt_version: ANALYSIS_PROMPT_VERSION,
+    detail,
+    provider: provider.visionModel ? `${provider.name}:${provider.visionModel}` : provider.name
+  };
+}
+
+export async function getCachedAnalysis(supabase, key) {
+  let query = supabase
+    .from('analysis_cache')
+    .select('analysis, strategic_analysis, structured_data, model_used, created_at');
+
+  for (const [column, value] of Object.entries(key)) {
+    query = query.eq(column, value);
+  }
+
+  const { data, error } = await query.maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  return data;
+}
+
+// Store (or, after a forced re-analysis, replace) the result for a key
+export async function storeCachedAnalysis(supabase, key, result) {
+  const { error } = await supabase
+    .from('analysis_cache')
+    .upsert([{
+      ...key,
+      analysis: result.analysis,
+      strategic_analysis: result.strategic_analysis,
+      structured_data: result.structured_data,
+      model_used: result.model_used,
+      created_at: new Date().toISOString()
+    }], { onConflict: Object.keys(key).join(',') });
+
+  if (error) {
+    throw error;
+  }
+}
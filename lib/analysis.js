@@ -0,0 +1,153 @@
+// Shared screenshot analysis prompt, output schema and response parsing
+import crypto from 'crypto';
+import Ajv from 'ajv';
+
+const STRATEGY_FIELDS = {
+  psychological_approach: 'What psychological triggers are being used - urgency, social proof, authority, etc.',
+  visual_strategy: 'How the visual hierarchy and design elements drive specific user behaviors',
+  value_positioning: 'How the offer is positioned relative to competitors and market positioning',
+  conversion_psychology: 'What makes this ad likely to convert and why',
+  competitive_advantage: 'What this advertiser is doing differently/better than typical ads in this space'
+};
+
+const AD_FIELDS = {
+  advertiser_name: 'Company/brand name',
+  headline: 'Main headline text',
+  description: 'Ad body/description text',
+  call_to_action: 'Actual button text',
+  product_service: "What's being promoted"
+};
+
+const stringProperties = (fields) => Object.fromEntries(
+  Object.entries(fields).map(([name, description]) => [name, { type: 'string', description }])
+);
+
+// JSON schema the model must follow. It stays within the subset supported by
+// OpenAI strict structured outputs: every property required, no extra keys.
+export const ANALYSIS_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['summary', 'ads'],
+  properties: {
+    summary: {
+      type: 'string',
+      description: 'Overall competitive intelligence takeaways across all ads in the screenshot'
+    },
+    ads: {
+      type: 'array',
+      description: 'One entry per ad visible in the screenshot',
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: [...Object.keys(AD_FIELDS), 'strategy'],
+        properties: {
+          ...stringProperties(AD_FIELDS),
+          strategy: {
+            type: 'object',
+            additionalProperties: false,
+            required: Object.keys(STRATEGY_FIELDS),
+            properties: stringProperties(STRATEGY_FIELDS)
+          }
+        }
+      }
+    }
+  }
+};
+
+export const ANALYSIS_RESPONSE_FORMAT = {
+  type: 'json_schema',
+  json_schema: {
+    name: 'ad_analysis',
+    strict: true,
+    schema: ANALYSIS_SCHEMA
+  }
+};
+
+export const ANALYSIS_PROMPT = `Analyze this screenshot as a marketing expert. This image may contain MULTIPLE ads. Identify and analyze each ad separately, providing deep competitive intelligence insights for each one.
+
+Respond using the provided JSON schema:
+- "summary": overall competitive takeaways across all ads
+- "ads": one entry per ad found, with the ad's advertiser_name, headline, description, call_to_action and product_service exactly as shown, plus a "strategy" object covering:
+  1. psychological_approach: ${STRATEGY_FIELDS.psychological_approach}
+  2. visual_strategy: ${STRATEGY_FIELDS.visual_strategy}
+  3. value_positioning: ${STRATEGY_FIELDS.value_positioning}
+  4. conversion_psychology: ${STRATEGY_FIELDS.conversion_psychology}
+  5. competitive_advantage: ${STRATEGY_FIELDS.competitive_advantage}
+
+IMPORTANT:
+- Analyze ALL ads visible in the image, not just one
+- If you find 4 ads, provide 4 entries in "ads"
+- If you cannot identify specific details, use "Unknown" or "Not visible" for that field
+- If the image contains no ads, return an empty "ads" array and explain why in "summary"`;
+
+// Changes whenever the prompt or schema does, so cached analyses from an
+// older prompt are never served
+export const ANALYSIS_PROMPT_VERSION = crypto
+  .createHash('sha256')
+  .update(ANALYSIS_PROMPT)
+  .update(JSON.stringify(ANALYSIS_SCHEMA))
+  .digest('hex')
+  .slice(0, 12);
+
+const ajv = new Ajv({ allErrors: true });
+const validateAnalysis = ajv.compile(ANALYSIS_SCHEMA);
+
+// Thrown when the model output is not valid JSON or does not match ANALYSIS_SCHEMA
+export class AnalysisSchemaError extends Error {
+  constructor(message, details = []) {
+    super(message);
+    this.name = 'AnalysisSchemaError';
+    this.details = details;
+  }
+}
+
+// Render the strategic analysis as markdown for display
+export function formatAnalysisMarkdown(result) {
+  const sections = [result.summary.trim()];
+
+  result.ads.forEach((ad, index) => {
+    const title = ad.advertiser_name && ad.advertiser_name !== 'Unknown'
+      ? `**Ad ${index + 1}: ${ad.advertiser_name}**`
+      : `**Ad ${index + 1}**`;
+
+    const lines = Object.keys(STRATEGY_FIELDS).map((field, position) => {
+      const label = field.split('_').map(word => word[0].toUpperCase() + word.slice(1)).join(' ');
+      return `${position + 1}. **${label}**: ${ad.strategy[field]}`;
+    });
+
+    sections.push([title, ...lines].join('\n'));
+  });
+
+  return sections.filter(Boolean).join('\n\n');
+}
+
+// Parse and validate the model's structured output
+export function parseAIResponse(rawResponse) {
+  let parsed;
+
+  try {
+    parsed = JSON.parse(rawResponse);
+  } catch (error) {
+    throw new AnalysisSchemaError('Model response is not valid JSON', [error.message]);
+  }
+
+  if (!validateAnalysis(parsed)) {
+    const details = validateAnalysis.errors.map(error => `${error.instancePath || '/'} ${error.message}`);
+    throw new AnalysisSchemaError('Model response does not match the analysis schema', details);
+  }
+
+  return {
+    analysis: formatAnalysisMarkdown(parsed),
+    strategic_analysis: {
+      summary: parsed.summary,
+      ads: parsed.ads.map((ad, index) => ({
+        ad_index: index,
+        advertiser_name: ad.advertiser_name,
+        ...ad.strategy
+      }))
+    },
+    structured_data: parsed.ads.map(ad => Object.fromEntries(
+      Object.keys(AD_FIELDS).map(field => [field, ad[field]])
+    ))
+  };
+}
@@ -0,0 +1,54 @@
+// Request authentication using Supabase Auth JWTs
+
+// Extract the token from an "Authorization: Bearer <token>" header
+export function getBearerToken(req) {
+  const header = req.headers?.authorization || req.headers?.Authorization;
+
+  if (typeof header !== 'string') {
+    return null;
+  }
+
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : null;
+}
+
+// Verify the request's bearer token and return the Supabase user.
+// Sends a 401 and returns null when the request is not authenticated.
+export async function requireUser(req, res, supabase) {
+  const token = getBearerToken(req);
+
+  if (!token) {
+    res.status(401).json({
+      error: 'Unauthorized',
+      message: 'Missing bearer token'
+    });
+    return null;
+  }
+
+  const { data, error } = await supabase.auth.getUser(token);
+
+  if (error || !data?.user) {
+    res.status(401).json({
+      error: 'Unauthorized',
+      message: 'Invalid or expired token',
+      details: error?.message
+    });
+    return null;
+  }
+
+  return data.user;
+}
+
+// Shape a Supabase session for API clients
+export function formatSession(session) {
+  return {
+    access_token: session.access_token,
+    refresh_token: session.refresh_token,
+    token_type: session.token_type,
+    expires_at: session.expires_at,
+    user: {
+      id: session.user.id,
+      email: session.user.email
+    }
+  };
+}
@@ -0,0 +1,166 @@
+// Duplicate ad detection: perceptual image hashes and ad copy fingerprints
+import crypto from 'crypto';
+import sharp from 'sharp';
+import { normalizeAdvertiserName } from './advertisers.js';
+
+// Images whose hashes differ in at most this many of 64 bits count as the same
+// picture - enough to absorb re-encoding, scaling and a few pixels of crop.
+export const IMAGE_HASH_MAX_DISTANCE = 6;
+
+// Copy fields that identify an ad; product_service is the model's own summary
+// and varies between analyses of the same creative
+const COPY_FIELDS = ['headline', 'description', 'call_to_action'];
+
+// Every saved_ads column copyFingerprint reads
+export const FINGERPRINT_FIELDS = ['advertiser_name', ...COPY_FIELDS];
+
+// 64-bit difference hash (dHash) as 16 hex characters: shrink to 9x8 grayscale
+// and record whether each pixel is darker than its right-hand neighbour
+export async function computeImageHash(buffer) {
+  const pixels = await sharp(buffer)
+    .flatten({ background: '#ffffff' })
+    .grayscale()
+    .resize(9, 8, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+
+  let hash = 0n;
+
+  for (let y = 0; y < 8; y++) {
+    for (let x = 0; x < 8; x++) {
+      hash = (hash << 1n) | (pixels[y * 9 + x] < pixels[y * 9 + x + 1] ? 1n : 0n);
+    }
+  }
+
+  return hash.toString(16).padStart(16, '0');
+}
+
+export function hammingDistance(a, b) {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let distance = 0;
+
+  while (diff > 0n) {
+    distance += Number(diff & 1n);
+    diff >>= 1n;
+  }
+
+  return distance;
+}
+
+function normalizeCopy(value) {
+  return typeof value === 'string'
+    ? value
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}]+/gu, ' ')
+      .trim()
+    : '';
+}
+
+// sha256 of the normalized advertiser and copy, or null when the ad has no copy
+export function copyFingerprint(fields) {
+  const copy = COPY_FIELDS.map(field => normalizeCopy(fields[field]));
+
+  if (copy.every(value => !value)) {
+    return null;
+  }
+
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify([normalizeAdvertiserName(fields.advertiser_name), ...copy]))
+    .digest('hex');
+}
+
+// Compare a new ad against saved ads with the same copy fingerprint.
+// Same copy and a near-identical image is the same ad seen again ("merged");
+// same copy with a different or missing image is kept but "flagged".
+export function classifyDuplicate({ image_hash, copy_fingerprint }, candidates) {
+  const sameCopy = copy_fingerprint
+    ? candidates.filter(candidate => candidate.copy_fingerprint === copy_fingerprint)
+    : [];
+
+  if (sameCopy.length === 0) {
+    return null;
+  }
+
+  const closest = image_hash
+    ? sameCopy
+      .filter(candidate => candidate.image_hash)
+      .map(candidate => ({ candidate, distance: hammingDistance(image_hash, candidate.image_hash) }))
+      .sort((a, b) => a.distance - b.distance || a.candidate.id - b.candidate.id)[0]
+    : null;
+
+  if (closest && closest.distance <= IMAGE_HASH_MAX_DISTANCE) {
+    return { status: 'merged', ad: closest.candidate };
+  }
+
+  const [original] = [...sameCopy].sort((a, b) => a.id - b.id);
+
+  return { status: 'flagged', ad: original, duplicate_of: original.duplicate_of ?? original.id };
+}
+
+// Columns loaded for saved ads a new capture might duplicate
+const CANDIDATE_COLUMNS = 'id, image_hash, copy_fingerprint, duplicate_of, seen_count, screenshot_url, thumbnail_url';
+
+// Classify each new ad against the user's saved ads. Returns one entry per
+// fingerprint: null for a new ad, otherwise the classifyDuplicate() result.
+// Ads within the same capture are never compared with each other.
+export async function findDuplicates(supabase, userId, imageHash, fingerprints) {
+  const wanted = [...new Set(fingerprints.filter(Boolean))];
+
+  if (wanted.length === 0) {
+    return fingerprints.map(() => null);
+  }
+
+  const { data, error } = await supabase
+    .from('saved_ads')
+    .select(CANDIDATE_COLUMNS)
+    .eq('user_id', userId)
+    .in('copy_fingerprint', wanted);
+
+  if (error) {
+    throw error;
+  }
+
+  return fingerprints.map(fingerprint => classifyDuplicate({ image_hash: imageHash, copy_fingerprint: fingerprint }, data));
+}
+
+// Record that saved ads were seen in a capture: bump seen_count and
+// last_seen_at on ads seen before, and add an ad_sightings row for each ad.
+// Returns a Map of saved ad id -> new seen_count for the bumped ads.
+export async function recordSightings(supabase, userId, { captureId = null, sourceUrl = null, platform, seenAt }, sightings) {
+  const seenCounts = new Map();
+
+  // Incremented in the database so concurrent saves don't lose a sighting
+  for (const { ad } of sightings.filter(sighting => sighting.merged)) {
+    const { data, error } = await supabase.rpc('count_ad_sighting', {
+      p_user_id: userId,
+      p_ad_id: ad.id,
+      p_seen_at: seenAt
+    });
+
+    if (error) {
+      throw error;
+    }
+
+    seenCounts.set(ad.id, data);
+  }
+
+  const { error } = await supabase
+    .from('ad_sightings')
+    .insert(sightings.map(({ ad }) => ({
+      saved_ad_id: ad.id,
+      user_id: userId,
+      capture_id: captureId,
+      source_url: sourceUrl,
+      platform,
+      seen_at: seenAt
+    })));
+
+  if (error) {
+    throw error;
+  }
+
+  return seenCounts;
+}
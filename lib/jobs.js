@@ -0,0 +1,280 @@
+// Background analysis jobs: claim, run and record results in analysis_jobs
+import { waitUntil } from '@vercel/functions';
+import { getAIProvider } from './ai/index.js';
+import { getScreenshotStorage } from './storage/index.js';
+import { loadImageDataUrl } from './screenshots.js';
+import { AnalysisFailedError, AnalysisTimeBudgetError, runAnalysis } from './run-analysis.js';
+
+export const MAX_JOB_ATTEMPTS = 3;
+
+// A job still "processing" after this long lost its function instance
+// (timeout or crash) and may be picked up again
+export const STALE_JOB_MS = 5 * 60 * 1000;
+
+// Wait before retrying a failed attempt, doubled for each attempt used, so a
+// client polling every few seconds doesn't burn through MAX_JOB_ATTEMPTS
+export const RETRY_BACKOFF_MS = 30 * 1000;
+
+export const JOB_COLUMNS = 'id, status, source_url, page_title, detail, force, library_ads, image_path, result, error, attempts, next_attempt_at, created_at, started_at, completed_at, updated_at';
+
+let scheduler = null;
+
+// Keep the function alive until `promise` settles after the response is sent.
+// Outside Vercel waitUntil does nothing and the promise simply runs on.
+export function scheduleJobWork(promise) {
+  if (scheduler) {
+    scheduler(promise);
+    return;
+  }
+  waitUntil(promise);
+}
+
+// Swap how background work is scheduled, e.g. to await it in tests.
+// Passing null goes back to waitUntil.
+export function setJobScheduler(override) {
+  scheduler = override;
+}
+
+export function isStaleJob(job, now = Date.now()) {
+  return job.status === 'processing' && (!job.started_at || new Date(job.started_at).getTime() < now - STALE_JOB_MS);
+}
+
+export function retryDelay(attempts) {
+  return RETRY_BACKOFF_MS * 2 ** Math.max(attempts - 1, 0);
+}
+
+// Whether a job is waiting for (another) attempt and its backoff has passed
+export function isRunnableJob(job, now = Date.now()) {
+  const due = !job.next_attempt_at || new Date(job.next_attempt_at).getTime() <= now;
+  return (job.status === 'queued' && due) || isStaleJob(job, now);
+}
+
+// PostgREST filter for runnable jobs, used by the cron sweep
+export function runnableJobsFilter(now = Date.now()) {
+  const cutoff = new Date(now - STALE_JOB_MS).toISOString();
+  const due = new Date(now).toISOString();
+  return `and(status.eq.queued,or(next_attempt_at.is.null,next_attempt_at.lte.${due})),and(status.eq.processing,started_at.lt.${cutoff})`;
+}
+
+// The job as returned to clients - never includes the screenshot or tile results
+export function serializeJob(job) {
+  const { image_path, tile_results, user_id, ...rest } = job;
+  return rest;
+}
+
+// Mark the job as processing. The status and attempts filters make this a
+// compare-and-swap, so only one caller wins when several try at once.
+// Returns the claimed row (with the screenshot) or null.
+async function claimJob(supabase, job) {
+  const now = new Date().toISOString();
+
+  const { data, error } = await supabase
+    .from('analysis_jobs')
+    .update({
+      status: 'processing',
+      attempts: job.attempts + 1,
+      started_at: now,
+      updated_at: now
+    })
+    .eq('id', job.id)
+    .eq('status', job.status)
+    .eq('attempts', job.attempts)
+    .select('*');
+
+  if (error) {
+    throw error;
+  }
+
+  return data?.[0] || null;
+}
+
+// Record the outcome of an attempt. A completed or failed job no longer
+// needs its screenshot, so the stored image is removed.
+async function finishJob(supabase, job, values) {
+  const now = new Date().toISOString();
+  const done = values.status === 'completed' || values.status === 'failed';
+
+  const { error } = await supabase
+    .from('analysis_jobs')
+    .update({ ...values, ...(done ? { image_path: null, tile_results: null } : {}), updated_at: now })
+    .eq('id', job.id)
+    .eq('attempts', job.attempts);
+
+  if (error) {
+    throw error;
+  }
+
+  if (done && job.image_path) {
+    await removeJobImage(job.image_path);
+  }
+}
+
+// Best-effort: a leftover image only costs storage
+async function removeJobImage(key) {
+  try {
+    await getScreenshotStorage()?.remove([key]);
+  } catch (error) {
+    console.error('Failed to remove analysis job screenshot:', key, error);
+  }
+}
+
+// Keep each analyzed tile of a long screenshot on the job, so a later
+// attempt only analyzes the rest. Writes run in order, so an older list
+// never replaces a newer one. `saved` counts the tiles this attempt stored.
+function tileRecorder(supabase, job) {
+  let results = [...(job.tile_results || [])];
+  let writes = Promise.resolve();
+  const recorder = { saved: 0 };
+
+  recorder.record = (index, response, tileCount) => {
+    if (results.length !== tileCount) {
+      results = new Array(tileCount).fill(null);
+    }
+    results[index] = response;
+    const tileResults = [...results];
+
+    writes = writes.then(async () => {
+      const { error } = await supabase
+        .from('analysis_jobs')
+        .update({ tile_results: tileResults })
+        .eq('id', job.id)
+        .eq('attempts', job.attempts);
+
+      if (error) {
+        console.error('Failed to save analysis job tile:', { job_id: job.id, index, error });
+        return;
+      }
+      recorder.saved++;
+    });
+    return writes;
+  };
+
+  return recorder;
+}
+
+function describeFailure(error) {
+  if (error instanceof AnalysisFailedError) {
+    return { error: error.error, message: error.message, details: error.details };
+  }
+  return { error: 'Internal server error', message: 'An unexpected error occurred', details: error.message };
+}
+
+// Run one attempt of a job. Never rejects: failures are recorded on the job,
+// which goes back to the queue (after retryDelay) until it has used MAX_JOB_ATTEMPTS.
+// Running out of time budget is not retried, since the same tiles would run out
+// again; if the attempt saved new tiles the job continues from them instead.
+export async function processJob(supabase, job) {
+  let claimed = null;
+  let tiles = null;
+
+  try {
+    // Every attempt timed out or crashed before it could record a result
+    if (job.attempts >= MAX_JOB_ATTEMPTS) {
+      await finishJob(supabase, job, {
+        status: 'failed',
+        error: { error: 'Analysis error', message: 'The analysis did not finish in time' },
+        completed_at: new Date().toISOString()
+      });
+      return 'failed';
+    }
+
+    claimed = await claimJob(supabase, job);
+
+    if (!claimed) {
+      return null;
+    }
+
+    const ai = getAIProvider();
+
+    if (!ai) {
+      await finishJob(supabase, claimed, {
+        status: 'failed',
+        error: { error: 'Configuration error', message: 'AI provider not configured' },
+        completed_at: new Date().toISOString()
+      });
+      return 'failed';
+    }
+
+    const storage = getScreenshotStorage();
+    const imageDataUrl = storage && claimed.image_path ? await loadImageDataUrl(storage, claimed.image_path) : null;
+
+    if (!imageDataUrl) {
+      await finishJob(supabase, claimed, {
+        status: 'failed',
+        error: { error: 'Analysis error', message: 'The screenshot for this job is no longer available' },
+        completed_at: new Date().toISOString()
+      });
+      return 'failed';
+    }
+
+    tiles = tileRecorder(supabase, claimed);
+
+    const result = await runAnalysis({
+      supabase,
+      ai,
+      userId: claimed.user_id,
+      imageDataUrl,
+      sourceUrl: claimed.source_url,
+      pageTitle: claimed.page_title,
+      detail: claimed.detail,
+      force: claimed.force,
+      libraryAds: claimed.library_ads,
+      tileResults: claimed.tile_results,
+      onTileAnalyzed: tiles.record
+    });
+
+    await finishJob(supabase, claimed, {
+      status: 'completed',
+      result,
+      error: null,
+      completed_at: new Date().toISOString()
+    });
+
+    console.log('Analysis job completed:', { job_id: claimed.id, ads_found: result.ads_found, cached: result.cached });
+    return 'completed';
+
+  } catch (error) {
+    console.error('Analysis job error:', { job_id: job.id, error });
+
+    if (!claimed) {
+      return null;
+    }
+
+    if (error instanceof AnalysisTimeBudgetError) {
+      return continueOrFailJob(supabase, claimed, error, tiles?.saved > 0);
+    }
+
+    const retry = claimed.attempts < MAX_JOB_ATTEMPTS;
+    const nextAttemptAt = new Date(Date.now() + retryDelay(claimed.attempts)).toISOString();
+    const values = retry
+      ? { status: 'queued', error: describeFailure(error), next_attempt_at: nextAttemptAt }
+      : { status: 'failed', error: describeFailure(error), completed_at: new Date().toISOString() };
+
+    try {
+      await finishJob(supabase, claimed, values);
+    } catch (updateError) {
+      // Left "processing"; the job becomes stale and is retried by the sweep
+      console.error('Failed to record analysis job failure:', updateError);
+      return null;
+    }
+
+    return retry ? 'queued' : 'failed';
+  }
+}
+
+// Queue a job that ran out of time for another go at its remaining tiles
+// without using up an attempt, or fail it when the attempt got nowhere
+async function continueOrFailJob(supabase, job, error, madeProgress) {
+  const values = madeProgress
+    ? { status: 'queued', attempts: job.attempts - 1, next_attempt_at: null }
+    : { status: 'failed', error: describeFailure(error), completed_at: new Date().toISOString() };
+
+  try {
+    await finishJob(supabase, job, values);
+  } catch (updateError) {
+    console.error('Failed to record analysis job failure:', updateError);
+    return null;
+  }
+
+  return madeProgress ? 'queued' : 'failed';
+}
@@ -0,0 +1,76 @@
+// Versioned SQL migrations from migrations/, applied in filename order
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+export const MIGRATIONS_DIR = fileURLToPath(new URL('../migrations', import.meta.url));
+
+// Files are named NNNN_description.sql; the name without .sql is the version
+const MIGRATION_FILE_PATTERN = /^(\d{4})_[a-z0-9_]+\.sql$/;
+
+// Arbitrary key for pg_advisory_lock so two deploys never migrate at once
+const MIGRATION_LOCK_ID = 724519;
+
+export async function loadMigrations(dir = MIGRATIONS_DIR) {
+  const files = (await fs.readdir(dir)).filter(file => file.endsWith('.sql')).sort();
+  const seen = new Set();
+
+  return Promise.all(files.map(async file => {
+    const match = file.match(MIGRATION_FILE_PATTERN);
+
+    if (!match) {
+      throw new Error(`Invalid migration file name: ${file} (expected NNNN_description.sql)`);
+    }
+
+    if (seen.has(match[1])) {
+      throw new Error(`Duplicate migration number: ${match[1]}`);
+    }
+    seen.add(match[1]);
+
+    return {
+      version: path.basename(file, '.sql'),
+      sql: await fs.readFile(path.join(dir, file), 'utf8')
+    };
+  }));
+}
+
+export async function getAppliedVersions(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version TEXT PRIMARY KEY,
+      applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )
+  `);
+
+  const { rows } = await client.query('SELECT version FROM schema_migrations ORDER BY version');
+  return rows.map(row => row.version);
+}
+
+// Apply every migration that has not run yet, each in its own transaction.
+// Returns the versions that were applied.
+export async function runMigrations(client, migrations, { log = console.log } = {}) {
+  await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+
+  try {
+    const applied = new Set(await getAppliedVersions(client));
+    const pending = migrations.filter(migration => !applied.has(migration.version));
+
+    for (const migration of pending) {
+      log(`Applying ${migration.version}`);
+
+      try {
+        await client.query('BEGIN');
+        await client.query(migration.sql);
+        await client.query('INSERT INTO schema_migrations (version) VALUES ($1)', [migration.version]);
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw new Error(`Migration ${migration.version} failed: ${error.message}`);
+      }
+    }
+
+    return pending.map(migration => migration.version);
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]);
+  }
+}
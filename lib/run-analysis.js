@@ -0,0 +1,311 @@
+// Screenshot analysis shared by /api/analyze and background analysis jobs
+import {
+  ANALYSIS_PROMPT,
+  ANALYSIS_RESPONSE_FORMAT,
+  AnalysisSchemaError,
+  formatAnalysisMarkdown,
+  parseAIResponse
+} from './analysis.js';
+import { isImageDataUrl, splitScreenshot } from './screenshots.js';
+import { pickAdFields } from './ads.js';
+import { copyFingerprint } from './duplicates.js';
+import { analysisCacheKey, getCachedAnalysis, storeCachedAnalysis } from './analysis-cache.js';
+import { crossCheckAds, validateLibraryAds } from './ad-library.js';
+
+export const DETAIL_LEVELS = ['low', 'high', 'auto'];
+
+// Tiles of a long screenshot analyzed at the same time; more would run into
+// the provider's rate limits
+export const TILE_CONCURRENCY = 2;
+
+// Time the model calls for one screenshot may take, leaving room under the
+// 60 second limit vercel.json gives api/analyze.js and api/jobs to cache and
+// return the result
+export const ANALYSIS_TIME_BUDGET_MS = 50 * 1000;
+
+// Thrown when the provider fails or gives an unusable answer. `error` is the
+// label for the response's error field, e.g. 'Analysis error'.
+export class AnalysisFailedError extends Error {
+  constructor(error, message, details) {
+    super(message);
+    this.name = 'AnalysisFailedError';
+    this.error = error;
+    this.details = details;
+  }
+}
+
+// Thrown when the tiles left would not finish within the time budget
+export class AnalysisTimeBudgetError extends AnalysisFailedError {
+  constructor(details) {
+    super('Analysis error', 'The screenshot is too long to analyze in time', details);
+    this.name = 'AnalysisTimeBudgetError';
+  }
+}
+
+// Validate an analyze request body and return a list of problems (empty when valid)
+export function validateAnalyzeRequest(body) {
+  const errors = [];
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return ['Request body must be a JSON object'];
+  }
+
+  const { image_data_url, source_url, page_title, detail, force, library_ads } = body;
+
+  if (!image_data_url) {
+    errors.push('image_data_url is required');
+  } else if (!isImageDataUrl(image_data_url)) {
+    errors.push('image_data_url must be a base64 data URL (png, jpeg, webp or gif)');
+  }
+
+  if (source_url !== undefined && source_url !== null) {
+    if (typeof source_url !== 'string') {
+      errors.push('source_url must be a string');
+    } else {
+      try {
+        new URL(source_url);
+      } catch {
+        errors.push('source_url must be a valid URL');
+      }
+    }
+  }
+
+  if (page_title !== undefined && page_title !== null && typeof page_title !== 'string') {
+    errors.push('page_title must be a string');
+  }
+
+  if (detail !== undefined && !DETAIL_LEVELS.includes(detail)) {
+    errors.push(`detail must be one of: ${DETAIL_LEVELS.join(', ')}`);
+  }
+
+  if (force !== undefined && typeof force !== 'boolean') {
+    errors.push('force must be a boolean');
+  }
+
+  errors.push(...validateLibraryAds(library_ads));
+
+  return errors;
+}
+
+// Correct the extracted ads with the Ad Library data sent from the page.
+// Runs after the cache so cached analyses are cross-checked too.
+function applyLibraryAds(result, libraryAds) {
+  if (!libraryAds?.length) {
+    return result;
+  }
+
+  const { structured_data, library_check } = crossCheckAds(result.structured_data, libraryAds);
+
+  return {
+    ...result,
+    strategic_analysis: {
+      ...result.strategic_analysis,
+      ads: result.strategic_analysis.ads.map(entry => ({
+        ...entry,
+        advertiser_name: structured_data[entry.ad_index]?.advertiser_name ?? entry.advertiser_name
+      }))
+    },
+    structured_data,
+    library_check
+  };
+}
+
+// Run the vision analysis with structured output on one image.
+// Returns the model name and the parsed analysis.
+async function analyzeTile(ai, imageDataUrl, detail) {
+  let message;
+  try {
+    message = await ai.analyzeImage({
+      imageDataUrl,
+      prompt: ANALYSIS_PROMPT,
+      responseFormat: ANALYSIS_RESPONSE_FORMAT,
+      detail,
+      maxTokens: 4000
+    });
+  } catch (error) {
+    console.error('AI analysis error:', error);
+    throw new AnalysisFailedError('Analysis error', 'The AI provider failed to analyze the screenshot', error.message);
+  }
+
+  if (message?.refusal) {
+    throw new AnalysisFailedError('Analysis error', 'The model declined to analyze the screenshot', message.refusal);
+  }
+
+  if (!message?.content) {
+    throw new AnalysisFailedError('Analysis error', 'The AI provider returned an empty response');
+  }
+
+  // Validate the structured output against the analysis schema
+  try {
+    return { model: message.model, parsed: parseAIResponse(message.content) };
+  } catch (error) {
+    if (!(error instanceof AnalysisSchemaError)) {
+      throw error;
+    }
+
+    console.error('Model response failed schema validation:', error.details);
+    throw new AnalysisFailedError('Analysis schema error', error.message, error.details);
+  }
+}
+
+// Analyze tiles in order, TILE_CONCURRENCY at a time, skipping those in
+// `finished` (earlier results by tile index). Each new result is passed to
+// onTile. Gives up before starting a tile that would not finish within
+// `timeBudgetMs`, judged by the slowest tile so far.
+async function analyzeTiles(ai, tiles, detail, timeBudgetMs, { finished = [], onTile = null } = {}) {
+  const startedAt = Date.now();
+  const responses = tiles.map((_, index) => finished[index] || null);
+  const pending = responses.flatMap((response, index) => (response ? [] : [index]));
+  let slowestTileMs = 0;
+  let analyzed = 0;
+  let next = 0;
+
+  async function worker() {
+    while (next < pending.length) {
+      const index = pending[next++];
+      const elapsed = Date.now() - startedAt;
+
+      if (elapsed + slowestTileMs > timeBudgetMs) {
+        next = pending.length;
+        throw new AnalysisTimeBudgetError(
+          `${tiles.length - pending.length + analyzed} of ${tiles.length} tiles analyzed; capture a shorter part of the page`
+        );
+      }
+
+      const tileStartedAt = Date.now();
+      try {
+        responses[index] = await analyzeTile(ai, tiles[index], detail);
+      } catch (error) {
+        // No point starting more tiles once the analysis has failed
+        next = pending.length;
+        throw error;
+      }
+      slowestTileMs = Math.max(slowestTileMs, Date.now() - tileStartedAt);
+      analyzed++;
+      await onTile?.(index, responses[index], tiles.length);
+    }
+  }
+
+  // Let tiles already running finish (and reach onTile) before failing
+  const outcomes = await Promise.allSettled(Array.from({ length: Math.min(TILE_CONCURRENCY, pending.length) }, worker));
+  const failure = outcomes.find(outcome => outcome.status === 'rejected');
+
+  if (failure) {
+    throw failure.reason;
+  }
+  return responses;
+}
+
+// Combine the parsed analyses of a screenshot's tiles into one. Ads in the
+// overlap between two tiles are read twice, so repeats of the same copy are dropped.
+export function mergeTileAnalyses(parts) {
+  const seen = new Set();
+  const ads = [];
+
+  for (const part of parts) {
+    part.structured_data.forEach((fields, index) => {
+      const fingerprint = copyFingerprint(pickAdFields(fields));
+
+      if (fingerprint && seen.has(fingerprint)) {
+        return;
+      }
+      seen.add(fingerprint);
+
+      const { ad_index, advertiser_name, ...strategy } = part.strategic_analysis.ads[index];
+      ads.push({ ...fields, strategy });
+    });
+  }
+
+  const summary = parts.map(part => part.strategic_analysis.summary.trim()).filter(Boolean).join('\n\n');
+
+  return {
+    analysis: formatAnalysisMarkdown({ summary, ads }),
+    strategic_analysis: {
+      summary,
+      ads: ads.map((ad, index) => ({ ad_index: index, advertiser_name: ad.advertiser_name, ...ad.strategy }))
+    },
+    structured_data: ads.map(({ strategy, ...fields }) => fields)
+  };
+}
+
+// Analyze a screenshot, answering from the analysis cache when possible.
+// Returns the analysis fields of the API response; throws AnalysisFailedError.
+// A caller that retries can keep each tile's result from onTileAnalyzed
+// (index, { model, parsed }, tileCount) and pass them back as tileResults,
+// so a long screenshot picks up where the last attempt stopped.
+export async function runAnalysis({ supabase, ai, userId, imageDataUrl, sourceUrl = null, pageTitle = null, detail = 'high', force = false, libraryAds = null, timeBudgetMs = ANALYSIS_TIME_BUDGET_MS, tileResults = null, onTileAnalyzed = null }) {
+  // The same image and prompt give the same answer, so repeats skip the model
+  // unless the client forces a fresh analysis. Cache problems never fail the request.
+  let cacheKey = null;
+  try {
+    cacheKey = analysisCacheKey({ userId, imageDataUrl, detail, provider: ai });
+
+    const cached = force ? null : await getCachedAnalysis(supabase, cacheKey);
+
+    if (cached) {
+      console.log('Serving cached analysis:', { user_id: userId, image_sha256: cacheKey.image_sha256 });
+
+      return applyLibraryAds({
+        analysis: cached.analysis,
+        strategic_analysis: cached.strategic_analysis,
+        structured_data: cached.structured_data,
+        ads_found: cached.structured_data.length,
+        model_used: cached.model_used,
+        cached: true,
+        cached_at: cached.created_at
+      }, libraryAds);
+    }
+  } catch (error) {
+    console.error('Analysis cache lookup error:', error);
+  }
+
+  let tiles = [imageDataUrl];
+  try {
+    tiles = await splitScreenshot(imageDataUrl);
+  } catch (error) {
+    console.error('Screenshot tiling error:', error);
+  }
+
+  console.log('Analyzing screenshot:', {
+    user_id: userId,
+    source_url: sourceUrl,
+    page_title: pageTitle,
+    image_length: imageDataUrl.length,
+    detail,
+    force,
+    library_ads: libraryAds?.length ?? 0,
+    tiles: tiles.length,
+    provider: ai.name
+  });
+
+  // Results saved for a different tiling don't line up with these tiles
+  const finished = tileResults?.length === tiles.length ? tileResults : [];
+
+  // Long screenshots are analyzed tile by tile and the ads merged
+  const responses = await analyzeTiles(ai, tiles, detail, timeBudgetMs, {
+    finished,
+    onTile: onTileAnalyzed
+  });
+
+  const { model } = responses[0];
+  const parsedResponse = responses.length === 1
+    ? responses[0].parsed
+    : mergeTileAnalyses(responses.map(response => response.parsed));
+
+  if (cacheKey) {
+    try {
+      await storeCachedAnalysis(supabase, cacheKey, { ...parsedResponse, model_used: model });
+    } catch (error) {
+      console.error('Analysis cache store error:', error);
+    }
+  }
+
+  return applyLibraryAds({
+    analysis: parsedResponse.analysis,
+    strategic_analysis: parsedResponse.strategic_analysis,
+    structured_data: parsedResponse.structured_data,
+    ads_found: parsedResponse.structured_data.length,
+    model_used: model,
+    cached: false
+  }, libraryAds);
+}
@@ -0,0 +1,127 @@
+import crypto from 'crypto';
+import sharp from 'sharp';
+
+const IMAGE_DATA_URL_PATTERN = /^data:image\/(png|jpeg|webp|gif);base64,([A-Za-z0-9+/=]+)$/;
+
+export const MAX_SCREENSHOT_BYTES = 10 * 1024 * 1024;
+export const THUMBNAIL_WIDTH = 320;
+
+export function isImageDataUrl(value) {
+  return typeof value === 'string' && IMAGE_DATA_URL_PATTERN.test(value);
+}
+
+// Decode a base64 image data URL into raw bytes
+export function decodeImageDataUrl(dataUrl) {
+  const match = typeof dataUrl === 'string' && dataUrl.match(IMAGE_DATA_URL_PATTERN);
+
+  if (!match) {
+    throw new Error('Screenshot must be a base64 image data URL');
+  }
+
+  const buffer = Buffer.from(match[2], 'base64');
+
+  if (buffer.length > MAX_SCREENSHOT_BYTES) {
+    throw new Error(`Screenshot exceeds ${MAX_SCREENSHOT_BYTES / (1024 * 1024)}MB`);
+  }
+
+  const extension = match[1] === 'jpeg' ? 'jpg' : match[1];
+
+  return { buffer, contentType: `image/${match[1]}`, extension };
+}
+
+// Screenshots taller than TILE_ASPECT_RATIO widths are analyzed in tiles, so
+// a stitched full-page capture isn't scaled down until its text is unreadable.
+// Tiles are TILE_HEIGHT_RATIO widths tall and overlap by TILE_OVERLAP, so an
+// ad cut by one tile's edge is whole in the next.
+export const TILE_ASPECT_RATIO = 2;
+export const TILE_HEIGHT_RATIO = 1.25;
+export const TILE_OVERLAP = 0.15;
+export const MAX_TILES = 8;
+
+// Split a tall screenshot into overlapping top-to-bottom tiles (PNG data URLs).
+// Anything short enough is returned as the only tile.
+export async function splitScreenshot(dataUrl) {
+  const { buffer } = decodeImageDataUrl(dataUrl);
+  const { width, height } = await sharp(buffer).metadata();
+
+  if (!width || !height || height <= width * TILE_ASPECT_RATIO) {
+    return [dataUrl];
+  }
+
+  // Very long pages get taller tiles rather than more model calls
+  const tileHeight = Math.max(
+    Math.round(width * TILE_HEIGHT_RATIO),
+    Math.ceil(height / (1 + (MAX_TILES - 1) * (1 - TILE_OVERLAP)))
+  );
+  const step = Math.round(tileHeight * (1 - TILE_OVERLAP));
+  const count = Math.ceil((height - tileHeight) / step) + 1;
+
+  const tiles = [];
+  for (let index = 0; index < count; index++) {
+    const top = Math.min(index * step, height - tileHeight);
+    const tile = await sharp(buffer)
+      .extract({ left: 0, top, width, height: tileHeight })
+      .png()
+      .toBuffer();
+    tiles.push(`data:image/png;base64,${tile.toString('base64')}`);
+  }
+
+  return tiles;
+}
+
+const CONTENT_TYPES = { png: 'image/png', jpg: 'image/jpeg', webp: 'image/webp', gif: 'image/gif' };
+
+// Upload a screenshot that is only needed for a while (a queued analysis),
+// returning its storage key
+export async function storeTemporaryImage(storage, userId, dataUrl) {
+  const { buffer, contentType, extension } = decodeImageDataUrl(dataUrl);
+  const key = `${userId}/pending/${crypto.randomUUID()}.${extension}`;
+
+  await storage.put(key, buffer, contentType);
+  return key;
+}
+
+// Read a stored screenshot back as a data URL, or null if it is gone
+export async function loadImageDataUrl(storage, key) {
+  const buffer = await storage.get(key);
+
+  if (!buffer) {
+    return null;
+  }
+
+  const contentType = CONTENT_TYPES[key.split('.').pop()] || 'image/png';
+  return `data:${contentType};base64,${buffer.toString('base64')}`;
+}
+
+export async function createThumbnail(buffer) {
+  return sharp(buffer)
+    .resize({ width: THUMBNAIL_WIDTH, withoutEnlargement: true })
+    .webp({ quality: 70 })
+    .toBuffer();
+}
+
+// Upload a screenshot and its thumbnail, returning their URLs and storage keys
+export async function storeScreenshot(storage, userId, dataUrl) {
+  const { buffer, contentType, extension } = decodeImageDataUrl(dataUrl);
+  const thumbnail = await createThumbnail(buffer);
+
+  const baseKey = `${userId}/${crypto.randomUUID()}`;
+  const screenshotKey = `${baseKey}.${extension}`;
+  const thumbnailKey = `${baseKey}-thumb.webp`;
+
+  const screenshot = await storage.put(screenshotKey, buffer, contentType);
+
+  try {
+    const thumb = await storage.put(thumbnailKey, thumbnail, 'image/webp');
+
+    return {
+      screenshot_url: screenshot.url,
+      thumbnail_url: thumb.url,
+      screenshot_path: screenshotKey,
+      thumbnail_path: thumbnailKey
+    };
+  } catch (error) {
+    await storage.remove([screenshotKey]).catch(() => {});
+    throw error;
+  }
+}
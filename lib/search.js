@@ -0,0 +1,61 @@
+// Helpers for full-text search over saved_ads (see migrations/0002_saved_ads_search.sql)
+
+export const MAX_QUERY_LENGTH = 200;
+export const DEFAULT_SEARCH_LIMIT = 20;
+export const MAX_SEARCH_LIMIT = 50;
+
+// search_saved_ads marks matches with these control characters instead of HTML
+const MATCH_START = '\u0002';
+const MATCH_END = '\u0003';
+
+const SNIPPET_FIELDS = {
+  headline: 'headline_snippet',
+  description: 'description_snippet',
+  analysis: 'analysis_snippet'
+};
+
+// Split a ts_headline snippet into [{ text, match }] segments so clients can
+// highlight matches without rendering ad text as HTML
+export function parseHighlight(snippet) {
+  if (typeof snippet !== 'string' || snippet === '') {
+    return [];
+  }
+
+  const segments = [];
+  const pattern = new RegExp(`${MATCH_START}([^${MATCH_END}]*)${MATCH_END}`, 'g');
+  let position = 0;
+
+  for (const found of snippet.matchAll(pattern)) {
+    if (found.index > position) {
+      segments.push({ text: snippet.slice(position, found.index), match: false });
+    }
+    segments.push({ text: found[1], match: true });
+    position = found.index + found[0].length;
+  }
+
+  if (position < snippet.length) {
+    segments.push({ text: snippet.slice(position), match: false });
+  }
+
+  // Stray markers would only come from the ad text itself
+  return segments.map(segment => ({
+    ...segment,
+    text: segment.text.replaceAll(MATCH_START, '').replaceAll(MATCH_END, '')
+  }));
+}
+
+// Turn a search_saved_ads row into an API result with highlight segments.
+// Fields without a match are left out of highlights.
+export function formatSearchResult(row) {
+  const { headline_snippet, description_snippet, analysis_snippet, rank, ...ad } = row;
+  const highlights = {};
+
+  for (const [field, column] of Object.entries(SNIPPET_FIELDS)) {
+    const segments = parseHighlight(row[column]);
+    if (segments.some(segment => segment.match)) {
+      highlights[field] = segments;
+    }
+  }
+
+  return { ...ad, rank, highlights };
+}
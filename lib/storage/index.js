@@ -0,0 +1,43 @@
+import { getSupabaseClient } from '../supabase.js';
+import { LocalStorageAdapter } from './local.js';
+import { SupabaseStorageAdapter } from './supabase.js';
+
+let storage = null;
+
+// Pick the screenshot storage backend from SCREENSHOT_STORAGE ('supabase' or 'local').
+// Returns null when the selected backend is not configured.
+export function getScreenshotStorage() {
+  if (storage) {
+    return storage;
+  }
+
+  const backend = process.env.SCREENSHOT_STORAGE || 'supabase';
+
+  if (backend === 'local') {
+    storage = new LocalStorageAdapter({
+      rootDir: process.env.LOCAL_STORAGE_DIR || '.data/screenshots',
+      baseUrl: process.env.LOCAL_STORAGE_BASE_URL || 'http://localhost:3000/api/screenshots'
+    });
+    return storage;
+  }
+
+  if (backend === 'supabase') {
+    const client = getSupabaseClient();
+    if (!client) {
+      return null;
+    }
+
+    storage = new SupabaseStorageAdapter({
+      client,
+      bucket: process.env.SCREENSHOT_BUCKET || 'screenshots'
+    });
+    return storage;
+  }
+
+  throw new Error(`Unknown SCREENSHOT_STORAGE backend: ${backend}`);
+}
+
+// Swap the storage backend (used by tests). Passing null re-reads the environment.
+export function setScreenshotStorage(override) {
+  storage = override;
+}
@@ -0,0 +1,51 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+
+// Filesystem-backed storage for local development and tests.
+// Files are served back through /api/screenshots/:key.
+export class LocalStorageAdapter {
+  constructor({ rootDir, baseUrl }) {
+    this.name = 'local';
+    this.rootDir = path.resolve(rootDir);
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+  }
+
+  // Resolve a key to a path inside rootDir, rejecting traversal attempts
+  resolvePath(key) {
+    const filePath = path.resolve(this.rootDir, key);
+
+    if (!filePath.startsWith(this.rootDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+
+    return filePath;
+  }
+
+  async put(key, buffer, contentType) {
+    const filePath = this.resolvePath(key);
+
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+
+    return { key, url: this.getUrl(key), contentType };
+  }
+
+  async get(key) {
+    try {
+      return await fs.readFile(this.resolvePath(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async remove(keys) {
+    await Promise.all(keys.map(key => fs.rm(this.resolvePath(key), { force: true })));
+  }
+
+  getUrl(key) {
+    return `${this.baseUrl}/${encodeURIComponent(key)}`;
+  }
+}
@@ -0,0 +1,47 @@
+// Supabase Storage bucket adapter. The bucket must be public so
+// screenshot_url and thumbnail_url can be loaded directly by clients.
+export class SupabaseStorageAdapter {
+  constructor({ client, bucket }) {
+    this.name = 'supabase';
+    this.client = client;
+    this.bucket = bucket;
+  }
+
+  async put(key, buffer, contentType) {
+    const { error } = await this.client.storage
+      .from(this.bucket)
+      .upload(key, buffer, { contentType, upsert: true });
+
+    if (error) {
+      throw new Error(`Failed to upload ${key}: ${error.message}`);
+    }
+
+    return { key, url: this.getUrl(key), contentType };
+  }
+
+  async get(key) {
+    const { data, error } = await this.client.storage
+      .from(this.bucket)
+      .download(key);
+
+    if (error) {
+      return null;
+    }
+
+    return Buffer.from(await data.arrayBuffer());
+  }
+
+  async remove(keys) {
+    const { error } = await this.client.storage
+      .from(this.bucket)
+      .remove(keys);
+
+    if (error) {
+      throw new Error(`Failed to remove ${keys.join(', ')}: ${error.message}`);
+    }
+  }
+
+  getUrl(key) {
+    return this.client.storage.from(this.bucket).getPublicUrl(key).data.publicUrl;
+  }
+}
@@ -1,15 +1,53 @@
 import { createClient } from '@supabase/supabase-js';
 
-const supabaseUrl = process.env.SUPABASE_URL;
-const supabaseServiceKey = process.env.SUPABASE_SERVICE_KEY;
+let client = null;
 
-if (!supabaseUrl || !supabaseServiceKey) {
-  throw new Error('Missing required Supabase environment variables');
+// Lazily create the shared client so importing this module never throws.
+// Returns null when the Supabase environment variables are missing.
+export function getSupabaseClient() {
+  if (client) {
+    return client;
+  }
+  
+  const supabaseUrl = process.env.SUPABASE_URL;
+  const supabaseServiceKey = process.env.SUPABASE_SERVICE_KEY;
+  
+  if (!supabaseUrl || !supabaseServiceKey) {
+    return null;
+  }
+  
+  client = createClient(supabaseUrl, supabaseServiceKey);
+  return client;
+}
+
+// Swap the shared client, e.g. for an in-memory stand-in in tests.
+// Passing null goes back to building it from the environment.
+export function setSupabaseClient(override) {
+  client = override;
 }
 
-export const supabase = createClient(supabaseUrl, supabaseServiceKey);
+// A throwaway client for Supabase Auth calls (sign-in, refresh) so session
+// state never leaks into the shared service client between requests.
+export function createAuthClient() {
+  const supabaseUrl = process.env.SUPABASE_URL;
+  const supabaseServiceKey = process.env.SUPABASE_SERVICE_KEY;
+  
+  if (!supabaseUrl || !supabaseServiceKey) {
+    return null;
+  }
+  
+  return createClient(supabaseUrl, supabaseServiceKey, {
+    auth: {
+      persistSession: false,
+      autoRefreshToken: false
+    }
+  });
+}
 
 export async function testSupabaseConnection() {
+  const supabaseUrl = process.env.SUPABASE_URL;
+  const supabaseServiceKey = process.env.SUPABASE_SERVICE_KEY;
+  
   try {
     // Validate environment variables exist
     if (!supabaseUrl || !supabaseServiceKey) {
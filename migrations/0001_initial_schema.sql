@@ -0,0 +1,48 @@
+-- Captures: one row per analyzed screenshot
+CREATE TABLE IF NOT EXISTS captures (
+  id SERIAL PRIMARY KEY,
+  user_id TEXT DEFAULT 'anonymous',
+  screenshot_url TEXT,
+  thumbnail_url TEXT,
+  screenshot_path TEXT,
+  thumbnail_path TEXT,
+  source_url TEXT,
+  platform TEXT DEFAULT 'unknown',
+  analysis_data TEXT,
+  ads_found INTEGER DEFAULT 0,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Saved ads: one row per ad found in a capture
+CREATE TABLE IF NOT EXISTS saved_ads (
+  id SERIAL PRIMARY KEY,
+  user_id TEXT DEFAULT 'anonymous',
+  capture_id INTEGER REFERENCES captures(id) ON DELETE CASCADE,
+  ad_index INTEGER DEFAULT 0,
+  screenshot_url TEXT,
+  thumbnail_url TEXT,
+  source_url TEXT,
+  platform TEXT DEFAULT 'unknown',
+  analysis_data TEXT,
+  advertiser_name TEXT,
+  headline TEXT,
+  description TEXT,
+  call_to_action TEXT,
+  product_service TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Databases set up through the old /api/create-table endpoint may have a
+-- saved_ads table from before captures existed
+ALTER TABLE saved_ads ADD COLUMN IF NOT EXISTS capture_id INTEGER REFERENCES captures(id) ON DELETE CASCADE;
+ALTER TABLE saved_ads ADD COLUMN IF NOT EXISTS ad_index INTEGER DEFAULT 0;
+ALTER TABLE saved_ads ADD COLUMN IF NOT EXISTS thumbnail_url TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_captures_user_id ON captures(user_id);
+CREATE INDEX IF NOT EXISTS idx_saved_ads_user_id ON saved_ads(user_id);
+CREATE INDEX IF NOT EXISTS idx_saved_ads_capture_id ON saved_ads(capture_id);
+CREATE INDEX IF NOT EXISTS idx_saved_ads_platform ON saved_ads(platform);
+CREATE INDEX IF NOT EXISTS idx_saved_ads_created_at ON saved_ads(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_saved_ads_advertiser ON saved_ads(advertiser_name);
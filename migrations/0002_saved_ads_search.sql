@@ -0,0 +1,105 @@
+-- Full-text search over ad copy and analysis
+
+-- The readable part of analysis_data: the "analysis" markdown for JSON rows,
+-- the raw text for rows saved before analysis_data was JSON
+CREATE OR REPLACE FUNCTION analysis_text(analysis_data TEXT)
+RETURNS TEXT
+LANGUAGE plpgsql
+IMMUTABLE
+AS $$
+BEGIN
+  RETURN coalesce(analysis_data::jsonb ->> 'analysis', analysis_data);
+EXCEPTION WHEN others THEN
+  RETURN analysis_data;
+END;
+$$;
+
+-- Headline matches rank above body copy, which ranks above the analysis text
+ALTER TABLE saved_ads ADD COLUMN IF NOT EXISTS search_vector tsvector
+  GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', coalesce(headline, '')), 'A') ||
+    setweight(to_tsvector('english', coalesce(call_to_action, '') || ' ' || coalesce(product_service, '')), 'B') ||
+    setweight(to_tsvector('english', coalesce(description, '')), 'B') ||
+    setweight(to_tsvector('english', coalesce(analysis_text(analysis_data), '')), 'D')
+  ) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_saved_ads_search ON saved_ads USING GIN (search_vector);
+
+-- Ranked search for one user's ads. Matches in the snippets are wrapped in
+-- chr(2)/chr(3) rather than HTML tags so the API can escape the ad text itself.
+CREATE OR REPLACE FUNCTION search_saved_ads(
+  p_user_id TEXT,
+  p_query TEXT,
+  p_platform TEXT DEFAULT NULL,
+  p_limit INTEGER DEFAULT 20,
+  p_offset INTEGER DEFAULT 0
+)
+RETURNS TABLE (
+  id INTEGER,
+  user_id TEXT,
+  capture_id INTEGER,
+  ad_index INTEGER,
+  screenshot_url TEXT,
+  thumbnail_url TEXT,
+  source_url TEXT,
+  platform TEXT,
+  advertiser_name TEXT,
+  headline TEXT,
+  description TEXT,
+  call_to_action TEXT,
+  product_service TEXT,
+  created_at TIMESTAMPTZ,
+  updated_at TIMESTAMPTZ,
+  rank REAL,
+  headline_snippet TEXT,
+  description_snippet TEXT,
+  analysis_snippet TEXT
+)
+LANGUAGE sql
+STABLE
+AS $$
+  WITH search AS (
+    SELECT
+      websearch_to_tsquery('english', p_query) AS query,
+      'StartSel=' || chr(2) || ', StopSel=' || chr(3) AS marks
+  )
+  SELECT
+    a.id,
+    a.user_id,
+    a.capture_id,
+    a.ad_index,
+    a.screenshot_url,
+    a.thumbnail_url,
+    a.source_url,
+    a.platform,
+    a.advertiser_name,
+    a.headline,
+    a.description,
+    a.call_to_action,
+    a.product_service,
+    a.created_at,
+    a.updated_at,
+    ts_rank(a.search_vector, s.query) AS rank,
+    ts_headline('english', coalesce(a.headline, ''), s.query, s.marks || ', HighlightAll=true'),
+    ts_headline('english', coalesce(a.description, ''), s.query, s.marks || ', MaxWords=30, MinWords=10'),
+    ts_headline('english', coalesce(analysis_text(a.analysis_data), ''), s.query,
+      s.marks || ', MaxFragments=2, MaxWords=20, MinWords=8, FragmentDelimiter=" ... "')
+  FROM saved_ads a, search s
+  WHERE a.user_id = p_user_id
+    AND a.search_vector @@ s.query
+    AND (p_platform IS NULL OR a.platform = p_platform)
+  ORDER BY rank DESC, a.id DESC
+  LIMIT p_limit
+  OFFSET p_offset;
+$$;
+
+-- Only the API (service role) may call this; it trusts p_user_id
+REVOKE EXECUTE ON FUNCTION search_saved_ads(TEXT, TEXT, TEXT, INTEGER, INTEGER) FROM PUBLIC;
+
+DO $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM pg_roles WHERE rolname = 'anon') THEN
+    REVOKE EXECUTE ON FUNCTION search_saved_ads(TEXT, TEXT, TEXT, INTEGER, INTEGER) FROM anon, authenticated;
+  END IF;
+END
+$$;
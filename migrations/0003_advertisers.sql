@@ -0,0 +1,28 @@
+-- Advertisers: one row per distinct advertiser a user has captured.
+-- normalized_name is produced by normalizeAdvertiserName() in lib/advertisers.js.
+CREATE TABLE IF NOT EXISTS advertisers (
+  id SERIAL PRIMARY KEY,
+  user_id TEXT NOT NULL,
+  name TEXT NOT NULL,
+  normalized_name TEXT NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (user_id, normalized_name)
+);
+
+-- Every spelling the model has read for an advertiser ("NIKE", "Nike Running", ...)
+CREATE TABLE IF NOT EXISTS advertiser_aliases (
+  id SERIAL PRIMARY KEY,
+  advertiser_id INTEGER NOT NULL REFERENCES advertisers(id) ON DELETE CASCADE,
+  user_id TEXT NOT NULL,
+  alias TEXT NOT NULL,
+  normalized_alias TEXT NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (user_id, normalized_alias)
+);
+
+ALTER TABLE saved_ads ADD COLUMN IF NOT EXISTS advertiser_id INTEGER REFERENCES advertisers(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_advertisers_user_id ON advertisers(user_id);
+CREATE INDEX IF NOT EXISTS idx_advertiser_aliases_advertiser_id ON advertiser_aliases(advertiser_id);
+CREATE INDEX IF NOT EXISTS idx_saved_ads_advertiser_id ON saved_ads(advertiser_id);
@@ -0,0 +1,29 @@
+-- Duplicate detection. image_hash is a 64-bit difference hash of the capture
+-- image and copy_fingerprint a hash of the normalized ad copy, both computed
+-- by lib/duplicates.js when an ad is saved.
+ALTER TABLE saved_ads ADD COLUMN IF NOT EXISTS image_hash TEXT;
+ALTER TABLE saved_ads ADD COLUMN IF NOT EXISTS copy_fingerprint TEXT;
+ALTER TABLE saved_ads ADD COLUMN IF NOT EXISTS duplicate_of INTEGER REFERENCES saved_ads(id) ON DELETE SET NULL;
+ALTER TABLE saved_ads ADD COLUMN IF NOT EXISTS seen_count INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE saved_ads ADD COLUMN IF NOT EXISTS first_seen_at TIMESTAMPTZ;
+ALTER TABLE saved_ads ADD COLUMN IF NOT EXISTS last_seen_at TIMESTAMPTZ;
+
+UPDATE saved_ads SET first_seen_at = created_at, last_seen_at = created_at WHERE first_seen_at IS NULL;
+
+-- One row each time an ad is captured, including the first
+CREATE TABLE IF NOT EXISTS ad_sightings (
+  id SERIAL PRIMARY KEY,
+  saved_ad_id INTEGER NOT NULL REFERENCES saved_ads(id) ON DELETE CASCADE,
+  user_id TEXT NOT NULL,
+  capture_id INTEGER REFERENCES captures(id) ON DELETE SET NULL,
+  source_url TEXT,
+  platform TEXT,
+  seen_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+INSERT INTO ad_sightings (saved_ad_id, user_id, capture_id, source_url, platform, seen_at)
+SELECT id, COALESCE(user_id, 'anonymous'), capture_id, source_url, platform, COALESCE(created_at, NOW())
+FROM saved_ads;
+
+CREATE INDEX IF NOT EXISTS idx_saved_ads_copy_fingerprint ON saved_ads(user_id, copy_fingerprint);
+CREATE INDEX IF NOT EXISTS idx_ad_sightings_saved_ad_id ON ad_sightings(saved_ad_id);
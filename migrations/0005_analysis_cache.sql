@@ -0,0 +1,17 @@
+-- Cached /api/analyze results. A request for the same image bytes (image_sha256),
+-- prompt version, detail level and provider returns the stored result instead
+-- of calling the model again; see lib/analysis-cache.js.
+CREATE TABLE IF NOT EXISTS analysis_cache (
+  id SERIAL PRIMARY KEY,
+  user_id TEXT NOT NULL,
+  image_sha256 TEXT NOT NULL,
+  prompt_version TEXT NOT NULL,
+  detail TEXT NOT NULL,
+  provider TEXT NOT NULL,
+  analysis TEXT,
+  strategic_analysis JSONB,
+  structured_data JSONB,
+  model_used TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (user_id, image_sha256, prompt_version, detail, provider)
+);
@@ -0,0 +1,23 @@
+-- Background screenshot analyses submitted through POST /api/jobs.
+-- The screenshot is kept in image_data_url until the job finishes; result
+-- holds the same fields /api/analyze returns. See lib/jobs.js.
+CREATE TABLE IF NOT EXISTS analysis_jobs (
+  id SERIAL PRIMARY KEY,
+  user_id TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'processing', 'completed', 'failed')),
+  image_data_url TEXT,
+  source_url TEXT,
+  page_title TEXT,
+  detail TEXT NOT NULL DEFAULT 'high',
+  force BOOLEAN NOT NULL DEFAULT FALSE,
+  result JSONB,
+  error JSONB,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  started_at TIMESTAMPTZ,
+  completed_at TIMESTAMPTZ,
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_analysis_jobs_user_id ON analysis_jobs(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_analysis_jobs_pending ON analysis_jobs(status, created_at) WHERE status IN ('queued', 'processing');
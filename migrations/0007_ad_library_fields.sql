@@ -0,0 +1,11 @@
+-- Facebook Ad Library data read from the page DOM by the extension and
+-- matched to the AI-extracted ads; see lib/ad-library.js.
+ALTER TABLE saved_ads ADD COLUMN IF NOT EXISTS library_id TEXT;
+ALTER TABLE saved_ads ADD COLUMN IF NOT EXISTS library_start_date DATE;
+ALTER TABLE saved_ads ADD COLUMN IF NOT EXISTS library_active BOOLEAN;
+ALTER TABLE saved_ads ADD COLUMN IF NOT EXISTS library_platforms TEXT[];
+
+CREATE INDEX IF NOT EXISTS idx_saved_ads_library_id ON saved_ads(user_id, library_id) WHERE library_id IS NOT NULL;
+
+-- Library data submitted with a background analysis job
+ALTER TABLE analysis_jobs ADD COLUMN IF NOT EXISTS library_ads JSONB;
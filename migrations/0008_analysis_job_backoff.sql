@@ -0,0 +1,2 @@
+-- Earliest time a failed analysis job may be retried; see retryDelay in lib/jobs.js
+ALTER TABLE analysis_jobs ADD COLUMN IF NOT EXISTS next_attempt_at TIMESTAMPTZ;
@@ -0,0 +1,14 @@
+-- Count another sighting of a saved ad in one statement, so captures of the
+-- same ad saved at the same time can't overwrite each other's count.
+-- Returns the new seen_count, or NULL when the ad isn't the user's.
+CREATE OR REPLACE FUNCTION count_ad_sighting(p_user_id TEXT, p_ad_id INTEGER, p_seen_at TIMESTAMPTZ)
+RETURNS INTEGER
+LANGUAGE sql
+VOLATILE
+AS $$
+  UPDATE saved_ads
+  SET seen_count = seen_count + 1,
+      last_seen_at = GREATEST(last_seen_at, p_seen_at)
+  WHERE id = p_ad_id AND user_id = p_user_id
+  RETURNING seen_count;
+$$;
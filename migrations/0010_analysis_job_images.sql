@@ -0,0 +1,14 @@
+-- Queued screenshots move to screenshot storage; analysis_jobs keeps the key
+-- (image_path) until the job finishes. See storeTemporaryImage in lib/screenshots.js.
+ALTER TABLE analysis_jobs ADD COLUMN IF NOT EXISTS image_path TEXT;
+
+-- Jobs still waiting with an inline screenshot can't be run any more
+UPDATE analysis_jobs
+SET status = 'failed',
+    image_data_url = NULL,
+    error = '{"error": "Analysis error", "message": "The analysis was interrupted by an update; analyze the screenshot again"}'::jsonb,
+    completed_at = NOW(),
+    updated_at = NOW()
+WHERE status IN ('queued', 'processing') AND image_data_url IS NOT NULL;
+
+ALTER TABLE analysis_jobs DROP COLUMN IF EXISTS image_data_url;
@@ -0,0 +1,3 @@
+-- Results of the tiles of a long screenshot analyzed so far, by tile index,
+-- so a retried or continued job only analyzes the rest. See processJob in lib/jobs.js.
+ALTER TABLE analysis_jobs ADD COLUMN IF NOT EXISTS tile_results JSONB;
@@ -0,0 +1,86 @@
+// Link saved ads from before the advertisers table to advertiser entities.
+// Safe to re-run: only ads without an advertiser_id are touched.
+//
+//   SUPABASE_URL=... SUPABASE_SERVICE_KEY=... npm run link-advertisers
+import { getSupabaseClient } from '../lib/supabase.js';
+import { normalizeAdvertiserName, resolveAdvertisers } from '../lib/advertisers.js';
+
+const BATCH_SIZE = 500;
+
+async function linkBatch(supabase, ads) {
+  const byUser = new Map();
+
+  for (const ad of ads) {
+    byUser.set(ad.user_id, [...(byUser.get(ad.user_id) || []), ad]);
+  }
+
+  let linked = 0;
+
+  for (const [userId, userAds] of byUser) {
+    const advertisers = await resolveAdvertisers(supabase, userId, userAds.map(ad => ad.advertiser_name));
+    const idsByAdvertiser = new Map();
+
+    for (const ad of userAds) {
+      const advertiserId = advertisers.get(normalizeAdvertiserName(ad.advertiser_name));
+      if (advertiserId) {
+        idsByAdvertiser.set(advertiserId, [...(idsByAdvertiser.get(advertiserId) || []), ad.id]);
+      }
+    }
+
+    for (const [advertiserId, ids] of idsByAdvertiser) {
+      const { error } = await supabase
+        .from('saved_ads')
+        .update({ advertiser_id: advertiserId })
+        .eq('user_id', userId)
+        .in('id', ids);
+
+      if (error) {
+        throw error;
+      }
+      linked += ids.length;
+    }
+  }
+
+  return linked;
+}
+
+async function main() {
+  const supabase = getSupabaseClient();
+
+  if (!supabase) {
+    console.error('SUPABASE_URL and SUPABASE_SERVICE_KEY must be set.');
+    process.exitCode = 1;
+    return;
+  }
+
+  let lastId = 0;
+  let linked = 0;
+
+  for (;;) {
+    const { data: ads, error } = await supabase
+      .from('saved_ads')
+      .select('id, user_id, advertiser_name')
+      .is('advertiser_id', null)
+      .not('advertiser_name', 'is', null)
+      .gt('id', lastId)
+      .order('id', { ascending: true })
+      .limit(BATCH_SIZE);
+
+    if (error) {
+      throw error;
+    }
+    if (ads.length === 0) {
+      break;
+    }
+
+    linked += await linkBatch(supabase, ads);
+    lastId = ads[ads.length - 1].id;
+  }
+
+  console.log(`Linked ${linked} saved ad(s) to advertisers`);
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
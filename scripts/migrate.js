@@ -0,0 +1,45 @@
+// Apply pending database migrations.
+//
+//   DATABASE_URL=postgres://... npm run migrate            apply pending migrations
+//   DATABASE_URL=postgres://... npm run migrate -- --status list applied and pending migrations
+import pg from 'pg';
+import { loadMigrations, getAppliedVersions, runMigrations } from '../lib/migrations.js';
+
+async function main() {
+  const databaseUrl = process.env.DATABASE_URL;
+
+  if (!databaseUrl) {
+    console.error('DATABASE_URL is not set. Use the Postgres connection string from Supabase (Project Settings > Database).');
+    process.exitCode = 1;
+    return;
+  }
+
+  const migrations = await loadMigrations();
+  const client = new pg.Client({ connectionString: databaseUrl });
+
+  await client.connect();
+
+  try {
+    if (process.argv.includes('--status')) {
+      const applied = new Set(await getAppliedVersions(client));
+
+      for (const migration of migrations) {
+        console.log(`${applied.has(migration.version) ? 'applied' : 'pending'}  ${migration.version}`);
+      }
+      return;
+    }
+
+    const versions = await runMigrations(client, migrations);
+
+    console.log(versions.length > 0
+      ? `Applied ${versions.length} migration(s)`
+      : 'Database is up to date');
+  } finally {
+    await client.end();
+  }
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,127 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { crossCheckAds, pickLibraryFields, validateLibraryAds } from '../lib/ad-library.js';
+
+const AI_ADS = [
+  {
+    advertiser_name: 'Hello Fresh',
+    headline: 'Get 16 Free Meals',
+    description: 'Fresh ingredients and easy recipes delivered to your door.',
+    call_to_action: 'Order Now',
+    product_service: 'Meal kits'
+  },
+  {
+    advertiser_name: 'Factor',
+    headline: 'Ready-to-eat meals',
+    description: 'Not visible',
+    call_to_action: 'Learn More',
+    product_service: 'Prepared meals'
+  }
+];
+
+const LIBRARY_ADS = [
+  {
+    library_id: '2222',
+    page_name: 'Factor_',
+    start_date: '2024-02-01',
+    active: false,
+    platforms: ['facebook'],
+    ad_copy: 'Chef-prepared meals. Heat in 2 minutes.'
+  },
+  {
+    library_id: '1111',
+    page_name: 'HelloFresh',
+    start_date: '2024-03-12',
+    active: true,
+    platforms: ['facebook', 'instagram'],
+    ad_copy: 'Fresh ingredients and easy recipes delivered to your door. Skip or cancel anytime.'
+  }
+];
+
+describe('validateLibraryAds', () => {
+  test('accepts a missing field and well-formed ads', () => {
+    assert.deepEqual(validateLibraryAds(undefined), []);
+    assert.deepEqual(validateLibraryAds(LIBRARY_ADS), []);
+    assert.deepEqual(validateLibraryAds([{ library_id: '1', page_name: null }]), []);
+  });
+
+  test('lists every problem with a malformed ad', () => {
+    assert.deepEqual(validateLibraryAds('1111'), ['library_ads must be an array']);
+    assert.deepEqual(validateLibraryAds([
+      null,
+      { library_id: 1111, page_name: 5, start_date: 'March 12', active: 'yes', platforms: ['myspace'] }
+    ]), [
+      'library_ads[0] must be an object',
+      'library_ads[1].library_id must be a string of digits',
+      'library_ads[1].page_name must be a string',
+      'library_ads[1].start_date must be a YYYY-MM-DD date',
+      'library_ads[1].active must be a boolean',
+      'library_ads[1].platforms must be an array of: facebook, instagram, messenger, audience_network, threads, whatsapp'
+    ]);
+  });
+});
+
+describe('crossCheckAds', () => {
+  test('matches ads by page name and copy rather than position', () => {
+    const { structured_data, library_check } = crossCheckAds(AI_ADS, LIBRARY_ADS);
+
+    assert.equal(structured_data[0].library_id, '1111');
+    assert.equal(structured_data[0].library_start_date, '2024-03-12');
+    assert.equal(structured_data[0].library_active, true);
+    assert.deepEqual(structured_data[0].library_platforms, ['facebook', 'instagram']);
+    assert.equal(structured_data[1].library_id, '2222');
+    assert.equal(library_check.matched, 2);
+    assert.deepEqual(library_check.unmatched_library_ids, []);
+  });
+
+  test('replaces the fields the model misread and reports them', () => {
+    const { structured_data, library_check } = crossCheckAds(AI_ADS, LIBRARY_ADS);
+
+    assert.equal(structured_data[0].advertiser_name, 'HelloFresh');
+    assert.equal(structured_data[0].headline, 'Get 16 Free Meals');
+    assert.equal(structured_data[1].description, 'Chef-prepared meals. Heat in 2 minutes.');
+
+    const [factor, helloFresh] = [...library_check.ads].sort((a, b) => b.ad_index - a.ad_index);
+    assert.deepEqual(helloFresh.mismatches, [
+      { field: 'advertiser_name', ai_value: 'Hello Fresh', library_value: 'HelloFresh' }
+    ]);
+    assert.deepEqual(factor.mismatches, [
+      { field: 'description', ai_value: 'Not visible', library_value: 'Chef-prepared meals. Heat in 2 minutes.' }
+    ]);
+  });
+
+  test('pairs unrecognizable ads in reading order only when the counts agree', () => {
+    const ads = [{ advertiser_name: 'Unknown', description: 'Unknown' }];
+    const library = [{ library_id: '3333', page_name: 'Acme', ad_copy: 'Anvils on sale' }];
+
+    assert.equal(crossCheckAds(ads, library).structured_data[0].library_id, '3333');
+
+    const { structured_data, library_check } = crossCheckAds(ads, [...library, { library_id: '4444', page_name: 'Other' }]);
+    assert.equal(structured_data[0].library_id, undefined);
+    assert.equal(library_check.matched, 0);
+    assert.deepEqual(library_check.unmatched_library_ids, ['3333', '4444']);
+  });
+});
+
+describe('pickLibraryFields', () => {
+  test('keeps valid library fields and drops malformed ones', () => {
+    assert.deepEqual(pickLibraryFields({
+      library_id: '1111',
+      library_start_date: '2024-03-12',
+      library_active: true,
+      library_platforms: ['instagram', 'myspace']
+    }), {
+      library_id: '1111',
+      library_start_date: '2024-03-12',
+      library_active: true,
+      library_platforms: ['instagram']
+    });
+
+    assert.deepEqual(pickLibraryFields({ library_id: 'abc', library_start_date: '2024-13-45', library_active: 'yes', library_platforms: [] }), {
+      library_id: null,
+      library_start_date: null,
+      library_active: null,
+      library_platforms: null
+    });
+  });
+});
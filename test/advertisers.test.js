@@ -0,0 +1,122 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  normalizeAdvertiserName,
+  matchAdvertiser,
+  resolveAdvertisers,
+  buildAdvertiserProfile
+} from '../lib/advertisers.js';
+import { createMemorySupabase } from './helpers/supabase.js';
+
+describe('normalizeAdvertiserName', () => {
+  test('folds case, accents, punctuation and company suffixes', () => {
+    assert.equal(normalizeAdvertiserName('NIKE'), 'nike');
+    assert.equal(normalizeAdvertiserName('  Allbirds, Inc. '), 'allbirds');
+    assert.equal(normalizeAdvertiserName('Ben & Jerry’s'), 'ben and jerrys');
+    assert.equal(normalizeAdvertiserName('Crème Brûlée Co'), 'creme brulee');
+    assert.equal(normalizeAdvertiserName('Warby-Parker'), 'warby parker');
+  });
+
+  test('keeps non-Latin names and single-word suffix-like names', () => {
+    assert.equal(normalizeAdvertiserName('ユニクロ'), 'ユニクロ');
+    assert.equal(normalizeAdvertiserName('Company'), 'company');
+  });
+
+  test('returns an empty string for missing or symbol-only names', () => {
+    assert.equal(normalizeAdvertiserName(null), '');
+    assert.equal(normalizeAdvertiserName('  --  '), '');
+  });
+});
+
+describe('matchAdvertiser', () => {
+  const aliases = [
+    { advertiser_id: 1, normalized_alias: 'nike' },
+    { advertiser_id: 2, normalized_alias: 'nike running club' }
+  ];
+
+  test('matches a known alias exactly', () => {
+    assert.equal(matchAdvertiser('nike', aliases), 1);
+    assert.equal(matchAdvertiser('nike running club', aliases), 2);
+  });
+
+  test('does not match on shared leading words, partial words or trailing words', () => {
+    assert.equal(matchAdvertiser('nike running', aliases), null);
+    assert.equal(matchAdvertiser('nike running club app', aliases), null);
+    assert.equal(matchAdvertiser('nikes', aliases), null);
+    assert.equal(matchAdvertiser('just nike', aliases), null);
+  });
+});
+
+describe('resolveAdvertisers', () => {
+  test('groups a capture\'s spelling variants under one new advertiser', async () => {
+    const supabase = createMemorySupabase();
+
+    const resolved = await resolveAdvertisers(supabase, 'user-1', ['Nike, Inc.', 'NIKE', null, 'Adidas']);
+
+    assert.deepEqual(supabase.rows('advertisers').map(advertiser => advertiser.name), ['Nike, Inc.', 'Adidas']);
+    assert.equal(resolved.get('nike'), supabase.rows('advertisers')[0].id);
+    assert.notEqual(resolved.get('adidas'), resolved.get('nike'));
+    assert.equal(supabase.rows('advertiser_aliases').length, 2);
+  });
+
+  test('keeps advertisers that only share a first word apart', async () => {
+    const supabase = createMemorySupabase();
+
+    const first = await resolveAdvertisers(supabase, 'user-1', ['Apple']);
+    const second = await resolveAdvertisers(supabase, 'user-1', ['Apple Bank', 'Apple']);
+
+    assert.equal(second.get('apple'), first.get('apple'));
+    assert.notEqual(second.get('apple bank'), first.get('apple'));
+    assert.deepEqual(supabase.rows('advertisers').map(advertiser => advertiser.name), ['Apple', 'Apple Bank']);
+  });
+
+  test('reuses an advertiser another request created first', async () => {
+    const supabase = createMemorySupabase({
+      tables: { advertisers: [{ id: 5, user_id: 'user-1', name: 'Nike', normalized_name: 'nike' }] }
+    });
+
+    const resolved = await resolveAdvertisers(supabase, 'user-1', ['Nike']);
+
+    assert.equal(resolved.get('nike'), 5);
+    assert.equal(supabase.rows('advertisers').length, 1);
+  });
+});
+
+describe('buildAdvertiserProfile', () => {
+  const ads = [
+    { id: 4, capture_id: 3, created_at: '2024-05-03T09:00:00.000Z', platform: 'instagram', call_to_action: 'Shop Now', product_service: 'Sneakers' },
+    { id: 3, capture_id: 2, created_at: '2024-05-01T18:00:00.000Z', platform: 'facebook', call_to_action: 'Learn More', product_service: 'Sneakers' },
+    { id: 2, capture_id: 1, created_at: '2024-05-01T10:00:00.000Z', platform: 'facebook', call_to_action: 'Shop Now', product_service: null },
+    { id: 1, capture_id: 1, created_at: '2024-05-01T10:00:00.000Z', platform: 'facebook', call_to_action: 'Shop Now', product_service: 'Socks' }
+  ];
+
+  test('tallies creative attributes by frequency', () => {
+    const profile = buildAdvertiserProfile(ads);
+
+    assert.equal(profile.ad_count, 4);
+    assert.equal(profile.capture_count, 3);
+    assert.deepEqual(profile.call_to_actions, [{ value: 'Shop Now', count: 3 }, { value: 'Learn More', count: 1 }]);
+    assert.deepEqual(profile.products, [{ value: 'Sneakers', count: 2 }, { value: 'Socks', count: 1 }]);
+    assert.deepEqual(profile.platforms, [{ value: 'facebook', count: 3 }, { value: 'instagram', count: 1 }]);
+  });
+
+  test('builds a daily capture timeline', () => {
+    const profile = buildAdvertiserProfile(ads);
+
+    assert.equal(profile.first_seen, '2024-05-01T10:00:00.000Z');
+    assert.equal(profile.last_seen, '2024-05-03T09:00:00.000Z');
+    assert.deepEqual(profile.timeline, [
+      { date: '2024-05-01', ads: 3, captures: 2 },
+      { date: '2024-05-03', ads: 1, captures: 1 }
+    ]);
+    assert.deepEqual(profile.recent_ads.map(ad => ad.id), [4, 3, 2, 1]);
+  });
+
+  test('handles an advertiser with no ads', () => {
+    const profile = buildAdvertiserProfile([]);
+
+    assert.equal(profile.ad_count, 0);
+    assert.equal(profile.first_seen, null);
+    assert.deepEqual(profile.timeline, []);
+  });
+});
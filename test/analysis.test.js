@@ -0,0 +1,93 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseAIResponse, formatAnalysisMarkdown, AnalysisSchemaError } from '../lib/analysis.js';
+
+const CORPUS_DIR = fileURLToPath(new URL('./fixtures/model-outputs', import.meta.url));
+
+const corpus = await Promise.all(
+  (await fs.readdir(CORPUS_DIR))
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .map(async file => ({
+      name: path.basename(file, '.json'),
+      ...JSON.parse(await fs.readFile(path.join(CORPUS_DIR, file), 'utf8'))
+    }))
+);
+
+describe('parseAIResponse model output corpus', () => {
+  for (const sample of corpus) {
+    test(`${sample.name}: ${sample.description}`, () => {
+      if (sample.expected_error) {
+        assert.throws(() => parseAIResponse(sample.raw), error => {
+          assert.ok(error instanceof AnalysisSchemaError);
+          assert.equal(error.message, sample.expected_error.message);
+          assert.ok(Array.isArray(error.details) && error.details.length > 0);
+          for (const detail of sample.expected_error.details || []) {
+            assert.ok(error.details.includes(detail), `missing detail "${detail}" in ${JSON.stringify(error.details)}`);
+          }
+          return true;
+        });
+        return;
+      }
+
+      const result = parseAIResponse(sample.raw);
+      const { expected } = sample;
+
+      assert.equal(result.structured_data.length, expected.ads_found);
+      assert.equal(result.strategic_analysis.ads.length, expected.ads_found);
+      assert.deepEqual(result.structured_data.map(ad => ad.advertiser_name), expected.advertisers);
+      assert.equal(result.strategic_analysis.summary, expected.summary);
+      assert.ok(result.analysis.startsWith(expected.summary.trim()));
+    });
+  }
+});
+
+describe('parseAIResponse output shape', () => {
+  const sample = corpus.find(entry => entry.name === 'valid-multi-ad-with-placeholders');
+
+  test('splits each ad into structured_data and strategic_analysis', () => {
+    const result = parseAIResponse(sample.raw);
+    const raw = JSON.parse(sample.raw);
+
+    assert.deepEqual(Object.keys(result.structured_data[0]), [
+      'advertiser_name',
+      'headline',
+      'description',
+      'call_to_action',
+      'product_service'
+    ]);
+    assert.deepEqual(result.strategic_analysis.ads[1], {
+      ad_index: 1,
+      advertiser_name: 'Factor',
+      ...raw.ads[1].strategy
+    });
+  });
+
+  test('keeps placeholder values as returned by the model', () => {
+    const result = parseAIResponse(sample.raw);
+
+    assert.equal(result.structured_data[1].headline, 'Not visible');
+    assert.equal(result.structured_data[2].advertiser_name, 'Unknown');
+  });
+});
+
+describe('formatAnalysisMarkdown', () => {
+  test('numbers ads and omits unknown advertiser names from headings', () => {
+    const markdown = formatAnalysisMarkdown(JSON.parse(
+      corpus.find(entry => entry.name === 'valid-multi-ad-with-placeholders').raw
+    ));
+
+    assert.match(markdown, /\*\*Ad 1: HelloFresh\*\*/);
+    assert.match(markdown, /\*\*Ad 2: Factor\*\*/);
+    assert.match(markdown, /\*\*Ad 3\*\*\n/);
+    assert.match(markdown, /1\. \*\*Psychological Approach\*\*: /);
+    assert.match(markdown, /5\. \*\*Competitive Advantage\*\*: /);
+  });
+
+  test('returns only the summary when there are no ads', () => {
+    assert.equal(formatAnalysisMarkdown({ summary: '  Nothing sponsored here.  ', ads: [] }), 'Nothing sponsored here.');
+  });
+});
@@ -0,0 +1,305 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import path from 'path';
+import listHandler from '../../api/ads/index.js';
+import adHandler from '../../api/ads/[id].js';
+import { copyFingerprint } from '../../lib/duplicates.js';
+import { invoke } from '../helpers/http.js';
+import { setupServices, teardownServices, TOKEN, OTHER_TOKEN, USER, OTHER_USER } from '../helpers/services.js';
+
+function adRow(id, overrides = {}) {
+  return {
+    id,
+    user_id: USER.id,
+    capture_id: 1,
+    ad_index: 0,
+    screenshot_url: null,
+    thumbnail_url: null,
+    source_url: 'https://www.facebook.com/',
+    platform: 'facebook',
+    analysis_data: JSON.stringify({ analysis: `Analysis ${id}` }),
+    advertiser_name: `Advertiser ${id}`,
+    headline: null,
+    description: null,
+    call_to_action: null,
+    product_service: null,
+    created_at: `2024-05-${String(id).padStart(2, '0')}T12:00:00.000Z`,
+    updated_at: `2024-05-${String(id).padStart(2, '0')}T12:00:00.000Z`,
+    ...overrides
+  };
+}
+
+const CAPTURES = [
+  { id: 1, user_id: USER.id, screenshot_path: 'user-1/one.png', thumbnail_path: 'user-1/one-thumb.webp', ads_found: 2 },
+  { id: 2, user_id: USER.id, screenshot_path: 'user-1/two.png', thumbnail_path: 'user-1/two-thumb.webp', ads_found: 1 },
+  { id: 3, user_id: OTHER_USER.id, screenshot_path: null, thumbnail_path: null, ads_found: 1 }
+];
+
+const ADS = [
+  adRow(1, { advertiser_name: 'Allbirds' }),
+  adRow(2, { ad_index: 1, advertiser_name: '50%_Off Store', platform: 'instagram' }),
+  adRow(3, { capture_id: 2, advertiser_name: null }),
+  adRow(4, { capture_id: 2, ad_index: 1, advertiser_name: 'allbirds' }),
+  adRow(5, { capture_id: 2, ad_index: 2, advertiser_name: 'Casper' }),
+  adRow(6, { capture_id: 3, user_id: OTHER_USER.id, advertiser_name: 'Allbirds' })
+];
+
+function list(query = {}, token = TOKEN) {
+  return invoke(listHandler, { method: 'GET', token, query });
+}
+
+describe('saved ads API', () => {
+  let services;
+
+  beforeEach(async () => {
+    services = await setupServices({ tables: { captures: CAPTURES, saved_ads: ADS } });
+  });
+
+  afterEach(async () => {
+    await teardownServices(services);
+  });
+
+  describe('GET /api/ads', () => {
+    test('only lists the caller\'s ads, newest first', async () => {
+      const res = await list();
+
+      assert.equal(res.statusCode, 200);
+      assert.deepEqual(res.body.ads.map(ad => ad.id), [5, 4, 3, 2, 1]);
+      assert.equal(res.body.has_more, false);
+      assert.equal(res.body.next_cursor, null);
+      assert.equal(res.body.ads[0].analysis_data, undefined);
+    });
+
+    test('filters by platform, advertiser and date range', async () => {
+      assert.deepEqual((await list({ platform: 'instagram' })).body.ads.map(ad => ad.id), [2]);
+      assert.deepEqual((await list({ advertiser_name: 'ALLBIRDS' })).body.ads.map(ad => ad.id), [4, 1]);
+      assert.deepEqual((await list({
+        created_after: '2024-05-02T00:00:00Z',
+        created_before: '2024-05-04T00:00:00Z'
+      })).body.ads.map(ad => ad.id), [3, 2]);
+    });
+
+    test('filters by advertiser id', async () => {
+      for (const ad of services.supabase.rows('saved_ads').filter(ad => [1, 4, 6].includes(ad.id))) {
+        ad.advertiser_id = 9;
+      }
+
+      assert.deepEqual((await list({ advertiser_id: '9' })).body.ads.map(ad => ad.id), [4, 1]);
+      assert.equal((await list({ advertiser_id: 'allbirds' })).body.message, 'advertiser_id must be a positive integer');
+    });
+
+    test('filters by Ad Library ids', async () => {
+      for (const [id, libraryId] of [[1, '111'], [3, '333'], [6, '111']]) {
+        services.supabase.rows('saved_ads').find(ad => ad.id === id).library_id = libraryId;
+      }
+
+      assert.deepEqual((await list({ library_id: '111, 333,999' })).body.ads.map(ad => ad.id), [3, 1]);
+      assert.deepEqual((await list({ library_id: '999' })).body.ads, []);
+      assert.equal((await list({ library_id: '111,abc' })).statusCode, 400);
+      assert.equal((await list({ library_id: ',' })).statusCode, 400);
+    });
+
+    test('matches advertiser names literally', async () => {
+      assert.deepEqual((await list({ advertiser_name: '50%_off store' })).body.ads.map(ad => ad.id), [2]);
+      assert.deepEqual((await list({ advertiser_name: '%' })).body.ads, []);
+    });
+
+    test('pages through results with the cursor', async () => {
+      const seen = [];
+      let cursor;
+
+      do {
+        const res = await list({ sort: 'advertiser_name', order: 'asc', limit: '2', ...(cursor ? { cursor } : {}) });
+        assert.equal(res.statusCode, 200);
+        seen.push(...res.body.ads.map(ad => ad.advertiser_name));
+        cursor = res.body.next_cursor;
+      } while (cursor);
+
+      // NULL advertiser names sort last
+      assert.deepEqual(seen, ['50%_Off Store', 'Allbirds', 'Casper', 'allbirds', null]);
+    });
+
+    test('validates query parameters', async () => {
+      const res = await list({ sort: 'headline', order: 'sideways', limit: '500', created_after: 'yesterday', cursor: 'nope' });
+
+      assert.equal(res.statusCode, 400);
+      assert.deepEqual(res.body.details, [
+        'sort must be one of: created_at, advertiser_name, platform',
+        'order must be asc or desc',
+        'limit must be an integer between 1 and 100',
+        'created_after must be an ISO 8601 date',
+        'cursor is invalid'
+      ]);
+    });
+
+    test('requires a bearer token', async () => {
+      const res = await list({}, null);
+
+      assert.equal(res.statusCode, 401);
+    });
+
+    test('reports database errors', async () => {
+      services.supabase.failNext('saved_ads', { message: 'relation "saved_ads" does not exist' });
+
+      const res = await list();
+
+      assert.equal(res.statusCode, 500);
+      assert.equal(res.body.error, 'Database schema error');
+    });
+  });
+
+  describe('GET /api/ads/:id', () => {
+    test('returns the ad with its capture and parsed analysis', async () => {
+      const res = await invoke(adHandler, { method: 'GET', token: TOKEN, query: { id: '4' } });
+
+      assert.equal(res.statusCode, 200);
+      assert.equal(res.body.ad.id, 4);
+      assert.deepEqual(res.body.ad.analysis_data, { analysis: 'Analysis 4' });
+      assert.equal(res.body.ad.capture.id, 2);
+      assert.equal(res.body.ad.capture.screenshot_path, undefined);
+    });
+
+    test('includes the ad\'s sighting history, oldest first', async () => {
+      services.supabase.rows('ad_sightings').push(
+        { id: 2, saved_ad_id: 4, user_id: USER.id, capture_id: null, platform: 'facebook', seen_at: '2024-05-09T12:00:00.000Z' },
+        { id: 1, saved_ad_id: 4, user_id: USER.id, capture_id: 2, platform: 'facebook', seen_at: '2024-05-04T12:00:00.000Z' },
+        { id: 3, saved_ad_id: 5, user_id: USER.id, capture_id: 2, platform: 'facebook', seen_at: '2024-05-05T12:00:00.000Z' }
+      );
+
+      const res = await invoke(adHandler, { method: 'GET', token: TOKEN, query: { id: '4' } });
+
+      assert.deepEqual(res.body.ad.sightings.map(sighting => sighting.id), [1, 2]);
+    });
+
+    test('hides other users\' ads', async () => {
+      const res = await invoke(adHandler, { method: 'GET', token: TOKEN, query: { id: '6' } });
+
+      assert.equal(res.statusCode, 404);
+    });
+
+    test('rejects invalid ids', async () => {
+      const res = await invoke(adHandler, { method: 'GET', token: TOKEN, query: { id: 'abc' } });
+
+      assert.equal(res.statusCode, 400);
+      assert.equal(res.body.message, 'id must be a positive integer');
+    });
+  });
+
+  describe('PATCH /api/ads/:id', () => {
+    test('updates editable fields', async () => {
+      const res = await invoke(adHandler, {
+        method: 'PATCH',
+        token: TOKEN,
+        query: { id: '3' },
+        body: { advertiser_name: '  Purple  ', headline: '' }
+      });
+
+      assert.equal(res.statusCode, 200);
+      assert.equal(res.body.ad.advertiser_name, 'Purple');
+      assert.equal(res.body.ad.headline, null);
+      assert.notEqual(res.body.ad.updated_at, ADS[2].updated_at);
+    });
+
+    test('recomputes the copy fingerprint from the corrected copy', async () => {
+      const res = await invoke(adHandler, {
+        method: 'PATCH',
+        token: TOKEN,
+        query: { id: '1' },
+        body: { headline: 'Wool Runners' }
+      });
+
+      const expected = copyFingerprint({ advertiser_name: 'Allbirds', headline: 'Wool Runners' });
+
+      assert.equal(res.body.ad.copy_fingerprint, expected);
+
+      const renamed = await invoke(adHandler, { method: 'PATCH', token: TOKEN, query: { id: '1' }, body: { advertiser_name: 'Purple' } });
+
+      assert.equal(renamed.body.ad.copy_fingerprint, copyFingerprint({ advertiser_name: 'Purple', headline: 'Wool Runners' }));
+
+      const other = await invoke(adHandler, { method: 'PATCH', token: TOKEN, query: { id: '1' }, body: { platform: 'instagram' } });
+
+      assert.equal(other.body.ad.copy_fingerprint, renamed.body.ad.copy_fingerprint);
+    });
+
+    test('moves the ad to the advertiser matching a corrected name', async () => {
+      services.supabase.rows('advertisers').push({ id: 7, user_id: USER.id, name: 'Purple', normalized_name: 'purple' });
+      services.supabase.rows('advertiser_aliases').push({ id: 1, advertiser_id: 7, user_id: USER.id, alias: 'Purple', normalized_alias: 'purple' });
+
+      const res = await invoke(adHandler, {
+        method: 'PATCH',
+        token: TOKEN,
+        query: { id: '3' },
+        body: { advertiser_name: 'PURPLE, Inc.' }
+      });
+
+      assert.equal(res.body.ad.advertiser_id, 7);
+
+      const cleared = await invoke(adHandler, { method: 'PATCH', token: TOKEN, query: { id: '3' }, body: { advertiser_name: null } });
+
+      assert.equal(cleared.body.ad.advertiser_id, null);
+    });
+
+    test('rejects fields that cannot be edited', async () => {
+      const res = await invoke(adHandler, {
+        method: 'PATCH',
+        token: TOKEN,
+        query: { id: '3' },
+        body: { user_id: OTHER_USER.id, headline: 42 }
+      });
+
+      assert.equal(res.statusCode, 400);
+      assert.deepEqual(res.body.details, ['user_id cannot be updated', 'headline must be a string or null']);
+    });
+
+    test('forbids editing another user\'s ad', async () => {
+      const res = await invoke(adHandler, {
+        method: 'PATCH',
+        token: OTHER_TOKEN,
+        query: { id: '1' },
+        body: { headline: 'Hijacked' }
+      });
+
+      assert.equal(res.statusCode, 403);
+      assert.equal(services.supabase.rows('saved_ads').find(ad => ad.id === 1).headline, null);
+    });
+
+    test('returns 404 for missing ads', async () => {
+      const res = await invoke(adHandler, { method: 'PATCH', token: TOKEN, query: { id: '99' }, body: { headline: 'x' } });
+
+      assert.equal(res.statusCode, 404);
+    });
+  });
+
+  describe('DELETE /api/ads/:id', () => {
+    test('keeps the capture while other ads still use it', async () => {
+      const res = await invoke(adHandler, { method: 'DELETE', token: TOKEN, query: { id: '1' } });
+
+      assert.equal(res.statusCode, 200);
+      assert.equal(res.body.capture_deleted, false);
+      assert.ok(services.supabase.rows('captures').some(capture => capture.id === 1));
+    });
+
+    test('removes the capture and its files with its last ad', async () => {
+      const userDir = path.join(services.storageDir, USER.id);
+      await fs.mkdir(userDir, { recursive: true });
+      await fs.writeFile(path.join(userDir, 'one.png'), 'png');
+      await fs.writeFile(path.join(userDir, 'one-thumb.webp'), 'webp');
+
+      await invoke(adHandler, { method: 'DELETE', token: TOKEN, query: { id: '1' } });
+      const res = await invoke(adHandler, { method: 'DELETE', token: TOKEN, query: { id: '2' } });
+
+      assert.equal(res.statusCode, 200);
+      assert.equal(res.body.capture_deleted, true);
+      assert.ok(!services.supabase.rows('captures').some(capture => capture.id === 1));
+      assert.deepEqual(await fs.readdir(userDir), []);
+    });
+
+    test('forbids deleting another user\'s ad', async () => {
+      const res = await invoke(adHandler, { method: 'DELETE', token: TOKEN, query: { id: '6' } });
+
+      assert.equal(res.statusCode, 403);
+      assert.equal(services.supabase.rows('saved_ads').length, ADS.length);
+    });
+  });
+});
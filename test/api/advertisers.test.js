@@ -0,0 +1,203 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import listHandler from '../../api/advertisers/index.js';
+import profileHandler from '../../api/advertisers/[id].js';
+import aliasesHandler from '../../api/advertisers/[id]/aliases.js';
+import mergeHandler from '../../api/advertisers/[id]/merge.js';
+import { resolveAdvertisers } from '../../lib/advertisers.js';
+import { invoke } from '../helpers/http.js';
+import { setupServices, teardownServices, TOKEN, OTHER_TOKEN, USER, OTHER_USER } from '../helpers/services.js';
+
+const ADVERTISERS = [
+  { id: 1, user_id: USER.id, name: 'Casper', normalized_name: 'casper' },
+  { id: 2, user_id: USER.id, name: 'Allbirds', normalized_name: 'allbirds' },
+  { id: 3, user_id: OTHER_USER.id, name: 'Allbirds', normalized_name: 'allbirds' }
+];
+
+const ALIASES = [
+  { id: 1, advertiser_id: 2, user_id: USER.id, alias: 'Allbirds', normalized_alias: 'allbirds' },
+  { id: 2, advertiser_id: 2, user_id: USER.id, alias: 'ALLBIRDS Running', normalized_alias: 'allbirds running' },
+  { id: 3, advertiser_id: 1, user_id: USER.id, alias: 'Casper', normalized_alias: 'casper' }
+];
+
+const ADS = [
+  { id: 1, user_id: USER.id, advertiser_id: 2, capture_id: 1, platform: 'facebook', call_to_action: 'Shop Now', product_service: 'Sneakers', created_at: '2024-05-01T10:00:00.000Z' },
+  { id: 2, user_id: USER.id, advertiser_id: 2, capture_id: 2, platform: 'instagram', call_to_action: 'Shop Now', product_service: 'Socks', created_at: '2024-05-02T10:00:00.000Z' },
+  { id: 3, user_id: USER.id, advertiser_id: 1, capture_id: 2, platform: 'instagram', call_to_action: 'Learn More', product_service: 'Mattress', created_at: '2024-05-02T10:00:00.000Z' },
+  { id: 4, user_id: OTHER_USER.id, advertiser_id: 3, capture_id: 3, platform: 'facebook', call_to_action: 'Shop Now', product_service: 'Sneakers', created_at: '2024-05-03T10:00:00.000Z' }
+];
+
+function profile(id, token = TOKEN) {
+  return invoke(profileHandler, { method: 'GET', token, query: { id } });
+}
+
+function addAlias(id, alias, token = TOKEN) {
+  return invoke(aliasesHandler, { method: 'POST', token, query: { id }, body: { alias } });
+}
+
+function merge(id, advertiserId, token = TOKEN) {
+  return invoke(mergeHandler, { method: 'POST', token, query: { id }, body: { advertiser_id: advertiserId } });
+}
+
+describe('advertisers API', () => {
+  let services;
+
+  beforeEach(async () => {
+    services = await setupServices({
+      tables: { advertisers: ADVERTISERS, advertiser_aliases: ALIASES, saved_ads: ADS }
+    });
+  });
+
+  afterEach(async () => {
+    await teardownServices(services);
+  });
+
+  describe('GET /api/advertisers', () => {
+    test('lists the caller\'s advertisers by name with ad counts', async () => {
+      const res = await invoke(listHandler, { method: 'GET', token: TOKEN });
+
+      assert.equal(res.statusCode, 200);
+      assert.deepEqual(res.body.advertisers.map(advertiser => [advertiser.name, advertiser.ad_count]), [['Allbirds', 2], ['Casper', 1]]);
+      assert.equal(res.body.has_more, false);
+    });
+
+    test('pages with limit and offset', async () => {
+      const first = await invoke(listHandler, { method: 'GET', token: TOKEN, query: { limit: '1' } });
+      const second = await invoke(listHandler, { method: 'GET', token: TOKEN, query: { limit: '1', offset: String(first.body.next_offset) } });
+
+      assert.deepEqual(first.body.advertisers.map(advertiser => advertiser.id), [2]);
+      assert.equal(first.body.has_more, true);
+      assert.deepEqual(second.body.advertisers.map(advertiser => advertiser.id), [1]);
+      assert.equal(second.body.next_offset, null);
+    });
+
+    test('validates query parameters', async () => {
+      const res = await invoke(listHandler, { method: 'GET', token: TOKEN, query: { limit: '0', offset: '-1' } });
+
+      assert.equal(res.statusCode, 400);
+      assert.deepEqual(res.body.details, ['limit must be an integer between 1 and 100', 'offset must be a non-negative integer']);
+    });
+
+    test('requires a bearer token', async () => {
+      const res = await invoke(listHandler, { method: 'GET' });
+
+      assert.equal(res.statusCode, 401);
+    });
+  });
+
+  describe('GET /api/advertisers/:id', () => {
+    test('aggregates the advertiser\'s ads into a profile', async () => {
+      const res = await profile('2');
+
+      assert.equal(res.statusCode, 200);
+      assert.equal(res.body.advertiser.name, 'Allbirds');
+      assert.deepEqual(res.body.advertiser.aliases, ['ALLBIRDS Running', 'Allbirds']);
+      assert.equal(res.body.truncated, false);
+
+      const { profile: stats } = res.body;
+      assert.equal(stats.ad_count, 2);
+      assert.deepEqual(stats.call_to_actions, [{ value: 'Shop Now', count: 2 }]);
+      assert.deepEqual(stats.platforms.map(platform => platform.value), ['facebook', 'instagram']);
+      assert.deepEqual(stats.timeline.map(day => day.date), ['2024-05-01', '2024-05-02']);
+      assert.deepEqual(stats.recent_ads.map(ad => ad.id), [2, 1]);
+    });
+
+    test('hides other users\' advertisers', async () => {
+      const res = await profile('3');
+
+      assert.equal(res.statusCode, 404);
+      assert.equal((await profile('2', OTHER_TOKEN)).statusCode, 404);
+    });
+
+    test('rejects invalid ids', async () => {
+      const res = await profile('abc');
+
+      assert.equal(res.statusCode, 400);
+      assert.equal(res.body.message, 'id must be a positive integer');
+    });
+
+    test('reports missing tables as a schema error', async () => {
+      services.supabase.failNext('advertisers', { code: '42P01', message: 'relation "advertisers" does not exist' });
+
+      const res = await profile('2');
+
+      assert.equal(res.statusCode, 500);
+      assert.equal(res.body.error, 'Database schema error');
+    });
+  });
+
+  describe('POST /api/advertisers/:id/aliases', () => {
+    test('files later ads with the new spelling under the advertiser', async () => {
+      const res = await addAlias('1', 'Casper Sleep');
+
+      assert.equal(res.statusCode, 201);
+      assert.equal(res.body.created, true);
+
+      const resolved = await resolveAdvertisers(services.supabase, USER.id, ['CASPER SLEEP']);
+      assert.equal(resolved.get('casper sleep'), 1);
+      assert.equal(services.supabase.tables.advertisers.length, 3);
+    });
+
+    test('accepts a spelling the advertiser already has', async () => {
+      const res = await addAlias('2', 'allbirds running');
+
+      assert.equal(res.statusCode, 200);
+      assert.equal(res.body.created, false);
+      assert.equal(res.body.alias, 'ALLBIRDS Running');
+      assert.equal(services.supabase.tables.advertiser_aliases.length, ALIASES.length);
+    });
+
+    test('refuses a spelling that belongs to another advertiser', async () => {
+      const res = await addAlias('1', 'Allbirds');
+
+      assert.equal(res.statusCode, 409);
+      assert.deepEqual(res.body.details, { advertiser_id: 2 });
+    });
+
+    test('validates the alias', async () => {
+      assert.equal((await addAlias('1', '  ')).statusCode, 400);
+      assert.equal((await addAlias('1', 'x'.repeat(201))).statusCode, 400);
+    });
+
+    test('hides other users\' advertisers', async () => {
+      assert.equal((await addAlias('3', 'Allbirds Shoes')).statusCode, 404);
+      assert.equal((await addAlias('1', 'Casper Sleep', OTHER_TOKEN)).statusCode, 404);
+    });
+  });
+
+  describe('POST /api/advertisers/:id/merge', () => {
+    test('moves the other advertiser\'s ads and spellings', async () => {
+      const res = await merge('2', 1);
+
+      assert.equal(res.statusCode, 200);
+      assert.equal(res.body.moved_ads, 1);
+
+      const { tables } = services.supabase;
+      assert.deepEqual(tables.advertisers.filter(advertiser => advertiser.user_id === USER.id).map(advertiser => advertiser.id), [2]);
+      assert.deepEqual(tables.saved_ads.filter(ad => ad.user_id === USER.id).map(ad => ad.advertiser_id), [2, 2, 2]);
+
+      const resolved = await resolveAdvertisers(services.supabase, USER.id, ['Casper']);
+      assert.equal(resolved.get('casper'), 2);
+
+      const profileRes = await profile('2');
+      assert.deepEqual(profileRes.body.advertiser.aliases, ['ALLBIRDS Running', 'Allbirds', 'Casper']);
+    });
+
+    test('validates the advertiser ids', async () => {
+      const res = await merge('2', 2);
+
+      assert.equal(res.statusCode, 400);
+      assert.deepEqual(res.body.details, ['advertiser_id must differ from id']);
+      assert.deepEqual((await merge('2', '1')).body.details, ['advertiser_id must be a positive integer']);
+    });
+
+    test('only merges the caller\'s advertisers', async () => {
+      const res = await merge('2', 3);
+
+      assert.equal(res.statusCode, 404);
+      assert.equal(res.body.message, 'Advertiser 3 does not exist');
+      assert.equal(services.supabase.tables.advertisers.length, 3);
+      assert.equal(services.supabase.tables.saved_ads.find(ad => ad.id === 4).advertiser_id, 3);
+    });
+  });
+});
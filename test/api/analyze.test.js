@@ -0,0 +1,380 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import handler from '../../api/analyze.js';
+import { setAIProvider } from '../../lib/ai/index.js';
+import { MockProvider } from '../../lib/ai/mock.js';
+import { AnalysisFailedError, TILE_CONCURRENCY, runAnalysis } from '../../lib/run-analysis.js';
+import { invoke } from '../helpers/http.js';
+import { setupServices, teardownServices, createImageDataUrl, AI_FIXTURES_DIR, TOKEN, OTHER_TOKEN } from '../helpers/services.js';
+
+const IMAGE = 'data:image/png;base64,iVBORw0KGgo=';
+const OTHER_IMAGE = 'data:image/png;base64,R0lGODlh';
+const NO_ADS = JSON.stringify({ summary: 'No ads in this screenshot.', ads: [] });
+
+// Provider double that returns a fixed model message
+function stubProvider(message) {
+  return {
+    name: 'stub',
+    async analyzeImage() {
+      if (message instanceof Error) {
+        throw message;
+      }
+      return { model: 'stub-model', refusal: null, ...message };
+    }
+  };
+}
+
+// Stub that counts model calls
+function countingProvider(content = NO_ADS) {
+  return {
+    name: 'stub',
+    calls: 0,
+    async analyzeImage() {
+      this.calls++;
+      return { model: 'stub-model', refusal: null, content };
+    }
+  };
+}
+
+describe('POST /api/analyze', () => {
+  let services;
+
+  beforeEach(async () => {
+    services = await setupServices({ fixture: 'multi-ad' });
+  });
+
+  afterEach(async () => {
+    await teardownServices(services);
+  });
+
+  test('answers preflight requests', async () => {
+    const res = await invoke(handler, { method: 'OPTIONS' });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.ended, true);
+    assert.equal(res.headers['access-control-allow-origin'], '*');
+  });
+
+  test('rejects other methods', async () => {
+    const res = await invoke(handler, { method: 'GET', token: TOKEN });
+
+    assert.equal(res.statusCode, 405);
+    assert.equal(res.body.error, 'Method not allowed');
+  });
+
+  test('requires a bearer token', async () => {
+    const res = await invoke(handler, { method: 'POST', body: { image_data_url: IMAGE } });
+
+    assert.equal(res.statusCode, 401);
+    assert.equal(res.body.message, 'Missing bearer token');
+  });
+
+  test('rejects unknown tokens', async () => {
+    const res = await invoke(handler, { method: 'POST', token: 'expired', body: { image_data_url: IMAGE } });
+
+    assert.equal(res.statusCode, 401);
+    assert.equal(res.body.message, 'Invalid or expired token');
+  });
+
+  test('validates the request body', async () => {
+    const res = await invoke(handler, {
+      method: 'POST',
+      token: TOKEN,
+      body: { image_data_url: 'https://example.com/ad.png', source_url: 'not a url', detail: 'max', force: 'yes' }
+    });
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.error, 'Validation error');
+    assert.deepEqual(res.body.details, [
+      'image_data_url must be a base64 data URL (png, jpeg, webp or gif)',
+      'source_url must be a valid URL',
+      'detail must be one of: low, high, auto',
+      'force must be a boolean'
+    ]);
+  });
+
+  test('returns the parsed analysis from the provider', async () => {
+    const res = await invoke(handler, {
+      method: 'POST',
+      token: TOKEN,
+      body: { image_data_url: IMAGE, source_url: 'https://www.facebook.com/', page_title: 'Facebook' }
+    });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.success, true);
+    assert.equal(res.body.ads_found, 4);
+    assert.equal(res.body.model_used, 'mock:multi-ad');
+    assert.equal(res.body.structured_data.length, 4);
+    assert.equal(res.body.strategic_analysis.ads[0].ad_index, 0);
+    assert.match(res.body.analysis, /\*\*Ad 1: /);
+  });
+
+  test('cross-checks the extracted ads against Ad Library data from the page', async () => {
+    const res = await invoke(handler, {
+      method: 'POST',
+      token: TOKEN,
+      body: {
+        image_data_url: IMAGE,
+        source_url: 'https://www.facebook.com/ads/library/?q=meals',
+        library_ads: [
+          { library_id: '555', page_name: 'Factor_', start_date: '2024-05-01', active: true, platforms: ['instagram'], ad_copy: 'Chef-prepared, dietitian-approved meals. Heat in 2 minutes.' },
+          { library_id: '999', page_name: 'Blue Apron', ad_copy: 'Cook like a chef.' }
+        ]
+      }
+    });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.ads_found, 4);
+    assert.equal(res.body.structured_data[1].advertiser_name, 'Factor_');
+    assert.equal(res.body.structured_data[1].library_id, '555');
+    assert.equal(res.body.structured_data[1].library_active, true);
+    assert.equal(res.body.strategic_analysis.ads[1].advertiser_name, 'Factor_');
+    assert.equal(res.body.structured_data[0].library_id, undefined);
+    assert.equal(res.body.library_check.matched, 1);
+    assert.deepEqual(res.body.library_check.unmatched_library_ids, ['999']);
+  });
+
+  test('rejects malformed Ad Library data', async () => {
+    const res = await invoke(handler, {
+      method: 'POST',
+      token: TOKEN,
+      body: { image_data_url: IMAGE, library_ads: [{ library_id: 'abc' }] }
+    });
+
+    assert.equal(res.statusCode, 400);
+    assert.deepEqual(res.body.details, ['library_ads[0].library_id must be a string of digits']);
+  });
+
+  test('analyzes tall screenshots in tiles and merges their ads', async () => {
+    const strategy = {
+      psychological_approach: 'Urgency',
+      visual_strategy: 'Bold',
+      value_positioning: 'Price',
+      conversion_psychology: 'Discount',
+      competitive_advantage: 'Speed'
+    };
+    const ad = (advertiser_name, headline) => ({
+      advertiser_name,
+      headline,
+      description: `${headline} today`,
+      call_to_action: 'Shop Now',
+      product_service: 'Groceries',
+      strategy
+    });
+
+    // Every tile sees the ad in the overlap plus one of its own
+    const provider = {
+      name: 'stub',
+      calls: 0,
+      async analyzeImage() {
+        this.calls++;
+        return {
+          model: 'stub-model',
+          refusal: null,
+          content: JSON.stringify({ summary: `Tile ${this.calls}`, ads: [ad('Instacart', 'Groceries in 1 hour'), ad(`Brand ${this.calls}`, `Offer ${this.calls}`)] })
+        };
+      }
+    };
+    setAIProvider(provider);
+
+    const res = await invoke(handler, {
+      method: 'POST',
+      token: TOKEN,
+      body: { image_data_url: await createImageDataUrl({ width: 100, height: 500 }) }
+    });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(provider.calls, 5);
+    assert.equal(res.body.ads_found, 6);
+    assert.deepEqual(res.body.structured_data.map(entry => entry.advertiser_name), ['Instacart', 'Brand 1', 'Brand 2', 'Brand 3', 'Brand 4', 'Brand 5']);
+    assert.deepEqual(res.body.strategic_analysis.ads.map(entry => entry.ad_index), [0, 1, 2, 3, 4, 5]);
+    assert.match(res.body.strategic_analysis.summary, /^Tile 1\n\nTile 2/);
+    assert.match(res.body.analysis, /\*\*Ad 6: Brand 5\*\*/);
+  });
+
+  test('analyzes only a few tiles at a time', async () => {
+    const provider = {
+      name: 'stub',
+      running: 0,
+      maxRunning: 0,
+      async analyzeImage() {
+        this.running++;
+        this.maxRunning = Math.max(this.maxRunning, this.running);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        this.running--;
+        return { model: 'stub-model', refusal: null, content: NO_ADS };
+      }
+    };
+    setAIProvider(provider);
+
+    const res = await invoke(handler, {
+      method: 'POST',
+      token: TOKEN,
+      body: { image_data_url: await createImageDataUrl({ width: 100, height: 500 }) }
+    });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(provider.maxRunning, TILE_CONCURRENCY);
+  });
+
+  test('gives up on tiles that would run past the time budget', async () => {
+    const provider = {
+      name: 'stub',
+      calls: 0,
+      async analyzeImage() {
+        this.calls++;
+        await new Promise(resolve => setTimeout(resolve, 30));
+        return { model: 'stub-model', refusal: null, content: NO_ADS };
+      }
+    };
+
+    await assert.rejects(
+      runAnalysis({
+        supabase: services.supabase,
+        ai: provider,
+        userId: 'user-1',
+        imageDataUrl: await createImageDataUrl({ width: 100, height: 500 }),
+        timeBudgetMs: 50
+      }),
+      error => error instanceof AnalysisFailedError && error.message === 'The screenshot is too long to analyze in time'
+    );
+    assert.equal(provider.calls, TILE_CONCURRENCY);
+  });
+
+  test('gives the same screenshot the same mock response', async () => {
+    setAIProvider(new MockProvider({ fixturesDir: AI_FIXTURES_DIR }));
+    const request = { method: 'POST', token: TOKEN, body: { image_data_url: IMAGE, force: true } };
+
+    const first = await invoke(handler, request);
+    const second = await invoke(handler, request);
+
+    assert.equal(first.statusCode, 200);
+    assert.equal(first.body.model_used, second.body.model_used);
+    assert.deepEqual(first.body.structured_data, second.body.structured_data);
+  });
+
+  describe('caching', () => {
+    test('answers a repeat request for the same image from the cache', async () => {
+      const provider = countingProvider();
+      setAIProvider(provider);
+      const request = { method: 'POST', token: TOKEN, body: { image_data_url: IMAGE } };
+
+      const first = await invoke(handler, request);
+      const second = await invoke(handler, request);
+
+      assert.equal(provider.calls, 1);
+      assert.equal(first.body.cached, false);
+      assert.equal(second.statusCode, 200);
+      assert.equal(second.body.cached, true);
+      assert.ok(second.body.cached_at);
+      assert.equal(second.body.model_used, 'stub-model');
+      assert.equal(second.body.analysis, first.body.analysis);
+      assert.deepEqual(second.body.structured_data, first.body.structured_data);
+    });
+
+    test('re-analyzes and replaces the cached result when forced', async () => {
+      const provider = countingProvider();
+      setAIProvider(provider);
+
+      await invoke(handler, { method: 'POST', token: TOKEN, body: { image_data_url: IMAGE } });
+      const forced = await invoke(handler, { method: 'POST', token: TOKEN, body: { image_data_url: IMAGE, force: true } });
+
+      assert.equal(provider.calls, 2);
+      assert.equal(forced.body.cached, false);
+      assert.equal(services.supabase.rows('analysis_cache').length, 1);
+    });
+
+    test('keys the cache by image, detail level and user', async () => {
+      const provider = countingProvider();
+      setAIProvider(provider);
+
+      for (const [token, body] of [
+        [TOKEN, { image_data_url: IMAGE }],
+        [TOKEN, { image_data_url: OTHER_IMAGE }],
+        [TOKEN, { image_data_url: IMAGE, detail: 'low' }],
+        [OTHER_TOKEN, { image_data_url: IMAGE }]
+      ]) {
+        const res = await invoke(handler, { method: 'POST', token, body });
+        assert.equal(res.body.cached, false);
+      }
+
+      assert.equal(provider.calls, 4);
+    });
+
+    test('does not cache failed analyses', async () => {
+      setAIProvider(stubProvider({ content: JSON.stringify({ summary: 'Missing ads' }) }));
+
+      await invoke(handler, { method: 'POST', token: TOKEN, body: { image_data_url: IMAGE } });
+
+      assert.equal(services.supabase.rows('analysis_cache').length, 0);
+    });
+
+    test('still analyzes when the cache is unavailable', async () => {
+      const provider = countingProvider();
+      setAIProvider(provider);
+      services.supabase.failNext('analysis_cache', { message: 'relation "analysis_cache" does not exist' });
+
+      const res = await invoke(handler, { method: 'POST', token: TOKEN, body: { image_data_url: IMAGE } });
+
+      assert.equal(res.statusCode, 200);
+      assert.equal(provider.calls, 1);
+    });
+  });
+
+  test('reports refusals as analysis errors', async () => {
+    setAIProvider(stubProvider({ content: null, refusal: 'I cannot help with that.' }));
+
+    const res = await invoke(handler, { method: 'POST', token: TOKEN, body: { image_data_url: IMAGE } });
+
+    assert.equal(res.statusCode, 502);
+    assert.equal(res.body.error, 'Analysis error');
+    assert.equal(res.body.details, 'I cannot help with that.');
+  });
+
+  test('reports empty responses as analysis errors', async () => {
+    setAIProvider(stubProvider({ content: '' }));
+
+    const res = await invoke(handler, { method: 'POST', token: TOKEN, body: { image_data_url: IMAGE } });
+
+    assert.equal(res.statusCode, 502);
+    assert.equal(res.body.message, 'The AI provider returned an empty response');
+  });
+
+  test('reports provider failures as analysis errors', async () => {
+    setAIProvider(stubProvider(new Error('429 Rate limit reached')));
+
+    const res = await invoke(handler, { method: 'POST', token: TOKEN, body: { image_data_url: IMAGE } });
+
+    assert.equal(res.statusCode, 502);
+    assert.equal(res.body.error, 'Analysis error');
+    assert.equal(res.body.details, '429 Rate limit reached');
+  });
+
+  test('rejects responses that do not match the schema', async () => {
+    setAIProvider(stubProvider({ content: JSON.stringify({ summary: 'Missing ads' }) }));
+
+    const res = await invoke(handler, { method: 'POST', token: TOKEN, body: { image_data_url: IMAGE } });
+
+    assert.equal(res.statusCode, 502);
+    assert.equal(res.body.error, 'Analysis schema error');
+    assert.deepEqual(res.body.details, ["/ must have required property 'ads'"]);
+  });
+
+  test('fails with a configuration error when no provider is configured', async () => {
+    const { AI_PROVIDER, OPENAI_API_KEY } = process.env;
+    delete process.env.AI_PROVIDER;
+    delete process.env.OPENAI_API_KEY;
+    setAIProvider(null);
+
+    try {
+      const res = await invoke(handler, { method: 'POST', token: TOKEN, body: { image_data_url: IMAGE } });
+
+      assert.equal(res.statusCode, 500);
+      assert.equal(res.body.error, 'Configuration error');
+    } finally {
+      Object.assign(process.env,
+        AI_PROVIDER === undefined ? {} : { AI_PROVIDER },
+        OPENAI_API_KEY === undefined ? {} : { OPENAI_API_KEY });
+    }
+  });
+});
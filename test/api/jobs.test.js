@@ -0,0 +1,371 @@
+import { test, describe, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import path from 'path';
+import createHandler from '../../api/jobs/index.js';
+import statusHandler from '../../api/jobs/[id].js';
+import processHandler from '../../api/jobs/process.js';
+import { setAIProvider } from '../../lib/ai/index.js';
+import { MAX_JOB_ATTEMPTS, RETRY_BACKOFF_MS, STALE_JOB_MS } from '../../lib/jobs.js';
+import { storeTemporaryImage } from '../../lib/screenshots.js';
+import { invoke } from '../helpers/http.js';
+import { setupServices, teardownServices, createImageDataUrl, TOKEN, OTHER_TOKEN, USER } from '../helpers/services.js';
+
+const IMAGE = 'data:image/png;base64,iVBORw0KGgo=';
+const CRON_SECRET = 'cron-secret';
+
+// Provider double that fails the first `failures` calls
+function flakyProvider(failures) {
+  return {
+    name: 'stub',
+    calls: 0,
+    async analyzeImage() {
+      this.calls++;
+      if (this.calls <= failures) {
+        throw new Error('upstream timeout');
+      }
+      return { model: 'stub-model', refusal: null, content: JSON.stringify({ summary: 'Nothing here.', ads: [] }) };
+    }
+  };
+}
+
+function getJob(id, token = TOKEN) {
+  return invoke(statusHandler, { method: 'GET', token, query: { id: String(id) } });
+}
+
+// Let a failed job's retry backoff run out
+function skipBackoff(services) {
+  for (const job of services.supabase.rows('analysis_jobs')) {
+    job.next_attempt_at = new Date(Date.now() - 1000).toISOString();
+  }
+}
+
+// Provider double whose every call takes 30 seconds of a fake clock, so a
+// five-tile screenshot runs out of the 50 second budget after two tiles
+function slowProvider(onCall = () => {}) {
+  let clock = Date.now();
+  mock.method(Date, 'now', () => clock);
+
+  return {
+    name: 'stub',
+    calls: 0,
+    async analyzeImage() {
+      this.calls++;
+      onCall(this.calls);
+      clock += 30 * 1000;
+      return { model: 'stub-model', refusal: null, content: JSON.stringify({ summary: `Tile ${this.calls}`, ads: [] }) };
+    }
+  };
+}
+
+function sweep(secret = CRON_SECRET) {
+  return invoke(processHandler, { method: 'GET', token: secret });
+}
+
+describe('analysis jobs', () => {
+  let services;
+  let previousSecret;
+
+  beforeEach(async () => {
+    services = await setupServices({ fixture: 'multi-ad' });
+    previousSecret = process.env.CRON_SECRET;
+    process.env.CRON_SECRET = CRON_SECRET;
+  });
+
+  afterEach(async () => {
+    await teardownServices(services);
+    if (previousSecret === undefined) {
+      delete process.env.CRON_SECRET;
+    } else {
+      process.env.CRON_SECRET = previousSecret;
+    }
+  });
+
+  test('queues a job and returns its id right away', async () => {
+    const res = await invoke(createHandler, {
+      method: 'POST',
+      token: TOKEN,
+      body: { image_data_url: IMAGE, source_url: 'https://www.facebook.com/ads/library', page_title: 'Ad Library' }
+    });
+
+    assert.equal(res.statusCode, 202);
+    assert.equal(res.body.success, true);
+    assert.equal(res.body.job.status, 'queued');
+    assert.equal(res.body.job.source_url, 'https://www.facebook.com/ads/library');
+    assert.equal(res.body.job.image_data_url, undefined);
+    assert.equal(res.body.status_url, `/api/jobs/${res.body.job.id}`);
+
+    // The screenshot goes to storage; the row only has its key
+    const [row] = services.supabase.rows('analysis_jobs');
+    assert.equal(row.user_id, USER.id);
+    assert.equal(row.image_data_url, undefined);
+    assert.match(row.image_path, /^user-1\/pending\/.+\.png$/);
+    assert.equal(`data:image/png;base64,${(await services.storage.get(row.image_path)).toString('base64')}`, IMAGE);
+    assert.equal(res.body.job.image_path, undefined);
+  });
+
+  test('processes the job in the background and exposes the result', async () => {
+    const created = await invoke(createHandler, { method: 'POST', token: TOKEN, body: { image_data_url: IMAGE } });
+    await services.flushJobs();
+
+    const res = await getJob(created.body.job.id);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.job.status, 'completed');
+    assert.equal(res.body.job.attempts, 1);
+    assert.equal(res.body.job.result.ads_found, 4);
+    assert.equal(res.body.job.result.structured_data.length, 4);
+    assert.equal(res.body.job.result.cached, false);
+    assert.ok(res.body.job.completed_at);
+
+    // The screenshot is dropped once the job is done
+    const [row] = services.supabase.rows('analysis_jobs');
+    assert.equal(row.image_path, null);
+    assert.deepEqual(await fs.readdir(path.join(services.storageDir, USER.id, 'pending')), []);
+  });
+
+  test('fails a job whose screenshot is gone', async () => {
+    services.supabase.tables.analysis_jobs = [
+      { id: 1, user_id: USER.id, status: 'queued', attempts: 0, image_path: 'user-1/pending/missing.png', detail: 'high', force: false }
+    ];
+
+    await getJob(1);
+    await services.flushJobs();
+
+    const res = await getJob(1);
+    assert.equal(res.body.job.status, 'failed');
+    assert.equal(res.body.job.error.message, 'The screenshot for this job is no longer available');
+  });
+
+  test('removes the stored screenshot when the job can\'t be created', async () => {
+    services.supabase.failNext('analysis_jobs', { message: 'insert failed' }, 'insert');
+
+    const res = await invoke(createHandler, { method: 'POST', token: TOKEN, body: { image_data_url: IMAGE } });
+
+    assert.equal(res.statusCode, 500);
+    assert.deepEqual(await fs.readdir(path.join(services.storageDir, USER.id, 'pending')), []);
+  });
+
+  test('cross-checks the result against Ad Library data sent with the job', async () => {
+    const created = await invoke(createHandler, {
+      method: 'POST',
+      token: TOKEN,
+      body: { image_data_url: IMAGE, library_ads: [{ library_id: '777', page_name: 'Instacart', ad_copy: 'Shop from local stores you love.' }] }
+    });
+    await services.flushJobs();
+
+    const { body } = await getJob(created.body.job.id);
+
+    assert.equal(body.job.result.structured_data[3].library_id, '777');
+    assert.equal(body.job.result.library_check.matched, 1);
+  });
+
+  test('jobs share the analysis cache', async () => {
+    await invoke(createHandler, { method: 'POST', token: TOKEN, body: { image_data_url: IMAGE } });
+    await services.flushJobs();
+
+    const created = await invoke(createHandler, { method: 'POST', token: TOKEN, body: { image_data_url: IMAGE } });
+    await services.flushJobs();
+
+    const res = await getJob(created.body.job.id);
+    assert.equal(res.body.job.result.cached, true);
+  });
+
+  test('validates the request body like /api/analyze', async () => {
+    const res = await invoke(createHandler, {
+      method: 'POST',
+      token: TOKEN,
+      body: { image_data_url: 'not-a-data-url', detail: 'extreme' }
+    });
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.error, 'Validation error');
+    assert.equal(res.body.details.length, 2);
+    assert.equal(services.supabase.rows('analysis_jobs').length, 0);
+  });
+
+  test('requires a bearer token', async () => {
+    const created = await invoke(createHandler, { method: 'POST', body: { image_data_url: IMAGE } });
+    const status = await invoke(statusHandler, { method: 'GET', query: { id: '1' } });
+
+    assert.equal(created.statusCode, 401);
+    assert.equal(status.statusCode, 401);
+  });
+
+  test('hides other users\' jobs', async () => {
+    const created = await invoke(createHandler, { method: 'POST', token: TOKEN, body: { image_data_url: IMAGE } });
+    await services.flushJobs();
+
+    const res = await getJob(created.body.job.id, OTHER_TOKEN);
+
+    assert.equal(res.statusCode, 404);
+    assert.equal(res.body.error, 'Not found');
+  });
+
+  test('rejects invalid job ids', async () => {
+    const res = await getJob('abc');
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.message, 'id must be a positive integer');
+  });
+
+  test('re-queues failed attempts and retries them when polled', async () => {
+    const provider = flakyProvider(1);
+    setAIProvider(provider);
+
+    const created = await invoke(createHandler, { method: 'POST', token: TOKEN, body: { image_data_url: IMAGE } });
+    await services.flushJobs();
+
+    const retrying = await getJob(created.body.job.id);
+    assert.equal(retrying.body.job.status, 'queued');
+    assert.equal(retrying.body.job.error.error, 'Analysis error');
+    assert.equal(retrying.body.job.error.details, 'upstream timeout');
+    skipBackoff(services);
+    await getJob(created.body.job.id);
+    await services.flushJobs();
+
+    const res = await getJob(created.body.job.id);
+    assert.equal(res.body.job.status, 'completed');
+    assert.equal(res.body.job.attempts, 2);
+    assert.equal(res.body.job.error, null);
+    assert.equal(provider.calls, 2);
+  });
+
+  test('waits out the retry backoff before polling retries a job', async () => {
+    const provider = flakyProvider(1);
+    setAIProvider(provider);
+
+    const created = await invoke(createHandler, { method: 'POST', token: TOKEN, body: { image_data_url: IMAGE } });
+    await services.flushJobs();
+
+    const res = await getJob(created.body.job.id);
+    await services.flushJobs();
+    await getJob(created.body.job.id);
+    await services.flushJobs();
+
+    const retryAt = new Date(res.body.job.next_attempt_at).getTime();
+    assert.ok(retryAt > Date.now() + RETRY_BACKOFF_MS - 5000);
+    assert.equal(services.supabase.rows('analysis_jobs')[0].status, 'queued');
+    assert.equal(provider.calls, 1);
+
+    const swept = await sweep();
+    assert.equal(swept.body.processed, 0);
+  });
+
+  test('fails the job after the last attempt', async () => {
+    setAIProvider(flakyProvider(MAX_JOB_ATTEMPTS));
+
+    const created = await invoke(createHandler, { method: 'POST', token: TOKEN, body: { image_data_url: IMAGE } });
+    await services.flushJobs();
+
+    for (let attempt = 1; attempt < MAX_JOB_ATTEMPTS; attempt++) {
+      skipBackoff(services);
+      await getJob(created.body.job.id);
+      await services.flushJobs();
+    }
+
+    const res = await getJob(created.body.job.id);
+    assert.equal(res.body.job.status, 'failed');
+    assert.equal(res.body.job.attempts, MAX_JOB_ATTEMPTS);
+    assert.equal(res.body.job.error.message, 'The AI provider failed to analyze the screenshot');
+    assert.equal(services.supabase.rows('analysis_jobs')[0].image_path, null);
+  });
+
+  test('continues a long screenshot from the tiles it already analyzed', async () => {
+    const provider = slowProvider();
+    setAIProvider(provider);
+
+    const created = await invoke(createHandler, {
+      method: 'POST',
+      token: TOKEN,
+      body: { image_data_url: await createImageDataUrl({ width: 100, height: 500 }) }
+    });
+    await services.flushJobs();
+
+    const [row] = services.supabase.rows('analysis_jobs');
+    assert.equal(row.status, 'queued');
+    assert.equal(row.attempts, 0);
+    assert.equal(row.tile_results.filter(Boolean).length, 2);
+    assert.equal(provider.calls, 2);
+
+    for (let poll = 0; poll < 2; poll++) {
+      await getJob(created.body.job.id);
+      await services.flushJobs();
+    }
+
+    const res = await getJob(created.body.job.id);
+    assert.equal(res.body.job.status, 'completed');
+    assert.equal(res.body.job.attempts, 1);
+    assert.equal(res.body.job.tile_results, undefined);
+    assert.equal(provider.calls, 5);
+    assert.match(res.body.job.result.strategic_analysis.summary, /^Tile 1\n\nTile 2\n\nTile 3/);
+    assert.equal(services.supabase.rows('analysis_jobs')[0].tile_results, null);
+  });
+
+  test('fails without retrying when running out of time saved no tiles', async () => {
+    const provider = slowProvider(call => {
+      if (call === 1) {
+        services.supabase.failNext('analysis_jobs', { message: 'update failed' }, 'update');
+        services.supabase.failNext('analysis_jobs', { message: 'update failed' }, 'update');
+      }
+    });
+    setAIProvider(provider);
+
+    const created = await invoke(createHandler, {
+      method: 'POST',
+      token: TOKEN,
+      body: { image_data_url: await createImageDataUrl({ width: 100, height: 500 }) }
+    });
+    await services.flushJobs();
+
+    const res = await getJob(created.body.job.id);
+    assert.equal(res.body.job.status, 'failed');
+    assert.equal(res.body.job.attempts, 1);
+    assert.equal(res.body.job.error.message, 'The screenshot is too long to analyze in time');
+    assert.equal(provider.calls, 2);
+  });
+
+  describe('cron sweep', () => {
+    test('requires the cron secret', async () => {
+      const res = await sweep('wrong-secret');
+
+      assert.equal(res.statusCode, 401);
+    });
+
+    test('refuses to run without CRON_SECRET', async () => {
+      delete process.env.CRON_SECRET;
+
+      const res = await sweep();
+
+      assert.equal(res.statusCode, 500);
+      assert.equal(res.body.error, 'Configuration error');
+    });
+
+    test('runs queued jobs and stale processing jobs', async () => {
+      const stale = new Date(Date.now() - STALE_JOB_MS - 1000).toISOString();
+      const recent = new Date().toISOString();
+      const base = { user_id: USER.id, detail: 'high', force: false, created_at: recent };
+      const jobs = [
+        { ...base, id: 1, status: 'queued', attempts: 0 },
+        { ...base, id: 2, status: 'processing', attempts: 1, started_at: stale },
+        { ...base, id: 3, status: 'processing', attempts: 1, started_at: recent },
+        { ...base, id: 4, status: 'processing', attempts: MAX_JOB_ATTEMPTS, started_at: stale }
+      ];
+
+      for (const job of jobs) {
+        job.image_path = await storeTemporaryImage(services.storage, USER.id, IMAGE);
+      }
+      services.supabase.tables.analysis_jobs = jobs;
+
+      const res = await sweep();
+
+      assert.equal(res.statusCode, 200);
+      assert.equal(res.body.processed, 3);
+      assert.equal(res.body.completed, 2);
+      assert.equal(res.body.failed, 1);
+
+      const statuses = services.supabase.rows('analysis_jobs').map(job => job.status);
+      assert.deepEqual(statuses, ['completed', 'completed', 'processing', 'failed']);
+    });
+  });
+});
@@ -0,0 +1,346 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import path from 'path';
+import handler from '../../api/save-ad.js';
+import { invoke } from '../helpers/http.js';
+import { setupServices, teardownServices, createImageDataUrl, TOKEN, OTHER_TOKEN, USER, OTHER_USER } from '../helpers/services.js';
+
+const ANALYSIS = {
+  analysis: '**Ad 1: Allbirds**',
+  structured_data: [],
+  ads_found: 2,
+  model_used: 'mock:multi-ad'
+};
+
+const ADS = [
+  {
+    advertiser_name: 'Allbirds',
+    headline: "The World's Most Comfortable Shoes",
+    description: 'Made with natural materials.',
+    call_to_action: 'Shop Now',
+    product_service: 'Sneakers'
+  },
+  {
+    advertiser_name: 'Unknown',
+    headline: 'Not visible',
+    description: '  50% off your first box  ',
+    call_to_action: 'N/A',
+    product_service: 'none'
+  }
+];
+
+function save(body, token = TOKEN) {
+  return invoke(handler, { method: 'POST', token, body });
+}
+
+describe('POST /api/save-ad', () => {
+  let services;
+
+  beforeEach(async () => {
+    services = await setupServices();
+  });
+
+  afterEach(async () => {
+    await teardownServices(services);
+  });
+
+  describe('validation', () => {
+    test('rejects other methods', async () => {
+      const res = await invoke(handler, { method: 'GET', token: TOKEN });
+
+      assert.equal(res.statusCode, 405);
+    });
+
+    test('requires a bearer token', async () => {
+      const res = await save({ analysis_data: ANALYSIS }, null);
+
+      assert.equal(res.statusCode, 401);
+      assert.equal(services.supabase.rows('captures').length, 0);
+    });
+
+    test('requires analysis_data', async () => {
+      const res = await save({ ads: ADS });
+
+      assert.equal(res.statusCode, 400);
+      assert.equal(res.body.message, 'analysis_data is required');
+    });
+
+    test('requires ads to be an array of objects', async () => {
+      for (const ads of ['Allbirds', [ADS[0], null], [['nested']]]) {
+        const res = await save({ analysis_data: ANALYSIS, ads });
+
+        assert.equal(res.statusCode, 400);
+        assert.equal(res.body.message, 'ads must be an array of objects');
+      }
+    });
+
+    test('caps the number of ads per capture', async () => {
+      const res = await save({ analysis_data: ANALYSIS, ads: Array.from({ length: 51 }, () => ADS[0]) });
+
+      assert.equal(res.statusCode, 400);
+      assert.equal(res.body.message, 'A single capture can contain at most 50 ads');
+    });
+
+    test('rejects screenshot data that is not an image data URL', async () => {
+      const res = await save({ analysis_data: ANALYSIS, screenshot_data_url: 'data:text/html;base64,PGgxPg==' });
+
+      assert.equal(res.statusCode, 400);
+      assert.match(res.body.message, /^screenshot_data_url must be a base64 image data URL/);
+    });
+
+    test('rejects non-http screenshot URLs', async () => {
+      const res = await save({ analysis_data: ANALYSIS, screenshot_url: 'javascript:alert(1)' });
+
+      assert.equal(res.statusCode, 400);
+      assert.equal(res.body.message, 'screenshot_url must be an http(s) URL');
+    });
+  });
+
+  describe('saving', () => {
+    test('stores one capture and one row per ad', async () => {
+      const res = await save({
+        screenshot_data_url: await createImageDataUrl(),
+        analysis_data: ANALYSIS,
+        source_url: 'https://www.facebook.com/',
+        platform: 'facebook',
+        ads: ADS
+      });
+
+      assert.equal(res.statusCode, 201);
+      assert.equal(res.body.ads_saved, 2);
+
+      const [capture] = services.supabase.rows('captures');
+      const ads = services.supabase.rows('saved_ads');
+
+      assert.equal(capture.id, res.body.capture_id);
+      assert.equal(capture.ads_found, 2);
+      assert.deepEqual(JSON.parse(capture.analysis_data), ANALYSIS);
+      assert.deepEqual(ads.map(ad => ad.id), res.body.ids);
+      assert.deepEqual(ads.map(ad => ad.ad_index), [0, 1]);
+      assert.ok(ads.every(ad => ad.capture_id === capture.id && ad.platform === 'facebook'));
+    });
+
+    test('drops placeholder values and trims ad fields', async () => {
+      await save({ analysis_data: ANALYSIS, ads: ADS });
+
+      const ad = services.supabase.rows('saved_ads')[1];
+
+      assert.equal(ad.advertiser_name, null);
+      assert.equal(ad.headline, null);
+      assert.equal(ad.description, '50% off your first box');
+      assert.equal(ad.call_to_action, null);
+      assert.equal(ad.product_service, null);
+    });
+
+    test('stores the Ad Library fields of cross-checked ads', async () => {
+      await save({
+        analysis_data: ANALYSIS,
+        ads: [
+          { ...ADS[0], library_id: '1111', library_start_date: '2024-03-12', library_active: false, library_platforms: ['facebook', 'instagram'] },
+          ADS[1]
+        ]
+      });
+
+      const [library, plain] = services.supabase.rows('saved_ads');
+
+      assert.equal(library.library_id, '1111');
+      assert.equal(library.library_start_date, '2024-03-12');
+      assert.equal(library.library_active, false);
+      assert.deepEqual(library.library_platforms, ['facebook', 'instagram']);
+      assert.equal(plain.library_id, null);
+      assert.equal(plain.library_platforms, null);
+    });
+
+    test('takes the owner from the token, not the body', async () => {
+      await save({ analysis_data: ANALYSIS, user_id: 'someone-else', ads: ADS });
+
+      assert.equal(services.supabase.rows('captures')[0].user_id, USER.id);
+      assert.ok(services.supabase.rows('saved_ads').every(ad => ad.user_id === USER.id));
+    });
+
+    test('writes the screenshot and a thumbnail to storage', async () => {
+      const res = await save({ analysis_data: ANALYSIS, screenshot_data_url: await createImageDataUrl() });
+      const [capture] = services.supabase.rows('captures');
+
+      assert.match(res.body.screenshot_url, /^http:\/\/localhost:3000\/api\/screenshots\/user-1%2F.+\.png$/);
+      assert.match(res.body.thumbnail_url, /-thumb\.webp$/);
+      assert.ok(capture.screenshot_path.startsWith(`${USER.id}/`));
+
+      const files = await fs.readdir(path.join(services.storageDir, USER.id));
+      assert.deepEqual(files.sort(), [
+        path.basename(capture.screenshot_path),
+        path.basename(capture.thumbnail_path)
+      ].sort());
+    });
+
+    test('accepts the legacy data URL in screenshot_url', async () => {
+      const res = await save({ analysis_data: ANALYSIS, screenshot_url: await createImageDataUrl() });
+
+      assert.equal(res.statusCode, 201);
+      assert.match(res.body.screenshot_url, /^http:\/\/localhost:3000\/api\/screenshots\//);
+    });
+
+    test('keeps plain http screenshot URLs as they are', async () => {
+      const res = await save({ analysis_data: ANALYSIS, screenshot_url: 'https://cdn.example.com/ad.png' });
+
+      assert.equal(res.statusCode, 201);
+      assert.equal(res.body.screenshot_url, 'https://cdn.example.com/ad.png');
+      assert.equal(res.body.thumbnail_url, null);
+    });
+
+    test('saves legacy single-ad bodies from top-level fields', async () => {
+      const res = await save({ analysis_data: 'Plain text analysis', ...ADS[0] });
+
+      assert.equal(res.statusCode, 201);
+      assert.equal(res.body.ads_saved, 1);
+
+      const [ad] = services.supabase.rows('saved_ads');
+      assert.equal(ad.advertiser_name, 'Allbirds');
+      assert.equal(ad.analysis_data, 'Plain text analysis');
+      assert.equal(ad.platform, 'unknown');
+    });
+  });
+
+  describe('advertisers', () => {
+    test('links ads to advertisers, matching spelling variants', async () => {
+      await save({ analysis_data: ANALYSIS, ads: [ADS[0], { ...ADS[0], advertiser_name: 'ALLBIRDS, Inc.' }] });
+      await save({ analysis_data: ANALYSIS, ads: [{ ...ADS[0], advertiser_name: 'allbirds llc' }, ADS[1]] });
+
+      const advertisers = services.supabase.rows('advertisers');
+      const ads = services.supabase.rows('saved_ads');
+
+      assert.equal(advertisers.length, 1);
+      assert.equal(advertisers[0].name, 'Allbirds');
+      assert.deepEqual(ads.map(ad => ad.advertiser_id), [advertisers[0].id, advertisers[0].id, advertisers[0].id, null]);
+      assert.deepEqual(services.supabase.rows('advertiser_aliases').map(alias => alias.normalized_alias), ['allbirds']);
+    });
+
+    test('keeps advertisers separate per user', async () => {
+      await save({ analysis_data: ANALYSIS, ads: [ADS[0]] });
+      await save({ analysis_data: ANALYSIS, ads: [ADS[0]] }, OTHER_TOKEN);
+
+      const advertisers = services.supabase.rows('advertisers');
+
+      assert.deepEqual(advertisers.map(advertiser => advertiser.user_id), [USER.id, OTHER_USER.id]);
+      assert.deepEqual(services.supabase.rows('saved_ads').map(ad => ad.advertiser_id), advertisers.map(advertiser => advertiser.id));
+    });
+
+    test('still saves the ads when advertiser matching fails', async () => {
+      services.supabase.failNext('advertiser_aliases', { message: 'lookup failed' });
+
+      const res = await save({ analysis_data: ANALYSIS, ads: ADS });
+
+      assert.equal(res.statusCode, 201);
+      assert.ok(services.supabase.rows('saved_ads').every(ad => ad.advertiser_id === null));
+    });
+  });
+
+  describe('duplicates', () => {
+    test('records another sighting instead of saving the same capture twice', async () => {
+      const body = { analysis_data: ANALYSIS, screenshot_data_url: await createImageDataUrl(), platform: 'facebook', ads: [ADS[0]] };
+      const first = await save(body);
+      const second = await save(body);
+
+      assert.equal(second.statusCode, 200);
+      assert.equal(second.body.capture_id, null);
+      assert.equal(second.body.ads_saved, 0);
+      assert.deepEqual(second.body.ids, first.body.ids);
+      assert.equal(second.body.screenshot_url, first.body.screenshot_url);
+      assert.deepEqual(second.body.duplicates.map(duplicate => [duplicate.status, duplicate.seen_count]), [['merged', 2]]);
+
+      const ads = services.supabase.rows('saved_ads');
+      assert.equal(services.supabase.rows('captures').length, 1);
+      assert.deepEqual(ads.map(ad => ad.seen_count), [2]);
+      assert.ok(ads.every(ad => ad.first_seen_at === first.body.timestamp && ad.last_seen_at === second.body.timestamp));
+      assert.equal(services.supabase.rows('ad_sightings').length, 2);
+      assert.deepEqual((await fs.readdir(path.join(services.storageDir, USER.id))).length, 2);
+    });
+
+    test('ignores copy differences in case, spacing and punctuation', async () => {
+      const screenshot = await createImageDataUrl();
+      await save({ analysis_data: ANALYSIS, screenshot_data_url: screenshot, ads: [ADS[0]] });
+
+      const res = await save({
+        analysis_data: ANALYSIS,
+        screenshot_data_url: screenshot,
+        ads: [{ ...ADS[0], headline: "the world's most comfortable shoes!", description: 'Made with  natural materials' }]
+      });
+
+      assert.equal(res.body.duplicates[0].status, 'merged');
+      assert.equal(services.supabase.rows('saved_ads').length, 1);
+    });
+
+    test('only matches ads in a screenshot of several ads by copy', async () => {
+      const screenshot = await createImageDataUrl();
+      const first = await save({ analysis_data: ANALYSIS, screenshot_data_url: screenshot, ads: [ADS[0]] });
+      const res = await save({ analysis_data: ANALYSIS, screenshot_data_url: screenshot, ads: [ADS[1], ADS[0]] });
+
+      assert.equal(res.statusCode, 201);
+      assert.equal(res.body.ads_saved, 2);
+      assert.equal(res.body.ads_merged, 0);
+      assert.deepEqual(res.body.duplicates, [{ ad_index: 1, status: 'flagged', id: res.body.ids[1], duplicate_of: first.body.id }]);
+
+      const newAds = services.supabase.rows('saved_ads').filter(ad => ad.capture_id === res.body.capture_id);
+      assert.deepEqual(newAds.map(ad => [ad.ad_index, ad.image_hash]), [[0, null], [1, null]]);
+
+      // Saving the same screenshot again still doesn't merge
+      const again = await save({ analysis_data: ANALYSIS, screenshot_data_url: screenshot, ads: [ADS[1], ADS[0]] });
+      assert.equal(again.body.ads_merged, 0);
+      assert.deepEqual(again.body.duplicates.map(duplicate => duplicate.status), ['flagged', 'flagged']);
+    });
+
+    test('flags the same copy with a different image', async () => {
+      const first = await save({ analysis_data: ANALYSIS, screenshot_data_url: await createImageDataUrl(), ads: [ADS[0]] });
+      const res = await save({ analysis_data: ANALYSIS, screenshot_url: 'https://cdn.example.com/other.png', ads: [ADS[0]] });
+
+      assert.equal(res.statusCode, 201);
+      assert.deepEqual(res.body.duplicates, [{ ad_index: 0, status: 'flagged', id: res.body.id, duplicate_of: first.body.id }]);
+      assert.equal(services.supabase.rows('saved_ads').find(ad => ad.id === res.body.id).duplicate_of, first.body.id);
+    });
+
+    test('does not match another user\'s ads', async () => {
+      const body = { analysis_data: ANALYSIS, screenshot_data_url: await createImageDataUrl(), ads: [ADS[0]] };
+      await save(body);
+      const res = await save(body, OTHER_TOKEN);
+
+      assert.equal(res.statusCode, 201);
+      assert.deepEqual(res.body.duplicates, []);
+    });
+
+    test('saves normally when the duplicate lookup fails', async () => {
+      const body = { analysis_data: ANALYSIS, screenshot_data_url: await createImageDataUrl(), ads: [ADS[0]] };
+      await save(body);
+      services.supabase.failNext('saved_ads', { message: 'lookup failed' }, 'select');
+
+      const res = await save(body);
+
+      assert.equal(res.statusCode, 201);
+      assert.equal(services.supabase.rows('saved_ads').length, 2);
+    });
+  });
+
+  describe('database failures', () => {
+    test('removes the capture and stored files when the ad insert fails', async () => {
+      services.supabase.failNext('saved_ads', { message: 'insert failed' }, 'insert');
+
+      const res = await save({ analysis_data: ANALYSIS, screenshot_data_url: await createImageDataUrl(), ads: ADS });
+
+      assert.equal(res.statusCode, 500);
+      assert.equal(res.body.error, 'Database error');
+      assert.equal(res.body.details, 'insert failed');
+      assert.equal(services.supabase.rows('captures').length, 0);
+      assert.deepEqual(await fs.readdir(path.join(services.storageDir, USER.id)), []);
+    });
+
+    test('reports missing tables as a schema error', async () => {
+      services.supabase.failNext('captures', { code: '42P01', message: 'relation "captures" does not exist' });
+
+      const res = await save({ analysis_data: ANALYSIS, ads: ADS });
+
+      assert.equal(res.statusCode, 500);
+      assert.equal(res.body.error, 'Database schema error');
+      assert.equal(services.supabase.rows('saved_ads').length, 0);
+    });
+  });
+});
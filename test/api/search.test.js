@@ -0,0 +1,131 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import handler from '../../api/ads/search.js';
+import { parseHighlight } from '../../lib/search.js';
+import { invoke } from '../helpers/http.js';
+import { setupServices, teardownServices, TOKEN, USER, OTHER_USER } from '../helpers/services.js';
+
+const ADS = [
+  { id: 1, user_id: USER.id, platform: 'facebook', headline: 'Free shipping on all orders', description: 'Ends Sunday <b>only</b>' },
+  { id: 2, user_id: USER.id, platform: 'instagram', headline: 'New arrivals', description: 'Free shipping over $50' },
+  { id: 3, user_id: USER.id, platform: 'facebook', headline: 'Summer sale', description: '30% off everything' },
+  { id: 4, user_id: OTHER_USER.id, platform: 'facebook', headline: 'Free shipping forever', description: null }
+];
+
+// Word-matching stand-in for the search_saved_ads SQL function
+function searchSavedAds({ p_user_id, p_query, p_platform, p_limit, p_offset }, tables) {
+  const words = p_query.toLowerCase().split(/\s+/);
+  const mark = text => (text || '').replace(/\w+/g, word => (words.includes(word.toLowerCase()) ? `\u0002${word}\u0003` : word));
+
+  return tables.saved_ads
+    .filter(ad => ad.user_id === p_user_id && (!p_platform || ad.platform === p_platform))
+    .map(ad => ({ ...ad, rank: words.filter(word => `${ad.headline} ${ad.description}`.toLowerCase().includes(word)).length }))
+    .filter(ad => ad.rank === words.length)
+    .sort((a, b) => b.rank - a.rank || b.id - a.id)
+    .slice(p_offset, p_offset + p_limit)
+    .map(ad => ({
+      ...ad,
+      headline_snippet: mark(ad.headline),
+      description_snippet: mark(ad.description),
+      analysis_snippet: ''
+    }));
+}
+
+function search(query, token = TOKEN) {
+  return invoke(handler, { method: 'GET', token, query });
+}
+
+describe('parseHighlight', () => {
+  test('splits a snippet into matched and plain segments', () => {
+    assert.deepEqual(parseHighlight('Get \u0002free\u0003 \u0002shipping\u0003 today'), [
+      { text: 'Get ', match: false },
+      { text: 'free', match: true },
+      { text: ' ', match: false },
+      { text: 'shipping', match: true },
+      { text: ' today', match: false }
+    ]);
+  });
+
+  test('handles empty snippets and stray markers', () => {
+    assert.deepEqual(parseHighlight(''), []);
+    assert.deepEqual(parseHighlight(null), []);
+    assert.deepEqual(parseHighlight('broken \u0002marker'), [{ text: 'broken marker', match: false }]);
+  });
+});
+
+describe('GET /api/ads/search', () => {
+  let services;
+
+  beforeEach(async () => {
+    services = await setupServices({
+      tables: { saved_ads: ADS },
+      functions: { search_saved_ads: searchSavedAds }
+    });
+  });
+
+  afterEach(async () => {
+    await teardownServices(services);
+  });
+
+  test('returns the caller\'s matching ads with highlights', async () => {
+    const res = await search({ q: 'free shipping' });
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body.results.map(ad => ad.id), [2, 1]);
+    assert.equal(res.body.has_more, false);
+
+    const [, first] = res.body.results;
+    assert.deepEqual(first.highlights.headline.filter(segment => segment.match).map(segment => segment.text), ['Free', 'shipping']);
+    assert.equal(first.highlights.description, undefined);
+    assert.equal(first.headline_snippet, undefined);
+  });
+
+  test('keeps ad text as plain text in highlight segments', async () => {
+    const res = await search({ q: 'sunday' });
+
+    assert.deepEqual(res.body.results[0].highlights.description, [
+      { text: 'Ends ', match: false },
+      { text: 'Sunday', match: true },
+      { text: ' <b>only</b>', match: false }
+    ]);
+  });
+
+  test('filters by platform and pages with offset', async () => {
+    const filtered = await search({ q: 'free', platform: 'facebook' });
+    assert.deepEqual(filtered.body.results.map(ad => ad.id), [1]);
+
+    const firstPage = await search({ q: 'free', limit: '1' });
+    assert.deepEqual(firstPage.body.results.map(ad => ad.id), [2]);
+    assert.equal(firstPage.body.next_offset, 1);
+
+    const secondPage = await search({ q: 'free', limit: '1', offset: '1' });
+    assert.deepEqual(secondPage.body.results.map(ad => ad.id), [1]);
+    assert.equal(secondPage.body.has_more, false);
+  });
+
+  test('validates query parameters', async () => {
+    const res = await search({ q: '   ', limit: '0', offset: '-1' });
+
+    assert.equal(res.statusCode, 400);
+    assert.deepEqual(res.body.details, [
+      'q is required',
+      'limit must be an integer between 1 and 50',
+      'offset must be a non-negative integer'
+    ]);
+  });
+
+  test('requires a bearer token', async () => {
+    const res = await search({ q: 'free' }, null);
+
+    assert.equal(res.statusCode, 401);
+  });
+
+  test('reports a missing search function as a schema error', async () => {
+    services.supabase.failNext('search_saved_ads', { code: '42883', message: 'function search_saved_ads does not exist' }, 'rpc');
+
+    const res = await search({ q: 'free' });
+
+    assert.equal(res.statusCode, 500);
+    assert.equal(res.body.error, 'Database schema error');
+  });
+});
@@ -0,0 +1,121 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import {
+  IMAGE_HASH_MAX_DISTANCE,
+  computeImageHash,
+  hammingDistance,
+  copyFingerprint,
+  classifyDuplicate,
+  recordSightings
+} from '../lib/duplicates.js';
+import { createMemorySupabase } from './helpers/supabase.js';
+import { SCHEMA_FUNCTIONS } from './helpers/services.js';
+
+// A 200x120 image with a few shapes, so its hash isn't all zeros
+function drawAd(shapes) {
+  return sharp({ create: { width: 200, height: 120, channels: 3, background: '#336699' } })
+    .composite([{ input: Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" width="200" height="120">${shapes}</svg>`) }])
+    .png()
+    .toBuffer();
+}
+
+const AD_SHAPES = '<rect x="20" y="20" width="80" height="50" fill="#fff"/><circle cx="150" cy="80" r="30" fill="#f00"/>';
+const OTHER_SHAPES = '<circle cx="50" cy="50" r="40" fill="#ff0"/>';
+
+describe('computeImageHash', () => {
+  test('gives re-encoded and rescaled copies of an image nearly the same hash', async () => {
+    const original = await drawAd(AD_SHAPES);
+    const recompressed = await sharp(original).resize(180).jpeg({ quality: 50 }).toBuffer();
+
+    const hash = await computeImageHash(original);
+
+    assert.match(hash, /^[0-9a-f]{16}$/);
+    assert.ok(hammingDistance(hash, await computeImageHash(recompressed)) <= IMAGE_HASH_MAX_DISTANCE);
+  });
+
+  test('tells different images apart', async () => {
+    const distance = hammingDistance(await computeImageHash(await drawAd(AD_SHAPES)), await computeImageHash(await drawAd(OTHER_SHAPES)));
+
+    assert.ok(distance > IMAGE_HASH_MAX_DISTANCE);
+  });
+
+  test('counts differing bits', () => {
+    assert.equal(hammingDistance('0000000000000000', '0000000000000000'), 0);
+    assert.equal(hammingDistance('0000000000000000', 'ffffffffffffffff'), 64);
+    assert.equal(hammingDistance('00000000000000f0', '0000000000000001'), 5);
+  });
+});
+
+describe('copyFingerprint', () => {
+  const ad = { advertiser_name: 'Allbirds', headline: 'Wool Runners', description: 'Made with natural materials.', call_to_action: 'Shop Now' };
+
+  test('ignores case, accents, punctuation and company suffixes', () => {
+    assert.equal(copyFingerprint(ad), copyFingerprint({
+      advertiser_name: 'ALLBIRDS, Inc.',
+      headline: 'wool  runners',
+      description: 'Made with natural materiáls',
+      call_to_action: 'SHOP NOW!'
+    }));
+  });
+
+  test('ignores the model\'s product summary', () => {
+    assert.equal(copyFingerprint(ad), copyFingerprint({ ...ad, product_service: 'Sneakers' }));
+  });
+
+  test('changes with the copy', () => {
+    assert.notEqual(copyFingerprint(ad), copyFingerprint({ ...ad, call_to_action: 'Learn More' }));
+    assert.notEqual(copyFingerprint(ad), copyFingerprint({ ...ad, advertiser_name: 'Casper' }));
+  });
+
+  test('is null for ads without copy', () => {
+    assert.equal(copyFingerprint({ advertiser_name: 'Allbirds', headline: null, description: ' ', call_to_action: null }), null);
+  });
+});
+
+describe('classifyDuplicate', () => {
+  const candidates = [
+    { id: 1, copy_fingerprint: 'copy-a', image_hash: '0000000000000000', duplicate_of: null, seen_count: 1 },
+    { id: 2, copy_fingerprint: 'copy-a', image_hash: 'ffff0000ffff0000', duplicate_of: 1, seen_count: 3 },
+    { id: 3, copy_fingerprint: 'copy-b', image_hash: '0000000000000000', duplicate_of: null, seen_count: 1 }
+  ];
+
+  test('merges into the closest saved ad with the same copy', () => {
+    const result = classifyDuplicate({ copy_fingerprint: 'copy-a', image_hash: 'ffff0000ffff0001' }, candidates);
+
+    assert.equal(result.status, 'merged');
+    assert.equal(result.ad.id, 2);
+  });
+
+  test('flags the same copy with a different or missing image against the original', () => {
+    for (const imageHash of ['0f0f0f0f0f0f0f0f', null]) {
+      const result = classifyDuplicate({ copy_fingerprint: 'copy-a', image_hash: imageHash }, candidates);
+
+      assert.equal(result.status, 'flagged');
+      assert.equal(result.duplicate_of, 1);
+    }
+  });
+
+  test('treats different copy or no copy as a new ad', () => {
+    assert.equal(classifyDuplicate({ copy_fingerprint: 'copy-c', image_hash: '0000000000000000' }, candidates), null);
+    assert.equal(classifyDuplicate({ copy_fingerprint: null, image_hash: '0000000000000000' }, candidates), null);
+  });
+});
+
+describe('recordSightings', () => {
+  test('counts sightings recorded since the ad was loaded', async () => {
+    const supabase = createMemorySupabase({
+      tables: { saved_ads: [{ id: 1, user_id: 'user-1', seen_count: 4, last_seen_at: '2024-05-01T10:00:00.000Z' }] },
+      functions: SCHEMA_FUNCTIONS
+    });
+
+    // Loaded before two other saves counted their sightings
+    const stale = { id: 1, seen_count: 2 };
+    const seenCounts = await recordSightings(supabase, 'user-1', { platform: 'facebook', seenAt: '2024-05-02T10:00:00.000Z' }, [{ ad: stale, merged: true }]);
+
+    assert.equal(seenCounts.get(1), 5);
+    assert.equal(supabase.rows('saved_ads')[0].seen_count, 5);
+    assert.equal(supabase.rows('saved_ads')[0].last_seen_at, '2024-05-02T10:00:00.000Z');
+    assert.equal(supabase.rows('ad_sightings').length, 1);
+  });
+});
@@ -0,0 +1,54 @@
+// Minimal Vercel-style req/res doubles for calling handlers directly
+
+export function createRequest({ method = 'GET', body, query = {}, headers = {}, token } = {}) {
+  return {
+    method,
+    body,
+    query,
+    headers: token ? { authorization: `Bearer ${token}`, ...headers } : headers,
+    url: '/'
+  };
+}
+
+export function createResponse() {
+  return {
+    statusCode: null,
+    headers: {},
+    body: undefined,
+    ended: false,
+
+    setHeader(name, value) {
+      this.headers[name.toLowerCase()] = value;
+      return this;
+    },
+
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+
+    json(body) {
+      this.body = body;
+      this.ended = true;
+      return this;
+    },
+
+    send(body) {
+      this.body = body;
+      this.ended = true;
+      return this;
+    },
+
+    end() {
+      this.ended = true;
+      return this;
+    }
+  };
+}
+
+// Run a handler and return the finished response
+export async function invoke(handler, options) {
+  const res = createResponse();
+  await handler(createRequest(options), res);
+  return res;
+}
@@ -0,0 +1,83 @@
+// Wire the handlers to in-memory Supabase, temp-dir storage and the mock AI provider
+import { mock } from 'node:test';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import sharp from 'sharp';
+import { setSupabaseClient } from '../../lib/supabase.js';
+import { setScreenshotStorage } from '../../lib/storage/index.js';
+import { LocalStorageAdapter } from '../../lib/storage/local.js';
+import { setAIProvider } from '../../lib/ai/index.js';
+import { MockProvider } from '../../lib/ai/mock.js';
+import { setJobScheduler } from '../../lib/jobs.js';
+import { createMemorySupabase } from './supabase.js';
+
+export const AI_FIXTURES_DIR = fileURLToPath(new URL('../../fixtures/ai', import.meta.url));
+
+export const USER = { id: 'user-1', email: 'analyst@example.com' };
+export const OTHER_USER = { id: 'user-2', email: 'someone-else@example.com' };
+export const TOKEN = 'token-user-1';
+export const OTHER_TOKEN = 'token-user-2';
+
+// In-memory versions of the SQL functions the migrations define
+export const SCHEMA_FUNCTIONS = {
+  count_ad_sighting({ p_user_id, p_ad_id, p_seen_at }, tables) {
+    const ad = (tables.saved_ads || []).find(row => row.id === p_ad_id && row.user_id === p_user_id);
+    if (!ad) {
+      return null;
+    }
+    ad.seen_count = (ad.seen_count ?? 1) + 1;
+    ad.last_seen_at = !ad.last_seen_at || ad.last_seen_at < p_seen_at ? p_seen_at : ad.last_seen_at;
+    return ad.seen_count;
+  }
+};
+
+export async function setupServices({ tables = {}, functions = {}, fixture = null } = {}) {
+  const supabase = createMemorySupabase({
+    tables,
+    functions: { ...SCHEMA_FUNCTIONS, ...functions },
+    users: { [TOKEN]: USER, [OTHER_TOKEN]: OTHER_USER }
+  });
+  const storageDir = await fs.mkdtemp(path.join(os.tmpdir(), 'fb-ad-analyzer-test-'));
+  const storage = new LocalStorageAdapter({
+    rootDir: storageDir,
+    baseUrl: 'http://localhost:3000/api/screenshots'
+  });
+
+  setSupabaseClient(supabase);
+  setScreenshotStorage(storage);
+  setAIProvider(new MockProvider({ fixturesDir: AI_FIXTURES_DIR, fixture }));
+
+  // Collect background job work instead of firing and forgetting it
+  const pendingJobs = [];
+  setJobScheduler(promise => pendingJobs.push(promise));
+  const flushJobs = () => Promise.all(pendingJobs.splice(0));
+
+  // Handlers log every request; keep test output readable
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+
+  return { supabase, storage, storageDir, flushJobs };
+}
+
+export async function teardownServices(services) {
+  setSupabaseClient(null);
+  setScreenshotStorage(null);
+  setAIProvider(null);
+  setJobScheduler(null);
+  mock.restoreAll();
+
+  if (services?.storageDir) {
+    await fs.rm(services.storageDir, { recursive: true, force: true });
+  }
+}
+
+// A small real PNG so thumbnail generation runs for real
+export async function createImageDataUrl({ width = 64, height = 48, color = '#1877f2' } = {}) {
+  const buffer = await sharp({
+    create: { width, height, channels: 3, background: color }
+  }).png().toBuffer();
+
+  return `data:image/png;base64,${buffer.toString('base64')}`;
+}
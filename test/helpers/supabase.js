@@ -0,0 +1,464 @@
+// In-memory stand-in for the parts of supabase-js the handlers use.
+// Tables are plain arrays of rows; filters follow PostgREST semantics closely
+// enough for the queries in api/ (eq, in, ilike, gte, lt, or() keyset filters).
+
+// Split a PostgREST list on commas that are not inside parentheses or quotes
+function splitTopLevel(value) {
+  const parts = [];
+  let depth = 0;
+  let quoted = false;
+  let current = '';
+
+  for (let i = 0; i < value.length; i++) {
+    const char = value[i];
+
+    if (quoted) {
+      current += char;
+      if (char === '\\') {
+        current += value[++i];
+      } else if (char === '"') {
+        quoted = false;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      quoted = true;
+    } else if (char === '(') {
+      depth++;
+    } else if (char === ')') {
+      depth--;
+    } else if (char === ',' && depth === 0) {
+      parts.push(current.trim());
+      current = '';
+      continue;
+    }
+
+    current += char;
+  }
+
+  if (current.trim()) {
+    parts.push(current.trim());
+  }
+
+  return parts;
+}
+
+function parseFilterValue(raw) {
+  if (raw.startsWith('"') && raw.endsWith('"')) {
+    return raw.slice(1, -1).replace(/\\(.)/g, '$1');
+  }
+  return raw;
+}
+
+// Coerce a filter value to the type of the column value it is compared with
+function coerce(columnValue, filterValue) {
+  if (typeof columnValue === 'number' && typeof filterValue === 'string') {
+    return Number(filterValue);
+  }
+  return filterValue;
+}
+
+function compare(columnValue, op, filterValue) {
+  if (op === 'is') {
+    return filterValue === 'null' || filterValue === null ? columnValue === null || columnValue === undefined : false;
+  }
+
+  if (columnValue === null || columnValue === undefined) {
+    return false;
+  }
+
+  const value = coerce(columnValue, filterValue);
+
+  switch (op) {
+    case 'eq': return columnValue === value;
+    case 'neq': return columnValue !== value;
+    case 'gt': return columnValue > value;
+    case 'gte': return columnValue >= value;
+    case 'lt': return columnValue < value;
+    case 'lte': return columnValue <= value;
+    default: throw new Error(`Unsupported filter operator: ${op}`);
+  }
+}
+
+// Build a row predicate from an or()/and() filter string
+function parseLogicalFilter(expression, mode) {
+  const predicates = splitTopLevel(expression).map(part => {
+    const nested = part.match(/^(and|or)\((.*)\)$/);
+    if (nested) {
+      return parseLogicalFilter(nested[2], nested[1]);
+    }
+
+    const [column, op, ...rest] = part.split('.');
+    const value = parseFilterValue(rest.join('.'));
+    return row => compare(row[column], op, value);
+  });
+
+  return mode === 'and'
+    ? row => predicates.every(predicate => predicate(row))
+    : row => predicates.some(predicate => predicate(row));
+}
+
+function likeToRegExp(pattern) {
+  let source = '';
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '\\') {
+      source += pattern[++i].replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    } else if (char === '%') {
+      source += '.*';
+    } else if (char === '_') {
+      source += '.';
+    } else {
+      source += char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`, 'i');
+}
+
+// Parse "a, b, alias:table(x, y), table(count)" into plain columns and embedded relations
+function parseSelect(columns) {
+  if (!columns || columns === '*') {
+    return { all: true, fields: [], embeds: [] };
+  }
+
+  const result = { all: false, fields: [], embeds: [] };
+
+  for (const part of splitTopLevel(columns)) {
+    const embed = part.match(/^(?:(\w+):)?(\w+)\((.*)\)$/);
+    if (embed) {
+      result.embeds.push({ alias: embed[1] || embed[2], table: embed[2], columns: embed[3] });
+    } else if (part === '*') {
+      result.all = true;
+    } else {
+      result.fields.push(part);
+    }
+  }
+
+  return result;
+}
+
+function project(row, columns) {
+  if (columns.all) {
+    return { ...row };
+  }
+  return Object.fromEntries(columns.fields.map(field => [field, row[field] ?? null]));
+}
+
+class QueryBuilder {
+  constructor(db, table) {
+    this.db = db;
+    this.table = table;
+    this.action = 'select';
+    this.filters = [];
+    this.orders = [];
+    this.rowLimit = null;
+    this.rowOffset = 0;
+    this.columns = null;
+    this.returning = false;
+    this.countMode = null;
+    this.head = false;
+    this.singleMode = null;
+  }
+
+  select(columns = '*', { count = null, head = false } = {}) {
+    if (this.action === 'select') {
+      this.columns = columns;
+      this.countMode = count;
+      this.head = head;
+    } else {
+      this.returning = true;
+      this.columns = columns;
+    }
+    return this;
+  }
+
+  insert(rows) {
+    this.action = 'insert';
+    this.payload = Array.isArray(rows) ? rows : [rows];
+    return this;
+  }
+
+  update(values) {
+    this.action = 'update';
+    this.payload = values;
+    return this;
+  }
+
+  // Insert rows, skipping (ignoreDuplicates) or merging into rows that
+  // already have the same values for the onConflict columns
+  upsert(rows, { onConflict = 'id', ignoreDuplicates = false } = {}) {
+    this.action = 'upsert';
+    this.payload = Array.isArray(rows) ? rows : [rows];
+    this.conflictColumns = onConflict.split(',').map(column => column.trim());
+    this.ignoreDuplicates = ignoreDuplicates;
+    return this;
+  }
+
+  delete() {
+    this.action = 'delete';
+    return this;
+  }
+
+  eq(column, value) {
+    this.filters.push(row => compare(row[column], 'eq', value));
+    return this;
+  }
+
+  in(column, values) {
+    this.filters.push(row => values.some(value => compare(row[column], 'eq', value)));
+    return this;
+  }
+
+  gte(column, value) {
+    this.filters.push(row => compare(row[column], 'gte', value));
+    return this;
+  }
+
+  lt(column, value) {
+    this.filters.push(row => compare(row[column], 'lt', value));
+    return this;
+  }
+
+  ilike(column, pattern) {
+    const regexp = likeToRegExp(pattern);
+    this.filters.push(row => typeof row[column] === 'string' && regexp.test(row[column]));
+    return this;
+  }
+
+  or(expression) {
+    this.filters.push(parseLogicalFilter(expression, 'or'));
+    return this;
+  }
+
+  order(column, { ascending = true, nullsFirst = !ascending } = {}) {
+    this.orders.push({ column, ascending, nullsFirst });
+    return this;
+  }
+
+  limit(count) {
+    this.rowLimit = count;
+    return this;
+  }
+
+  range(from, to) {
+    this.rowOffset = from;
+    this.rowLimit = to - from + 1;
+    return this;
+  }
+
+  maybeSingle() {
+    this.singleMode = 'maybe';
+    return this;
+  }
+
+  single() {
+    this.singleMode = 'exact';
+    return this;
+  }
+
+  then(resolve, reject) {
+    return Promise.resolve().then(() => this.execute()).then(resolve, reject);
+  }
+
+  matches(row) {
+    return this.filters.every(filter => filter(row));
+  }
+
+  sort(rows) {
+    return [...rows].sort((a, b) => {
+      for (const { column, ascending, nullsFirst } of this.orders) {
+        const left = a[column] ?? null;
+        const right = b[column] ?? null;
+
+        if (left === right) {
+          continue;
+        }
+        if (left === null) {
+          return nullsFirst ? -1 : 1;
+        }
+        if (right === null) {
+          return nullsFirst ? 1 : -1;
+        }
+        return (left < right ? -1 : 1) * (ascending ? 1 : -1);
+      }
+      return 0;
+    });
+  }
+
+  shape(rows) {
+    const columns = parseSelect(this.columns);
+
+    return rows.map(row => {
+      const shaped = project(row, columns);
+
+      for (const embed of columns.embeds) {
+        shaped[embed.alias] = this.embed(row, embed);
+      }
+
+      return shaped;
+    });
+  }
+
+  // Many-to-one when the row has `<alias>_id`, otherwise one-to-many through
+  // `<singular table>_id` on the embedded table (saved_ads(count) on advertisers)
+  embed(row, embed) {
+    const related = this.db.table(embed.table);
+
+    if (`${embed.alias}_id` in row) {
+      const parent = related.find(candidate => candidate.id === row[`${embed.alias}_id`]);
+      return parent ? project(parent, parseSelect(embed.columns)) : null;
+    }
+
+    const foreignKey = `${this.table.replace(/s$/, '')}_id`;
+    const children = related.filter(candidate => candidate[foreignKey] === row.id);
+
+    return embed.columns === 'count'
+      ? [{ count: children.length }]
+      : children.map(child => project(child, parseSelect(embed.columns)));
+  }
+
+  result(rows) {
+    if (this.singleMode === 'maybe') {
+      return { data: rows[0] ?? null, error: null };
+    }
+    if (this.singleMode === 'exact') {
+      return rows.length === 1
+        ? { data: rows[0], error: null }
+        : { data: null, error: { code: 'PGRST116', message: 'JSON object requested, multiple (or no) rows returned' } };
+    }
+    return { data: rows, error: null };
+  }
+
+  execute() {
+    const failure = this.db.takeFailure(this.table, this.action);
+    if (failure) {
+      return { data: null, error: failure, count: null };
+    }
+
+    const rows = this.db.table(this.table);
+
+    if (this.action === 'insert') {
+      const inserted = this.payload.map(row => ({ id: this.db.nextId(this.table), ...row }));
+      rows.push(...inserted);
+      return this.returning ? this.result(this.shape(inserted)) : { data: null, error: null };
+    }
+
+    if (this.action === 'upsert') {
+      const written = [];
+
+      for (const row of this.payload) {
+        const existing = rows.find(candidate => this.conflictColumns.every(column => candidate[column] === row[column]));
+
+        if (!existing) {
+          const inserted = { id: this.db.nextId(this.table), ...row };
+          rows.push(inserted);
+          written.push(inserted);
+        } else if (!this.ignoreDuplicates) {
+          Object.assign(existing, row);
+          written.push(existing);
+        }
+      }
+
+      return this.returning ? this.result(this.shape(written)) : { data: null, error: null };
+    }
+
+    if (this.action === 'update') {
+      const updated = rows.filter(row => this.matches(row));
+      updated.forEach(row => Object.assign(row, this.payload));
+      return this.returning ? this.result(this.shape(updated)) : { data: null, error: null };
+    }
+
+    if (this.action === 'delete') {
+      const deleted = rows.filter(row => this.matches(row));
+      this.db.tables[this.table] = rows.filter(row => !deleted.includes(row));
+      return this.returning ? this.result(this.shape(deleted)) : { data: null, error: null };
+    }
+
+    let selected = this.sort(rows.filter(row => this.matches(row)));
+    const count = this.countMode ? selected.length : null;
+
+    if (this.head) {
+      return { data: null, error: null, count };
+    }
+
+    if (this.rowLimit !== null) {
+      selected = selected.slice(this.rowOffset, this.rowOffset + this.rowLimit);
+    }
+
+    return { ...this.result(this.shape(selected)), count };
+  }
+}
+
+// Create a fake client. `users` maps bearer tokens to Supabase users and
+// `functions` maps RPC names to (params, tables) => rows implementations.
+export function createMemorySupabase({ tables = {}, users = {}, functions = {} } = {}) {
+  const db = {
+    tables: Object.fromEntries(Object.entries(tables).map(([name, rows]) => [name, rows.map(row => ({ ...row }))])),
+    ids: {},
+    failures: [],
+
+    table(name) {
+      this.tables[name] ??= [];
+      return this.tables[name];
+    },
+
+    nextId(name) {
+      const highest = Math.max(0, ...this.table(name).map(row => row.id ?? 0));
+      this.ids[name] = Math.max(this.ids[name] ?? 0, highest) + 1;
+      return this.ids[name];
+    },
+
+    takeFailure(table, action) {
+      const index = this.failures.findIndex(failure => failure.table === table && (!failure.action || failure.action === action));
+      if (index === -1) {
+        return null;
+      }
+      return this.failures.splice(index, 1)[0].error;
+    }
+  };
+
+  return {
+    tables: db.tables,
+
+    from(table) {
+      return new QueryBuilder(db, table);
+    },
+
+    // Make the next matching query on `table` fail with `error`
+    failNext(table, error, action = null) {
+      db.failures.push({ table, action, error });
+    },
+
+    rows(table) {
+      return db.table(table);
+    },
+
+    async rpc(name, params = {}) {
+      const failure = db.takeFailure(name, 'rpc');
+      if (failure) {
+        return { data: null, error: failure };
+      }
+
+      if (!functions[name]) {
+        return {
+          data: null,
+          error: { code: 'PGRST202', message: `Could not find the function public.${name} in the schema cache` }
+        };
+      }
+
+      return { data: functions[name](params, db.tables), error: null };
+    },
+
+    auth: {
+      async getUser(token) {
+        const user = users[token];
+        return user
+          ? { data: { user }, error: null }
+          : { data: { user: null }, error: { message: 'invalid JWT' } };
+      }
+    }
+  };
+}
@@ -0,0 +1,99 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadMigrations, runMigrations } from '../lib/migrations.js';
+
+// Records queries and keeps schema_migrations in memory
+function createFakeClient({ applied = [], failOn = null } = {}) {
+  const versions = [...applied];
+  const queries = [];
+
+  return {
+    queries,
+    versions,
+    async query(sql, params = []) {
+      queries.push(sql.trim());
+
+      if (failOn && sql.includes(failOn)) {
+        throw new Error('syntax error at or near "TABEL"');
+      }
+      if (sql.startsWith('SELECT version FROM schema_migrations')) {
+        return { rows: versions.map(version => ({ version })) };
+      }
+      if (sql.startsWith('INSERT INTO schema_migrations')) {
+        versions.push(params[0]);
+      }
+      return { rows: [] };
+    }
+  };
+}
+
+const MIGRATIONS = [
+  { version: '0001_initial_schema', sql: 'CREATE TABLE captures ()' },
+  { version: '0002_add_search', sql: 'ALTER TABLE saved_ads ADD COLUMN search tsvector' }
+];
+
+describe('loadMigrations', () => {
+  test('loads the repo migrations in order', async () => {
+    const migrations = await loadMigrations();
+    const versions = migrations.map(migration => migration.version);
+
+    assert.equal(versions[0], '0001_initial_schema');
+    assert.deepEqual(versions, [...versions].sort());
+    assert.match(migrations[0].sql, /CREATE TABLE IF NOT EXISTS saved_ads/);
+  });
+
+  test('rejects badly named and duplicate files', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'fb-ad-analyzer-migrations-'));
+
+    try {
+      await fs.writeFile(path.join(dir, 'add-table.sql'), '');
+      await assert.rejects(loadMigrations(dir), /Invalid migration file name: add-table\.sql/);
+
+      await fs.rm(path.join(dir, 'add-table.sql'));
+      await fs.writeFile(path.join(dir, '0001_one.sql'), '');
+      await fs.writeFile(path.join(dir, '0001_two.sql'), '');
+      await assert.rejects(loadMigrations(dir), /Duplicate migration number: 0001/);
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('runMigrations', () => {
+  test('applies pending migrations and records them', async () => {
+    const client = createFakeClient();
+
+    const applied = await runMigrations(client, MIGRATIONS, { log: () => {} });
+
+    assert.deepEqual(applied, ['0001_initial_schema', '0002_add_search']);
+    assert.deepEqual(client.versions, applied);
+    assert.match(client.queries[0], /pg_advisory_lock/);
+    assert.match(client.queries.at(-1), /pg_advisory_unlock/);
+  });
+
+  test('skips migrations that already ran', async () => {
+    const client = createFakeClient({ applied: ['0001_initial_schema'] });
+
+    const applied = await runMigrations(client, MIGRATIONS, { log: () => {} });
+
+    assert.deepEqual(applied, ['0002_add_search']);
+    assert.ok(!client.queries.includes('CREATE TABLE captures ()'));
+  });
+
+  test('rolls back and stops at a failing migration', async () => {
+    const client = createFakeClient({ failOn: 'CREATE TABLE captures' });
+
+    await assert.rejects(
+      runMigrations(client, MIGRATIONS, { log: () => {} }),
+      /Migration 0001_initial_schema failed: syntax error/
+    );
+
+    assert.deepEqual(client.versions, []);
+    assert.ok(client.queries.includes('ROLLBACK'));
+    assert.ok(!client.queries.some(sql => sql.startsWith('ALTER TABLE saved_ads')));
+    assert.match(client.queries.at(-1), /pg_advisory_unlock/);
+  });
+});
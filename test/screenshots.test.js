@@ -0,0 +1,33 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import { MAX_TILES, splitScreenshot } from '../lib/screenshots.js';
+import { createImageDataUrl } from './helpers/services.js';
+
+async function tileSizes(tiles) {
+  const sizes = await Promise.all(tiles.map(tile => sharp(Buffer.from(tile.split(',')[1], 'base64')).metadata()));
+  return sizes.map(({ width, height }) => [width, height]);
+}
+
+describe('splitScreenshot', () => {
+  test('leaves ordinary screenshots whole', async () => {
+    const image = await createImageDataUrl({ width: 400, height: 700 });
+
+    assert.deepEqual(await splitScreenshot(image), [image]);
+  });
+
+  test('cuts tall screenshots into overlapping full-width tiles', async () => {
+    const tiles = await splitScreenshot(await createImageDataUrl({ width: 400, height: 2000 }));
+
+    // 500px tiles every 425px; the last one is aligned with the bottom edge
+    assert.deepEqual(await tileSizes(tiles), Array(5).fill([400, 500]));
+  });
+
+  test('makes tiles taller instead of exceeding the tile limit', async () => {
+    const tiles = await splitScreenshot(await createImageDataUrl({ width: 100, height: 4000 }));
+    const sizes = await tileSizes(tiles);
+
+    assert.equal(tiles.length, MAX_TILES);
+    assert.ok(sizes.every(([width, height]) => width === 100 && height > 125));
+  });
+});